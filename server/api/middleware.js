@@ -1,11 +1,20 @@
 // src/api/middleware.js
+const crypto = require('crypto');
 const rateLimit = require('express-rate-limit');
 const { body, validationResult } = require('express-validator');
 const logger = require('../utils/logger');
-const { maskString } = require('../utils/helpers');
-const { ROLES, DEFAULT_PERMISSIONS, ERROR_CODES } = require('../utils/constants');
+const { maskString, sleep } = require('../utils/helpers');
+const { ROLES, DEFAULT_PERMISSIONS, ERROR_CODES, POLL_MAX_OPTIONS } = require('../utils/constants');
 const isDev = process.env.NODE_ENV === 'development';
 const disableRateLimit = process.env.DISABLE_RATE_LIMIT === 'true';
+
+// Webhook event pattern: "*", "message", "message_update", "message.*"
+const WEBHOOK_EVENT = /^(\*|[a-z_]+(\.\*)?)$/;
+
+// Idempotency keys: how long responses are kept and how often a repeat polls
+const IDEMPOTENCY_TTL = (parseInt(process.env.IDEMPOTENCY_TTL) || 86400) * 1000;
+const IDEMPOTENCY_POLL = 250;
+const IDEMPOTENCY_KEY_MAX = 255;
 /**
  * Role definitions and default permissions
  */
@@ -561,6 +570,121 @@ const mediaSizeLimit = () => {
     };
 };
 
+/**
+ * Idempotency-Key middleware. The first request with a key runs normally and
+ * its response is stored; repeats within the TTL get that response back
+ * without running the handler again. A repeat that arrives while the first
+ * request is still running waits for it to finish.
+ * The fingerprint covers the parsed body and uploaded files, so for multipart
+ * routes the middleware has to run after multer; a router-level instance can
+ * leave those requests to it with skipMultipart.
+ * @param {Object} store - Global SQLiteStores instance
+ * @param {Object} options - { match: RegExp on req.path, ttl: ms, wait: ms, staleAfter: ms, skipMultipart }
+ * @returns {Function} Express middleware
+ */
+const idempotency = (store, options = {}) => {
+    const ttl = options.ttl || IDEMPOTENCY_TTL;
+    const wait = options.wait || 60 * 1000;
+    // A pending key older than this belongs to a request that never finished
+    const staleAfter = options.staleAfter || 10 * 60 * 1000;
+
+    return async (req, res, next) => {
+        const key = req.get('Idempotency-Key');
+        if (!key || req.method === 'GET' || !req.user || req.idempotencyKey) return next();
+        if (options.match && !options.match.test(req.path)) return next();
+        if (options.skipMultipart && req.is('multipart/form-data')) return next();
+
+        const requestId = req.id || `req_${Date.now()}`;
+
+        if (key.length > IDEMPOTENCY_KEY_MAX) {
+            return res.status(400).json({
+                error: `Idempotency-Key must be at most ${IDEMPOTENCY_KEY_MAX} characters`,
+                code: 'INVALID_IDEMPOTENCY_KEY',
+                requestId
+            });
+        }
+
+        const userId = req.user.username;
+        const path = req.originalUrl.split('?')[0];
+        const files = [].concat(req.file || [], Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat());
+        const hash = crypto.createHash('sha256')
+            .update(`${req.method} ${path}\n${JSON.stringify(req.body || {})}`);
+        for (const file of files) {
+            hash.update(`\n${file.fieldname} ${file.originalname} ${file.size} `).update(file.buffer);
+        }
+        const fingerprint = hash.digest('hex');
+
+        try {
+            const deadline = Date.now() + wait;
+            let claim = await store.claimIdempotencyKey({
+                user_id: userId, key, fingerprint, method: req.method, path, ttl, staleAfter
+            });
+
+            while (!claim.claimed) {
+                const row = claim.row;
+
+                if (row && row.fingerprint !== fingerprint) {
+                    return res.status(422).json({
+                        error: 'Idempotency-Key was already used for a different request',
+                        code: 'IDEMPOTENCY_KEY_REUSED',
+                        requestId
+                    });
+                }
+
+                if (row && row.status === 'done') {
+                    res.set('Idempotent-Replayed', 'true');
+                    return res.status(row.status_code).json(row.response);
+                }
+
+                if (Date.now() >= deadline) {
+                    return res.status(409).json({
+                        error: 'A request with this Idempotency-Key is still in progress',
+                        code: 'IDEMPOTENCY_KEY_IN_PROGRESS',
+                        requestId
+                    });
+                }
+
+                // The first request is still running (or just released the key)
+                await sleep(IDEMPOTENCY_POLL);
+                claim = await store.claimIdempotencyKey({
+                    user_id: userId, key, fingerprint, method: req.method, path, ttl, staleAfter
+                });
+            }
+        } catch (error) {
+            logger.error('Idempotency key claim failed', { requestId, error: error.message });
+            return res.status(500).json({ error: error.message });
+        }
+
+        req.idempotencyKey = key;
+
+        // Server errors and rate limits are not final; release the key so they can be retried
+        let settled = false;
+        const settle = (statusCode, body) => {
+            if (settled) return;
+            settled = true;
+
+            const done = statusCode !== undefined && statusCode < 500 && statusCode !== 429
+                ? store.completeIdempotencyKey(userId, key, statusCode, body)
+                : store.releaseIdempotencyKey(userId, key);
+
+            done.catch(error => {
+                logger.error('Idempotency key update failed', { requestId, error: error.message });
+            });
+        };
+
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            settle(res.statusCode, body);
+            return json(body);
+        };
+
+        // Responses not sent through res.json cannot be replayed
+        res.on('close', () => settle());
+
+        next();
+    };
+};
+
 /**
  * Validation rules
  */
@@ -642,7 +766,21 @@ const validate = {
             .isString()
             .withMessage('Device must be a string')
             .isLength({ max: 50 })
-            .withMessage('Device too long')
+            .withMessage('Device too long'),
+        body('phone')
+            .optional()
+            .matches(/^\+?[0-9]{10,15}$/)
+            .withMessage('Phone must be 10-15 digits including country code')
+    ],
+
+    /**
+     * Validate pairing code request
+     */
+    pairSession: [
+        body('phone')
+            .optional()
+            .matches(/^\+?[0-9]{10,15}$/)
+            .withMessage('Phone must be 10-15 digits including country code')
     ],
 
     /**
@@ -659,8 +797,21 @@ const validate = {
             .isIn(['text', 'image', 'video', 'audio', 'document', 'sticker', 'location', 'contact'])
             .withMessage('Invalid message type'),
         body('content')
+            .if(body('templateId').not().exists())
             .notEmpty()
-            .withMessage('Content required')
+            .withMessage('Content required'),
+        body('templateId')
+            .optional()
+            .isString()
+            .withMessage('Template ID must be a string'),
+        body('quotedMessageId')
+            .optional()
+            .isString()
+            .withMessage('Quoted message ID must be a string'),
+        body('mentions')
+            .optional()
+            .custom(value => Array.isArray(value) || typeof value === 'string')
+            .withMessage('Mentions must be an array of JIDs or "@all"')
     ],
 
     /**
@@ -682,6 +833,90 @@ const validate = {
             .withMessage('Invalid emoji')
     ],
 
+    /**
+     * Validate send poll
+     */
+    sendPoll: [
+        body('jid')
+            .notEmpty()
+            .withMessage('JID required'),
+        body('question')
+            .isString()
+            .withMessage('Question must be a string')
+            .trim()
+            .notEmpty()
+            .withMessage('Question required')
+            .isLength({ max: 255 })
+            .withMessage('Question too long'),
+        body('options')
+            .isArray({ min: 2, max: POLL_MAX_OPTIONS })
+            .withMessage(`Options must be an array of 2-${POLL_MAX_OPTIONS} strings`)
+            .custom(options => {
+                const names = options.map(o => typeof o === 'string' ? o.trim() : '');
+                if (names.some(name => !name || name.length > 100)) {
+                    throw new Error('Options must be non-empty strings of up to 100 characters');
+                }
+                if (new Set(names).size !== names.length) throw new Error('Options must be unique');
+                return true;
+            }),
+        body('multiple')
+            .optional()
+            .isBoolean()
+            .withMessage('multiple must be a boolean')
+            .toBoolean()
+    ],
+
+    /**
+     * Validate status post
+     */
+    postStatus: [
+        body('type')
+            .optional()
+            .isIn(['text', 'image', 'video'])
+            .withMessage('Type must be text, image or video'),
+        body('text')
+            .if(body('type').not().isIn(['image', 'video']))
+            .isString()
+            .withMessage('Text must be a string')
+            .trim()
+            .notEmpty()
+            .withMessage('Text required')
+            .isLength({ max: 700 })
+            .withMessage('Text too long'),
+        body('backgroundColor')
+            .optional()
+            .matches(/^#[0-9a-fA-F]{6}$/)
+            .withMessage('backgroundColor must be a hex colour like #1e88e5'),
+        body('font')
+            .optional()
+            .isInt({ min: 0, max: 10 })
+            .withMessage('Font must be 0-10')
+            .toInt()
+    ],
+
+    /**
+     * Validate message forward
+     */
+    forwardMessage: [
+        body('jids')
+            .isArray({ min: 1, max: 50 })
+            .withMessage('jids must be an array of 1-50 JIDs or phone numbers')
+    ],
+
+    /**
+     * Validate message edit
+     */
+    editMessage: [
+        body('text')
+            .isString()
+            .withMessage('Text must be a string')
+            .trim()
+            .notEmpty()
+            .withMessage('Text required')
+            .isLength({ max: 4096 })
+            .withMessage('Text too long')
+    ],
+
     /**
      * Validate mark read
      */
@@ -734,15 +969,71 @@ const validate = {
             .withMessage('Invite code must be a string')
     ],
 
+    /**
+     * Validate message search
+     */
+    searchMessages: [
+        body('q')
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 500 })
+            .withMessage('Search query required (max 500 chars)'),
+        body('chat')
+            .optional()
+            .isString()
+            .withMessage('Chat must be a JID'),
+        body('sender')
+            .optional()
+            .isString()
+            .withMessage('Sender must be a JID'),
+        body('type')
+            .optional()
+            .custom(value => typeof value === 'string' || (Array.isArray(value) && value.every(t => typeof t === 'string')))
+            .withMessage('Type must be a string or array of strings'),
+        body('from_me')
+            .optional()
+            .isBoolean()
+            .toBoolean()
+            .withMessage('from_me must be boolean'),
+        body(['from', 'to'])
+            .optional()
+            .custom(value => /^\d+$/.test(String(value)) || !isNaN(new Date(value).getTime()))
+            .withMessage('Date must be ISO 8601 or unix seconds'),
+        body('sort')
+            .optional()
+            .isIn(['relevance', 'recent'])
+            .withMessage('Sort must be relevance or recent'),
+        body('limit')
+            .optional()
+            .isInt({ min: 1, max: 200 })
+            .withMessage('Limit must be 1-200'),
+        body('offset')
+            .optional()
+            .isInt({ min: 0 })
+            .withMessage('Offset must be >= 0')
+    ],
+
     /**
      * Validate webhook creation
      */
     createWebhook: [
         body('event')
+            .if(body('events').not().exists())
             .notEmpty()
-            .withMessage('Event required')
-            .isIn(['message', 'presence', 'chat', 'reaction', 'group', 'call', 'all'])
+            .withMessage('Event or events required')
+            .matches(WEBHOOK_EVENT)
             .withMessage('Invalid event type'),
+        body('events')
+            .optional()
+            .isArray({ min: 1, max: 50 })
+            .withMessage('Events must be a non-empty array'),
+        body('events.*')
+            .matches(WEBHOOK_EVENT)
+            .withMessage('Invalid event pattern'),
+        body('filters')
+            .optional({ nullable: true })
+            .isObject()
+            .withMessage('Filters must be an object'),
         body('url')
             .notEmpty()
             .withMessage('URL required')
@@ -762,6 +1053,225 @@ const validate = {
             .withMessage('Timeout must be 1000-30000ms')
     ],
 
+    /**
+     * Validate webhook update
+     */
+    updateWebhook: [
+        body('events')
+            .optional()
+            .isArray({ min: 1, max: 50 })
+            .withMessage('Events must be a non-empty array'),
+        body('events.*')
+            .matches(WEBHOOK_EVENT)
+            .withMessage('Invalid event pattern'),
+        body('filters')
+            .optional({ nullable: true })
+            .isObject()
+            .withMessage('Filters must be an object'),
+        body('url')
+            .optional()
+            .isURL()
+            .withMessage('Invalid URL'),
+        body('headers')
+            .optional()
+            .isObject()
+            .withMessage('Headers must be an object'),
+        body('enabled')
+            .optional()
+            .isBoolean()
+            .withMessage('Enabled must be boolean'),
+        body('retry_count')
+            .optional()
+            .isInt({ min: 0, max: 10 })
+            .withMessage('Retry count must be 0-10'),
+        body('timeout')
+            .optional()
+            .isInt({ min: 1000, max: 30000 })
+            .withMessage('Timeout must be 1000-30000ms')
+    ],
+
+    /**
+     * Validate webhook secret rotation
+     */
+    rotateWebhookSecret: [
+        body('secret')
+            .optional()
+            .isString()
+            .isLength({ min: 16, max: 256 })
+            .withMessage('Secret must be 16-256 characters'),
+        body('grace_period')
+            .optional()
+            .isInt({ min: 0, max: 604800 })
+            .withMessage('Grace period must be 0-604800 seconds')
+    ],
+
+    /**
+     * Validate campaign / bulk send (recipients are checked in the route)
+     */
+    createCampaign: [
+        body('name')
+            .optional()
+            .isString()
+            .isLength({ max: 100 })
+            .withMessage('Name must be at most 100 characters'),
+        body(['min_delay', 'max_delay'])
+            .optional()
+            .isFloat({ min: 0, max: 3600 })
+            .withMessage('Delays must be 0-3600 seconds'),
+        body('text')
+            .optional()
+            .isString()
+            .isLength({ max: 65536 })
+            .withMessage('Text too long')
+    ],
+
+    /**
+     * Validate message template (content fields are checked per type in the route)
+     */
+    template: [
+        body('name')
+            .optional()
+            .isString()
+            .trim()
+            .isLength({ min: 1, max: 100 })
+            .withMessage('Name must be 1-100 characters'),
+        body('type')
+            .optional()
+            .isIn(['text', 'image', 'video', 'audio', 'document', 'sticker', 'location', 'contact'])
+            .withMessage('Invalid message type'),
+        body('scope')
+            .optional()
+            .isIn(['session', 'user'])
+            .withMessage('Scope must be session or user')
+    ],
+
+    /**
+     * Validate auto-reply rule
+     */
+    autoreply: [
+        body('trigger')
+            .optional()
+            .isIn(['keyword', 'regex', 'exact', 'first_message', 'outside_hours'])
+            .withMessage('Invalid trigger'),
+        body('reply')
+            .optional()
+            .isString()
+            .isLength({ min: 1, max: 4096 })
+            .withMessage('Reply must be 1-4096 characters'),
+        body('scope')
+            .optional()
+            .isIn(['all', 'private', 'group'])
+            .withMessage('Scope must be all, private, or group'),
+        body(['allow_jids', 'deny_jids'])
+            .optional({ nullable: true })
+            .isArray()
+            .withMessage('JID lists must be arrays'),
+        body('cooldown')
+            .optional()
+            .isInt({ min: 0 })
+            .withMessage('Cooldown must be seconds >= 0'),
+        body('business_hours')
+            .optional({ nullable: true })
+            .isObject()
+            .withMessage('Business hours must be an object'),
+        body('priority')
+            .optional()
+            .isInt()
+            .withMessage('Priority must be an integer'),
+        body('humanize')
+            .optional({ nullable: true })
+            .custom(value => typeof value === 'boolean' || (typeof value === 'object' && !Array.isArray(value)))
+            .withMessage('Humanize must be a boolean or an object')
+    ],
+
+    /**
+     * Validate broadcast list
+     */
+    broadcastList: [
+        body('name')
+            .optional()
+            .isString()
+            .withMessage('Name must be a string')
+            .trim()
+            .isLength({ min: 1, max: 100 })
+            .withMessage('Name must be 1-100 characters')
+    ],
+
+    /**
+     * Validate group join request auto-approve rule
+     */
+    joinRule: [
+        body(['enabled', 'contactsOnly'])
+            .optional()
+            .isBoolean()
+            .withMessage('enabled and contactsOnly must be booleans')
+            .toBoolean(),
+        body('prefixes')
+            .optional()
+            .isArray({ max: 50 })
+            .withMessage('Prefixes must be an array of up to 50 entries'),
+        body('prefixes.*')
+            .matches(/^\+?[0-9]{1,15}$/)
+            .withMessage('Each prefix must be a country code or number prefix (digits only)')
+    ],
+
+    /**
+     * Validate sending policy
+     */
+    sendPolicy: [
+        body(['perMinute', 'perHour', 'perDay', 'newContactsPerDay'])
+            .optional({ nullable: true })
+            .isInt({ min: 1 })
+            .withMessage('Limits must be positive integers or null')
+            .toInt(),
+        body('recipientCooldown')
+            .optional()
+            .isInt({ min: 0, max: 7 * 24 * 60 * 60 })
+            .withMessage('Recipient cooldown must be 0-604800 seconds')
+            .toInt(),
+        body('jitter')
+            .optional()
+            .isObject()
+            .withMessage('Jitter must be an object')
+            .custom(jitter => {
+                if (jitter.min !== undefined && jitter.max !== undefined && Number(jitter.max) < Number(jitter.min)) {
+                    throw new Error('jitter.max must be >= jitter.min');
+                }
+                return true;
+            }),
+        body(['jitter.min', 'jitter.max'])
+            .optional()
+            .isInt({ min: 0, max: 10 * 60 * 1000 })
+            .withMessage('Jitter must be 0-600000ms')
+            .toInt(),
+        body('warmup')
+            .optional({ nullable: true })
+            .isObject()
+            .withMessage('Warm-up must be an object')
+            .custom((warmup, { req }) => {
+                if (warmup && !req.body.perDay) throw new Error('Warm-up ramps up to perDay, which is required');
+                return true;
+            }),
+        body('warmup.days')
+            .if(body('warmup').isObject())
+            .isInt({ min: 1, max: 365 })
+            .withMessage('Warm-up days must be 1-365')
+            .toInt(),
+        body('warmup.startPerDay')
+            .if(body('warmup').isObject())
+            .isInt({ min: 1 })
+            .withMessage('Warm-up startPerDay must be a positive integer')
+            .toInt(),
+        body('warmup.since')
+            .optional()
+            .isISO8601()
+            .withMessage('Warm-up since must be an ISO 8601 date'),
+        body('onLimit')
+            .optional()
+            .isIn(['queue', 'reject'])
+            .withMessage('onLimit must be queue or reject')
+    ],
+
     /**
      * Validate user meta
      */
@@ -998,8 +1508,8 @@ const cors = (req, res, next) => {
     
     res.header('Access-Control-Allow-Origin', origin);
     res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, x-api-key');
-    res.header('Access-Control-Expose-Headers', 'X-Request-ID');
+    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, x-api-key, Idempotency-Key');
+    res.header('Access-Control-Expose-Headers', 'X-Request-ID, Idempotent-Replayed');
     
     if (req.method === 'OPTIONS') {
         return res.sendStatus(200);
@@ -1110,6 +1620,7 @@ module.exports = {
     sessionOwner,
     createRateLimiter,
     mediaSizeLimit,
+    idempotency,
     createAccountLimiter: rateLimit({
         windowMs: 60 * 60 * 1000,
         max: 5,
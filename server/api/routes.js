@@ -5,10 +5,13 @@ const path = require('path');
 const fs = require('fs');
 const crypto = require('crypto');
 const { 
-    auth, optionalAuth, requirePermission, allowRoles, sessionOwner,
+    auth, optionalAuth, requirePermission, allowRoles, sessionOwner, idempotency,
     createRateLimiter, mediaSizeLimit, validate, handleValidationErrors,
     requestLogger, ROLES
 } = require('./middleware');
+const { serviceManager } = require('../services');
+const { MESSAGE_TYPES, WEBHOOK_DELIVERY_STATUS, DISAPPEARING_MODES, ACK_LEVELS } = require('../utils/constants');
+const { ensureDir, getExtensionFromMime, isValidJid, isGroupJid, phoneToJid, safeJsonParse, parseCSV, renderTemplateContent } = require('../utils/helpers');
 
 // Configure multer for file uploads
 const upload = multer({
@@ -16,6 +19,352 @@ const upload = multer({
     limits: { fileSize: 100 * 1024 * 1024 } // 100MB default
 });
 
+const MAX_CAMPAIGN_RECIPIENTS = 10000;
+// WhatsApp's own limit for broadcast lists
+const MAX_BROADCAST_RECIPIENTS = 256;
+
+// Send-and-wait timeouts (seconds)
+const DEFAULT_WAIT_TIMEOUT = 30;
+const MAX_WAIT_TIMEOUT = 300;
+
+// sendMessage errors caused by the request rather than the server
+const REPLY_ERRORS = {
+    QUOTED_NOT_FOUND: 404,
+    INVALID_MENTION: 400,
+    MEDIA_NOT_FOUND: 404,
+    INVALID_HUMANIZE: 400,
+    // Sending policy rejections (onLimit "reject")
+    SEND_RATE_LIMITED: 429,
+    RECIPIENT_COOLDOWN: 429,
+    NEW_CONTACT_LIMIT: 429
+};
+// editMessage errors caused by the request
+const EDIT_ERRORS = { MESSAGE_NOT_FOUND: 404, NOT_EDITABLE: 400, EDIT_WINDOW_EXPIRED: 409 };
+const FORWARD_ERRORS = { MESSAGE_NOT_FOUND: 404, NOT_FORWARDABLE: 400 };
+const BROADCAST_ERRORS = { BROADCAST_NOT_FOUND: 404, BROADCAST_EMPTY: 400 };
+// Types that cannot be stored for a later send (schedules, campaigns, templates)
+const UNSTORABLE_TYPES = [MESSAGE_TYPES.REACTION, MESSAGE_TYPES.POLL];
+
+// Session routes that honour the Idempotency-Key header (paths relative to /sessions/:sid)
+const IDEMPOTENT_ROUTES = /^\/(send|groups|labels|webhooks|campaigns|broadcasts|status)(\/|$)|^\/messages\/[^/]+\/forward$/;
+
+/**
+ * Pick the sendMessage content fields for a scheduled message type
+ * @param {string} type - Message type
+ * @param {Object} body - Request body
+ * @returns {Object} Content (media buffers are attached at send time)
+ */
+const scheduleContent = (type, body) => {
+    switch (type) {
+        case MESSAGE_TYPES.TEXT:
+            return { text: body.text };
+        case MESSAGE_TYPES.LOCATION:
+            return {
+                latitude: parseFloat(body.latitude),
+                longitude: parseFloat(body.longitude),
+                name: body.name,
+                address: body.address
+            };
+        case MESSAGE_TYPES.CONTACT:
+            return { name: body.name, number: body.number };
+        default:
+            return { caption: body.caption, name: body.fileName };
+    }
+};
+
+/**
+ * Parse schedule timing from request body
+ * @param {Object} body - { sendAt, cron, timezone }
+ * @param {Object} scheduler - SchedulerService
+ * @returns {Object} { send_at, cron, timezone } or { error }
+ */
+const scheduleTiming = (body, scheduler) => {
+    if (body.sendAt && body.cron) {
+        return { error: 'Use either sendAt or cron, not both' };
+    }
+
+    if (body.cron) {
+        if (!scheduler.validateCron(body.cron)) return { error: 'Invalid cron expression' };
+        return { cron: body.cron, send_at: null, timezone: body.timezone || null };
+    }
+
+    if (body.sendAt) {
+        const sendAt = new Date(body.sendAt).getTime();
+        if (isNaN(sendAt)) return { error: 'Invalid sendAt date' };
+        return { send_at: sendAt, cron: null, timezone: body.timezone || null };
+    }
+
+    return { error: 'sendAt or cron required' };
+};
+
+/**
+ * Build message search options from request body
+ * @param {Object} body - { sender, type, from_me, from, to, sort, limit, offset }
+ * @returns {Object} Options for searchMessages
+ */
+const searchOptions = (body) => {
+    // Message timestamps are stored in unix seconds
+    const toTs = (value) => {
+        if (value === undefined || value === null || value === '') return undefined;
+        return /^\d+$/.test(String(value)) ? parseInt(value) : Math.floor(new Date(value).getTime() / 1000);
+    };
+
+    return {
+        sender: body.sender,
+        type: body.type,
+        fromMe: body.from_me,
+        from: toTs(body.from),
+        to: toTs(body.to),
+        sort: body.sort,
+        limit: parseInt(body.limit) || 50,
+        offset: parseInt(body.offset) || 0
+    };
+};
+
+/**
+ * Parse campaign recipients from request body
+ * @param {Object} body - { recipients: [{ jid|phone, vars }] } or { jids: [] }, JSON strings allowed for multipart
+ * @returns {Object} { recipients } or { error }
+ */
+const campaignRecipients = (body) => {
+    let list = body.recipients !== undefined ? body.recipients : body.jids;
+    if (typeof list === 'string') list = safeJsonParse(list, parseCSV(list));
+
+    if (!Array.isArray(list) || !list.length) {
+        return { error: 'Recipients required' };
+    }
+    if (list.length > MAX_CAMPAIGN_RECIPIENTS) {
+        return { error: `At most ${MAX_CAMPAIGN_RECIPIENTS} recipients per campaign` };
+    }
+
+    const recipients = [];
+    for (const entry of list) {
+        const item = typeof entry === 'object' && entry !== null ? entry : { jid: String(entry) };
+        const raw = item.jid || item.phone;
+        if (!raw) return { error: 'Each recipient needs a jid or phone' };
+
+        const jid = String(raw).includes('@') ? decodeURIComponent(raw) : phoneToJid(String(raw));
+        if (!isValidJid(jid)) return { error: `Invalid JID: ${raw}` };
+
+        if (item.vars !== undefined && (typeof item.vars !== 'object' || Array.isArray(item.vars))) {
+            return { error: `Vars for ${raw} must be an object` };
+        }
+
+        recipients.push({ jid, vars: item.vars || null });
+    }
+
+    return { recipients };
+};
+
+/**
+ * Normalise broadcast list recipients: JIDs or phone numbers, as an array,
+ * JSON or comma separated. Duplicates are dropped.
+ * @param {*} list - Recipients from the request body
+ * @returns {Object} { jids } or { error }
+ */
+const broadcastRecipients = (list) => {
+    if (typeof list === 'string') list = safeJsonParse(list, parseCSV(list));
+    if (!Array.isArray(list)) return { error: 'Recipients must be an array' };
+
+    const jids = [];
+    for (const raw of list) {
+        const jid = String(raw).includes('@') ? decodeURIComponent(raw) : phoneToJid(String(raw));
+        if (!isValidJid(jid)) return { error: `Invalid JID: ${raw}` };
+        if (isGroupJid(jid)) return { error: `Broadcast lists only hold contacts: ${raw}` };
+
+        if (!jids.includes(jid)) jids.push(jid);
+    }
+
+    if (jids.length > MAX_BROADCAST_RECIPIENTS) {
+        return { error: `At most ${MAX_BROADCAST_RECIPIENTS} recipients per broadcast list` };
+    }
+
+    return { jids };
+};
+
+/**
+ * Parse a status audience: "all" (default) or JIDs/phones as array, JSON or CSV
+ * @param {string|Array} value - Body field
+ * @returns {string|Array|null} 'all', list of entries, or null when invalid
+ */
+const statusAudience = (value) => {
+    if (value === undefined || value === null || value === '' || value === 'all') return 'all';
+
+    const list = typeof value === 'string' ? safeJsonParse(value, parseCSV(value)) : value;
+    return Array.isArray(list) && list.length ? list.map(String) : null;
+};
+
+/**
+ * Parse an object field that may arrive as a JSON string (multipart forms)
+ * @param {Object|string} value - Field value
+ * @returns {Object|null} Object ({} when absent) or null when invalid
+ */
+const bodyObject = (value) => {
+    if (value === undefined || value === null || value === '') return {};
+
+    const obj = typeof value === 'string' ? safeJsonParse(value) : value;
+    return obj && typeof obj === 'object' && !Array.isArray(obj) ? obj : null;
+};
+
+/**
+ * Render templateId + variables from the request body into sendMessage arguments
+ * @param {Object} req - Request with session, user and body
+ * @param {string} jid - Recipient JID
+ * @param {Array} types - Message types the route can send
+ * @returns {Promise<Object>} { type, content } or { status, error, code }
+ */
+const templateMessage = async (req, jid, types) => {
+    const variables = bodyObject(req.body.variables);
+    if (!variables) {
+        return { status: 400, error: 'Variables must be an object', code: 'INVALID_VARIABLES' };
+    }
+
+    try {
+        const { type, content } = await req.session.renderTemplate(req.body.templateId, jid, variables, req.user.username);
+        if (!types.includes(type)) {
+            return { status: 400, error: `A ${type} template cannot be sent here`, code: 'TEMPLATE_TYPE_MISMATCH' };
+        }
+        return { type, content };
+    } catch (error) {
+        if (error.code === 'TEMPLATE_NOT_FOUND') {
+            return { status: 404, error: error.message, code: error.code };
+        }
+        throw error;
+    }
+};
+
+/**
+ * Copy a template into campaign fields; placeholders are rendered per recipient at send time
+ * @param {Object} req - Request with session, user and body.templateId
+ * @param {string} campaignId - Campaign ID (names the media copy)
+ * @returns {Promise<Object|null>} { type, content, media_path, defaults } or null if not found
+ */
+const campaignTemplate = async (req, campaignId) => {
+    const template = await req.session.db.getTemplate(req.body.templateId, req.user.username);
+    if (!template) return null;
+
+    // Own copy of the media: campaigns delete theirs when finished, and the template may change
+    let mediaPath = null;
+    if (template.media_path) {
+        if (!fs.existsSync(template.media_path)) throw new Error('Template media file missing');
+
+        const dir = path.join(process.env.MEDIA_PATH || './data/media', 'campaigns');
+        ensureDir(dir);
+        mediaPath = path.join(dir, `${campaignId}${path.extname(template.media_path)}`);
+        fs.copyFileSync(template.media_path, mediaPath);
+    }
+
+    return { type: template.type, content: template.content, media_path: mediaPath, defaults: template.defaults };
+};
+
+/**
+ * Check that a template has the fields its type needs
+ * @param {string} type - Message type
+ * @param {Object} fields - Content fields
+ * @param {Object} file - Uploaded file
+ * @returns {string|null} Error message or null
+ */
+const templateContentError = (type, fields, file) => {
+    switch (type) {
+        case MESSAGE_TYPES.TEXT:
+            return fields.text ? null : 'content.text required';
+        case MESSAGE_TYPES.LOCATION:
+            return isNaN(parseFloat(fields.latitude)) || isNaN(parseFloat(fields.longitude))
+                ? 'content.latitude and content.longitude required' : null;
+        case MESSAGE_TYPES.CONTACT:
+            return fields.name && fields.number ? null : 'content.name and content.number required';
+        case MESSAGE_TYPES.REACTION:
+            return 'Reactions cannot be templates';
+        case MESSAGE_TYPES.POLL:
+            return 'Polls cannot be templates';
+        default:
+            return file ? null : 'File required';
+    }
+};
+
+/**
+ * Store an uploaded template media file
+ * @param {string} id - Template ID
+ * @param {Object} file - Multer file
+ * @returns {string} Path on disk
+ */
+const saveTemplateMedia = (id, file) => {
+    const dir = path.join(process.env.MEDIA_PATH || './data/media', 'templates');
+    ensureDir(dir);
+
+    // A new name per upload: messages already queued keep the file they were sent with
+    const mediaPath = path.join(dir, `${id}_${Date.now()}.${getExtensionFromMime(file.mimetype)}`);
+    fs.writeFileSync(mediaPath, file.buffer);
+    return mediaPath;
+};
+
+/**
+ * Pick reply, mention and humanize options for sendMessage from request body
+ * @param {Object} body - { quotedMessageId, mentions, humanize } (mentions and humanize may be strings in multipart)
+ * @returns {Object} sendMessage options
+ */
+const replyOptions = (body) => {
+    let mentions = body.mentions;
+    if (typeof mentions === 'string') mentions = safeJsonParse(mentions, parseCSV(mentions));
+
+    let humanize = body.humanize;
+    if (typeof humanize === 'string') humanize = safeJsonParse(humanize, humanize);
+
+    return {
+        quotedMessageId: body.quotedMessageId || undefined,
+        mentions: Array.isArray(mentions) && !mentions.length ? undefined : mentions || undefined,
+        humanize
+    };
+};
+
+/**
+ * Parse send-and-wait options: waitFor (server, delivered, read) and timeout in seconds
+ * @param {Object} body - Request body
+ * @returns {Object} sendMessage options, or { error }
+ */
+const waitOptions = (body) => {
+    if (!body.waitFor) return {};
+    if (!ACK_LEVELS.includes(body.waitFor)) {
+        return { error: `waitFor must be one of ${ACK_LEVELS.join(', ')}` };
+    }
+
+    const timeout = body.timeout !== undefined ? Number(body.timeout) : DEFAULT_WAIT_TIMEOUT;
+    if (!Number.isFinite(timeout) || timeout < 1 || timeout > MAX_WAIT_TIMEOUT) {
+        return { error: `timeout must be 1-${MAX_WAIT_TIMEOUT} seconds` };
+    }
+
+    return { waitFor: body.waitFor, waitTimeout: timeout * 1000 };
+};
+
+/**
+ * Respond with a send result; 202 plus a status URL when waitFor wasn't reached in time
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @param {Object} result - sendMessage result
+ */
+const sendResult = (req, res, result) => {
+    if (!req.body.waitFor || result?.ack?.reached) return res.json(result);
+
+    res.status(202).json({
+        ...result,
+        status: result?.ack?.status || result?.status || 'queued',
+        waitFor: req.body.waitFor,
+        timedOut: true,
+        statusUrl: `/api/sessions/${req.params.sid}/outbox/${result?.outboxId}`
+    });
+};
+
+/**
+ * Respond with a sendMessage error caused by the request
+ * @param {Object} res - Response
+ * @param {Error} err - Error with a REPLY_ERRORS code
+ */
+const replyError = (res, err) => {
+    // Sending policy rejections say when to try again (seconds)
+    if (err.retryAfter) res.set('Retry-After', String(err.retryAfter));
+    res.status(REPLY_ERRORS[err.code]).json({ error: err.message, code: err.code, retryAfter: err.retryAfter });
+};
+
 module.exports = (manager, store) => {
     const router = express.Router();
     const rateLimiter = createRateLimiter(store);
@@ -547,7 +896,7 @@ module.exports = (manager, store) => {
         handleValidationErrors,
         async (req, res) => {
             try {
-                const { platform, device, sid } = req.body;
+                const { platform, device, sid, phone } = req.body;
 
                 // Check user's session limit from meta
                 const sessionLimit = req.user.meta?.session_limit || manager.maxPerUser;
@@ -565,7 +914,8 @@ module.exports = (manager, store) => {
                 const result = await manager.create(req.user.username, {
                     platform: platform || 'web',
                     device: device || `device-${Date.now()}`,
-                    sid
+                    sid,
+                    phone
                 });
 
                 await store.logActivity({
@@ -621,6 +971,19 @@ module.exports = (manager, store) => {
 
     router.use('/sessions/:sid', sessionOwner(manager));
 
+    // Repeats of a keyed request may wait for a send-and-wait of up to MAX_WAIT_TIMEOUT
+    const idempotencyOptions = {
+        wait: (MAX_WAIT_TIMEOUT + 30) * 1000,
+        staleAfter: 2 * (MAX_WAIT_TIMEOUT + 30) * 1000
+    };
+    router.use('/sessions/:sid', idempotency(store, {
+        ...idempotencyOptions,
+        match: IDEMPOTENT_ROUTES,
+        skipMultipart: true
+    }));
+    // Multipart bodies are parsed by multer, so upload routes check the key after it
+    const idempotentUpload = idempotency(store, idempotencyOptions);
+
     /**
      * @route   GET /api/sessions/:sid
      * @desc    Get session info
@@ -700,6 +1063,56 @@ module.exports = (manager, store) => {
         }
     );
 
+    /**
+     * @route   POST /api/sessions/:sid/pair
+     * @desc    Request (or refresh) a pairing code for a phone number
+     * @access  Session Owner
+     */
+    router.post('/sessions/:sid/pair',
+        validate.pairSession,
+        handleValidationErrors,
+        async (req, res) => {
+            try {
+                const phone = req.body.phone || req.session.pairing?.phone;
+                if (!phone) {
+                    return res.status(400).json({ error: 'Phone required', code: 'PHONE_REQUIRED' });
+                }
+
+                if (req.session.state === 'open') {
+                    return res.status(409).json({ error: 'Session already linked', code: 'ALREADY_LINKED' });
+                }
+
+                const pairing = await req.session.requestPairingCode(phone);
+
+                await store.logActivity({
+                    user_id: req.user.username,
+                    action: 'request_pairing_code',
+                    resource: req.params.sid,
+                    ip: req.ip
+                }).catch(() => {});
+
+                res.json(pairing);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    /**
+     * @route   GET /api/sessions/:sid/pair
+     * @desc    Get current pairing code
+     * @access  Session Owner
+     */
+    router.get('/sessions/:sid/pair',
+        async (req, res) => {
+            try {
+                res.json({ pairing: req.session.getPairing() });
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
     /**
      * @route   GET /api/sessions/:sid/state
      * @desc    Get connection state
@@ -903,6 +1316,53 @@ module.exports = (manager, store) => {
         }
     );
 
+    /**
+     * @route   GET /api/sessions/:sid/chats/:jid/disappearing
+     * @desc    Get the chat's disappearing messages timer
+     * @access  Session Owner
+     */
+    router.get('/sessions/:sid/chats/:jid/disappearing',
+        async (req, res) => {
+            try {
+                const jid = decodeURIComponent(req.params.jid);
+                const expiration = await req.session.db.getChatEphemeral(jid);
+                const duration = Object.keys(DISAPPEARING_MODES).find(k => DISAPPEARING_MODES[k] === expiration);
+
+                res.json({ jid, duration: duration || null, expiration });
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    /**
+     * @route   PUT /api/sessions/:sid/chats/:jid/disappearing
+     * @desc    Turn disappearing messages on (24h, 7d, 90d) or off for a chat or group
+     * @access  Session Owner (requires SEND_MESSAGES permission)
+     */
+    router.put('/sessions/:sid/chats/:jid/disappearing',
+        requirePermission('SEND_MESSAGES'),
+        async (req, res) => {
+            try {
+                const { duration } = req.body;
+                if (!Object.prototype.hasOwnProperty.call(DISAPPEARING_MODES, duration)) {
+                    return res.status(400).json({ 
+                        error: `Duration must be one of ${Object.keys(DISAPPEARING_MODES).join(', ')}`,
+                        code: 'INVALID_DURATION'
+                    });
+                }
+
+                const result = await req.session.setDisappearing(
+                    decodeURIComponent(req.params.jid),
+                    DISAPPEARING_MODES[duration]
+                );
+                res.json({ ...result, duration });
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
     // ==================== MESSAGE ROUTES ====================
 
     /**
@@ -934,22 +1394,43 @@ module.exports = (manager, store) => {
      * @access  Session Owner
      */
     router.post('/sessions/:sid/chats/:jid/messages/search',
+        validate.searchMessages,
+        handleValidationErrors,
         async (req, res) => {
             try {
-                const { q } = req.body;
-                const limit = parseInt(req.query.limit) || 50;
-                
-                if (!q) {
-                    return res.status(400).json({ 
-                        error: 'Search query required',
-                        code: 'MISSING_QUERY'
-                    });
+                const results = await req.session.searchMessages(req.body.q, {
+                    ...searchOptions({ limit: req.query.limit, ...req.body }),
+                    chat: decodeURIComponent(req.params.jid)
+                });
+                res.json(results);
+            } catch (err) {
+                if (err.code === 'INVALID_SEARCH_QUERY') {
+                    return res.status(400).json({ error: err.message, code: err.code });
                 }
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
 
-                const jid = decodeURIComponent(req.params.jid);
-                const results = await req.session.searchMessages(q, jid, limit);
+    /**
+     * @route   POST /api/sessions/:sid/messages/search
+     * @desc    Search messages across all chats
+     * @access  Session Owner
+     */
+    router.post('/sessions/:sid/messages/search',
+        validate.searchMessages,
+        handleValidationErrors,
+        async (req, res) => {
+            try {
+                const results = await req.session.searchMessages(req.body.q, {
+                    ...searchOptions({ limit: req.query.limit, ...req.body }),
+                    chat: req.body.chat
+                });
                 res.json(results);
             } catch (err) {
+                if (err.code === 'INVALID_SEARCH_QUERY') {
+                    return res.status(400).json({ error: err.message, code: err.code });
+                }
                 res.status(500).json({ error: err.message });
             }
         }
@@ -970,13 +1451,65 @@ module.exports = (manager, store) => {
                         code: 'MESSAGE_NOT_FOUND'
                     });
                 }
-                res.json(msg);
+                const edits = await req.session.db.getMsgEdits(msg.id);
+                res.json({ ...msg, edits });
             } catch (err) {
                 res.status(500).json({ error: err.message });
             }
         }
     );
 
+    /**
+     * @route   PUT /api/sessions/:sid/messages/:msgId
+     * @desc    Edit one of our own text messages
+     * @access  Session Owner (requires SEND_MESSAGES permission)
+     */
+    router.put('/sessions/:sid/messages/:msgId',
+        requirePermission('SEND_MESSAGES'),
+        validate.editMessage,
+        handleValidationErrors,
+        async (req, res) => {
+            try {
+                const edit = await req.session.editMessage(req.params.msgId, req.body.text);
+                res.json(edit);
+            } catch (err) {
+                if (EDIT_ERRORS[err.code]) {
+                    return res.status(EDIT_ERRORS[err.code]).json({ error: err.message, code: err.code });
+                }
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    /**
+     * @route   POST /api/sessions/:sid/messages/:msgId/forward
+     * @desc    Forward a stored message to other chats
+     * @access  Session Owner (requires SEND_MESSAGES permission)
+     */
+    router.post('/sessions/:sid/messages/:msgId/forward',
+        requirePermission('SEND_MESSAGES'),
+        validate.forwardMessage,
+        handleValidationErrors,
+        async (req, res) => {
+            try {
+                const jids = req.body.jids.map(j => String(j).includes('@') ? String(j) : phoneToJid(String(j)));
+                const results = await req.session.forwardMessage(req.params.msgId, jids);
+
+                res.json({
+                    id: req.params.msgId,
+                    forwarded: results.filter(r => r.success).length,
+                    failed: results.filter(r => !r.success).length,
+                    results
+                });
+            } catch (err) {
+                if (FORWARD_ERRORS[err.code]) {
+                    return res.status(FORWARD_ERRORS[err.code]).json({ error: err.message, code: err.code });
+                }
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
     /**
      * @route   GET /api/sessions/:sid/messages/:msgId/media
      * @desc    Get message media
@@ -1000,6 +1533,39 @@ module.exports = (manager, store) => {
         }
     );
 
+    /**
+     * @route   POST /api/sessions/:sid/messages/:msgId/media/download
+     * @desc    Download (or retry) message media
+     * @access  Session Owner
+     */
+    router.post('/sessions/:sid/messages/:msgId/media/download',
+        async (req, res) => {
+            try {
+                const { msgId } = req.params;
+
+                const media = await req.session.db.getMedia(msgId);
+                if (!media || !media.meta) {
+                    return res.status(404).json({
+                        error: 'Media not found',
+                        code: 'MEDIA_NOT_FOUND'
+                    });
+                }
+
+                if (req.session.mediaDownloads.has(msgId)) {
+                    return res.status(409).json({
+                        error: 'Download already in progress',
+                        code: 'DOWNLOAD_IN_PROGRESS'
+                    });
+                }
+
+                const result = await req.session.downloadMedia(msgId);
+                res.json({ success: true, ...result });
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
     /**
      * @route   GET /api/sessions/:sid/messages/:msgId/receipts
      * @desc    Get message receipts
@@ -1016,6 +1582,28 @@ module.exports = (manager, store) => {
         }
     );
 
+    /**
+     * @route   GET /api/sessions/:sid/messages/:msgId/poll
+     * @desc    Get poll results with per-option tallies and voters
+     * @access  Session Owner
+     */
+    router.get('/sessions/:sid/messages/:msgId/poll',
+        async (req, res) => {
+            try {
+                const results = await req.session.db.getPollResults(req.params.msgId);
+                if (!results) {
+                    return res.status(404).json({ 
+                        error: 'Poll not found',
+                        code: 'POLL_NOT_FOUND'
+                    });
+                }
+                res.json(results);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
     /**
      * @route   POST /api/sessions/:sid/messages/:msgId/star
      * @desc    Star/unstar message
@@ -1101,11 +1689,26 @@ module.exports = (manager, store) => {
         handleValidationErrors,
         async (req, res) => {
             try {
-                const { jid, text } = req.body;
+                const wait = waitOptions(req.body);
+                if (wait.error) {
+                    return res.status(400).json({ error: wait.error, code: 'INVALID_WAIT' });
+                }
+
+                const { jid, text, templateId } = req.body;
+
+                let message = { type: MESSAGE_TYPES.TEXT, content: text };
+                if (templateId) {
+                    message = await templateMessage(req, decodeURIComponent(jid), [MESSAGE_TYPES.TEXT]);
+                    if (message.error) {
+                        return res.status(message.status).json({ error: message.error, code: message.code });
+                    }
+                }
+
                 const result = await req.session.sendMessage(
                     decodeURIComponent(jid), 
-                    text, 
-                    'text'
+                    message.content, 
+                    message.type,
+                    { ...replyOptions(req.body), ...wait }
                 );
 
                 await store.logActivity({
@@ -1113,12 +1716,15 @@ module.exports = (manager, store) => {
                     session_id: req.params.sid,
                     action: 'send_text',
                     resource: jid,
-                    details: { text: text.substring(0, 100) },
+                    details: { text: message.content.substring(0, 100), templateId },
                     ip: req.ip
                 }).catch(() => {});
 
-                res.json(result);
+                sendResult(req, res, result);
             } catch (err) {
+                if (REPLY_ERRORS[err.code]) {
+                    return replyError(res, err);
+                }
                 res.status(500).json({ error: err.message });
             }
         }
@@ -1133,27 +1739,73 @@ module.exports = (manager, store) => {
         requirePermission('SEND_MESSAGES'),
         upload.single('file'),
         mediaSizeLimit(),
+        idempotentUpload,
         async (req, res) => {
             try {
-                const { jid, type, caption, fileName } = req.body;
-                
-                if (!req.file) {
-                    return res.status(400).json({ 
-                        error: 'File required',
-                        code: 'MISSING_FILE'
-                    });
+                const wait = waitOptions(req.body);
+                if (wait.error) {
+                    return res.status(400).json({ error: wait.error, code: 'INVALID_WAIT' });
                 }
 
-                const content = {
-                    buffer: req.file.buffer,
-                    caption,
-                    name: fileName || req.file.originalname
-                };
+                const { jid, type, caption, fileName, templateId, mediaMsgId } = req.body;
+                const viewOnce = req.body.viewOnce === true || req.body.viewOnce === 'true';
+
+                let message;
+                let size;
+                if (mediaMsgId) {
+                    // Send a file we already have, e.g. received earlier, instead of an upload
+                    const media = await req.session.getStoredMedia(mediaMsgId);
+                    size = media.size;
+                    message = {
+                        type: type || media.type,
+                        content: {
+                            path: media.path,
+                            caption,
+                            name: fileName || media.fname || `${mediaMsgId}.${getExtensionFromMime((media.mime || '').split(';')[0])}`
+                        }
+                    };
+                } else if (templateId) {
+                    message = await templateMessage(req, decodeURIComponent(jid), [
+                        MESSAGE_TYPES.IMAGE, MESSAGE_TYPES.VIDEO, MESSAGE_TYPES.AUDIO,
+                        MESSAGE_TYPES.DOCUMENT, MESSAGE_TYPES.STICKER
+                    ]);
+                    if (message.error) {
+                        return res.status(message.status).json({ error: message.error, code: message.code });
+                    }
+                } else {
+                    if (!req.file) {
+                        return res.status(400).json({ 
+                            error: 'File required',
+                            code: 'MISSING_FILE'
+                        });
+                    }
+
+                    message = {
+                        type,
+                        content: {
+                            buffer: req.file.buffer,
+                            caption,
+                            name: fileName || req.file.originalname
+                        }
+                    };
+                }
+                size = size ?? message.content.buffer.length;
+
+                if (viewOnce) {
+                    if (![MESSAGE_TYPES.IMAGE, MESSAGE_TYPES.VIDEO, MESSAGE_TYPES.AUDIO].includes(message.type)) {
+                        return res.status(400).json({ 
+                            error: 'View once is only available for image, video and audio',
+                            code: 'VIEW_ONCE_UNSUPPORTED'
+                        });
+                    }
+                    message.content.viewOnce = true;
+                }
 
                 const result = await req.session.sendMessage(
                     decodeURIComponent(jid),
-                    content,
-                    type
+                    message.content,
+                    message.type,
+                    { ...replyOptions(req.body), ...wait }
                 );
 
                 await store.logActivity({
@@ -1161,12 +1813,15 @@ module.exports = (manager, store) => {
                     session_id: req.params.sid,
                     action: 'send_media',
                     resource: jid,
-                    details: { type, size: req.file.size },
+                    details: { type: message.type, size, templateId, mediaMsgId, viewOnce },
                     ip: req.ip
                 }).catch(() => {});
 
-                res.json(result);
+                sendResult(req, res, result);
             } catch (err) {
+                if (REPLY_ERRORS[err.code]) {
+                    return replyError(res, err);
+                }
                 res.status(500).json({ error: err.message });
             }
         }
@@ -1181,26 +1836,41 @@ module.exports = (manager, store) => {
         requirePermission('SEND_MESSAGES'),
         async (req, res) => {
             try {
-                const { jid, latitude, longitude, name, address } = req.body;
-                
-                if (!jid || !latitude || !longitude) {
-                    return res.status(400).json({ 
-                        error: 'JID, latitude and longitude required',
-                        code: 'MISSING_LOCATION_DATA'
-                    });
+                const wait = waitOptions(req.body);
+                if (wait.error) {
+                    return res.status(400).json({ error: wait.error, code: 'INVALID_WAIT' });
                 }
 
-                const location = {
-                    latitude: parseFloat(latitude),
-                    longitude: parseFloat(longitude),
-                    name,
-                    address
-                };
+                const { jid, latitude, longitude, name, address, templateId } = req.body;
+
+                let location;
+                if (templateId && jid) {
+                    const message = await templateMessage(req, decodeURIComponent(jid), [MESSAGE_TYPES.LOCATION]);
+                    if (message.error) {
+                        return res.status(message.status).json({ error: message.error, code: message.code });
+                    }
+                    location = message.content;
+                } else {
+                    if (!jid || !latitude || !longitude) {
+                        return res.status(400).json({ 
+                            error: 'JID, latitude and longitude required',
+                            code: 'MISSING_LOCATION_DATA'
+                        });
+                    }
+
+                    location = {
+                        latitude: parseFloat(latitude),
+                        longitude: parseFloat(longitude),
+                        name,
+                        address
+                    };
+                }
 
                 const result = await req.session.sendMessage(
                     decodeURIComponent(jid),
                     location,
-                    'location'
+                    'location',
+                    { ...replyOptions(req.body), ...wait }
                 );
 
                 await store.logActivity({
@@ -1208,11 +1878,15 @@ module.exports = (manager, store) => {
                     session_id: req.params.sid,
                     action: 'send_location',
                     resource: jid,
+                    details: templateId ? { templateId } : undefined,
                     ip: req.ip
                 }).catch(() => {});
 
-                res.json(result);
+                sendResult(req, res, result);
             } catch (err) {
+                if (REPLY_ERRORS[err.code]) {
+                    return replyError(res, err);
+                }
                 res.status(500).json({ error: err.message });
             }
         }
@@ -1227,20 +1901,36 @@ module.exports = (manager, store) => {
         requirePermission('SEND_MESSAGES'),
         async (req, res) => {
             try {
-                const { jid, name, number } = req.body;
-                
-                if (!jid || !name || !number) {
-                    return res.status(400).json({ 
-                        error: 'JID, name and number required',
-                        code: 'MISSING_CONTACT_DATA'
-                    });
+                const wait = waitOptions(req.body);
+                if (wait.error) {
+                    return res.status(400).json({ error: wait.error, code: 'INVALID_WAIT' });
+                }
+
+                const { jid, name, number, templateId } = req.body;
+
+                let contact;
+                if (templateId && jid) {
+                    const message = await templateMessage(req, decodeURIComponent(jid), [MESSAGE_TYPES.CONTACT]);
+                    if (message.error) {
+                        return res.status(message.status).json({ error: message.error, code: message.code });
+                    }
+                    contact = message.content;
+                } else {
+                    if (!jid || !name || !number) {
+                        return res.status(400).json({ 
+                            error: 'JID, name and number required',
+                            code: 'MISSING_CONTACT_DATA'
+                        });
+                    }
+
+                    contact = { name, number };
                 }
 
-                const contact = { name, number };
                 const result = await req.session.sendMessage(
                     decodeURIComponent(jid),
                     contact,
-                    'contact'
+                    'contact',
+                    { ...replyOptions(req.body), ...wait }
                 );
 
                 await store.logActivity({
@@ -1248,11 +1938,59 @@ module.exports = (manager, store) => {
                     session_id: req.params.sid,
                     action: 'send_contact',
                     resource: jid,
+                    details: templateId ? { templateId } : undefined,
                     ip: req.ip
                 }).catch(() => {});
 
-                res.json(result);
+                sendResult(req, res, result);
+            } catch (err) {
+                if (REPLY_ERRORS[err.code]) {
+                    return replyError(res, err);
+                }
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    /**
+     * @route   POST /api/sessions/:sid/send/poll
+     * @desc    Send poll (single select unless multiple is true)
+     * @access  Session Owner (requires SEND_MESSAGES permission)
+     */
+    router.post('/sessions/:sid/send/poll',
+        requirePermission('SEND_MESSAGES'),
+        validate.sendPoll,
+        handleValidationErrors,
+        async (req, res) => {
+            try {
+                const wait = waitOptions(req.body);
+                if (wait.error) {
+                    return res.status(400).json({ error: wait.error, code: 'INVALID_WAIT' });
+                }
+
+                const { jid, question, options, multiple } = req.body;
+
+                const result = await req.session.sendMessage(
+                    decodeURIComponent(jid),
+                    { question, options, multiple: !!multiple },
+                    MESSAGE_TYPES.POLL,
+                    { ...replyOptions(req.body), ...wait }
+                );
+
+                await store.logActivity({
+                    user_id: req.user.username,
+                    session_id: req.params.sid,
+                    action: 'send_poll',
+                    resource: jid,
+                    details: { question: question.substring(0, 100), options: options.length, multiple: !!multiple },
+                    ip: req.ip
+                }).catch(() => {});
+
+                sendResult(req, res, result);
             } catch (err) {
+                if (REPLY_ERRORS[err.code]) {
+                    return replyError(res, err);
+                }
                 res.status(500).json({ error: err.message });
             }
         }
@@ -1294,15 +2032,22 @@ module.exports = (manager, store) => {
 
     /**
      * @route   POST /api/sessions/:sid/send/bulk
-     * @desc    Send bulk messages (moderator+)
+     * @desc    Send the same text to many chats as a background campaign (moderator+)
      * @access  Moderator+ (requires BULK_OPERATIONS permission)
      */
     router.post('/sessions/:sid/send/bulk',
         requirePermission('BULK_OPERATIONS'),
+        validate.createCampaign,
+        handleValidationErrors,
         async (req, res) => {
             try {
-                const { jids, text } = req.body;
-                
+                const campaigns = serviceManager.get('campaign');
+                if (!campaigns) {
+                    return res.status(503).json({ error: 'Campaign service not running', code: 'CAMPAIGNS_UNAVAILABLE' });
+                }
+
+                const { jids, text, templateId, min_delay: minDelay = 3, max_delay: maxDelay = 8 } = req.body;
+
                 if (!jids || !Array.isArray(jids) || jids.length === 0) {
                     return res.status(400).json({ 
                         error: 'JIDs array required',
@@ -1310,43 +2055,1421 @@ module.exports = (manager, store) => {
                     });
                 }
 
-                const results = [];
-                for (const jid of jids) {
-                    try {
-                        const result = await req.session.sendMessage(
-                            decodeURIComponent(jid),
-                            text,
-                            'text'
-                        );
-                        results.push({ jid, success: true, result });
-                    } catch (err) {
-                        results.push({ jid, success: false, error: err.message });
+                if (!text && !templateId) {
+                    return res.status(400).json({ error: 'Text or templateId required', code: 'MISSING_TEXT' });
+                }
+
+                const variables = bodyObject(req.body.variables);
+                if (!variables) {
+                    return res.status(400).json({ error: 'Variables must be an object', code: 'INVALID_VARIABLES' });
+                }
+
+                const { recipients, error } = campaignRecipients({ jids });
+                if (error) {
+                    return res.status(400).json({ error, code: 'INVALID_RECIPIENTS' });
+                }
+
+                if (Number(maxDelay) < Number(minDelay)) {
+                    return res.status(400).json({ error: 'max_delay must be >= min_delay', code: 'INVALID_DELAY' });
+                }
+
+                const id = `campaign_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+
+                let message = { type: MESSAGE_TYPES.TEXT, content: { text }, media_path: null, defaults: {} };
+                if (templateId) {
+                    message = await campaignTemplate(req, id);
+                    if (!message) {
+                        return res.status(404).json({ error: 'Template not found', code: 'TEMPLATE_NOT_FOUND' });
                     }
                 }
 
+                const campaign = await req.session.db.createCampaign({
+                    id,
+                    user_id: req.user.username,
+                    name: req.body.name || 'Bulk send',
+                    type: message.type,
+                    content: message.content,
+                    media_path: message.media_path,
+                    min_delay: Math.round(Number(minDelay) * 1000),
+                    max_delay: Math.round(Number(maxDelay) * 1000),
+                    recipients: recipients.map(r => ({ jid: r.jid, vars: { ...message.defaults, ...variables } }))
+                });
+
+                campaigns.register(campaign.id);
+
                 await store.logActivity({
                     user_id: req.user.username,
                     session_id: req.params.sid,
                     action: 'bulk_send',
-                    details: { count: jids.length, success: results.filter(r => r.success).length },
+                    resource: campaign.id,
+                    details: { count: campaign.total, templateId },
                     ip: req.ip
                 }).catch(() => {});
 
-                res.json({ results });
+                res.status(202).json({ campaignId: campaign.id, total: campaign.total, status: campaign.status });
             } catch (err) {
                 res.status(500).json({ error: err.message });
             }
         }
     );
 
-    // ==================== ACTION ROUTES ====================
+    // ==================== OUTBOX ROUTES ====================
 
     /**
-     * @route   POST /api/sessions/:sid/read
-     * @desc    Mark message as read
+     * @route   GET /api/sessions/:sid/outbox
+     * @desc    List outgoing messages and their delivery state
      * @access  Session Owner
      */
-    router.post('/sessions/:sid/read',
+    router.get('/sessions/:sid/outbox',
+        validate.pagination,
+        async (req, res) => {
+            try {
+                const items = await req.session.getOutbox({
+                    status: req.query.status,
+                    jid: req.query.jid ? decodeURIComponent(req.query.jid) : null,
+                    limit: parseInt(req.query.limit) || 50,
+                    offset: parseInt(req.query.offset) || 0
+                });
+                res.json(items);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    /**
+     * @route   GET /api/sessions/:sid/outbox/:id
+     * @desc    Get outgoing message state
+     * @access  Session Owner
+     */
+    router.get('/sessions/:sid/outbox/:id',
+        async (req, res) => {
+            try {
+                const item = await req.session.getOutboxItem(req.params.id);
+                if (!item) {
+                    return res.status(404).json({ error: 'Outbox item not found', code: 'OUTBOX_NOT_FOUND' });
+                }
+                res.json(item);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    /**
+     * @route   DELETE /api/sessions/:sid/outbox/:id
+     * @desc    Cancel a queued message
+     * @access  Session Owner (requires SEND_MESSAGES permission)
+     */
+    router.delete('/sessions/:sid/outbox/:id',
+        requirePermission('SEND_MESSAGES'),
+        async (req, res) => {
+            try {
+                const item = await req.session.getOutboxItem(req.params.id);
+                if (!item) {
+                    return res.status(404).json({ error: 'Outbox item not found', code: 'OUTBOX_NOT_FOUND' });
+                }
+
+                const cancelled = await req.session.cancelOutboxItem(req.params.id);
+                if (!cancelled) {
+                    return res.status(409).json({
+                        error: `Cannot cancel message in state ${item.status}`,
+                        code: 'OUTBOX_NOT_CANCELLABLE'
+                    });
+                }
+
+                await store.logActivity({
+                    user_id: req.user.username,
+                    session_id: req.params.sid,
+                    action: 'cancel_outbox',
+                    resource: req.params.id,
+                    ip: req.ip
+                }).catch(() => {});
+
+                res.json({ status: 'cancelled', id: req.params.id });
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    // ==================== SCHEDULE ROUTES ====================
+
+    /**
+     * @route   POST /api/sessions/:sid/schedules
+     * @desc    Schedule a message for a time (sendAt) or a cron expression
+     * @access  Session Owner (requires SEND_MESSAGES permission)
+     */
+    router.post('/sessions/:sid/schedules',
+        requirePermission('SEND_MESSAGES'),
+        upload.single('file'),
+        mediaSizeLimit(),
+        async (req, res) => {
+            try {
+                const scheduler = serviceManager.get('scheduler');
+                if (!scheduler) {
+                    return res.status(503).json({ error: 'Scheduler not running', code: 'SCHEDULER_UNAVAILABLE' });
+                }
+
+                const { jid, type = MESSAGE_TYPES.TEXT } = req.body;
+                if (!jid) {
+                    return res.status(400).json({ error: 'JID required', code: 'MISSING_JID' });
+                }
+
+                if (!Object.values(MESSAGE_TYPES).includes(type) || UNSTORABLE_TYPES.includes(type)) {
+                    return res.status(400).json({ error: `Unsupported message type: ${type}`, code: 'INVALID_TYPE' });
+                }
+
+                if (type === MESSAGE_TYPES.TEXT && !req.body.text) {
+                    return res.status(400).json({ error: 'Text required', code: 'MISSING_TEXT' });
+                }
+
+                const isMedia = ![MESSAGE_TYPES.TEXT, MESSAGE_TYPES.LOCATION, MESSAGE_TYPES.CONTACT].includes(type);
+                if (isMedia && !req.file) {
+                    return res.status(400).json({ error: 'File required', code: 'MISSING_FILE' });
+                }
+
+                const timing = scheduleTiming(req.body, scheduler);
+                if (timing.error) {
+                    return res.status(400).json({ error: timing.error, code: 'INVALID_SCHEDULE' });
+                }
+
+                const id = `schedule_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+
+                // Media is kept on disk so the schedule survives restarts
+                let mediaPath = null;
+                if (req.file) {
+                    const dir = path.join(process.env.MEDIA_PATH || './data/media', 'scheduled');
+                    ensureDir(dir);
+                    mediaPath = path.join(dir, `${id}.${getExtensionFromMime(req.file.mimetype)}`);
+                    fs.writeFileSync(mediaPath, req.file.buffer);
+                }
+
+                const content = scheduleContent(type, req.body);
+                if (req.file && !content.name) content.name = req.file.originalname;
+
+                const schedule = await req.session.db.createSchedule({
+                    id,
+                    user_id: req.user.username,
+                    jid: decodeURIComponent(jid),
+                    type,
+                    content,
+                    media_path: mediaPath,
+                    ...timing
+                });
+
+                scheduler.register(schedule);
+
+                await store.logActivity({
+                    user_id: req.user.username,
+                    session_id: req.params.sid,
+                    action: 'create_schedule',
+                    resource: schedule.id,
+                    details: { jid, type, sendAt: timing.send_at, cron: timing.cron },
+                    ip: req.ip
+                }).catch(() => {});
+
+                res.status(201).json(schedule);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    /**
+     * @route   GET /api/sessions/:sid/schedules
+     * @desc    List scheduled messages
+     * @access  Session Owner
+     */
+    router.get('/sessions/:sid/schedules',
+        validate.pagination,
+        async (req, res) => {
+            try {
+                const schedules = await req.session.db.getSchedules({
+                    status: req.query.status,
+                    limit: req.query.limit,
+                    offset: req.query.offset
+                });
+                res.json(schedules);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    /**
+     * @route   GET /api/sessions/:sid/schedules/:id
+     * @desc    Get scheduled message
+     * @access  Session Owner
+     */
+    router.get('/sessions/:sid/schedules/:id',
+        async (req, res) => {
+            try {
+                const schedule = await req.session.db.getSchedule(req.params.id);
+                if (!schedule) {
+                    return res.status(404).json({ error: 'Schedule not found', code: 'SCHEDULE_NOT_FOUND' });
+                }
+                res.json(schedule);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    /**
+     * @route   PUT /api/sessions/:sid/schedules/:id
+     * @desc    Update scheduled message (jid, content, timing)
+     * @access  Session Owner (requires SEND_MESSAGES permission)
+     */
+    router.put('/sessions/:sid/schedules/:id',
+        requirePermission('SEND_MESSAGES'),
+        async (req, res) => {
+            try {
+                const scheduler = serviceManager.get('scheduler');
+                if (!scheduler) {
+                    return res.status(503).json({ error: 'Scheduler not running', code: 'SCHEDULER_UNAVAILABLE' });
+                }
+
+                const schedule = await req.session.db.getSchedule(req.params.id);
+                if (!schedule) {
+                    return res.status(404).json({ error: 'Schedule not found', code: 'SCHEDULE_NOT_FOUND' });
+                }
+
+                if (['completed', 'cancelled'].includes(schedule.status)) {
+                    return res.status(409).json({
+                        error: `Cannot update ${schedule.status} schedule`,
+                        code: 'SCHEDULE_CLOSED'
+                    });
+                }
+
+                const updates = {};
+                if (req.body.jid) updates.jid = decodeURIComponent(req.body.jid);
+
+                if (req.body.sendAt || req.body.cron) {
+                    const timing = scheduleTiming(req.body, scheduler);
+                    if (timing.error) {
+                        return res.status(400).json({ error: timing.error, code: 'INVALID_SCHEDULE' });
+                    }
+                    Object.assign(updates, timing);
+                } else if (req.body.timezone !== undefined) {
+                    updates.timezone = req.body.timezone || null;
+                }
+
+                const content = { ...schedule.content };
+                for (const [key, value] of Object.entries(scheduleContent(schedule.type, req.body))) {
+                    if (value !== undefined && !Number.isNaN(value)) content[key] = value;
+                }
+                updates.content = content;
+
+                const updated = await req.session.db.updateSchedule(schedule.id, updates);
+                scheduler.register(updated);
+
+                await store.logActivity({
+                    user_id: req.user.username,
+                    session_id: req.params.sid,
+                    action: 'update_schedule',
+                    resource: schedule.id,
+                    ip: req.ip
+                }).catch(() => {});
+
+                res.json(updated);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    /**
+     * @route   POST /api/sessions/:sid/schedules/:id/pause
+     * @desc    Pause scheduled message
+     * @access  Session Owner (requires SEND_MESSAGES permission)
+     */
+    router.post('/sessions/:sid/schedules/:id/pause',
+        requirePermission('SEND_MESSAGES'),
+        async (req, res) => {
+            try {
+                const schedule = await req.session.db.getSchedule(req.params.id);
+                if (!schedule) {
+                    return res.status(404).json({ error: 'Schedule not found', code: 'SCHEDULE_NOT_FOUND' });
+                }
+
+                if (schedule.status !== 'active') {
+                    return res.status(409).json({ error: `Schedule is ${schedule.status}`, code: 'SCHEDULE_NOT_ACTIVE' });
+                }
+
+                const updated = await req.session.db.updateSchedule(schedule.id, { status: 'paused' });
+                serviceManager.get('scheduler')?.unregister(schedule.id);
+
+                res.json(updated);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    /**
+     * @route   POST /api/sessions/:sid/schedules/:id/resume
+     * @desc    Resume paused scheduled message
+     * @access  Session Owner (requires SEND_MESSAGES permission)
+     */
+    router.post('/sessions/:sid/schedules/:id/resume',
+        requirePermission('SEND_MESSAGES'),
+        async (req, res) => {
+            try {
+                const scheduler = serviceManager.get('scheduler');
+                if (!scheduler) {
+                    return res.status(503).json({ error: 'Scheduler not running', code: 'SCHEDULER_UNAVAILABLE' });
+                }
+
+                const schedule = await req.session.db.getSchedule(req.params.id);
+                if (!schedule) {
+                    return res.status(404).json({ error: 'Schedule not found', code: 'SCHEDULE_NOT_FOUND' });
+                }
+
+                if (schedule.status !== 'paused') {
+                    return res.status(409).json({ error: `Schedule is ${schedule.status}`, code: 'SCHEDULE_NOT_PAUSED' });
+                }
+
+                const updated = await req.session.db.updateSchedule(schedule.id, { status: 'active' });
+                scheduler.register(updated);
+
+                res.json(updated);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    /**
+     * @route   DELETE /api/sessions/:sid/schedules/:id
+     * @desc    Cancel scheduled message (run history is kept)
+     * @access  Session Owner (requires SEND_MESSAGES permission)
+     */
+    router.delete('/sessions/:sid/schedules/:id',
+        requirePermission('SEND_MESSAGES'),
+        async (req, res) => {
+            try {
+                const schedule = await req.session.db.getSchedule(req.params.id);
+                if (!schedule) {
+                    return res.status(404).json({ error: 'Schedule not found', code: 'SCHEDULE_NOT_FOUND' });
+                }
+
+                serviceManager.get('scheduler')?.unregister(schedule.id);
+                await req.session.db.updateSchedule(schedule.id, { status: 'cancelled' });
+
+                // Runs already in the outbox still read the media when they are sent
+                const pending = schedule.media_path ? await req.session.db.getPendingOutboxMedia() : [];
+                if (schedule.media_path && !pending.includes(schedule.media_path) && fs.existsSync(schedule.media_path)) {
+                    fs.unlinkSync(schedule.media_path);
+                }
+
+                await store.logActivity({
+                    user_id: req.user.username,
+                    session_id: req.params.sid,
+                    action: 'cancel_schedule',
+                    resource: schedule.id,
+                    ip: req.ip
+                }).catch(() => {});
+
+                res.json({ status: 'cancelled', id: schedule.id });
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    /**
+     * @route   GET /api/sessions/:sid/schedules/:id/runs
+     * @desc    Get run history of a scheduled message
+     * @access  Session Owner
+     */
+    router.get('/sessions/:sid/schedules/:id/runs',
+        async (req, res) => {
+            try {
+                const schedule = await req.session.db.getSchedule(req.params.id);
+                if (!schedule) {
+                    return res.status(404).json({ error: 'Schedule not found', code: 'SCHEDULE_NOT_FOUND' });
+                }
+
+                const limit = parseInt(req.query.limit) || 50;
+                const runs = await req.session.db.getScheduleRuns(schedule.id, limit);
+                res.json(runs);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    // ==================== CAMPAIGN ROUTES ====================
+
+    /**
+     * @route   POST /api/sessions/:sid/campaigns
+     * @desc    Start a bulk send campaign with per-recipient variables
+     * @access  Moderator+ (requires BULK_OPERATIONS permission)
+     */
+    router.post('/sessions/:sid/campaigns',
+        requirePermission('BULK_OPERATIONS'),
+        upload.single('file'),
+        mediaSizeLimit(),
+        idempotentUpload,
+        validate.createCampaign,
+        handleValidationErrors,
+        async (req, res) => {
+            try {
+                const campaigns = serviceManager.get('campaign');
+                if (!campaigns) {
+                    return res.status(503).json({ error: 'Campaign service not running', code: 'CAMPAIGNS_UNAVAILABLE' });
+                }
+
+                const { templateId } = req.body;
+                const type = templateId ? null : req.body.type || MESSAGE_TYPES.TEXT;
+
+                if (!templateId) {
+                    if (!Object.values(MESSAGE_TYPES).includes(type) || UNSTORABLE_TYPES.includes(type)) {
+                        return res.status(400).json({ error: `Unsupported message type: ${type}`, code: 'INVALID_TYPE' });
+                    }
+
+                    if (type === MESSAGE_TYPES.TEXT && !req.body.text) {
+                        return res.status(400).json({ error: 'Text required', code: 'MISSING_TEXT' });
+                    }
+
+                    const isMedia = ![MESSAGE_TYPES.TEXT, MESSAGE_TYPES.LOCATION, MESSAGE_TYPES.CONTACT].includes(type);
+                    if (isMedia && !req.file) {
+                        return res.status(400).json({ error: 'File required', code: 'MISSING_FILE' });
+                    }
+                }
+
+                const variables = bodyObject(req.body.variables);
+                if (!variables) {
+                    return res.status(400).json({ error: 'Variables must be an object', code: 'INVALID_VARIABLES' });
+                }
+
+                const { recipients, error } = campaignRecipients(req.body);
+                if (error) {
+                    return res.status(400).json({ error, code: 'INVALID_RECIPIENTS' });
+                }
+
+                const { min_delay: minDelay = 3, max_delay: maxDelay = 8 } = req.body;
+                if (Number(maxDelay) < Number(minDelay)) {
+                    return res.status(400).json({ error: 'max_delay must be >= min_delay', code: 'INVALID_DELAY' });
+                }
+
+                const id = `campaign_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+
+                let message;
+                if (templateId) {
+                    message = await campaignTemplate(req, id);
+                    if (!message) {
+                        return res.status(404).json({ error: 'Template not found', code: 'TEMPLATE_NOT_FOUND' });
+                    }
+                } else {
+                    // Media is kept on disk so the campaign survives restarts
+                    let mediaPath = null;
+                    if (req.file) {
+                        const dir = path.join(process.env.MEDIA_PATH || './data/media', 'campaigns');
+                        ensureDir(dir);
+                        mediaPath = path.join(dir, `${id}.${getExtensionFromMime(req.file.mimetype)}`);
+                        fs.writeFileSync(mediaPath, req.file.buffer);
+                    }
+
+                    const content = scheduleContent(type, req.body);
+                    if (req.file && !content.name) content.name = req.file.originalname;
+
+                    message = { type, content, media_path: mediaPath, defaults: {} };
+                }
+
+                const campaign = await req.session.db.createCampaign({
+                    id,
+                    user_id: req.user.username,
+                    name: req.body.name,
+                    type: message.type,
+                    content: message.content,
+                    media_path: message.media_path,
+                    min_delay: Math.round(Number(minDelay) * 1000),
+                    max_delay: Math.round(Number(maxDelay) * 1000),
+                    recipients: recipients.map(r => ({ jid: r.jid, vars: { ...message.defaults, ...variables, ...r.vars } }))
+                });
+
+                campaigns.register(campaign.id);
+
+                await store.logActivity({
+                    user_id: req.user.username,
+                    session_id: req.params.sid,
+                    action: 'create_campaign',
+                    resource: campaign.id,
+                    details: { type: campaign.type, recipients: campaign.total, templateId },
+                    ip: req.ip
+                }).catch(() => {});
+
+                res.status(201).json(campaign);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    /**
+     * @route   GET /api/sessions/:sid/campaigns
+     * @desc    List campaigns
+     * @access  Session Owner
+     */
+    router.get('/sessions/:sid/campaigns',
+        validate.pagination,
+        async (req, res) => {
+            try {
+                const campaigns = await req.session.db.getCampaigns({
+                    status: req.query.status,
+                    limit: req.query.limit,
+                    offset: req.query.offset
+                });
+                res.json(campaigns);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    /**
+     * @route   GET /api/sessions/:sid/campaigns/:id
+     * @desc    Get campaign with progress summary
+     * @access  Session Owner
+     */
+    router.get('/sessions/:sid/campaigns/:id',
+        async (req, res) => {
+            try {
+                const campaign = await req.session.db.getCampaign(req.params.id);
+                if (!campaign) {
+                    return res.status(404).json({ error: 'Campaign not found', code: 'CAMPAIGN_NOT_FOUND' });
+                }
+
+                const summary = await req.session.db.getCampaignSummary(campaign.id);
+                res.json({ ...campaign, summary });
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    /**
+     * @route   GET /api/sessions/:sid/campaigns/:id/summary
+     * @desc    Campaign progress: send and delivery counts, estimated time left
+     * @access  Session Owner
+     */
+    router.get('/sessions/:sid/campaigns/:id/summary',
+        async (req, res) => {
+            try {
+                const campaign = await req.session.db.getCampaign(req.params.id);
+                if (!campaign) {
+                    return res.status(404).json({ error: 'Campaign not found', code: 'CAMPAIGN_NOT_FOUND' });
+                }
+
+                const summary = await req.session.db.getCampaignSummary(campaign.id);
+                const remaining = summary.pending + summary.sending;
+                const eta = campaign.status === 'running'
+                    ? Math.round(remaining * (campaign.min_delay + campaign.max_delay) / 2000)
+                    : null;
+
+                res.json({ id: campaign.id, status: campaign.status, ...summary, eta_seconds: eta });
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    /**
+     * @route   GET /api/sessions/:sid/campaigns/:id/recipients
+     * @desc    List recipients with send status and delivery receipts
+     * @access  Session Owner
+     */
+    router.get('/sessions/:sid/campaigns/:id/recipients',
+        validate.pagination,
+        async (req, res) => {
+            try {
+                const campaign = await req.session.db.getCampaign(req.params.id);
+                if (!campaign) {
+                    return res.status(404).json({ error: 'Campaign not found', code: 'CAMPAIGN_NOT_FOUND' });
+                }
+
+                const recipients = await req.session.db.getCampaignRecipients(campaign.id, {
+                    status: req.query.status,
+                    delivery_status: req.query.delivery_status,
+                    limit: req.query.limit,
+                    offset: req.query.offset
+                });
+                res.json(recipients);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    /**
+     * @route   POST /api/sessions/:sid/campaigns/:id/pause
+     * @desc    Pause campaign (messages already queued still go out)
+     * @access  Moderator+ (requires BULK_OPERATIONS permission)
+     */
+    router.post('/sessions/:sid/campaigns/:id/pause',
+        requirePermission('BULK_OPERATIONS'),
+        async (req, res) => {
+            try {
+                const campaign = await req.session.db.getCampaign(req.params.id);
+                if (!campaign) {
+                    return res.status(404).json({ error: 'Campaign not found', code: 'CAMPAIGN_NOT_FOUND' });
+                }
+
+                if (campaign.status !== 'running') {
+                    return res.status(409).json({ error: `Campaign is ${campaign.status}`, code: 'CAMPAIGN_NOT_RUNNING' });
+                }
+
+                const updated = await req.session.db.updateCampaign(campaign.id, { status: 'paused' });
+                serviceManager.get('campaign')?.unregister(campaign.id);
+
+                res.json(updated);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    /**
+     * @route   POST /api/sessions/:sid/campaigns/:id/resume
+     * @desc    Resume paused campaign
+     * @access  Moderator+ (requires BULK_OPERATIONS permission)
+     */
+    router.post('/sessions/:sid/campaigns/:id/resume',
+        requirePermission('BULK_OPERATIONS'),
+        async (req, res) => {
+            try {
+                const campaigns = serviceManager.get('campaign');
+                if (!campaigns) {
+                    return res.status(503).json({ error: 'Campaign service not running', code: 'CAMPAIGNS_UNAVAILABLE' });
+                }
+
+                const campaign = await req.session.db.getCampaign(req.params.id);
+                if (!campaign) {
+                    return res.status(404).json({ error: 'Campaign not found', code: 'CAMPAIGN_NOT_FOUND' });
+                }
+
+                if (campaign.status !== 'paused') {
+                    return res.status(409).json({ error: `Campaign is ${campaign.status}`, code: 'CAMPAIGN_NOT_PAUSED' });
+                }
+
+                const updated = await req.session.db.updateCampaign(campaign.id, { status: 'running', last_error: null });
+                campaigns.register(updated.id);
+
+                res.json(updated);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    /**
+     * @route   POST /api/sessions/:sid/campaigns/:id/cancel
+     * @desc    Cancel campaign: unsent recipients and still-queued outbox items are cancelled
+     * @access  Moderator+ (requires BULK_OPERATIONS permission)
+     */
+    router.post('/sessions/:sid/campaigns/:id/cancel',
+        requirePermission('BULK_OPERATIONS'),
+        async (req, res) => {
+            try {
+                const campaign = await req.session.db.getCampaign(req.params.id);
+                if (!campaign) {
+                    return res.status(404).json({ error: 'Campaign not found', code: 'CAMPAIGN_NOT_FOUND' });
+                }
+
+                if (!['running', 'paused'].includes(campaign.status)) {
+                    return res.status(409).json({ error: `Campaign is ${campaign.status}`, code: 'CAMPAIGN_FINISHED' });
+                }
+
+                serviceManager.get('campaign')?.unregister(campaign.id);
+                const updated = await req.session.db.updateCampaign(campaign.id, {
+                    status: 'cancelled',
+                    completed_at: new Date().toISOString()
+                });
+
+                const queued = await req.session.db.cancelCampaignRecipients(campaign.id);
+                let unqueued = 0;
+                for (const outboxId of queued) {
+                    if (await req.session.db.cancelOutboxItem(outboxId)) unqueued++;
+                }
+
+                // Items already being sent still read the media
+                const pending = campaign.media_path ? await req.session.db.getPendingOutboxMedia() : [];
+                if (campaign.media_path && !pending.includes(campaign.media_path) && fs.existsSync(campaign.media_path)) {
+                    fs.unlinkSync(campaign.media_path);
+                }
+
+                await store.logActivity({
+                    user_id: req.user.username,
+                    session_id: req.params.sid,
+                    action: 'cancel_campaign',
+                    resource: campaign.id,
+                    details: { unqueued },
+                    ip: req.ip
+                }).catch(() => {});
+
+                const summary = await req.session.db.getCampaignSummary(campaign.id);
+                res.json({ ...updated, summary, unqueued });
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    // ==================== BROADCAST LIST ROUTES ====================
+
+    /**
+     * @route   GET /api/sessions/:sid/broadcasts
+     * @desc    List broadcast lists
+     * @access  Session Owner
+     */
+    router.get('/sessions/:sid/broadcasts',
+        validate.pagination,
+        async (req, res) => {
+            try {
+                const lists = await req.session.db.getBroadcastLists({
+                    limit: req.query.limit,
+                    offset: req.query.offset
+                });
+                res.json(lists);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    /**
+     * @route   POST /api/sessions/:sid/broadcasts
+     * @desc    Create a broadcast list
+     * @access  Session Owner (requires SEND_MESSAGES permission)
+     */
+    router.post('/sessions/:sid/broadcasts',
+        requirePermission('SEND_MESSAGES'),
+        validate.broadcastList,
+        handleValidationErrors,
+        async (req, res) => {
+            try {
+                if (!req.body.name) {
+                    return res.status(400).json({ error: 'Name required', code: 'MISSING_NAME' });
+                }
+
+                const { jids, error } = broadcastRecipients(req.body.recipients || []);
+                if (error) {
+                    return res.status(400).json({ error, code: 'INVALID_RECIPIENTS' });
+                }
+
+                const list = await req.session.db.createBroadcastList({ name: req.body.name, recipients: jids });
+
+                await store.logActivity({
+                    user_id: req.user.username,
+                    session_id: req.params.sid,
+                    action: 'create_broadcast_list',
+                    resource: list.id,
+                    details: { name: list.name, count: list.count },
+                    ip: req.ip
+                }).catch(() => {});
+
+                res.status(201).json(list);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    /**
+     * @route   GET /api/sessions/:sid/broadcasts/:id
+     * @desc    Get a broadcast list
+     * @access  Session Owner
+     */
+    router.get('/sessions/:sid/broadcasts/:id',
+        async (req, res) => {
+            try {
+                const list = await req.session.db.getBroadcastList(req.params.id);
+                if (!list) {
+                    return res.status(404).json({ error: 'Broadcast list not found', code: 'BROADCAST_NOT_FOUND' });
+                }
+                res.json(list);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    /**
+     * @route   PUT /api/sessions/:sid/broadcasts/:id
+     * @desc    Rename a broadcast list or replace its recipients
+     * @access  Session Owner (requires SEND_MESSAGES permission)
+     */
+    router.put('/sessions/:sid/broadcasts/:id',
+        requirePermission('SEND_MESSAGES'),
+        validate.broadcastList,
+        handleValidationErrors,
+        async (req, res) => {
+            try {
+                const list = await req.session.db.getBroadcastList(req.params.id);
+                if (!list) {
+                    return res.status(404).json({ error: 'Broadcast list not found', code: 'BROADCAST_NOT_FOUND' });
+                }
+
+                const updates = { name: req.body.name || undefined };
+                if (req.body.recipients !== undefined) {
+                    const { jids, error } = broadcastRecipients(req.body.recipients);
+                    if (error) {
+                        return res.status(400).json({ error, code: 'INVALID_RECIPIENTS' });
+                    }
+                    updates.recipients = jids;
+                }
+
+                const updated = await req.session.db.updateBroadcastList(list.id, updates);
+
+                await store.logActivity({
+                    user_id: req.user.username,
+                    session_id: req.params.sid,
+                    action: 'update_broadcast_list',
+                    resource: list.id,
+                    details: { name: updated.name, count: updated.count },
+                    ip: req.ip
+                }).catch(() => {});
+
+                res.json(updated);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    /**
+     * @route   DELETE /api/sessions/:sid/broadcasts/:id
+     * @desc    Delete a broadcast list and its send history
+     * @access  Session Owner (requires SEND_MESSAGES permission)
+     */
+    router.delete('/sessions/:sid/broadcasts/:id',
+        requirePermission('SEND_MESSAGES'),
+        async (req, res) => {
+            try {
+                const deleted = await req.session.db.deleteBroadcastList(req.params.id);
+                if (!deleted) {
+                    return res.status(404).json({ error: 'Broadcast list not found', code: 'BROADCAST_NOT_FOUND' });
+                }
+
+                await store.logActivity({
+                    user_id: req.user.username,
+                    session_id: req.params.sid,
+                    action: 'delete_broadcast_list',
+                    resource: req.params.id,
+                    ip: req.ip
+                }).catch(() => {});
+
+                res.json({ status: 'deleted' });
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    /**
+     * @route   POST /api/sessions/:sid/broadcasts/:id/send
+     * @desc    Send text ({ text }) or media (multipart file + type) to every recipient
+     * @access  Session Owner (requires SEND_MESSAGES permission)
+     */
+    router.post('/sessions/:sid/broadcasts/:id/send',
+        requirePermission('SEND_MESSAGES'),
+        upload.single('file'),
+        mediaSizeLimit(),
+        idempotentUpload,
+        async (req, res) => {
+            try {
+                const { text, caption, fileName } = req.body;
+                const mediaTypes = [
+                    MESSAGE_TYPES.IMAGE, MESSAGE_TYPES.VIDEO, MESSAGE_TYPES.AUDIO,
+                    MESSAGE_TYPES.DOCUMENT, MESSAGE_TYPES.STICKER
+                ];
+
+                let type = MESSAGE_TYPES.TEXT;
+                let content = text;
+                if (req.file) {
+                    if (!mediaTypes.includes(req.body.type)) {
+                        return res.status(400).json({ error: `Type must be one of: ${mediaTypes.join(', ')}`, code: 'INVALID_TYPE' });
+                    }
+                    type = req.body.type;
+                    content = { buffer: req.file.buffer, caption, name: fileName || req.file.originalname };
+                } else if (!text || typeof text !== 'string') {
+                    return res.status(400).json({ error: 'Text or file required', code: 'MISSING_CONTENT' });
+                }
+
+                const { humanize } = replyOptions(req.body);
+                const { sendId, results } = await req.session.sendBroadcast(req.params.id, content, type, { humanize });
+
+                res.json({
+                    sendId,
+                    listId: req.params.id,
+                    queued: results.filter(r => r.success).length,
+                    failed: results.filter(r => !r.success).length,
+                    results
+                });
+            } catch (err) {
+                if (BROADCAST_ERRORS[err.code]) {
+                    return res.status(BROADCAST_ERRORS[err.code]).json({ error: err.message, code: err.code });
+                }
+                if (REPLY_ERRORS[err.code]) {
+                    return replyError(res, err);
+                }
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    /**
+     * @route   GET /api/sessions/:sid/broadcasts/:id/sends
+     * @desc    List sends to a broadcast list with sent/delivered/read/failed counts
+     * @access  Session Owner
+     */
+    router.get('/sessions/:sid/broadcasts/:id/sends',
+        validate.pagination,
+        async (req, res) => {
+            try {
+                const list = await req.session.db.getBroadcastList(req.params.id);
+                if (!list) {
+                    return res.status(404).json({ error: 'Broadcast list not found', code: 'BROADCAST_NOT_FOUND' });
+                }
+
+                const sends = await req.session.db.getBroadcastSends(list.id, {
+                    limit: req.query.limit,
+                    offset: req.query.offset
+                });
+                res.json(sends);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    /**
+     * @route   GET /api/sessions/:sid/broadcasts/:id/sends/:sendId
+     * @desc    Per-recipient message IDs and receipt status for one send
+     * @access  Session Owner
+     */
+    router.get('/sessions/:sid/broadcasts/:id/sends/:sendId',
+        async (req, res) => {
+            try {
+                const send = await req.session.db.getBroadcastSend(req.params.sendId);
+                if (!send || send.list_id !== req.params.id) {
+                    return res.status(404).json({ error: 'Broadcast send not found', code: 'BROADCAST_SEND_NOT_FOUND' });
+                }
+                res.json(send);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    // ==================== TEMPLATE ROUTES ====================
+
+    /**
+     * @route   GET /api/sessions/:sid/templates
+     * @desc    List templates of this session and the user's personal templates
+     * @access  Session Owner
+     */
+    router.get('/sessions/:sid/templates',
+        validate.pagination,
+        async (req, res) => {
+            try {
+                const templates = await req.session.db.getTemplates(req.user.username, {
+                    scope: ['session', 'user'].includes(req.query.scope) ? req.query.scope : undefined,
+                    type: req.query.type,
+                    limit: req.query.limit,
+                    offset: req.query.offset
+                });
+                res.json(templates);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    /**
+     * @route   POST /api/sessions/:sid/templates
+     * @desc    Create message template ({{variable}} placeholders, optional media file)
+     * @access  Session Owner (requires SEND_MESSAGES permission)
+     */
+    router.post('/sessions/:sid/templates',
+        requirePermission('SEND_MESSAGES'),
+        upload.single('file'),
+        mediaSizeLimit(),
+        validate.template,
+        handleValidationErrors,
+        async (req, res) => {
+            try {
+                const { name, type = MESSAGE_TYPES.TEXT, scope = 'session' } = req.body;
+                if (!name) {
+                    return res.status(400).json({ error: 'Name required', code: 'MISSING_NAME' });
+                }
+
+                const fields = bodyObject(req.body.content);
+                if (!fields) {
+                    return res.status(400).json({ error: 'Content must be an object', code: 'INVALID_TEMPLATE' });
+                }
+
+                const missing = templateContentError(type, fields, req.file);
+                if (missing) {
+                    return res.status(400).json({ error: missing, code: 'INVALID_TEMPLATE' });
+                }
+
+                const defaults = bodyObject(req.body.defaults);
+                if (!defaults) {
+                    return res.status(400).json({ error: 'Defaults must be an object', code: 'INVALID_VARIABLES' });
+                }
+
+                const id = `template_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+                const mediaPath = req.file ? saveTemplateMedia(id, req.file) : null;
+
+                const content = scheduleContent(type, fields);
+                if (req.file && !content.name) content.name = req.file.originalname;
+
+                const template = await req.session.db.createTemplate({
+                    id,
+                    user_id: req.user.username,
+                    scope,
+                    name,
+                    type,
+                    content,
+                    media_path: mediaPath,
+                    defaults
+                });
+
+                await store.logActivity({
+                    user_id: req.user.username,
+                    session_id: req.params.sid,
+                    action: 'create_template',
+                    resource: template.id,
+                    details: { name, type, scope },
+                    ip: req.ip
+                }).catch(() => {});
+
+                res.status(201).json(template);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    /**
+     * @route   GET /api/sessions/:sid/templates/:id
+     * @desc    Get template
+     * @access  Session Owner
+     */
+    router.get('/sessions/:sid/templates/:id',
+        async (req, res) => {
+            try {
+                const template = await req.session.db.getTemplate(req.params.id, req.user.username);
+                if (!template) {
+                    return res.status(404).json({ error: 'Template not found', code: 'TEMPLATE_NOT_FOUND' });
+                }
+                res.json(template);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    /**
+     * @route   PUT /api/sessions/:sid/templates/:id
+     * @desc    Update template name, content fields, defaults or media file (type is fixed)
+     * @access  Session Owner (requires SEND_MESSAGES permission)
+     */
+    router.put('/sessions/:sid/templates/:id',
+        requirePermission('SEND_MESSAGES'),
+        upload.single('file'),
+        mediaSizeLimit(),
+        validate.template,
+        handleValidationErrors,
+        async (req, res) => {
+            try {
+                const template = await req.session.db.getTemplate(req.params.id, req.user.username);
+                if (!template) {
+                    return res.status(404).json({ error: 'Template not found', code: 'TEMPLATE_NOT_FOUND' });
+                }
+
+                if (req.body.type && req.body.type !== template.type) {
+                    return res.status(400).json({ error: 'Template type cannot be changed', code: 'INVALID_TEMPLATE' });
+                }
+
+                const updates = { name: req.body.name };
+
+                if (req.body.defaults !== undefined) {
+                    updates.defaults = bodyObject(req.body.defaults);
+                    if (!updates.defaults) {
+                        return res.status(400).json({ error: 'Defaults must be an object', code: 'INVALID_VARIABLES' });
+                    }
+                }
+
+                if (req.body.content !== undefined) {
+                    const fields = bodyObject(req.body.content);
+                    if (!fields) {
+                        return res.status(400).json({ error: 'Content must be an object', code: 'INVALID_TEMPLATE' });
+                    }
+
+                    // Fields left out keep their stored values
+                    const isMedia = ![MESSAGE_TYPES.TEXT, MESSAGE_TYPES.LOCATION, MESSAGE_TYPES.CONTACT].includes(template.type);
+                    const current = isMedia
+                        ? { caption: template.content.caption, fileName: template.content.name }
+                        : template.content;
+                    updates.content = scheduleContent(template.type, { ...current, ...fields });
+                }
+
+                if (req.file) {
+                    if (template.type === MESSAGE_TYPES.TEXT || !template.media_path) {
+                        return res.status(400).json({ error: 'This template has no media', code: 'INVALID_TEMPLATE' });
+                    }
+                    // Sends already in the outbox still read the old file; cleanup removes it later
+                    const pending = await store.getPendingOutboxMedia();
+                    if (!pending.includes(template.media_path) && fs.existsSync(template.media_path)) {
+                        fs.unlinkSync(template.media_path);
+                    }
+                    updates.media_path = saveTemplateMedia(template.id, req.file);
+                }
+
+                await req.session.db.updateTemplate(template.id, updates);
+                res.json(await req.session.db.getTemplate(template.id, req.user.username));
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    /**
+     * @route   DELETE /api/sessions/:sid/templates/:id
+     * @desc    Delete template and its media file
+     * @access  Session Owner (requires SEND_MESSAGES permission)
+     */
+    router.delete('/sessions/:sid/templates/:id',
+        requirePermission('SEND_MESSAGES'),
+        async (req, res) => {
+            try {
+                const template = await req.session.db.getTemplate(req.params.id, req.user.username);
+                if (!template) {
+                    return res.status(404).json({ error: 'Template not found', code: 'TEMPLATE_NOT_FOUND' });
+                }
+
+                await req.session.db.deleteTemplate(template.id);
+
+                // Sends already in the outbox still read the media; cleanup removes it later
+                const pending = template.media_path ? await store.getPendingOutboxMedia() : [];
+                if (template.media_path && !pending.includes(template.media_path) && fs.existsSync(template.media_path)) {
+                    fs.unlinkSync(template.media_path);
+                }
+
+                await store.logActivity({
+                    user_id: req.user.username,
+                    session_id: req.params.sid,
+                    action: 'delete_template',
+                    resource: template.id,
+                    ip: req.ip
+                }).catch(() => {});
+
+                res.json({ success: true });
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    /**
+     * @route   POST /api/sessions/:sid/templates/:id/render
+     * @desc    Preview a template for a recipient without sending
+     * @access  Session Owner
+     */
+    router.post('/sessions/:sid/templates/:id/render',
+        async (req, res) => {
+            try {
+                const { jid } = req.body;
+                if (!jid) {
+                    return res.status(400).json({ error: 'JID required', code: 'MISSING_JID' });
+                }
+
+                const variables = bodyObject(req.body.variables);
+                if (!variables) {
+                    return res.status(400).json({ error: 'Variables must be an object', code: 'INVALID_VARIABLES' });
+                }
+
+                const template = await req.session.db.getTemplate(req.params.id, req.user.username);
+                if (!template) {
+                    return res.status(404).json({ error: 'Template not found', code: 'TEMPLATE_NOT_FOUND' });
+                }
+
+                const vars = await req.session.templateVars(decodeURIComponent(jid), variables, template.defaults);
+                res.json({
+                    type: template.type,
+                    content: renderTemplateContent(template.content, vars),
+                    media: !!template.media_path
+                });
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    // ==================== AUTO-REPLY ROUTES ====================
+
+    /**
+     * @route   GET /api/sessions/:sid/autoreplies
+     * @desc    List auto-reply rules
+     * @access  Session Owner
+     */
+    router.get('/sessions/:sid/autoreplies',
+        async (req, res) => {
+            try {
+                const rules = await req.session.db.getAutoreplyRules();
+                res.json(rules);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    /**
+     * @route   POST /api/sessions/:sid/autoreplies
+     * @desc    Create auto-reply rule
+     * @access  Session Owner (requires SEND_MESSAGES permission)
+     */
+    router.post('/sessions/:sid/autoreplies',
+        requirePermission('SEND_MESSAGES'),
+        validate.autoreply,
+        handleValidationErrors,
+        async (req, res) => {
+            try {
+                const responder = serviceManager.get('responder');
+                if (!responder) {
+                    return res.status(503).json({ error: 'Responder not running', code: 'RESPONDER_UNAVAILABLE' });
+                }
+
+                if (!req.body.reply) {
+                    return res.status(400).json({ error: 'Reply required', code: 'MISSING_REPLY' });
+                }
+
+                const invalid = responder.validateRule(req.body);
+                if (invalid) {
+                    return res.status(400).json({ error: invalid, code: 'INVALID_RULE' });
+                }
+
+                const rule = await req.session.db.createAutoreplyRule(req.body);
+                responder.invalidate(req.params.sid);
+
+                await store.logActivity({
+                    user_id: req.user.username,
+                    session_id: req.params.sid,
+                    action: 'create_autoreply',
+                    resource: rule.id,
+                    details: { trigger: rule.trigger },
+                    ip: req.ip
+                }).catch(() => {});
+
+                res.status(201).json(rule);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    /**
+     * @route   GET /api/sessions/:sid/autoreplies/:id
+     * @desc    Get auto-reply rule
+     * @access  Session Owner
+     */
+    router.get('/sessions/:sid/autoreplies/:id',
+        async (req, res) => {
+            try {
+                const rule = await req.session.db.getAutoreplyRule(req.params.id);
+                if (!rule) {
+                    return res.status(404).json({ error: 'Rule not found', code: 'RULE_NOT_FOUND' });
+                }
+                res.json(rule);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    /**
+     * @route   PUT /api/sessions/:sid/autoreplies/:id
+     * @desc    Update auto-reply rule
+     * @access  Session Owner (requires SEND_MESSAGES permission)
+     */
+    router.put('/sessions/:sid/autoreplies/:id',
+        requirePermission('SEND_MESSAGES'),
+        validate.autoreply,
+        handleValidationErrors,
+        async (req, res) => {
+            try {
+                const rule = await req.session.db.getAutoreplyRule(req.params.id);
+                if (!rule) {
+                    return res.status(404).json({ error: 'Rule not found', code: 'RULE_NOT_FOUND' });
+                }
+
+                const responder = serviceManager.get('responder');
+                const invalid = responder?.validateRule({ ...rule, ...req.body });
+                if (invalid) {
+                    return res.status(400).json({ error: invalid, code: 'INVALID_RULE' });
+                }
+
+                const updated = await req.session.db.updateAutoreplyRule(rule.id, req.body);
+                responder?.invalidate(req.params.sid);
+
+                await store.logActivity({
+                    user_id: req.user.username,
+                    session_id: req.params.sid,
+                    action: 'update_autoreply',
+                    resource: rule.id,
+                    ip: req.ip
+                }).catch(() => {});
+
+                res.json(updated);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    /**
+     * @route   DELETE /api/sessions/:sid/autoreplies/:id
+     * @desc    Delete auto-reply rule
+     * @access  Session Owner (requires SEND_MESSAGES permission)
+     */
+    router.delete('/sessions/:sid/autoreplies/:id',
+        requirePermission('SEND_MESSAGES'),
+        async (req, res) => {
+            try {
+                const result = await req.session.db.deleteAutoreplyRule(req.params.id);
+                if (!result.changes) {
+                    return res.status(404).json({ error: 'Rule not found', code: 'RULE_NOT_FOUND' });
+                }
+
+                serviceManager.get('responder')?.invalidate(req.params.sid);
+
+                await store.logActivity({
+                    user_id: req.user.username,
+                    session_id: req.params.sid,
+                    action: 'delete_autoreply',
+                    resource: req.params.id,
+                    ip: req.ip
+                }).catch(() => {});
+
+                res.json({ status: 'deleted' });
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    // ==================== ACTION ROUTES ====================
+
+    /**
+     * @route   POST /api/sessions/:sid/read
+     * @desc    Mark message as read
+     * @access  Session Owner
+     */
+    router.post('/sessions/:sid/read',
         validate.markRead,
         handleValidationErrors,
         async (req, res) => {
@@ -2094,7 +4217,245 @@ module.exports = (manager, store) => {
                     ip: req.ip
                 }).catch(() => {});
 
-                res.json(result);
+                res.json(result);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    /**
+     * @route   POST /api/sessions/:sid/groups/leave
+     * @desc    Leave group
+     * @access  Session Owner
+     */
+    router.post('/sessions/:sid/groups/leave',
+        async (req, res) => {
+            try {
+                const { jid } = req.body;
+                if (!jid) {
+                    return res.status(400).json({ 
+                        error: 'Group JID required',
+                        code: 'MISSING_JID'
+                    });
+                }
+
+                const result = await req.session.groupAction(
+                    'leave',
+                    decodeURIComponent(jid)
+                );
+
+                await store.logActivity({
+                    user_id: req.user.username,
+                    session_id: req.params.sid,
+                    action: 'group_leave',
+                    resource: jid,
+                    ip: req.ip
+                }).catch(() => {});
+
+                res.json(result);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    // ==================== GROUP JOIN REQUEST ROUTES ====================
+
+    /**
+     * @route   PUT /api/sessions/:sid/groups/:jid/approval
+     * @desc    Turn "approve new participants" on or off for a group
+     * @access  Session Owner (requires MODERATE_GROUPS permission)
+     */
+    router.put('/sessions/:sid/groups/:jid/approval',
+        requirePermission('MODERATE_GROUPS'),
+        async (req, res) => {
+            try {
+                const { enabled } = req.body;
+                if (typeof enabled !== 'boolean') {
+                    return res.status(400).json({ 
+                        error: 'enabled must be a boolean',
+                        code: 'INVALID_APPROVAL'
+                    });
+                }
+
+                const result = await req.session.groupAction(
+                    'approval',
+                    decodeURIComponent(req.params.jid),
+                    [enabled]
+                );
+
+                await store.logActivity({
+                    user_id: req.user.username,
+                    session_id: req.params.sid,
+                    action: enabled ? 'group_approval_on' : 'group_approval_off',
+                    resource: req.params.jid,
+                    ip: req.ip
+                }).catch(() => {});
+
+                res.json({ success: true, enabled, result });
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    /**
+     * @route   GET /api/sessions/:sid/groups/:jid/join-requests
+     * @desc    List join requests (?status=pending|approved|rejected|cancelled|closed, ?refresh=true to sync from WhatsApp)
+     * @access  Session Owner
+     */
+    router.get('/sessions/:sid/groups/:jid/join-requests',
+        validate.pagination,
+        async (req, res) => {
+            try {
+                const requests = await req.session.getJoinRequests(decodeURIComponent(req.params.jid), {
+                    status: req.query.status,
+                    limit: req.query.limit,
+                    offset: req.query.offset,
+                    refresh: req.query.refresh === 'true'
+                });
+                res.json(requests);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    /**
+     * @route   GET /api/sessions/:sid/groups/:jid/join-requests/auto-approve
+     * @desc    Get the group's auto-approve rule
+     * @access  Session Owner
+     */
+    router.get('/sessions/:sid/groups/:jid/join-requests/auto-approve',
+        async (req, res) => {
+            try {
+                const rule = await req.session.db.getJoinRule(decodeURIComponent(req.params.jid));
+                if (!rule) {
+                    return res.status(404).json({ 
+                        error: 'No auto-approve rule for this group',
+                        code: 'JOIN_RULE_NOT_FOUND'
+                    });
+                }
+                res.json(rule);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    /**
+     * @route   PUT /api/sessions/:sid/groups/:jid/join-requests/auto-approve
+     * @desc    Set the group's auto-approve rule ({ enabled, prefixes, contactsOnly }); all conditions must match
+     * @access  Session Owner (requires MODERATE_GROUPS permission)
+     */
+    router.put('/sessions/:sid/groups/:jid/join-requests/auto-approve',
+        requirePermission('MODERATE_GROUPS'),
+        validate.joinRule,
+        handleValidationErrors,
+        async (req, res) => {
+            try {
+                const jid = decodeURIComponent(req.params.jid);
+                if (!isGroupJid(jid)) {
+                    return res.status(400).json({ error: 'Invalid group JID', code: 'INVALID_JID' });
+                }
+
+                const prefixes = (req.body.prefixes || []).map(prefix => prefix.replace(/^\+/, ''));
+                if (req.body.enabled !== false && !prefixes.length && !req.body.contactsOnly) {
+                    return res.status(400).json({
+                        error: 'An enabled rule needs prefixes or contactsOnly',
+                        code: 'EMPTY_JOIN_RULE'
+                    });
+                }
+
+                const rule = await req.session.db.setJoinRule(jid, {
+                    enabled: req.body.enabled,
+                    prefixes,
+                    contacts_only: req.body.contactsOnly
+                });
+
+                await store.logActivity({
+                    user_id: req.user.username,
+                    session_id: req.params.sid,
+                    action: 'set_join_rule',
+                    resource: jid,
+                    details: { enabled: rule.enabled, prefixes: rule.prefixes, contactsOnly: rule.contacts_only },
+                    ip: req.ip
+                }).catch(() => {});
+
+                res.json(rule);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    /**
+     * @route   DELETE /api/sessions/:sid/groups/:jid/join-requests/auto-approve
+     * @desc    Remove the group's auto-approve rule
+     * @access  Session Owner (requires MODERATE_GROUPS permission)
+     */
+    router.delete('/sessions/:sid/groups/:jid/join-requests/auto-approve',
+        requirePermission('MODERATE_GROUPS'),
+        async (req, res) => {
+            try {
+                const deleted = await req.session.db.deleteJoinRule(decodeURIComponent(req.params.jid));
+                if (!deleted) {
+                    return res.status(404).json({ 
+                        error: 'No auto-approve rule for this group',
+                        code: 'JOIN_RULE_NOT_FOUND'
+                    });
+                }
+
+                await store.logActivity({
+                    user_id: req.user.username,
+                    session_id: req.params.sid,
+                    action: 'delete_join_rule',
+                    resource: req.params.jid,
+                    ip: req.ip
+                }).catch(() => {});
+
+                res.json({ success: true });
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    /**
+     * @route   POST /api/sessions/:sid/groups/:jid/join-requests/:action(approve|reject)
+     * @desc    Approve or reject join requests in bulk ({ jids: [...] } or { all: true } for every pending request)
+     * @access  Session Owner (requires MODERATE_GROUPS permission)
+     */
+    router.post('/sessions/:sid/groups/:jid/join-requests/:action(approve|reject)',
+        requirePermission('MODERATE_GROUPS'),
+        async (req, res) => {
+            try {
+                const jid = decodeURIComponent(req.params.jid);
+                let { jids, all } = req.body;
+
+                if (all === true) {
+                    const pending = await req.session.getJoinRequests(jid, { status: 'pending', limit: -1, refresh: true });
+                    jids = pending.map(r => r.requester);
+                } else if (!Array.isArray(jids) || !jids.length || jids.some(j => typeof j !== 'string')) {
+                    return res.status(400).json({ 
+                        error: 'jids array or all: true required',
+                        code: 'MISSING_JIDS'
+                    });
+                }
+
+                const results = await req.session.resolveJoinRequests(jid, jids, req.params.action);
+
+                await store.logActivity({
+                    user_id: req.user.username,
+                    session_id: req.params.sid,
+                    action: `group_join_${req.params.action}`,
+                    resource: jid,
+                    details: { count: results.filter(r => r.success).length, all: all === true },
+                    ip: req.ip
+                }).catch(() => {});
+
+                res.json({ results });
             } catch (err) {
                 res.status(500).json({ error: err.message });
             }
@@ -2102,31 +4463,32 @@ module.exports = (manager, store) => {
     );
 
     /**
-     * @route   POST /api/sessions/:sid/groups/leave
-     * @desc    Leave group
-     * @access  Session Owner
+     * @route   POST /api/sessions/:sid/groups/:jid/join-requests/:requester/:action(approve|reject)
+     * @desc    Approve or reject a single join request
+     * @access  Session Owner (requires MODERATE_GROUPS permission)
      */
-    router.post('/sessions/:sid/groups/leave',
+    router.post('/sessions/:sid/groups/:jid/join-requests/:requester/:action(approve|reject)',
+        requirePermission('MODERATE_GROUPS'),
         async (req, res) => {
             try {
-                const { jid } = req.body;
-                if (!jid) {
+                const jid = decodeURIComponent(req.params.jid);
+                const requester = decodeURIComponent(req.params.requester);
+
+                const [result] = await req.session.resolveJoinRequests(jid, [requester], req.params.action);
+                if (!result?.success) {
                     return res.status(400).json({ 
-                        error: 'Group JID required',
-                        code: 'MISSING_JID'
+                        error: `Could not ${req.params.action} join request`,
+                        code: 'JOIN_REQUEST_FAILED',
+                        status: result?.status
                     });
                 }
 
-                const result = await req.session.groupAction(
-                    'leave',
-                    decodeURIComponent(jid)
-                );
-
                 await store.logActivity({
                     user_id: req.user.username,
                     session_id: req.params.sid,
-                    action: 'group_leave',
+                    action: `group_join_${req.params.action}`,
                     resource: jid,
+                    details: { requester },
                     ip: req.ip
                 }).catch(() => {});
 
@@ -2527,6 +4889,127 @@ module.exports = (manager, store) => {
         }
     );
 
+    // ==================== STATUS ROUTES ====================
+
+    /**
+     * @route   POST /api/sessions/:sid/status
+     * @desc    Post a text, image or video status to all contacts or a selected list
+     * @access  Session Owner (requires SEND_MESSAGES permission)
+     */
+    router.post('/sessions/:sid/status',
+        requirePermission('SEND_MESSAGES'),
+        upload.single('file'),
+        mediaSizeLimit(),
+        idempotentUpload,
+        validate.postStatus,
+        handleValidationErrors,
+        async (req, res) => {
+            try {
+                const { text, caption, backgroundColor, font, mediaMsgId } = req.body;
+                const type = req.body.type || MESSAGE_TYPES.TEXT;
+
+                const audience = statusAudience(req.body.audience);
+                if (!audience) {
+                    return res.status(400).json({ 
+                        error: 'Audience must be "all" or a list of JIDs/phone numbers',
+                        code: 'INVALID_AUDIENCE'
+                    });
+                }
+
+                let content = text;
+                if (type !== MESSAGE_TYPES.TEXT) {
+                    if (req.file) {
+                        content = { buffer: req.file.buffer, caption };
+                    } else if (mediaMsgId) {
+                        content = { path: (await req.session.getStoredMedia(mediaMsgId)).path, caption };
+                    } else {
+                        return res.status(400).json({ 
+                            error: 'File or mediaMsgId required',
+                            code: 'MISSING_FILE'
+                        });
+                    }
+                }
+
+                const result = await req.session.postStatus(content, type, { audience, backgroundColor, font });
+                res.json(result);
+            } catch (err) {
+                if (err.code === 'INVALID_AUDIENCE') {
+                    return res.status(400).json({ error: err.message, code: err.code });
+                }
+                if (REPLY_ERRORS[err.code]) {
+                    return replyError(res, err);
+                }
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    /**
+     * @route   GET /api/sessions/:sid/status
+     * @desc    Received statuses grouped by contact, unexpired unless include_expired=true
+     * @access  Session Owner
+     */
+    router.get('/sessions/:sid/status',
+        async (req, res) => {
+            try {
+                const statuses = await req.session.db.getStatuses({
+                    sender: req.query.sender ? decodeURIComponent(req.query.sender) : undefined,
+                    includeExpired: req.query.include_expired === 'true'
+                });
+                res.json(statuses);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    /**
+     * @route   GET /api/sessions/:sid/status/mine
+     * @desc    Our own statuses with view counts
+     * @access  Session Owner
+     */
+    router.get('/sessions/:sid/status/mine',
+        async (req, res) => {
+            try {
+                const statuses = await req.session.db.getMyStatuses({
+                    includeExpired: req.query.include_expired === 'true'
+                });
+                res.json(statuses);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    /**
+     * @route   GET /api/sessions/:sid/status/:id/views
+     * @desc    Who viewed one of our statuses
+     * @access  Session Owner
+     */
+    router.get('/sessions/:sid/status/:id/views',
+        async (req, res) => {
+            try {
+                const status = await req.session.db.getStatus(req.params.id);
+                if (!status || !status.from_me) {
+                    return res.status(404).json({ 
+                        error: 'Status not found',
+                        code: 'STATUS_NOT_FOUND'
+                    });
+                }
+
+                const views = await req.session.db.getStatusViews(req.params.id);
+                res.json({
+                    id: status.msg_id,
+                    audience: status.audience ? status.audience.length : null,
+                    count: views.length,
+                    views
+                });
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
     // ==================== NEWSLETTER ROUTES ====================
 
     /**
@@ -2713,7 +5196,7 @@ module.exports = (manager, store) => {
                     session_id: req.params.sid,
                     action: 'create_webhook',
                     resource: result.id,
-                    details: { event: req.body.event },
+                    details: { events: result.events },
                     ip: req.ip
                 }).catch(() => {});
 
@@ -2741,6 +5224,47 @@ module.exports = (manager, store) => {
         }
     );
 
+    /**
+     * @route   PUT /api/sessions/:sid/webhooks/:id
+     * @desc    Update webhook (events, filters, url, ...)
+     * @access  Session Owner (requires MANAGE_WEBHOOKS permission)
+     */
+    router.put('/sessions/:sid/webhooks/:id',
+        requirePermission('MANAGE_WEBHOOKS'),
+        validate.updateWebhook,
+        handleValidationErrors,
+        async (req, res) => {
+            try {
+                const allowed = ['events', 'filters', 'url', 'headers', 'enabled', 'retry_count', 'timeout'];
+                const updates = {};
+                for (const key of allowed) {
+                    if (req.body[key] !== undefined) updates[key] = req.body[key];
+                }
+
+                const result = await req.session.updateWebhook(req.params.id, updates);
+                if (!result) {
+                    return res.status(404).json({
+                        error: 'Webhook not found',
+                        code: 'WEBHOOK_NOT_FOUND'
+                    });
+                }
+
+                await store.logActivity({
+                    user_id: req.user.username,
+                    session_id: req.params.sid,
+                    action: 'update_webhook',
+                    resource: req.params.id,
+                    details: updates.events ? { events: updates.events } : undefined,
+                    ip: req.ip
+                }).catch(() => {});
+
+                res.json({ status: 'updated' });
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
     /**
      * @route   DELETE /api/sessions/:sid/webhooks/:id
      * @desc    Delete webhook
@@ -2784,6 +5308,183 @@ module.exports = (manager, store) => {
         }
     );
 
+    /**
+     * @route   POST /api/sessions/:sid/webhooks/:id/rotate-secret
+     * @desc    Rotate webhook signing secret (old secret stays valid for grace_period seconds)
+     * @access  Session Owner (requires MANAGE_WEBHOOKS permission)
+     */
+    router.post('/sessions/:sid/webhooks/:id/rotate-secret',
+        requirePermission('MANAGE_WEBHOOKS'),
+        validate.rotateWebhookSecret,
+        handleValidationErrors,
+        async (req, res) => {
+            try {
+                const { secret, grace_period } = req.body;
+
+                const result = await req.session.rotateWebhookSecret(req.params.id, {
+                    secret,
+                    gracePeriod: grace_period !== undefined ? parseInt(grace_period) * 1000 : undefined
+                });
+
+                if (!result) {
+                    return res.status(404).json({
+                        error: 'Webhook not found',
+                        code: 'WEBHOOK_NOT_FOUND'
+                    });
+                }
+
+                await store.logActivity({
+                    user_id: req.user.username,
+                    session_id: req.params.sid,
+                    action: 'rotate_webhook_secret',
+                    resource: req.params.id,
+                    ip: req.ip
+                }).catch(() => {});
+
+                res.json({
+                    id: result.id,
+                    secret: result.secret,
+                    previous_expires_at: result.previousExpiresAt
+                        ? new Date(result.previousExpiresAt).toISOString()
+                        : null
+                });
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    /**
+     * @route   GET /api/sessions/:sid/webhooks/:id/deliveries
+     * @desc    Get delivery attempt log for a webhook
+     * @access  Session Owner (requires MANAGE_WEBHOOKS permission)
+     */
+    router.get('/sessions/:sid/webhooks/:id/deliveries',
+        requirePermission('MANAGE_WEBHOOKS'),
+        async (req, res) => {
+            try {
+                const limit = Math.min(parseInt(req.query.limit) || 20, 200);
+                const deliveries = await req.session.getWebhookDeliveries(req.params.id, limit);
+                res.json(deliveries);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    /**
+     * @route   GET /api/sessions/:sid/webhooks/queue
+     * @desc    List webhook deliveries (pending, delivering, delivered, dead)
+     * @access  Session Owner (requires MANAGE_WEBHOOKS permission)
+     */
+    router.get('/sessions/:sid/webhooks/queue',
+        requirePermission('MANAGE_WEBHOOKS'),
+        validate.pagination,
+        async (req, res) => {
+            try {
+                const { status, webhook_id, event } = req.query;
+                if (status && !Object.values(WEBHOOK_DELIVERY_STATUS).includes(status)) {
+                    return res.status(400).json({
+                        error: `Status must be one of: ${Object.values(WEBHOOK_DELIVERY_STATUS).join(', ')}`,
+                        code: 'INVALID_STATUS'
+                    });
+                }
+
+                const items = await req.session.getWebhookQueue({
+                    status,
+                    webhook_id,
+                    event,
+                    limit: parseInt(req.query.limit) || 50,
+                    offset: parseInt(req.query.offset) || 0
+                });
+                res.json(items);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    /**
+     * @route   POST /api/sessions/:sid/webhooks/queue/redeliver
+     * @desc    Redeliver a filtered batch (defaults to dead-lettered deliveries)
+     * @access  Session Owner (requires MANAGE_WEBHOOKS permission)
+     */
+    router.post('/sessions/:sid/webhooks/queue/redeliver',
+        requirePermission('MANAGE_WEBHOOKS'),
+        async (req, res) => {
+            try {
+                const { status = WEBHOOK_DELIVERY_STATUS.DEAD, webhook_id, event, since, limit } = req.body;
+
+                if (![WEBHOOK_DELIVERY_STATUS.DEAD, WEBHOOK_DELIVERY_STATUS.DELIVERED].includes(status)) {
+                    return res.status(400).json({
+                        error: 'Only dead or delivered webhooks can be redelivered',
+                        code: 'INVALID_STATUS'
+                    });
+                }
+                if (since && isNaN(new Date(since).getTime())) {
+                    return res.status(400).json({ error: 'Invalid since date', code: 'INVALID_DATE' });
+                }
+
+                const count = await req.session.redeliverWebhooks({
+                    status,
+                    webhook_id,
+                    event,
+                    since,
+                    limit: parseInt(limit) || 100
+                });
+
+                await store.logActivity({
+                    user_id: req.user.username,
+                    session_id: req.params.sid,
+                    action: 'redeliver_webhooks',
+                    details: { status, webhook_id, event, since, count },
+                    ip: req.ip
+                }).catch(() => {});
+
+                res.json({ requeued: count });
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    /**
+     * @route   POST /api/sessions/:sid/webhooks/queue/:qid/redeliver
+     * @desc    Redeliver a single webhook delivery
+     * @access  Session Owner (requires MANAGE_WEBHOOKS permission)
+     */
+    router.post('/sessions/:sid/webhooks/queue/:qid/redeliver',
+        requirePermission('MANAGE_WEBHOOKS'),
+        async (req, res) => {
+            try {
+                const item = await req.session.db.getWebhookQueueItem(req.params.qid);
+                if (!item) {
+                    return res.status(404).json({ error: 'Delivery not found', code: 'DELIVERY_NOT_FOUND' });
+                }
+
+                const count = await req.session.redeliverWebhooks({ ids: [item.id] });
+                if (!count) {
+                    return res.status(409).json({
+                        error: `Cannot redeliver while ${item.status}`,
+                        code: 'INVALID_STATE'
+                    });
+                }
+
+                await store.logActivity({
+                    user_id: req.user.username,
+                    session_id: req.params.sid,
+                    action: 'redeliver_webhook',
+                    resource: item.id,
+                    ip: req.ip
+                }).catch(() => {});
+
+                res.json({ id: item.id, status: WEBHOOK_DELIVERY_STATUS.PENDING });
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
     // ==================== BACKUP ROUTES ====================
 
     /**
@@ -2913,6 +5614,63 @@ module.exports = (manager, store) => {
         }
     );
 
+    /**
+     * @route   GET /api/sessions/:sid/send-policy
+     * @desc    Get the sending policy and current usage against it
+     * @access  Session Owner
+     */
+    router.get('/sessions/:sid/send-policy',
+        async (req, res) => {
+            try {
+                const usage = await req.session.getSendPolicyUsage();
+                res.json(usage);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
+    /**
+     * @route   PUT /api/sessions/:sid/send-policy
+     * @desc    Replace the sending policy (omitted fields fall back to the defaults)
+     * @access  Session Owner (requires MANAGE_SETTINGS permission)
+     */
+    router.put('/sessions/:sid/send-policy',
+        requirePermission('MANAGE_SETTINGS'),
+        validate.sendPolicy,
+        handleValidationErrors,
+        async (req, res) => {
+            try {
+                const fields = ['perMinute', 'perHour', 'perDay', 'recipientCooldown', 'newContactsPerDay', 'onLimit'];
+                const policy = {};
+                for (const field of fields) {
+                    if (req.body[field] !== undefined) policy[field] = req.body[field];
+                }
+                if (req.body.jitter) {
+                    policy.jitter = { min: req.body.jitter.min, max: req.body.jitter.max };
+                }
+                if (req.body.warmup) {
+                    const { days, startPerDay, since } = req.body.warmup;
+                    policy.warmup = { days, startPerDay, since };
+                }
+
+                await req.session.db.setSessionSetting('send_policy', policy);
+
+                await store.logActivity({
+                    user_id: req.user.username,
+                    session_id: req.params.sid,
+                    action: 'update_send_policy',
+                    details: policy,
+                    ip: req.ip
+                }).catch(() => {});
+
+                res.json(await req.session.getSendPolicyUsage());
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        }
+    );
+
     // ==================== ACTIVITY ROUTES ====================
 
     /**
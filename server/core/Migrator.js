@@ -0,0 +1,310 @@
+// src/core/Migrator.js
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const os = require('os');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+const LOCK_TTL = 10 * 60 * 1000;
+const LOCK_POLL = 250;
+
+// One run per database file per process; other stores wait on it
+const running = new Map();
+
+class Migrator {
+    /**
+     * @param {Object} db - Open sqlite Database
+     * @param {Object} options - { dir, dbPath, log }
+     */
+    constructor(db, options = {}) {
+        this.db = db;
+        this.dir = options.dir || MIGRATIONS_DIR;
+        this.dbPath = options.dbPath || 'default';
+        this.log = options.log || ((msg) => console.log(`[Migrate] ${msg}`));
+        this.owner = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    }
+
+    // ==================== PUBLIC ====================
+
+    /**
+     * Apply pending migrations
+     * @param {Object} options - { to, dryRun, wait }
+     * @returns {Promise<Array>} Applied (or, with dryRun, pending) migrations
+     */
+    async up(options = {}) {
+        return this._serialize(async () => {
+            await this._ensureTables();
+
+            const { pending } = await this._plan();
+            const target = options.to !== undefined ? Number(options.to) : Infinity;
+            const list = pending.filter(m => m.version <= target);
+
+            if (options.dryRun || !list.length) return list;
+
+            return this._withLock(options, async () => {
+                // Re-read after taking the lock; another process may have finished
+                const { pending: fresh } = await this._plan();
+                const todo = fresh.filter(m => m.version <= target);
+
+                for (const migration of todo) {
+                    await this._run(migration, 'up');
+                }
+                return todo;
+            });
+        });
+    }
+
+    /**
+     * Revert applied migrations, newest first
+     * @param {Object} options - { steps, to, dryRun, wait }
+     * @returns {Promise<Array>} Reverted (or, with dryRun, to be reverted) migrations
+     */
+    async down(options = {}) {
+        return this._serialize(async () => {
+            await this._ensureTables();
+
+            const select = async () => {
+                const { applied } = await this._plan();
+                const newest = applied.slice().reverse();
+
+                if (options.to !== undefined) {
+                    return newest.filter(m => m.version > Number(options.to));
+                }
+                return newest.slice(0, options.steps !== undefined ? Number(options.steps) : 1);
+            };
+
+            const list = await select();
+            if (options.dryRun || !list.length) return list;
+
+            return this._withLock(options, async () => {
+                const todo = await select();
+
+                // Refuse up front rather than stopping halfway through
+                for (const migration of todo) {
+                    if (!migration.module) {
+                        throw new Error(`Migration ${this._label(migration)} file is missing, cannot revert`);
+                    }
+                    if (typeof migration.module.down !== 'function') {
+                        throw new Error(`Migration ${this._label(migration)} is irreversible`);
+                    }
+                }
+
+                for (const migration of todo) {
+                    await this._run(migration, 'down');
+                }
+                return todo;
+            });
+        });
+    }
+
+    /**
+     * Get migration status
+     * @returns {Promise<Array>} { version, name, state: applied|pending|changed|missing, applied_at }
+     */
+    async status() {
+        await this._ensureTables();
+
+        const files = this._load();
+        const rows = await this.db.all(`SELECT * FROM schema_migrations ORDER BY version`);
+        const byVersion = new Map(rows.map(r => [r.version, r]));
+
+        const list = files.map(m => {
+            const row = byVersion.get(m.version);
+            let state = 'pending';
+            if (row) state = row.checksum === m.checksum ? 'applied' : 'changed';
+            return { version: m.version, name: m.name, state, applied_at: row?.applied_at || null };
+        });
+
+        for (const row of rows) {
+            if (!files.some(m => m.version === row.version)) {
+                list.push({ version: row.version, name: row.name, state: 'missing', applied_at: row.applied_at });
+            }
+        }
+
+        return list.sort((a, b) => a.version - b.version);
+    }
+
+    // ==================== INTERNALS ====================
+
+    /**
+     * Run fn after any migration already in progress on this database
+     * @private
+     */
+    async _serialize(fn) {
+        const previous = running.get(this.dbPath) || Promise.resolve();
+        const current = previous.catch(() => {}).then(fn);
+
+        running.set(this.dbPath, current);
+        try {
+            return await current;
+        } finally {
+            if (running.get(this.dbPath) === current) running.delete(this.dbPath);
+        }
+    }
+
+    /**
+     * Create bookkeeping tables
+     * @private
+     */
+    async _ensureTables() {
+        await this.db.exec(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                checksum TEXT NOT NULL,
+                duration INTEGER,
+                applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await this.db.exec(`
+            CREATE TABLE IF NOT EXISTS schema_lock (
+                id INTEGER PRIMARY KEY CHECK (id = 1),
+                owner TEXT NOT NULL,
+                acquired_at INTEGER NOT NULL
+            )
+        `);
+    }
+
+    /**
+     * Read migration files from disk
+     * @private
+     * @returns {Array} Migrations sorted by version
+     */
+    _load() {
+        if (!fs.existsSync(this.dir)) return [];
+
+        const migrations = fs.readdirSync(this.dir)
+            .map(file => ({ file, match: file.match(FILE_PATTERN) }))
+            .filter(({ match }) => match)
+            .map(({ file, match }) => {
+                const fullPath = path.join(this.dir, file);
+                return {
+                    version: parseInt(match[1], 10),
+                    name: match[2],
+                    file: fullPath,
+                    checksum: crypto.createHash('sha256').update(fs.readFileSync(fullPath)).digest('hex'),
+                    module: require(fullPath)
+                };
+            })
+            .sort((a, b) => a.version - b.version);
+
+        for (let i = 1; i < migrations.length; i++) {
+            if (migrations[i].version === migrations[i - 1].version) {
+                throw new Error(`Duplicate migration version ${migrations[i].version}`);
+            }
+        }
+
+        return migrations;
+    }
+
+    /**
+     * Compare files with applied rows
+     * @private
+     * @returns {Promise<Object>} { applied, pending }
+     */
+    async _plan() {
+        const files = this._load();
+        const rows = await this.db.all(`SELECT * FROM schema_migrations ORDER BY version`);
+        const byVersion = new Map(rows.map(r => [r.version, r]));
+
+        const changed = files.filter(m => byVersion.has(m.version) && byVersion.get(m.version).checksum !== m.checksum);
+        if (changed.length) {
+            throw new Error(
+                `Applied migrations were modified: ${changed.map(m => this._label(m)).join(', ')}. ` +
+                'Add a new migration instead of editing an applied one.'
+            );
+        }
+
+        const applied = rows.map(r => files.find(m => m.version === r.version) || { version: r.version, name: r.name });
+        const pending = files.filter(m => !byVersion.has(m.version));
+
+        return { applied, pending };
+    }
+
+    /**
+     * Run one migration and record it
+     * @private
+     */
+    async _run(migration, direction) {
+        const label = this._label(migration);
+        const useTransaction = migration.module.transaction !== false;
+        const start = Date.now();
+
+        this.log(`${direction === 'up' ? 'Applying' : 'Reverting'} ${label}`);
+
+        if (useTransaction) await this.db.exec('BEGIN IMMEDIATE');
+
+        try {
+            await migration.module[direction](this.db);
+
+            if (direction === 'up') {
+                await this.db.run(
+                    `INSERT INTO schema_migrations (version, name, checksum, duration) VALUES (?, ?, ?, ?)`,
+                    [migration.version, migration.name, migration.checksum, Date.now() - start]
+                );
+            } else {
+                await this.db.run(`DELETE FROM schema_migrations WHERE version = ?`, [migration.version]);
+            }
+
+            if (useTransaction) await this.db.exec('COMMIT');
+
+        } catch (error) {
+            if (useTransaction) await this.db.exec('ROLLBACK').catch(() => {});
+            throw new Error(`Migration ${label} failed: ${error.message}`);
+        }
+
+        this.log(`${label} ${direction} done in ${Date.now() - start}ms`);
+    }
+
+    /**
+     * Migration display name, e.g. 001_webhook_endpoints
+     * @private
+     */
+    _label(migration) {
+        return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+    }
+
+    /**
+     * Hold the cross-process migration lock while running fn
+     * @private
+     * @param {Object} options - { wait, timeout }
+     */
+    async _withLock(options, fn) {
+        const wait = options.wait !== false;
+        const deadline = Date.now() + (options.timeout || LOCK_TTL);
+
+        while (!(await this._acquireLock())) {
+            if (!wait || Date.now() > deadline) {
+                const lock = await this.db.get(`SELECT * FROM schema_lock WHERE id = 1`);
+                throw new Error(`Migrations locked by ${lock?.owner || 'another process'}`);
+            }
+            await new Promise(resolve => setTimeout(resolve, LOCK_POLL));
+        }
+
+        try {
+            return await fn();
+        } finally {
+            await this.db.run(`DELETE FROM schema_lock WHERE id = 1 AND owner = ?`, [this.owner]).catch(() => {});
+        }
+    }
+
+    /**
+     * Try to take the lock; locks older than LOCK_TTL are considered abandoned
+     * @private
+     * @returns {Promise<boolean>} Acquired
+     */
+    async _acquireLock() {
+        const now = Date.now();
+
+        await this.db.run(`DELETE FROM schema_lock WHERE id = 1 AND acquired_at < ?`, [now - LOCK_TTL]);
+        const result = await this.db.run(
+            `INSERT OR IGNORE INTO schema_lock (id, owner, acquired_at) VALUES (1, ?, ?)`,
+            [this.owner, now]
+        );
+
+        return result.changes > 0;
+    }
+}
+
+module.exports = Migrator;
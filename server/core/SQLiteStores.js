@@ -4,6 +4,19 @@ const { open } = require('sqlite');
 const path = require('path');
 const fs = require('fs');
 const crypto = require('crypto');
+const { BufferJSON, initAuthCreds, proto, decryptPollVote, jidNormalizedUser, normalizeMessageContent } = require('@whiskeysockets/baileys');
+const Migrator = require('./Migrator');
+const logger = require('../utils/logger');
+const { STATUS } = require('../utils/constants');
+
+// Outbox columns for listings; only the sender reads payload and options
+const OUTBOX_COLUMNS = [
+    'id', 'session_id', 'jid', 'type', 'media_path', 'status', 'msg_id', 'attempts', 'max_attempts',
+    'next_attempt_at', 'error', 'source', 'meta', 'new_contact', 'humanize', 'sent_at', 'created_at', 'updated_at'
+].join(', ');
+
+// Outbox states an item doesn't leave again (apart from receipts moving sent -> read)
+const OUTBOX_FINISHED = ['sent', 'delivered', 'read', 'failed', 'cancelled'];
 
 class LRUCache {
     constructor(maxSize = 1000) {
@@ -119,9 +132,10 @@ class SQLiteStores {
         this.pragmaSet = false;
         this.isClosed = false;
         this.transactionDepth = 0;
+        this.ftsEnabled = false;
         this.preparedStmts = new Map();
         this.cbs = {
-            message: [], presence: [], chat: [], reaction: [],
+            message: [], message_edited: [], poll_vote: [], status: [], presence: [], chat: [], reaction: [],
             group: [], lid: [], error: [], init: [], close: []
         };
         this.stats = {
@@ -161,7 +175,7 @@ class SQLiteStores {
                 // Call _setPragmas here!
                 await this._setPragmas();
 
-                // Create tables if not exist (fast check)
+                // Create the base schema on a new database; everything since is a migration
                 const tablesExist = await this.db.get(
                     "SELECT name FROM sqlite_master WHERE type='table' AND name='users'"
                 );
@@ -170,6 +184,17 @@ class SQLiteStores {
                     await this.createTables();
                 }
 
+                if (process.env.DB_AUTO_MIGRATE !== 'false') {
+                    await new Migrator(this.db, {
+                        dbPath: this.dbPath,
+                        log: (msg) => logger.info(`[Migrate] ${msg}`)
+                    }).up();
+                }
+
+                this.ftsEnabled = !!(await this.db.get(
+                    `SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'msgs_fts'`
+                ));
+
                 this._emit('init', { sessionId: this.sessionId });
                 
                 console.log(`[SQLite] Initialized: ${this.dbPath}`);
@@ -1361,11 +1386,50 @@ class SQLiteStores {
                     continue;
                 }
 
-                // Extract message content safely
-                const messageType = this._getMsgType(msg.message);
-                const text = this._getText(msg.message);
-                const caption = this._getCaption(msg.message);
-                const quoted = msg.message?.extendedTextMessage?.contextInfo?.stanzaId || null;
+                // Edits arrive as protocol messages pointing at the original
+                const edit = this._getEdit(msg.message);
+                if (edit) {
+                    await this.recordMsgEdit({
+                        id: messageId,
+                        msg_id: edit.key.id,
+                        chat: chatJid,
+                        editor: fromMe ? this.sessionId : (key.participant || key.remoteJid),
+                        from_me: fromMe,
+                        message: edit.editedMessage,
+                        ts: edit.timestampMs
+                            ? Math.floor(Number(edit.timestampMs) / 1000)
+                            : Number(msg.messageTimestamp) || Math.floor(Date.now() / 1000)
+                    });
+                    continue;
+                }
+
+                // Votes only change poll tallies, they aren't chat messages
+                if (msg.message?.pollUpdateMessage) {
+                    await this.recordPollVote(msg);
+                    continue;
+                }
+
+                const isStatus = chatJid === STATUS.JID;
+                if (isStatus && msg.message?.protocolMessage) {
+                    const revoked = msg.message.protocolMessage;
+                    if (revoked.type === proto.Message.ProtocolMessage.Type.REVOKE && revoked.key?.id) {
+                        await this.revokeStatus(revoked.key.id);
+                    }
+                    continue;
+                }
+
+                // Someone changed the chat's disappearing messages timer
+                const protocol = msg.message?.protocolMessage;
+                if (protocol?.type === proto.Message.ProtocolMessage.Type.EPHEMERAL_SETTING) {
+                    await this.setChatEphemeral(chatJid, protocol.ephemeralExpiration || 0);
+                }
+
+                // Extract message content safely; view-once and ephemeral wrappers are unwrapped
+                const content = normalizeMessageContent(msg.message);
+                const messageType = this._getMsgType(content);
+                const text = this._getText(content);
+                const caption = this._getCaption(content);
+                const quoted = content?.extendedTextMessage?.contextInfo?.stanzaId || null;
 
                 // Insert message
                 const msgResult = await this.upsert('msgs', {
@@ -1379,19 +1443,52 @@ class SQLiteStores {
                     caption: caption,
                     status: this._getStatus(msg),
                     from_me: fromMe,
-                    fwd: msg.message?.extendedTextMessage?.isForwarded ? 1 : 0,
+                    fwd: this._isForwarded(content) ? 1 : 0,
                     starred: msg.starred ? 1 : 0,
                     ts: Number(msg.messageTimestamp) || Date.now(),
                     quoted: quoted,
+                    view_once: this._isViewOnce(msg.message, content) ? 1 : 0,
+                    ephemeral: this._getExpiration(content),
                     meta: JSON.stringify({ 
                         type, 
                         pushName: msg.pushName,
-                        participant: key.participant
+                        participant: key.participant,
+                        fileName: content?.documentMessage?.fileName || undefined,
+                        contactNames: this._getContactNames(content) || undefined
                     })
                 }, ['session_id', 'id']);
 
                 results.push(msgResult);
 
+                const poll = this._getPoll(content);
+                if (poll) {
+                    await this.savePoll({
+                        msg_id: messageId,
+                        chat: chatJid,
+                        creator: fromMe ? null : (key.participant || key.remoteJid),
+                        from_me: fromMe,
+                        question: poll.name,
+                        options: (poll.options || []).map(o => o.optionName),
+                        selectable_count: poll.selectableOptionsCount || 0,
+                        enc_key: msg.message.messageContextInfo?.messageSecret || content.messageContextInfo?.messageSecret,
+                        ts: Number(msg.messageTimestamp) || Math.floor(Date.now() / 1000)
+                    });
+                }
+
+                // Statuses are kept in msgs for media and receipts but stay out of chats
+                if (isStatus) {
+                    const status = await this.saveStatus({
+                        msg_id: messageId,
+                        sender: fromMe ? this.sessionId : key.participant,
+                        from_me: fromMe,
+                        type: ['conversation', 'extendedtext'].includes(messageType) ? 'text' : messageType,
+                        text: text || caption,
+                        ts: Number(msg.messageTimestamp) || Math.floor(Date.now() / 1000)
+                    });
+                    this._emit('status', status);
+                    continue;
+                }
+
                 // Update chat's last message
                 await this.db.run(
                     `UPDATE chats SET 
@@ -1582,10 +1679,90 @@ class SQLiteStores {
         if (msg.imageMessage?.caption) return msg.imageMessage.caption;
         if (msg.videoMessage?.caption) return msg.videoMessage.caption;
         if (msg.documentMessage?.caption) return msg.documentMessage.caption;
+
+        const poll = this._getPoll(msg);
+        if (poll?.name) return poll.name;
         
         return null;
     }
 
+    /**
+     * Check the forwarded flag, which lives in the contextInfo of any message type
+     * @private
+     * @param {Object} msg - Message object
+     * @returns {boolean} Forwarded
+     */
+    _isForwarded(msg) {
+        if (!msg) return false;
+        return Object.values(msg).some(content => !!content?.contextInfo?.isForwarded);
+    }
+
+    /**
+     * Check whether a message is view-once, either wrapped or flagged on the media
+     * @private
+     * @param {Object} raw - Message object as received
+     * @param {Object} content - Normalised message content
+     * @returns {boolean} View once
+     */
+    _isViewOnce(raw, content) {
+        if (raw?.viewOnceMessage || raw?.viewOnceMessageV2 || raw?.viewOnceMessageV2Extension) return true;
+        return !!(content && Object.values(content).some(part => part?.viewOnce));
+    }
+
+    /**
+     * Get the disappearing messages expiration a message was sent with
+     * @private
+     * @param {Object} content - Normalised message content
+     * @returns {number|null} Expiration in seconds
+     */
+    _getExpiration(content) {
+        if (!content) return null;
+        const part = Object.values(content).find(p => p?.contextInfo?.expiration);
+        return part ? part.contextInfo.expiration : null;
+    }
+
+    /**
+     * Get the poll creation message, whichever version it was sent as
+     * @private
+     * @param {Object} msg - Message object
+     * @returns {Object|null} Poll creation message
+     */
+    _getPoll(msg) {
+        if (!msg) return null;
+        return msg.pollCreationMessage || msg.pollCreationMessageV2 || msg.pollCreationMessageV3 || null;
+    }
+
+    /**
+     * Get the edit protocol message, if this message is an edit
+     * @private
+     * @param {Object} msg - Message object
+     * @returns {Object|null} protocolMessage with key and editedMessage
+     */
+    _getEdit(msg) {
+        const protocol = msg?.protocolMessage || msg?.editedMessage?.message?.protocolMessage;
+        if (!protocol?.key?.id || !protocol.editedMessage) return null;
+
+        const type = proto.Message.ProtocolMessage.Type.MESSAGE_EDIT;
+        return protocol.type === type || protocol.type === 'MESSAGE_EDIT' ? protocol : null;
+    }
+
+    /**
+     * Get display names from contact card messages
+     * @private
+     * @param {Object} msg - Message object
+     * @returns {string|null} Space separated names
+     */
+    _getContactNames(msg) {
+        if (!msg) return null;
+
+        const cards = msg.contactMessage
+            ? [msg.contactMessage]
+            : msg.contactsArrayMessage?.contacts || [];
+
+        const names = cards.map(c => c.displayName).filter(Boolean);
+        return names.length ? names.join(' ') : null;
+    }
+
     /**
      * Get caption from media message
      * @private
@@ -1890,6 +2067,16 @@ class SQLiteStores {
         return this.get('sessions', ['id'], [id]);
     }
 
+    /**
+     * When a session was created, for sending-policy warm-up
+     * @param {string} id - Session ID
+     * @returns {Promise<number|null>} Epoch ms or null
+     */
+    async getSessionCreatedAt(id) {
+        const row = await this.db.get(`SELECT created_at FROM sessions WHERE id = ?`, [id]);
+        return row?.created_at ? Date.parse(`${row.created_at.replace(' ', 'T')}Z`) : null;
+    }
+
     /**
      * Update session
      * @param {string} id - Session ID
@@ -1994,6 +2181,149 @@ class SQLiteStores {
         );
     }
 
+    // ==================== AUTH STATE ====================
+
+    /**
+     * Build a Baileys auth state backed by SQLite.
+     * Creds live in sessions.creds, signal keys in auth_keys.
+     * @param {string} sessionId - Session ID (defaults to store session)
+     * @returns {Promise<Object>} { state, saveCreds, clear }
+     */
+    async useSQLiteAuthState(sessionId = this.sessionId) {
+        if (!sessionId) throw new Error('Session ID required');
+
+        let creds = await this.getAuthCreds(sessionId);
+        if (!creds) {
+            creds = initAuthCreds();
+            await this.saveAuthCreds(sessionId, creds);
+        }
+
+        const keys = {
+            get: async (type, ids) => {
+                const data = {};
+                if (!ids.length) return data;
+
+                const rows = await this.db.all(
+                    `SELECT id, value FROM auth_keys 
+                     WHERE session_id = ? AND type = ? AND id IN (${ids.map(() => '?').join(', ')})`,
+                    [sessionId, type, ...ids]
+                );
+
+                for (const row of rows) {
+                    let value = JSON.parse(row.value, BufferJSON.reviver);
+                    if (type === 'app-state-sync-key' && value) {
+                        value = proto.Message.AppStateSyncKeyData.fromObject(value);
+                    }
+                    data[row.id] = value;
+                }
+
+                return data;
+            },
+            set: async (data) => {
+                await this.transaction(async () => {
+                    for (const type of Object.keys(data)) {
+                        for (const id of Object.keys(data[type])) {
+                            const value = data[type][id];
+                            if (value) {
+                                await this._executeWithRetry(
+                                    `INSERT INTO auth_keys (session_id, type, id, value) VALUES (?, ?, ?, ?)
+                                     ON CONFLICT(session_id, type, id) DO UPDATE SET 
+                                     value = excluded.value, updated_at = CURRENT_TIMESTAMP`,
+                                    [sessionId, type, id, JSON.stringify(value, BufferJSON.replacer)]
+                                );
+                            } else {
+                                await this._executeWithRetry(
+                                    `DELETE FROM auth_keys WHERE session_id = ? AND type = ? AND id = ?`,
+                                    [sessionId, type, id]
+                                );
+                            }
+                        }
+                    }
+                });
+            }
+        };
+
+        return {
+            state: { creds, keys },
+            saveCreds: () => this.saveAuthCreds(sessionId, creds),
+            clear: () => this.clearAuthState(sessionId)
+        };
+    }
+
+    /**
+     * Get stored auth credentials
+     * @param {string} sessionId - Session ID
+     * @returns {Promise<Object|null>} Creds or null if missing/unusable
+     */
+    async getAuthCreds(sessionId = this.sessionId) {
+        const row = await this.db.get(`SELECT creds FROM sessions WHERE id = ?`, [sessionId]);
+        if (!row?.creds) return null;
+
+        try {
+            const creds = JSON.parse(row.creds, BufferJSON.reviver);
+            // Older rows only held the last partial creds.update payload
+            return creds?.noiseKey && creds?.signedIdentityKey ? creds : null;
+        } catch (error) {
+            logger.warn('Invalid stored auth creds', { sid: sessionId, error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Save auth credentials
+     * @param {string} sessionId - Session ID
+     * @param {Object} creds - Baileys auth creds
+     * @returns {Promise<Object>} SQLite result
+     */
+    async saveAuthCreds(sessionId, creds) {
+        if (!sessionId) throw new Error('Session ID required');
+
+        return this._executeWithRetry(
+            `INSERT INTO sessions (id, creds) VALUES (?, ?)
+             ON CONFLICT(id) DO UPDATE SET creds = excluded.creds, updated_at = CURRENT_TIMESTAMP`,
+            [sessionId, JSON.stringify(creds, BufferJSON.replacer)],
+            { table: 'sessions', data: { id: sessionId }, keys: ['id'] }
+        );
+    }
+
+    /**
+     * Remove stored creds and signal keys
+     * @param {string} sessionId - Session ID
+     * @returns {Promise<void>}
+     */
+    async clearAuthState(sessionId = this.sessionId) {
+        if (!sessionId) throw new Error('Session ID required');
+
+        await this.transaction(async () => {
+            await this.db.run(`DELETE FROM auth_keys WHERE session_id = ?`, [sessionId]);
+            await this.db.run(
+                `UPDATE sessions SET creds = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                [sessionId]
+            );
+        });
+        this.cache.delete(`sessions:${sessionId}`);
+    }
+
+    /**
+     * Get sessions with registered auth state
+     * @returns {Promise<Array>} Sessions that can reconnect without QR
+     */
+    async getRestorableSessions() {
+        const rows = await this.db.all(
+            `SELECT * FROM sessions WHERE creds IS NOT NULL OR logged_in = 1`
+        );
+
+        return rows.filter(s => {
+            if (!s.creds) return false;
+            try {
+                const creds = JSON.parse(s.creds, BufferJSON.reviver);
+                return !!(creds?.registered || creds?.me?.id);
+            } catch (error) {
+                return false;
+            }
+        });
+    }
+
     // ==================== GLOBAL SETTINGS ====================
 
     /**
@@ -2164,7 +2494,8 @@ class SQLiteStores {
             last_msg_id: data.last_msg_id || null,
             unread: data.unread || 0,
             mod_tag: data.mod_tag || null,
-            meta: data.meta || null
+            // Left out unless given so updates don't wipe settings kept in meta
+            meta: data.meta
         };
         
         const result = await this.upsert('chats', chatData, ['session_id', 'jid']);
@@ -2183,6 +2514,63 @@ class SQLiteStores {
         return this.get('chats', ['session_id', 'jid'], [this.sessionId, jid]);
     }
 
+    /**
+     * Merge fields into a chat's meta, creating the chat row if needed
+     * @param {string} jid - Chat JID
+     * @param {Object} patch - Fields to merge
+     * @returns {Promise<Object>} Updated meta
+     */
+    async updateChatMeta(jid, patch) {
+        if (!jid) throw new Error('Chat JID required');
+
+        const chat = await this.getChat(jid);
+        let meta = {};
+        try {
+            meta = chat?.meta ? JSON.parse(chat.meta) : {};
+        } catch (error) {
+            // Unparseable meta is replaced
+        }
+        Object.assign(meta, patch);
+
+        await this.db.run(
+            `INSERT INTO chats (session_id, jid, is_group, meta) VALUES (?, ?, ?, ?) 
+             ON CONFLICT(session_id, jid) DO UPDATE SET meta = excluded.meta, updated_at = CURRENT_TIMESTAMP`,
+            [this.sessionId, jid, jid.endsWith('@g.us') ? 1 : 0, JSON.stringify(meta)]
+        );
+
+        this.cache.delete(`chats:${this.sessionId}:${jid}`);
+        this.cache.deletePattern('chats:list:*');
+        return meta;
+    }
+
+    /**
+     * Store a chat's disappearing messages timer
+     * @param {string} jid - Chat JID
+     * @param {number} expiration - Seconds, 0 for off
+     * @returns {Promise<Object>} { expiration, updated_at }
+     */
+    async setChatEphemeral(jid, expiration) {
+        const ephemeral = { expiration: Number(expiration) || 0, updated_at: Math.floor(Date.now() / 1000) };
+        await this.updateChatMeta(jid, { ephemeral });
+        return ephemeral;
+    }
+
+    /**
+     * Get a chat's disappearing messages timer
+     * @param {string} jid - Chat JID
+     * @returns {Promise<number>} Seconds, 0 when off
+     */
+    async getChatEphemeral(jid) {
+        const chat = await this.getChat(jid);
+        if (!chat?.meta) return 0;
+
+        try {
+            return JSON.parse(chat.meta).ephemeral?.expiration || 0;
+        } catch (error) {
+            return 0;
+        }
+    }
+
     /**
      * Get all chats
      * @param {boolean} includeArchived - Whether to include archived chats
@@ -2475,30 +2863,152 @@ class SQLiteStores {
 
     /**
      * Search messages
-     * @param {string} chatJid - Chat JID (optional)
+     * Plain words are ANDed, "quoted phrases" match exactly and word* matches prefixes.
      * @param {string} query - Search query
-     * @param {number} limit - Number of results
-     * @returns {Promise<Array>} Array of matching messages
+     * @param {Object} options - { chat, sender, type, fromMe, from, to, sort, limit, offset }
+     * @returns {Promise<Array>} Messages with score (lower is better) and highlighted snippet
      */
-    async searchMsgs(chatJid, query, limit = 50) {
+    async searchMsgs(query, options = {}) {
         if (!query) return [];
-        
-        let sql;
-        let params;
-        
-        if (chatJid) {
-            sql = `SELECT * FROM msgs 
-                   WHERE session_id = ? AND chat = ? AND text LIKE ? AND deleted = 0 
-                   ORDER BY ts DESC LIMIT ?`;
-            params = [this.sessionId, chatJid, `%${query}%`, limit];
+
+        const where = ['m.session_id = ?', 'm.deleted = 0'];
+        const params = [this.sessionId];
+
+        if (options.chat) {
+            where.push('m.chat = ?');
+            params.push(options.chat);
         } else {
-            sql = `SELECT * FROM msgs 
-                   WHERE session_id = ? AND text LIKE ? AND deleted = 0 
-                   ORDER BY ts DESC LIMIT ?`;
-            params = [this.sessionId, `%${query}%`, limit];
+            where.push('m.chat != ?');
+            params.push(STATUS.JID);
         }
-        
-        return this.db.all(sql, params);
+        if (options.sender) {
+            where.push('m.from_jid = ?');
+            params.push(options.sender);
+        }
+        if (options.type) {
+            const types = Array.isArray(options.type) ? options.type : [options.type];
+            where.push(`m.type IN (${types.map(() => '?').join(', ')})`);
+            params.push(...types);
+        }
+        if (options.fromMe !== undefined) {
+            where.push('m.from_me = ?');
+            params.push(options.fromMe ? 1 : 0);
+        }
+        if (options.from) {
+            where.push('m.ts >= ?');
+            params.push(options.from);
+        }
+        if (options.to) {
+            where.push('m.ts <= ?');
+            params.push(options.to);
+        }
+
+        const limit = options.limit || 50;
+        const offset = options.offset || 0;
+
+        if (!this.ftsEnabled) {
+            where.push('(m.text LIKE ? OR m.caption LIKE ?)');
+            params.push(`%${query}%`, `%${query}%`);
+
+            return this.db.all(
+                `SELECT m.* FROM msgs m WHERE ${where.join(' AND ')} 
+                 ORDER BY m.ts DESC LIMIT ? OFFSET ?`,
+                [...params, limit, offset]
+            );
+        }
+
+        const match = this._ftsQuery(query);
+        if (!match) return [];
+
+        const order = options.sort === 'recent' ? 'm.ts DESC' : 'score ASC, m.ts DESC';
+
+        try {
+            return await this.db.all(
+                `SELECT m.*, 
+                    bm25(msgs_fts, 10.0, 5.0, 2.0) AS score,
+                    snippet(msgs_fts, -1, '<mark>', '</mark>', '…', 12) AS snippet
+                 FROM msgs_fts 
+                 JOIN msgs m ON m.rowid = msgs_fts.rowid
+                 WHERE msgs_fts MATCH ? AND ${where.join(' AND ')}
+                 ORDER BY ${order} LIMIT ? OFFSET ?`,
+                [match, ...params, limit, offset]
+            );
+        } catch (error) {
+            if (/fts5: syntax error|malformed MATCH/i.test(error.message)) {
+                throw Object.assign(new Error('Invalid search query'), { code: 'INVALID_SEARCH_QUERY' });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Turn user input into a safe FTS5 expression
+     * @private
+     * @param {string} query - User query
+     * @returns {string} FTS5 MATCH expression
+     */
+    _ftsQuery(query) {
+        const parts = [];
+        const re = /"([^"]*)"|(\S+)/g;
+        let m;
+
+        while ((m = re.exec(String(query))) !== null) {
+            if (m[1] !== undefined) {
+                const phrase = m[1].replace(/"/g, '').trim();
+                if (phrase) parts.push(`"${phrase}"`);
+                continue;
+            }
+
+            const word = m[2];
+            if (word === 'OR' || word === 'NOT') {
+                // Operators need a term on both sides; a second one in a row is dropped
+                if (parts.length && !['OR', 'NOT'].includes(parts[parts.length - 1])) parts.push(word);
+                continue;
+            }
+
+            const prefix = word.endsWith('*');
+            const term = word.replace(/["*]/g, '');
+            if (term) parts.push(`"${term}"${prefix ? '*' : ''}`);
+        }
+
+        // Drop a dangling operator
+        if (['OR', 'NOT'].includes(parts[parts.length - 1])) parts.pop();
+
+        return parts.join(' ');
+    }
+
+    /**
+     * Rebuild the message search index from scratch
+     * @returns {Promise<void>}
+     */
+    async rebuildSearchIndex() {
+        if (!this.ftsEnabled) throw new Error('Full-text search not available');
+
+        await this.transaction(async () => {
+            await this.db.exec(`DELETE FROM msgs_fts`);
+            await this._fillSearchIndex();
+        });
+    }
+
+    /**
+     * Index all live messages; older rows have no fileName in meta, so take it from media
+     * @private
+     */
+    async _fillSearchIndex() {
+        await this.db.exec(`
+            INSERT INTO msgs_fts (rowid, body, fname, names)
+            SELECT m.rowid,
+                coalesce(m.text, '') || CASE WHEN m.caption IS NOT NULL AND m.caption IS NOT m.text
+                    THEN ' ' || m.caption ELSE '' END,
+                coalesce(
+                    CASE WHEN json_valid(m.meta) THEN json_extract(m.meta, '$.fileName') END,
+                    (SELECT fname FROM media WHERE session_id = m.session_id AND msg_id = m.id)
+                ),
+                CASE WHEN json_valid(m.meta) THEN trim(
+                    coalesce(json_extract(m.meta, '$.pushName'), '') || ' ' ||
+                    coalesce(json_extract(m.meta, '$.contactNames'), '')) END
+            FROM msgs m WHERE m.deleted = 0
+        `);
     }
 
     /**
@@ -2559,787 +3069,2890 @@ class SQLiteStores {
         );
     }
 
-    // ==================== RECEIPTS METHODS ====================
-
     /**
-     * Add message receipt
-     * @param {Object} data - Receipt data
-     * @returns {Promise<Object>} SQLite result
+     * Merge fields into a message's meta JSON
+     * @param {string} id - Message ID
+     * @param {Object} patch - Fields to merge
+     * @returns {Promise<Object|null>} SQLite result or null if message missing
      */
-    async addReceipt(data) {
-        if (!data.msg_id || !data.participant || !data.type) {
-            throw new Error('Message ID, participant and type required');
+    async mergeMsgMeta(id, patch) {
+        if (!id) throw new Error('Message ID required');
+
+        const row = await this.db.get(
+            `SELECT meta FROM msgs WHERE session_id = ? AND id = ?`,
+            [this.sessionId, id]
+        );
+        if (!row) return null;
+
+        let meta = {};
+        try {
+            meta = row.meta ? JSON.parse(row.meta) : {};
+        } catch (error) {
+            meta = {};
         }
-        
-        return this.upsert('receipts', {
-            session_id: this.sessionId,
-            msg_id: data.msg_id,
-            participant: data.participant,
-            type: data.type,
-            ts: data.ts || Date.now()
-        }, ['session_id', 'msg_id', 'participant', 'type']);
-    }
 
-    /**
-     * Get receipts for a message
-     * @param {string} msgId - Message ID
-     * @returns {Promise<Array>} Array of receipts
-     */
-    async getMsgReceipts(msgId) {
-        if (!msgId) return [];
-        
-        return this.db.all(
-            `SELECT * FROM receipts 
-             WHERE session_id = ? AND msg_id = ? 
-             ORDER BY ts ASC`,
-            [this.sessionId, msgId]
+        const result = await this.db.run(
+            `UPDATE msgs SET meta = ?, updated_at = CURRENT_TIMESTAMP 
+             WHERE session_id = ? AND id = ?`,
+            [JSON.stringify({ ...meta, ...patch }), this.sessionId, id]
         );
-    }
+        this.cache.delete(`msgs:${this.sessionId}:${id}`);
 
-    // ==================== MEDIA METHODS ====================
+        return result;
+    }
 
     /**
-     * Insert or update media
-     * @param {Object} data - Media data
-     * @returns {Promise<Object>} SQLite result
+     * Record a message edit and apply it to the stored message
+     * @param {Object} data - { id (edit message ID), msg_id, chat, editor, from_me, text | message, ts (seconds) }
+     * @returns {Promise<Object|null>} Edit, or null if already recorded
      */
-    async upsertMedia(data) {
-        if (!data.msg_id) throw new Error('Message ID required');
-        
-        return this.upsert('media', {
-            session_id: this.sessionId,
-            msg_id: data.msg_id,
-            type: data.type || null,
-            url: data.url || null,
-            key: data.key || null,
-            sha256: data.sha256 || null,
-            enc_sha256: data.enc_sha256 || null,
-            len: data.len || null,
-            h: data.h || null,
-            w: data.w || null,
-            dur: data.dur || null,
-            mime: data.mime || null,
-            fname: data.fname || null,
-            downloaded: data.downloaded || 0,
-            dl_error: data.dl_error || null,
-            meta: data.meta || null
-        }, ['session_id', 'msg_id']);
+    async recordMsgEdit(data) {
+        if (!data.id || !data.msg_id) throw new Error('Edit and message ID required');
+
+        const text = data.text !== undefined
+            ? data.text
+            : this._getText(data.message) ?? this._getCaption(data.message);
+        const ts = data.ts || Math.floor(Date.now() / 1000);
+
+        const edit = await this.transaction(async () => {
+            const current = await this.db.get(
+                `SELECT type, text, caption, edited_at FROM msgs WHERE session_id = ? AND id = ?`,
+                [this.sessionId, data.msg_id]
+            );
+
+            // Editing a media message changes its caption; text is only replaced on text messages
+            const column = !current || ['conversation', 'extendedtext'].includes(current.type) ? 'text' : 'caption';
+            const prevText = current?.[column] ?? null;
+
+            const result = await this.db.run(
+                `INSERT OR IGNORE INTO msg_edits (session_id, edit_id, msg_id, chat, editor, from_me, prev_text, text, ts) 
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [this.sessionId, data.id, data.msg_id, data.chat || null, data.editor || null,
+                    data.from_me ? 1 : 0, prevText, text, ts]
+            );
+            if (!result.changes) return null;
+
+            // History sync can replay older edits; only a newer one replaces the text
+            if (current && !(current.edited_at > ts)) {
+                await this.db.run(
+                    `UPDATE msgs SET ${column} = ?, edited_at = ?, updated_at = CURRENT_TIMESTAMP 
+                     WHERE session_id = ? AND id = ?`,
+                    [text, ts, this.sessionId, data.msg_id]
+                );
+            }
+
+            return {
+                id: data.msg_id,
+                editId: data.id,
+                chat: data.chat,
+                editor: data.editor,
+                fromMe: !!data.from_me,
+                prevText,
+                text,
+                ts
+            };
+        });
+
+        if (edit) {
+            this.cache.delete(`msgs:${this.sessionId}:${data.msg_id}`);
+            this._emit('message_edited', edit);
+        }
+
+        return edit;
     }
 
     /**
-     * Get media by message ID
+     * Get edit history of a message, oldest first
      * @param {string} msgId - Message ID
-     * @returns {Promise<Object|null>} Media object or null
+     * @returns {Promise<Array>} Edits
      */
-    async getMedia(msgId) {
-        if (!msgId) return null;
-        return this.get('media', ['session_id', 'msg_id'], [this.sessionId, msgId]);
+    async getMsgEdits(msgId) {
+        return this.db.all(
+            `SELECT edit_id, editor, from_me, prev_text, text, ts FROM msg_edits 
+             WHERE session_id = ? AND msg_id = ? ORDER BY ts, created_at`,
+            [this.sessionId, msgId]
+        );
     }
 
     /**
-     * Mark media as downloaded
-     * @param {string} msgId - Message ID
-     * @param {string} url - Media URL
-     * @returns {Promise<Object>} SQLite result
+     * Check whether a chat has messages other than the given one
+     * @param {string} chatJid - Chat JID
+     * @param {string} excludeId - Message ID to ignore
+     * @returns {Promise<boolean>} True if earlier messages exist
      */
-    async markMediaDownloaded(msgId, url) {
-        if (!msgId) throw new Error('Message ID required');
-        
-        return this.db.run(
-            `UPDATE media SET downloaded = 1, url = ?, updated_at = CURRENT_TIMESTAMP 
-             WHERE session_id = ? AND msg_id = ?`,
-            [url, this.sessionId, msgId]
+    async hasOtherChatMsgs(chatJid, excludeId) {
+        const row = await this.db.get(
+            `SELECT 1 as found FROM msgs WHERE session_id = ? AND chat = ? AND id != ? LIMIT 1`,
+            [this.sessionId, chatJid, excludeId]
         );
+        return !!row;
     }
 
+    // ==================== POLL METHODS ====================
+
     /**
-     * Mark media as failed
-     * @param {string} msgId - Message ID
-     * @param {string} error - Error message
-     * @returns {Promise<Object>} SQLite result
+     * Save a poll so its votes can be decrypted and counted
+     * @param {Object} data - { msg_id, chat, creator, from_me, question, options, selectable_count, enc_key, ts }
+     * @returns {Promise<Object>} Result
      */
-    async markMediaFailed(msgId, error) {
-        if (!msgId) throw new Error('Message ID required');
-        
+    async savePoll(data) {
+        const encKey = data.enc_key
+            ? (typeof data.enc_key === 'string' ? data.enc_key : Buffer.from(data.enc_key).toString('base64'))
+            : null;
+
+        // Keep a known secret if a later copy (e.g. history sync) arrives without one
         return this.db.run(
-            `UPDATE media SET dl_error = ?, updated_at = CURRENT_TIMESTAMP 
-             WHERE session_id = ? AND msg_id = ?`,
-            [error, this.sessionId, msgId]
+            `INSERT INTO polls (session_id, msg_id, chat, creator, from_me, question, options, selectable_count, enc_key, ts) 
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?) 
+             ON CONFLICT(session_id, msg_id) DO UPDATE SET enc_key = COALESCE(excluded.enc_key, polls.enc_key)`,
+            [this.sessionId, data.msg_id, data.chat, data.creator || null, data.from_me ? 1 : 0, data.question || null,
+                JSON.stringify(data.options || []), data.selectable_count || 0, encKey, data.ts || null]
         );
     }
 
-    // ==================== GROUP METHODS ====================
+    /**
+     * Get a poll
+     * @param {string} msgId - Poll message ID
+     * @returns {Promise<Object|null>} Poll
+     */
+    async getPoll(msgId) {
+        const poll = await this.db.get(
+            `SELECT * FROM polls WHERE session_id = ? AND msg_id = ?`,
+            [this.sessionId, msgId]
+        );
+        if (!poll) return null;
+
+        poll.options = poll.options ? JSON.parse(poll.options) : [];
+        return poll;
+    }
 
     /**
-     * Insert or update group
-     * @param {Object} data - Group data
-     * @returns {Promise<Object>} SQLite result
+     * Decrypt a poll update message and store the voter's selection
+     * @param {Object} msg - WAMessage carrying a pollUpdateMessage
+     * @returns {Promise<Object|null>} Vote, or null if it couldn't be applied
      */
-    async upsertGroup(data) {
-        if (!data.jid) throw new Error('Group JID required');
-        
-        const groupData = {
-            session_id: this.sessionId,
-            jid: data.jid,
-            subject: data.subject || null,
-            subject_owner: data.subject_owner || null,
-            subject_ts: data.subject_ts || null,
-            desc: data.desc || null,
-            desc_owner: data.desc_owner || null,
-            desc_id: data.desc_id || null,
-            desc_ts: data.desc_ts || null,
-            pic: data.pic || null,
-            pic_id: data.pic_id || null,
-            announce: data.announce ? 1 : 0,
-            restrict: data.restrict ? 1 : 0,
-            locked: data.locked ? 1 : 0,
-            approval: data.approval ? 1 : 0,
-            created_ts: data.created_ts || null,
-            part_ver: data.part_ver || null,
-            meta: data.meta || null
-        };
-        
-        return this.upsert('groups', groupData, ['session_id', 'jid']);
+    async recordPollVote(msg) {
+        const update = msg.message.pollUpdateMessage;
+        const pollId = update.pollCreationMessageKey?.id;
+        const poll = pollId ? await this.getPoll(pollId) : null;
+
+        if (!poll || !poll.enc_key) {
+            logger.warn('Skipping vote for unknown poll', { sid: this.sessionId, pollId });
+            return null;
+        }
+
+        const me = await this._meJid();
+        const voter = msg.key.fromMe ? me : jidNormalizedUser(msg.key.participant || msg.key.remoteJid);
+        const creator = poll.from_me ? me : jidNormalizedUser(poll.creator);
+        if (!voter || !creator) return null;
+
+        const vote = decryptPollVote(update.vote, {
+            pollCreatorJid: creator,
+            pollMsgId: pollId,
+            pollEncKey: Buffer.from(poll.enc_key, 'base64'),
+            voterJid: voter
+        });
+
+        // Votes reference options by the SHA-256 of their name
+        const hashes = new Map(poll.options.map(name => [
+            crypto.createHash('sha256').update(Buffer.from(name)).digest('hex'), name
+        ]));
+        const options = (vote.selectedOptions || [])
+            .map(hash => hashes.get(Buffer.from(hash).toString('hex')))
+            .filter(Boolean);
+
+        const ts = update.senderTimestampMs
+            ? Math.floor(Number(update.senderTimestampMs) / 1000)
+            : Number(msg.messageTimestamp) || Math.floor(Date.now() / 1000);
+
+        // A voter's latest update replaces the earlier one; replays of older ones are ignored
+        const result = await this.db.run(
+            `INSERT INTO poll_votes (session_id, poll_id, voter, options, vote_msg_id, ts) VALUES (?, ?, ?, ?, ?, ?) 
+             ON CONFLICT(session_id, poll_id, voter) DO UPDATE SET 
+                options = excluded.options, vote_msg_id = excluded.vote_msg_id, 
+                ts = excluded.ts, updated_at = CURRENT_TIMESTAMP 
+             WHERE excluded.ts >= poll_votes.ts`,
+            [this.sessionId, pollId, voter, JSON.stringify(options), msg.key.id, ts]
+        );
+        if (!result.changes) return null;
+
+        const data = { pollId, chat: poll.chat, voter, options, fromMe: !!msg.key.fromMe, ts };
+        this._emit('poll_vote', data);
+        return data;
     }
 
     /**
-     * Get group by JID
-     * @param {string} jid - Group JID
-     * @returns {Promise<Object|null>} Group object or null
+     * Get poll results with per-option tallies and voters
+     * @param {string} msgId - Poll message ID
+     * @returns {Promise<Object|null>} Results
      */
-    async getGroup(jid) {
-        if (!jid) return null;
-        return this.get('groups', ['session_id', 'jid'], [this.sessionId, jid]);
+    async getPollResults(msgId) {
+        const poll = await this.getPoll(msgId);
+        if (!poll) return null;
+
+        const votes = await this.db.all(
+            `SELECT voter, options, ts FROM poll_votes WHERE session_id = ? AND poll_id = ? ORDER BY ts`,
+            [this.sessionId, msgId]
+        );
+
+        const tally = new Map(poll.options.map(name => [name, []]));
+        let voters = 0;
+        for (const vote of votes) {
+            const selected = vote.options ? JSON.parse(vote.options) : [];
+            if (selected.length) voters++;
+            for (const name of selected) {
+                if (tally.has(name)) tally.get(name).push(vote.voter);
+            }
+        }
+
+        return {
+            id: poll.msg_id,
+            chat: poll.chat,
+            question: poll.question,
+            selectableCount: poll.selectable_count,
+            fromMe: !!poll.from_me,
+            ts: poll.ts,
+            voters,
+            options: Array.from(tally, ([name, list]) => ({ name, votes: list.length, voters: list }))
+        };
     }
 
     /**
-     * Get all groups
-     * @returns {Promise<Array>} Array of groups
+     * Our own normalised JID, from the stored creds
+     * @private
+     * @returns {Promise<string|null>} JID
      */
-    async getAllGroups() {
-        return this.all('groups', 'ORDER BY subject COLLATE NOCASE');
+    async _meJid() {
+        const creds = await this.getAuthCreds(this.sessionId);
+        return creds?.me?.id ? jidNormalizedUser(creds.me.id) : null;
     }
 
+    // ==================== STATUS METHODS ====================
+
     /**
-     * Search groups by subject
-     * @param {string} query - Search query
-     * @returns {Promise<Array>} Array of matching groups
+     * Save a status; a later save keeps the audience already recorded
+     * @param {Object} data - { msg_id, sender, from_me, type, text, ts, audience }
+     * @returns {Promise<Object>} Status event data
      */
-    async searchGroups(query) {
-        if (!query) return [];
-        
-        return this.db.all(
-            `SELECT * FROM groups 
-             WHERE session_id = ? AND deleted = 0 
-             AND subject LIKE ? 
-             ORDER BY subject COLLATE NOCASE`,
-            [this.sessionId, `%${query}%`]
+    async saveStatus(data) {
+        if (!data.msg_id || !data.sender) throw new Error('Status ID and sender required');
+
+        const ts = data.ts > 1e12 ? Math.floor(data.ts / 1000) : data.ts;
+        const expiresAt = ts + STATUS.TTL;
+
+        await this.db.run(
+            `INSERT INTO statuses (session_id, msg_id, sender, from_me, type, text, ts, expires_at, audience) 
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?) 
+             ON CONFLICT(session_id, msg_id) DO UPDATE SET 
+                type = COALESCE(excluded.type, statuses.type), 
+                text = COALESCE(excluded.text, statuses.text), 
+                audience = COALESCE(excluded.audience, statuses.audience)`,
+            [this.sessionId, data.msg_id, data.sender, data.from_me ? 1 : 0, data.type || null, data.text || null,
+                ts, expiresAt, data.audience ? JSON.stringify(data.audience) : null]
         );
+
+        return {
+            id: data.msg_id,
+            chat: STATUS.JID,
+            sender: data.sender,
+            fromMe: !!data.from_me,
+            type: data.type,
+            text: data.text || null,
+            ts,
+            expiresAt
+        };
     }
 
     /**
-     * Get group members
-     * @param {string} jid - Group JID
-     * @returns {Promise<Array>} Array of members
+     * Mark a status deleted by its sender
+     * @param {string} msgId - Status message ID
+     * @returns {Promise<Object>} SQLite result
      */
-    async getGroupMembers(jid) {
-        if (!jid) return [];
-        
-        return this.db.all(
-            `SELECT * FROM group_members 
-             WHERE session_id = ? AND group_jid = ? AND active = 1 
-             ORDER BY role, member`,
-            [this.sessionId, jid]
+    async revokeStatus(msgId) {
+        return this.db.run(
+            `UPDATE statuses SET deleted = 1 WHERE session_id = ? AND msg_id = ?`,
+            [this.sessionId, msgId]
         );
     }
 
     /**
-     * Get group admins
-     * @param {string} jid - Group JID
-     * @returns {Promise<Array>} Array of admins
+     * Get received statuses grouped by contact, most recent poster first
+     * @param {Object} options - { sender, includeExpired }
+     * @returns {Promise<Array>} [{ jid, name, latest, statuses }]
      */
-    async getGroupAdmins(jid) {
-        if (!jid) return [];
-        
-        return this.db.all(
-            `SELECT * FROM group_members 
-             WHERE session_id = ? AND group_jid = ? AND role = 'admin' AND active = 1`,
-            [this.sessionId, jid]
+    async getStatuses(options = {}) {
+        const where = ['s.session_id = ?', 's.from_me = 0', 's.deleted = 0'];
+        const params = [this.sessionId];
+
+        if (!options.includeExpired) {
+            where.push('s.expires_at > ?');
+            params.push(Math.floor(Date.now() / 1000));
+        }
+        if (options.sender) {
+            where.push('s.sender = ?');
+            params.push(options.sender);
+        }
+
+        const rows = await this.db.all(
+            `SELECT s.*, COALESCE(c.name, c.push, c.short) AS name 
+             FROM statuses s 
+             LEFT JOIN contacts c ON c.session_id = s.session_id AND c.jid = s.sender 
+             WHERE ${where.join(' AND ')} 
+             ORDER BY s.ts ASC`,
+            params
         );
+
+        const groups = new Map();
+        for (const row of rows) {
+            if (!groups.has(row.sender)) {
+                groups.set(row.sender, { jid: row.sender, name: row.name || null, latest: 0, statuses: [] });
+            }
+            const group = groups.get(row.sender);
+            group.latest = Math.max(group.latest, row.ts);
+            group.statuses.push({
+                id: row.msg_id,
+                type: row.type,
+                text: row.text,
+                ts: row.ts,
+                expires_at: row.expires_at
+            });
+        }
+
+        return Array.from(groups.values()).sort((a, b) => b.latest - a.latest);
     }
 
     /**
-     * Get specific group member
-     * @param {string} jid - Group JID
-     * @param {string} member - Member JID
-     * @returns {Promise<Object|null>} Member object or null
+     * Get our own statuses with view counts
+     * @param {Object} options - { includeExpired }
+     * @returns {Promise<Array>} Statuses
      */
-    async getGroupMember(jid, member) {
-        if (!jid || !member) return null;
-        
-        return this.db.get(
-            `SELECT * FROM group_members 
-             WHERE session_id = ? AND group_jid = ? AND member = ?`,
-            [this.sessionId, jid, member]
+    async getMyStatuses(options = {}) {
+        const where = ['s.session_id = ?', 's.from_me = 1', 's.deleted = 0'];
+        const params = [this.sessionId];
+
+        if (!options.includeExpired) {
+            where.push('s.expires_at > ?');
+            params.push(Math.floor(Date.now() / 1000));
+        }
+
+        const rows = await this.db.all(
+            `SELECT s.*, 
+                (SELECT COUNT(DISTINCT r.participant) FROM receipts r 
+                 WHERE r.session_id = s.session_id AND r.msg_id = s.msg_id AND r.type = 'read') AS views 
+             FROM statuses s 
+             WHERE ${where.join(' AND ')} 
+             ORDER BY s.ts DESC`,
+            params
         );
+
+        return rows.map(row => ({
+            id: row.msg_id,
+            type: row.type,
+            text: row.text,
+            ts: row.ts,
+            expires_at: row.expires_at,
+            audience: row.audience ? JSON.parse(row.audience).length : null,
+            views: row.views
+        }));
     }
 
     /**
-     * Insert or update group member
-     * @param {Object} data - Member data
-     * @returns {Promise<Object>} SQLite result
+     * Get a status
+     * @param {string} msgId - Status message ID
+     * @returns {Promise<Object|null>} Status
      */
-    async upsertGroupMember(data) {
-        if (!data.group_jid || !data.member) {
-            throw new Error('Group JID and member required');
-        }
-        
-        const memberData = {
-            session_id: this.sessionId,
-            group_jid: data.group_jid,
-            member: data.member,
-            lid: data.lid || null,
-            role: data.role || 'member',
-            req_status: data.req_status || null,
-            req_method: data.req_method || null,
-            req_ts: data.req_ts || null,
-            label: data.label || null,
-            active: data.active !== undefined ? data.active : 1,
-            added_by: data.added_by || null,
-            added_ts: data.added_ts || null,
-            removed_by: data.removed_by || null,
-            removed_ts: data.removed_ts || null
-        };
-        
-        return this.upsert('group_members', memberData, ['session_id', 'group_jid', 'member']);
+    async getStatus(msgId) {
+        const row = await this.db.get(
+            `SELECT * FROM statuses WHERE session_id = ? AND msg_id = ?`,
+            [this.sessionId, msgId]
+        );
+        if (!row) return null;
+
+        row.audience = row.audience ? JSON.parse(row.audience) : null;
+        return row;
     }
 
     /**
-     * Update group member role
-     * @param {string} jid - Group JID
-     * @param {string} member - Member JID
-     * @param {string} role - New role
-     * @returns {Promise<Object>} SQLite result
+     * Get who viewed a status, from its read receipts
+     * @param {string} msgId - Status message ID
+     * @returns {Promise<Array>} [{ jid, name, ts }]
      */
-    async updateGroupMemberRole(jid, member, role) {
-        if (!jid || !member || !role) {
-            throw new Error('Group JID, member and role required');
-        }
-        
-        return this.db.run(
-            `UPDATE group_members SET role = ?, updated_at = CURRENT_TIMESTAMP 
-             WHERE session_id = ? AND group_jid = ? AND member = ?`,
-            [role, this.sessionId, jid, member]
+    async getStatusViews(msgId) {
+        return this.db.all(
+            `SELECT r.participant AS jid, COALESCE(c.name, c.push, c.short) AS name, MIN(r.ts) AS ts 
+             FROM receipts r 
+             LEFT JOIN contacts c ON c.session_id = r.session_id AND c.jid = r.participant 
+             WHERE r.session_id = ? AND r.msg_id = ? AND r.type = 'read' 
+             GROUP BY r.participant 
+             ORDER BY ts ASC`,
+            [this.sessionId, msgId]
         );
     }
 
-    // ==================== CALL METHODS ====================
+    // ==================== OUTBOX METHODS ====================
+
+    /**
+     * Add outgoing message to the persistent outbox
+     * Media should be a file reference ({ url }) with mediaPath set, not a buffer.
+     * @param {Object} data - { jid, type, message, options, mediaPath, maxAttempts, sendAt, source, meta, humanize }
+     * @returns {Promise<Object>} Outbox item (without payload)
+     */
+    async enqueueOutbox(data) {
+        if (!data.jid || !data.message) throw new Error('JID and message required');
+
+        const id = `outbox_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+
+        await this._executeWithRetry(
+            `INSERT INTO outbox (id, session_id, jid, type, payload, options, media_path, status, max_attempts, next_attempt_at, source, meta, humanize)
+             VALUES (?, ?, ?, ?, ?, ?, ?, 'queued', ?, ?, ?, ?, ?)`,
+            [
+                id,
+                this.sessionId,
+                data.jid,
+                data.type || 'text',
+                JSON.stringify(data.message, BufferJSON.replacer),
+                data.options ? JSON.stringify(data.options, BufferJSON.replacer) : null,
+                data.mediaPath || null,
+                data.maxAttempts || 3,
+                data.sendAt || Date.now(),
+                data.source || 'api',
+                data.meta ? JSON.stringify(data.meta) : null,
+                data.humanize ? JSON.stringify(data.humanize) : null
+            ]
+        );
+
+        return this.getOutboxItem(id);
+    }
 
     /**
-     * Insert or update call
-     * @param {Object} data - Call data
-     * @returns {Promise<Object>} SQLite result
+     * Get outbox item
+     * @param {string} id - Outbox ID
+     * @param {boolean} withPayload - Include the decoded Baileys payload
+     * @returns {Promise<Object|null>} Outbox item or null
      */
-    async upsertCall(data) {
-        if (!data.id) throw new Error('Call ID required');
-        
-        const callData = {
-            session_id: this.sessionId,
-            id: data.id,
-            from_jid: data.from_jid || null,
-            to_jid: data.to_jid || null,
-            type: data.type || null,
-            status: data.status || null,
-            ts: data.ts || Date.now(),
-            dur: data.dur || null,
-            video: data.video ? 1 : 0,
-            group_jid: data.group_jid || null,
-            meta: data.meta || null
-        };
-        
-        return this.upsert('calls', callData, ['session_id', 'id']);
+    async getOutboxItem(id, withPayload = false) {
+        if (!id) return null;
+
+        const row = await this.db.get(
+            `SELECT ${OUTBOX_COLUMNS}${withPayload ? ', payload, options' : ''} FROM outbox WHERE session_id = ? AND id = ?`,
+            [this.sessionId, id]
+        );
+
+        return row ? this._parseOutbox(row, withPayload) : null;
     }
 
     /**
-     * Get call history
-     * @param {number} limit - Number of calls
-     * @param {number} offset - Offset for pagination
-     * @returns {Promise<Array>} Array of calls
+     * List outbox items
+     * @param {Object} filters - { status, jid, limit, offset }
+     * @returns {Promise<Array>} Outbox items (without payload)
      */
-    async getCalls(limit = 50, offset = 0) {
-        return this.db.all(
-            `SELECT * FROM calls 
-             WHERE session_id = ? 
-             ORDER BY ts DESC LIMIT ? OFFSET ?`,
-            [this.sessionId, limit, offset]
+    async getOutbox(filters = {}) {
+        const where = ['session_id = ?'];
+        const params = [this.sessionId];
+
+        if (filters.status) {
+            where.push('status = ?');
+            params.push(filters.status);
+        }
+        if (filters.jid) {
+            where.push('jid = ?');
+            params.push(filters.jid);
+        }
+
+        const rows = await this.db.all(
+            `SELECT ${OUTBOX_COLUMNS} FROM outbox WHERE ${where.join(' AND ')} 
+             ORDER BY created_at DESC LIMIT ? OFFSET ?`,
+            [...params, filters.limit || 50, filters.offset || 0]
         );
+
+        return rows.map(r => this._parseOutbox(r));
     }
 
     /**
-     * Get missed calls
-     * @param {number} limit - Number of calls
-     * @returns {Promise<Array>} Array of missed calls
+     * Get next due outbox item
+     * @returns {Promise<Object|null>} Outbox item with payload or null
      */
-    async getMissedCalls(limit = 50) {
-        return this.db.all(
-            `SELECT * FROM calls 
-             WHERE session_id = ? AND status = 'missed' 
-             ORDER BY ts DESC LIMIT ?`,
-            [this.sessionId, limit]
+    async getNextOutboxItem() {
+        const row = await this.db.get(
+            `SELECT * FROM outbox 
+             WHERE session_id = ? AND status = 'queued' AND next_attempt_at <= ?
+             ORDER BY next_attempt_at ASC, created_at ASC LIMIT 1`,
+            [this.sessionId, Date.now()]
         );
+
+        return row ? this._parseOutbox(row, true) : null;
     }
 
     /**
-     * Update call status
-     * @param {string} id - Call ID
-     * @param {string} status - New status
-     * @param {number} duration - Call duration
-     * @returns {Promise<Object|null>} SQLite result or null
+     * Get time of the next pending retry
+     * @returns {Promise<number|null>} Epoch ms or null
      */
-    async updateCallStatus(id, status, duration = null) {
-        if (!id) throw new Error('Call ID required');
-        
-        const updates = { status };
-        if (duration !== null) updates.dur = duration;
-        
-        const call = await this.get('calls', ['session_id', 'id'], [this.sessionId, id]);
-        if (!call) return null;
-        
-        return this.upsert('calls', { 
-            id, 
-            session_id: this.sessionId, 
-            ...call, 
-            ...updates 
-        }, ['session_id', 'id']);
+    async getNextOutboxAttemptTime() {
+        const row = await this.db.get(
+            `SELECT MIN(next_attempt_at) as next FROM outbox 
+             WHERE session_id = ? AND status = 'queued'`,
+            [this.sessionId]
+        );
+        return row?.next || null;
     }
 
-    // ==================== LABEL METHODS ====================
-
     /**
-     * Insert or update label
-     * @param {Object} data - Label data
+     * Update outbox item; moving it to a finished status drops its payload
+     * @param {string} id - Outbox ID
+     * @param {Object} updates - Fields to update
      * @returns {Promise<Object>} SQLite result
      */
-    async upsertLabel(data) {
-        if (!data.id || !data.name) throw new Error('Label ID and name required');
-        
-        const labelData = {
-            session_id: this.sessionId,
-            id: data.id,
-            name: data.name,
-            color: data.color || '#888888',
-            predefined_id: data.predefined_id || null,
-            count: data.count || 0,
-            meta: data.meta || null,
-            deleted: data.deleted || 0
-        };
-        
-        return this.upsert('labels', labelData, ['session_id', 'id']);
+    async updateOutbox(id, updates) {
+        if (!id) throw new Error('Outbox ID required');
+
+        if (OUTBOX_FINISHED.includes(updates.status)) {
+            updates = { ...updates, payload: null, options: null };
+        }
+
+        const cols = Object.keys(updates);
+        if (!cols.length) return null;
+
+        return this._executeWithRetry(
+            `UPDATE outbox SET ${cols.map(c => `${c} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP 
+             WHERE session_id = ? AND id = ?`,
+            [...cols.map(c => updates[c]), this.sessionId, id]
+        );
     }
 
     /**
-     * Get all labels
-     * @returns {Promise<Array>} Array of labels
+     * Move outbox item forward on delivery receipts (never backwards)
+     * @param {string} msgId - WhatsApp message ID
+     * @param {string} status - delivered or read
+     * @returns {Promise<Object>} SQLite result
      */
-    async getLabels() {
-        return this.all('labels', 'AND deleted = 0 ORDER BY name');
+    async advanceOutboxStatus(msgId, status) {
+        const order = ['sent', 'delivered', 'read'];
+        const rank = order.indexOf(status);
+        if (!msgId || rank < 1) return null;
+
+        const lower = order.slice(0, rank);
+        return this.db.run(
+            `UPDATE outbox SET status = ?, updated_at = CURRENT_TIMESTAMP 
+             WHERE session_id = ? AND msg_id = ? AND status IN (${lower.map(() => '?').join(', ')})`,
+            [status, this.sessionId, msgId, ...lower]
+        );
     }
 
     /**
-     * Get label by ID
-     * @param {string} id - Label ID
-     * @returns {Promise<Object|null>} Label object or null
+     * Cancel a queued outbox item
+     * @param {string} id - Outbox ID
+     * @returns {Promise<boolean>} True if cancelled
      */
-    async getLabel(id) {
-        if (!id) return null;
-        return this.get('labels', ['session_id', 'id'], [this.sessionId, id]);
+    async cancelOutboxItem(id) {
+        const result = await this.db.run(
+            `UPDATE outbox SET status = 'cancelled', payload = NULL, options = NULL, updated_at = CURRENT_TIMESTAMP 
+             WHERE session_id = ? AND id = ? AND status = 'queued'`,
+            [this.sessionId, id]
+        );
+        return result.changes > 0;
     }
 
     /**
-     * Delete label
-     * @param {string} id - Label ID
-     * @param {boolean} soft - Whether to soft delete
-     * @returns {Promise<Object>} SQLite result
+     * Requeue items left in "sending" by a crash or restart
+     * @returns {Promise<number>} Number of items requeued
      */
-    async deleteLabel(id, soft = true) {
-        if (!id) throw new Error('Label ID required');
-        return this.del('labels', ['id'], [id], soft);
+    async requeueStuckOutbox() {
+        const result = await this.db.run(
+            `UPDATE outbox SET status = 'queued', updated_at = CURRENT_TIMESTAMP 
+             WHERE session_id = ? AND status = 'sending'`,
+            [this.sessionId]
+        );
+        return result.changes || 0;
     }
 
     /**
-     * Add label to chat
-     * @param {string} labelId - Label ID
-     * @param {string} chatJid - Chat JID
-     * @returns {Promise<Object>} SQLite result
+     * Media files referenced by items that are still waiting to be sent
+     * @returns {Promise<Array<string>>} File paths (all sessions on the global store)
      */
-    async addLabelToChat(labelId, chatJid) {
-        if (!labelId || !chatJid) throw new Error('Label ID and chat JID required');
-        
-        // Increment label count
-        await this.db.run(
-            `UPDATE labels SET count = count + 1 WHERE session_id = ? AND id = ?`,
-            [this.sessionId, labelId]
-        );
-        
-        return this.upsert('label_assoc', {
-            session_id: this.sessionId, 
-            label_id: labelId, 
-            target: chatJid, 
-            type: 'chat'
-        }, ['session_id', 'label_id', 'target']);
+    async getPendingOutboxMedia() {
+        const params = [];
+        let where = `status IN ('queued', 'sending') AND media_path IS NOT NULL`;
+        if (this.sessionId) {
+            where += ' AND session_id = ?';
+            params.push(this.sessionId);
+        }
+
+        const rows = await this.db.all(`SELECT DISTINCT media_path FROM outbox WHERE ${where}`, params);
+        return rows.map(r => r.media_path);
     }
 
     /**
-     * Add label to message
-     * @param {string} labelId - Label ID
-     * @param {string} msgId - Message ID
-     * @returns {Promise<Object>} SQLite result
+     * Delete finished outbox items older than a cutoff
+     * @param {number} olderThan - Epoch ms
+     * @returns {Promise<number>} Number of items deleted
      */
-    async addLabelToMsg(labelId, msgId) {
-        if (!labelId || !msgId) throw new Error('Label ID and message ID required');
-        
-        // Increment label count
-        await this.db.run(
-            `UPDATE labels SET count = count + 1 WHERE session_id = ? AND id = ?`,
-            [this.sessionId, labelId]
-        );
-        
-        return this.upsert('label_assoc', {
-            session_id: this.sessionId, 
-            label_id: labelId, 
-            target: msgId, 
-            type: 'msg'
-        }, ['session_id', 'label_id', 'target']);
+    async pruneOutbox(olderThan) {
+        const where = `status IN (${OUTBOX_FINISHED.map(() => '?').join(', ')}) AND updated_at < ?`;
+        const params = [...OUTBOX_FINISHED, new Date(olderThan).toISOString().replace('T', ' ').slice(0, 19)];
+
+        return this.transaction(async () => {
+            // Broadcast sends report their recipients after the outbox items are gone
+            await this.db.run(
+                `UPDATE broadcast_recipients 
+                 SET msg_id = (SELECT msg_id FROM outbox WHERE id = outbox_id), 
+                     status = (SELECT status FROM outbox WHERE id = outbox_id) 
+                 WHERE outbox_id IN (SELECT id FROM outbox WHERE ${where})`,
+                params
+            );
+
+            const result = await this.db.run(`DELETE FROM outbox WHERE ${where}`, params);
+            return result.changes || 0;
+        });
     }
 
     /**
-     * Remove label from chat
-     * @param {string} labelId - Label ID
-     * @param {string} chatJid - Chat JID
-     * @returns {Promise<Object>} SQLite result
+     * Count sends in a window for sending policies
+     * @param {Object} filters - { since (epoch ms), jid, newContact, pending }
+     * @returns {Promise<Object>} { count, oldest, latest } with times as epoch ms
      */
-    async removeLabelFromChat(labelId, chatJid) {
-        if (!labelId || !chatJid) throw new Error('Label ID and chat JID required');
-        
-        // Decrement label count
-        await this.db.run(
-            `UPDATE labels SET count = count - 1 WHERE session_id = ? AND id = ? AND count > 0`,
-            [this.sessionId, labelId]
-        );
-        
-        return this.db.run(
-            `DELETE FROM label_assoc 
-             WHERE session_id = ? AND label_id = ? AND target = ? AND type = 'chat'`,
-            [this.sessionId, labelId, chatJid]
+    async countOutboxSends(filters = {}) {
+        const where = ['session_id = ?'];
+        const params = [this.sessionId];
+
+        // With pending, items still waiting in the outbox count as sent
+        where.push(filters.pending
+            ? `(sent_at >= ? OR status IN ('queued', 'sending'))`
+            : 'sent_at >= ?');
+        params.push(new Date(filters.since || 0).toISOString());
+
+        if (filters.jid) {
+            where.push('jid = ?');
+            params.push(filters.jid);
+        }
+        if (filters.newContact) {
+            where.push('new_contact = 1');
+        }
+
+        const row = await this.db.get(
+            `SELECT COUNT(*) as count, MIN(sent_at) as oldest, MAX(sent_at) as latest
+             FROM outbox WHERE ${where.join(' AND ')}`,
+            params
         );
+
+        return {
+            count: row?.count || 0,
+            oldest: row?.oldest ? Date.parse(row.oldest) : null,
+            latest: row?.latest ? Date.parse(row.latest) : null
+        };
     }
 
     /**
-     * Get labels for a chat
-     * @param {string} chatJid - Chat JID
-     * @returns {Promise<Array>} Array of labels
+     * Parse outbox row
+     * @private
+     * @param {Object} row - Raw row
+     * @param {boolean} withPayload - Decode payload
+     * @returns {Object} Outbox item
+     */
+    _parseOutbox(row, withPayload = false) {
+        const { payload, options, meta, humanize, ...item } = row;
+        item.meta = meta ? JSON.parse(meta) : null;
+        item.humanize = humanize ? JSON.parse(humanize) : null;
+        if (withPayload) {
+            item.message = payload ? JSON.parse(payload, BufferJSON.reviver) : null;
+            item.options = options ? JSON.parse(options, BufferJSON.reviver) : null;
+        }
+        return item;
+    }
+
+    // ==================== RECEIPTS METHODS ====================
+
+    /**
+     * Add message receipt
+     * @param {Object} data - Receipt data
+     * @returns {Promise<Object>} SQLite result
      */
-    async getChatLabels(chatJid) {
-        if (!chatJid) return [];
+    async addReceipt(data) {
+        if (!data.msg_id || !data.participant || !data.type) {
+            throw new Error('Message ID, participant and type required');
+        }
         
-        return this.db.all(
-            `SELECT l.* FROM labels l
-             JOIN label_assoc la ON l.id = la.label_id
-             WHERE la.session_id = ? AND la.target = ? AND la.type = 'chat' AND l.deleted = 0
-             ORDER BY l.name`,
-            [this.sessionId, chatJid]
-        );
+        return this.upsert('receipts', {
+            session_id: this.sessionId,
+            msg_id: data.msg_id,
+            participant: data.participant,
+            type: data.type,
+            ts: data.ts || Date.now()
+        }, ['session_id', 'msg_id', 'participant', 'type']);
     }
 
     /**
-     * Get labels for a message
+     * Get receipts for a message
      * @param {string} msgId - Message ID
-     * @returns {Promise<Array>} Array of labels
+     * @returns {Promise<Array>} Array of receipts
      */
-    async getMsgLabels(msgId) {
+    async getMsgReceipts(msgId) {
         if (!msgId) return [];
         
         return this.db.all(
-            `SELECT l.* FROM labels l
-             JOIN label_assoc la ON l.id = la.label_id
-             WHERE la.session_id = ? AND la.target = ? AND la.type = 'msg' AND l.deleted = 0
-             ORDER BY l.name`,
+            `SELECT * FROM receipts 
+             WHERE session_id = ? AND msg_id = ? 
+             ORDER BY ts ASC`,
             [this.sessionId, msgId]
         );
     }
 
-    // ==================== NEWSLETTER METHODS ====================
+    // ==================== MEDIA METHODS ====================
 
     /**
-     * Insert or update newsletter
-     * @param {Object} data - Newsletter data
+     * Insert or update media
+     * @param {Object} data - Media data
      * @returns {Promise<Object>} SQLite result
      */
-    async upsertNewsletter(data) {
-        if (!data.id) throw new Error('Newsletter ID required');
+    async upsertMedia(data) {
+        if (!data.msg_id) throw new Error('Message ID required');
         
-        const newsletterData = {
+        return this.upsert('media', {
             session_id: this.sessionId,
-            id: data.id,
-            server_id: data.server_id || null,
-            name: data.name || null,
-            description: data.description || null,
-            picture: data.picture || null,
-            subscribers: data.subscribers || 0,
+            msg_id: data.msg_id,
+            type: data.type || null,
+            url: data.url || null,
+            key: data.key || null,
+            sha256: data.sha256 || null,
+            enc_sha256: data.enc_sha256 || null,
+            len: data.len || null,
+            h: data.h || null,
+            w: data.w || null,
+            dur: data.dur || null,
+            mime: data.mime || null,
+            fname: data.fname || null,
+            downloaded: data.downloaded || 0,
+            dl_error: data.dl_error || null,
+            meta: data.meta || null
+        }, ['session_id', 'msg_id']);
+    }
+
+    /**
+     * Get media by message ID
+     * @param {string} msgId - Message ID
+     * @returns {Promise<Object|null>} Media object or null
+     */
+    async getMedia(msgId) {
+        if (!msgId) return null;
+        return this.get('media', ['session_id', 'msg_id'], [this.sessionId, msgId]);
+    }
+
+    /**
+     * Mark media as downloaded
+     * @param {string} msgId - Message ID
+     * @param {string} url - Media URL
+     * @returns {Promise<Object>} SQLite result
+     */
+    async markMediaDownloaded(msgId, url) {
+        if (!msgId) throw new Error('Message ID required');
+        
+        this.cache.delete(`media:${this.sessionId}:${msgId}`);
+        return this.db.run(
+            `UPDATE media SET downloaded = 1, url = ?, dl_error = NULL, updated_at = CURRENT_TIMESTAMP 
+             WHERE session_id = ? AND msg_id = ?`,
+            [url, this.sessionId, msgId]
+        );
+    }
+
+    /**
+     * Mark media as failed
+     * @param {string} msgId - Message ID
+     * @param {string} error - Error message
+     * @returns {Promise<Object>} SQLite result
+     */
+    async markMediaFailed(msgId, error) {
+        if (!msgId) throw new Error('Message ID required');
+        
+        const result = await this.db.run(
+            `UPDATE media SET dl_error = ?, updated_at = CURRENT_TIMESTAMP 
+             WHERE session_id = ? AND msg_id = ?`,
+            [error, this.sessionId, msgId]
+        );
+
+        this.cache.delete(`media:${this.sessionId}:${msgId}`);
+        return result;
+    }
+
+    // ==================== GROUP METHODS ====================
+
+    /**
+     * Insert or update group
+     * @param {Object} data - Group data
+     * @returns {Promise<Object>} SQLite result
+     */
+    async upsertGroup(data) {
+        if (!data.jid) throw new Error('Group JID required');
+        
+        const groupData = {
+            session_id: this.sessionId,
+            jid: data.jid,
+            subject: data.subject || null,
+            subject_owner: data.subject_owner || null,
+            subject_ts: data.subject_ts || null,
+            desc: data.desc || null,
+            desc_owner: data.desc_owner || null,
+            desc_id: data.desc_id || null,
+            desc_ts: data.desc_ts || null,
+            pic: data.pic || null,
+            pic_id: data.pic_id || null,
+            announce: data.announce ? 1 : 0,
+            restrict: data.restrict ? 1 : 0,
+            locked: data.locked ? 1 : 0,
+            approval: data.approval ? 1 : 0,
             created_ts: data.created_ts || null,
-            verified: data.verified ? 1 : 0,
-            following: data.following ? 1 : 0,
+            part_ver: data.part_ver || null,
             meta: data.meta || null
         };
         
-        return this.upsert('newsletters', newsletterData, ['session_id', 'id']);
+        return this.upsert('groups', groupData, ['session_id', 'jid']);
+    }
+
+    /**
+     * Get group by JID
+     * @param {string} jid - Group JID
+     * @returns {Promise<Object|null>} Group object or null
+     */
+    async getGroup(jid) {
+        if (!jid) return null;
+        return this.get('groups', ['session_id', 'jid'], [this.sessionId, jid]);
+    }
+
+    /**
+     * Get all groups
+     * @returns {Promise<Array>} Array of groups
+     */
+    async getAllGroups() {
+        return this.all('groups', 'ORDER BY subject COLLATE NOCASE');
+    }
+
+    /**
+     * Search groups by subject
+     * @param {string} query - Search query
+     * @returns {Promise<Array>} Array of matching groups
+     */
+    async searchGroups(query) {
+        if (!query) return [];
+        
+        return this.db.all(
+            `SELECT * FROM groups 
+             WHERE session_id = ? AND deleted = 0 
+             AND subject LIKE ? 
+             ORDER BY subject COLLATE NOCASE`,
+            [this.sessionId, `%${query}%`]
+        );
+    }
+
+    /**
+     * Get group members
+     * @param {string} jid - Group JID
+     * @returns {Promise<Array>} Array of members
+     */
+    async getGroupMembers(jid) {
+        if (!jid) return [];
+        
+        return this.db.all(
+            `SELECT * FROM group_members 
+             WHERE session_id = ? AND group_jid = ? AND active = 1 
+             ORDER BY role, member`,
+            [this.sessionId, jid]
+        );
+    }
+
+    /**
+     * Get group admins
+     * @param {string} jid - Group JID
+     * @returns {Promise<Array>} Array of admins
+     */
+    async getGroupAdmins(jid) {
+        if (!jid) return [];
+        
+        return this.db.all(
+            `SELECT * FROM group_members 
+             WHERE session_id = ? AND group_jid = ? AND role = 'admin' AND active = 1`,
+            [this.sessionId, jid]
+        );
+    }
+
+    /**
+     * Get specific group member
+     * @param {string} jid - Group JID
+     * @param {string} member - Member JID
+     * @returns {Promise<Object|null>} Member object or null
+     */
+    async getGroupMember(jid, member) {
+        if (!jid || !member) return null;
+        
+        return this.db.get(
+            `SELECT * FROM group_members 
+             WHERE session_id = ? AND group_jid = ? AND member = ?`,
+            [this.sessionId, jid, member]
+        );
+    }
+
+    /**
+     * Insert or update group member
+     * @param {Object} data - Member data
+     * @returns {Promise<Object>} SQLite result
+     */
+    async upsertGroupMember(data) {
+        if (!data.group_jid || !data.member) {
+            throw new Error('Group JID and member required');
+        }
+        
+        const memberData = {
+            session_id: this.sessionId,
+            group_jid: data.group_jid,
+            member: data.member,
+            lid: data.lid || null,
+            role: data.role || 'member',
+            req_status: data.req_status || null,
+            req_method: data.req_method || null,
+            req_ts: data.req_ts || null,
+            label: data.label || null,
+            active: data.active !== undefined ? data.active : 1,
+            added_by: data.added_by || null,
+            added_ts: data.added_ts || null,
+            removed_by: data.removed_by || null,
+            removed_ts: data.removed_ts || null
+        };
+        
+        return this.upsert('group_members', memberData, ['session_id', 'group_jid', 'member']);
+    }
+
+    /**
+     * Update group member role
+     * @param {string} jid - Group JID
+     * @param {string} member - Member JID
+     * @param {string} role - New role
+     * @returns {Promise<Object>} SQLite result
+     */
+    async updateGroupMemberRole(jid, member, role) {
+        if (!jid || !member || !role) {
+            throw new Error('Group JID, member and role required');
+        }
+        
+        return this.db.run(
+            `UPDATE group_members SET role = ?, updated_at = CURRENT_TIMESTAMP 
+             WHERE session_id = ? AND group_jid = ? AND member = ?`,
+            [role, this.sessionId, jid, member]
+        );
+    }
+
+    // ==================== GROUP JOIN REQUEST METHODS ====================
+
+    /**
+     * Insert or update a group join request
+     * @param {Object} data - { group_jid, requester, phone, method, status, requested_at, resolved_at, resolved_by }
+     * @returns {Promise<Object>} SQLite result
+     */
+    async upsertJoinRequest(data) {
+        if (!data.group_jid || !data.requester) throw new Error('Group JID and requester required');
+
+        return this.upsert('group_join_requests', {
+            session_id: this.sessionId,
+            group_jid: data.group_jid,
+            requester: data.requester,
+            phone: data.phone,
+            method: data.method,
+            status: data.status,
+            requested_at: data.requested_at,
+            resolved_at: data.resolved_at,
+            resolved_by: data.resolved_by
+        }, ['session_id', 'group_jid', 'requester']);
+    }
+
+    /**
+     * Get a group join request
+     * @param {string} groupJid - Group JID
+     * @param {string} requester - Requester JID
+     * @returns {Promise<Object|null>} Request or null
+     */
+    async getJoinRequest(groupJid, requester) {
+        return this.db.get(
+            `SELECT * FROM group_join_requests WHERE session_id = ? AND group_jid = ? AND requester = ?`,
+            [this.sessionId, groupJid, requester]
+        );
+    }
+
+    /**
+     * List join requests for a group, newest first
+     * @param {string} groupJid - Group JID
+     * @param {Object} filters - { status, limit, offset }
+     * @returns {Promise<Array>} Requests
+     */
+    async getJoinRequests(groupJid, filters = {}) {
+        const where = ['session_id = ?', 'group_jid = ?'];
+        const params = [this.sessionId, groupJid];
+
+        if (filters.status) {
+            where.push('status = ?');
+            params.push(filters.status);
+        }
+
+        return this.db.all(
+            `SELECT * FROM group_join_requests WHERE ${where.join(' AND ')} 
+             ORDER BY requested_at DESC LIMIT ? OFFSET ?`,
+            [...params, filters.limit || 100, filters.offset || 0]
+        );
+    }
+
+    /**
+     * Close pending join requests
+     * @param {string} groupJid - Group JID
+     * @param {Array<string>} requesters - Requester JIDs
+     * @param {string} status - approved, rejected, cancelled or closed
+     * @param {string} by - Who resolved them (admin JID, "api", "auto" or "whatsapp")
+     * @returns {Promise<number>} Number of requests closed
+     */
+    async resolveJoinRequests(groupJid, requesters, status, by) {
+        if (!requesters.length) return 0;
+
+        const result = await this.db.run(
+            `UPDATE group_join_requests SET status = ?, resolved_at = ?, resolved_by = ?, updated_at = CURRENT_TIMESTAMP 
+             WHERE session_id = ? AND group_jid = ? AND status = 'pending' 
+             AND requester IN (${requesters.map(() => '?').join(', ')})`,
+            [status, Date.now(), by || null, this.sessionId, groupJid, ...requesters]
+        );
+        return result.changes || 0;
+    }
+
+    /**
+     * Get the auto-approve rule for a group
+     * @param {string} groupJid - Group JID
+     * @returns {Promise<Object|null>} { group_jid, enabled, prefixes, contacts_only } or null
+     */
+    async getJoinRule(groupJid) {
+        const row = await this.db.get(
+            `SELECT * FROM group_join_rules WHERE session_id = ? AND group_jid = ?`,
+            [this.sessionId, groupJid]
+        );
+        if (!row) return null;
+
+        return {
+            ...row,
+            enabled: !!row.enabled,
+            contacts_only: !!row.contacts_only,
+            prefixes: row.prefixes ? JSON.parse(row.prefixes) : []
+        };
+    }
+
+    /**
+     * Create or replace the auto-approve rule for a group
+     * @param {string} groupJid - Group JID
+     * @param {Object} rule - { enabled, prefixes, contacts_only }
+     * @returns {Promise<Object>} Saved rule
+     */
+    async setJoinRule(groupJid, rule) {
+        await this.upsert('group_join_rules', {
+            session_id: this.sessionId,
+            group_jid: groupJid,
+            enabled: rule.enabled !== undefined ? !!rule.enabled : true,
+            prefixes: JSON.stringify(rule.prefixes || []),
+            contacts_only: !!rule.contacts_only
+        }, ['session_id', 'group_jid']);
+
+        return this.getJoinRule(groupJid);
+    }
+
+    /**
+     * Delete the auto-approve rule for a group
+     * @param {string} groupJid - Group JID
+     * @returns {Promise<boolean>} True if deleted
+     */
+    async deleteJoinRule(groupJid) {
+        const result = await this.db.run(
+            `DELETE FROM group_join_rules WHERE session_id = ? AND group_jid = ?`,
+            [this.sessionId, groupJid]
+        );
+        return result.changes > 0;
+    }
+
+    /**
+     * Find a contact by phone JID or LID
+     * @param {string} jid - JID or LID
+     * @returns {Promise<Object|null>} Contact or null
+     */
+    async findContact(jid) {
+        if (!jid) return null;
+
+        return this.db.get(
+            `SELECT * FROM contacts WHERE session_id = ? AND (jid = ? OR lid = ?) AND deleted = 0 LIMIT 1`,
+            [this.sessionId, jid, jid]
+        );
+    }
+
+    // ==================== CALL METHODS ====================
+
+    /**
+     * Insert or update call
+     * @param {Object} data - Call data
+     * @returns {Promise<Object>} SQLite result
+     */
+    async upsertCall(data) {
+        if (!data.id) throw new Error('Call ID required');
+        
+        const callData = {
+            session_id: this.sessionId,
+            id: data.id,
+            from_jid: data.from_jid || null,
+            to_jid: data.to_jid || null,
+            type: data.type || null,
+            status: data.status || null,
+            ts: data.ts || Date.now(),
+            dur: data.dur || null,
+            video: data.video ? 1 : 0,
+            group_jid: data.group_jid || null,
+            meta: data.meta || null
+        };
+        
+        return this.upsert('calls', callData, ['session_id', 'id']);
+    }
+
+    /**
+     * Get call history
+     * @param {number} limit - Number of calls
+     * @param {number} offset - Offset for pagination
+     * @returns {Promise<Array>} Array of calls
+     */
+    async getCalls(limit = 50, offset = 0) {
+        return this.db.all(
+            `SELECT * FROM calls 
+             WHERE session_id = ? 
+             ORDER BY ts DESC LIMIT ? OFFSET ?`,
+            [this.sessionId, limit, offset]
+        );
+    }
+
+    /**
+     * Get missed calls
+     * @param {number} limit - Number of calls
+     * @returns {Promise<Array>} Array of missed calls
+     */
+    async getMissedCalls(limit = 50) {
+        return this.db.all(
+            `SELECT * FROM calls 
+             WHERE session_id = ? AND status = 'missed' 
+             ORDER BY ts DESC LIMIT ?`,
+            [this.sessionId, limit]
+        );
+    }
+
+    /**
+     * Update call status
+     * @param {string} id - Call ID
+     * @param {string} status - New status
+     * @param {number} duration - Call duration
+     * @returns {Promise<Object|null>} SQLite result or null
+     */
+    async updateCallStatus(id, status, duration = null) {
+        if (!id) throw new Error('Call ID required');
+        
+        const updates = { status };
+        if (duration !== null) updates.dur = duration;
+        
+        const call = await this.get('calls', ['session_id', 'id'], [this.sessionId, id]);
+        if (!call) return null;
+        
+        return this.upsert('calls', { 
+            id, 
+            session_id: this.sessionId, 
+            ...call, 
+            ...updates 
+        }, ['session_id', 'id']);
+    }
+
+    // ==================== LABEL METHODS ====================
+
+    /**
+     * Insert or update label
+     * @param {Object} data - Label data
+     * @returns {Promise<Object>} SQLite result
+     */
+    async upsertLabel(data) {
+        if (!data.id || !data.name) throw new Error('Label ID and name required');
+        
+        const labelData = {
+            session_id: this.sessionId,
+            id: data.id,
+            name: data.name,
+            color: data.color || '#888888',
+            predefined_id: data.predefined_id || null,
+            count: data.count || 0,
+            meta: data.meta || null,
+            deleted: data.deleted || 0
+        };
+        
+        return this.upsert('labels', labelData, ['session_id', 'id']);
+    }
+
+    /**
+     * Get all labels
+     * @returns {Promise<Array>} Array of labels
+     */
+    async getLabels() {
+        return this.all('labels', 'AND deleted = 0 ORDER BY name');
+    }
+
+    /**
+     * Get label by ID
+     * @param {string} id - Label ID
+     * @returns {Promise<Object|null>} Label object or null
+     */
+    async getLabel(id) {
+        if (!id) return null;
+        return this.get('labels', ['session_id', 'id'], [this.sessionId, id]);
+    }
+
+    /**
+     * Delete label
+     * @param {string} id - Label ID
+     * @param {boolean} soft - Whether to soft delete
+     * @returns {Promise<Object>} SQLite result
+     */
+    async deleteLabel(id, soft = true) {
+        if (!id) throw new Error('Label ID required');
+        return this.del('labels', ['id'], [id], soft);
+    }
+
+    /**
+     * Add label to chat
+     * @param {string} labelId - Label ID
+     * @param {string} chatJid - Chat JID
+     * @returns {Promise<Object>} SQLite result
+     */
+    async addLabelToChat(labelId, chatJid) {
+        if (!labelId || !chatJid) throw new Error('Label ID and chat JID required');
+        
+        // Increment label count
+        await this.db.run(
+            `UPDATE labels SET count = count + 1 WHERE session_id = ? AND id = ?`,
+            [this.sessionId, labelId]
+        );
+        
+        return this.upsert('label_assoc', {
+            session_id: this.sessionId, 
+            label_id: labelId, 
+            target: chatJid, 
+            type: 'chat'
+        }, ['session_id', 'label_id', 'target']);
+    }
+
+    /**
+     * Add label to message
+     * @param {string} labelId - Label ID
+     * @param {string} msgId - Message ID
+     * @returns {Promise<Object>} SQLite result
+     */
+    async addLabelToMsg(labelId, msgId) {
+        if (!labelId || !msgId) throw new Error('Label ID and message ID required');
+        
+        // Increment label count
+        await this.db.run(
+            `UPDATE labels SET count = count + 1 WHERE session_id = ? AND id = ?`,
+            [this.sessionId, labelId]
+        );
+        
+        return this.upsert('label_assoc', {
+            session_id: this.sessionId, 
+            label_id: labelId, 
+            target: msgId, 
+            type: 'msg'
+        }, ['session_id', 'label_id', 'target']);
+    }
+
+    /**
+     * Remove label from chat
+     * @param {string} labelId - Label ID
+     * @param {string} chatJid - Chat JID
+     * @returns {Promise<Object>} SQLite result
+     */
+    async removeLabelFromChat(labelId, chatJid) {
+        if (!labelId || !chatJid) throw new Error('Label ID and chat JID required');
+        
+        // Decrement label count
+        await this.db.run(
+            `UPDATE labels SET count = count - 1 WHERE session_id = ? AND id = ? AND count > 0`,
+            [this.sessionId, labelId]
+        );
+        
+        return this.db.run(
+            `DELETE FROM label_assoc 
+             WHERE session_id = ? AND label_id = ? AND target = ? AND type = 'chat'`,
+            [this.sessionId, labelId, chatJid]
+        );
+    }
+
+    /**
+     * Get labels for a chat
+     * @param {string} chatJid - Chat JID
+     * @returns {Promise<Array>} Array of labels
+     */
+    async getChatLabels(chatJid) {
+        if (!chatJid) return [];
+        
+        return this.db.all(
+            `SELECT l.* FROM labels l
+             JOIN label_assoc la ON l.id = la.label_id
+             WHERE la.session_id = ? AND la.target = ? AND la.type = 'chat' AND l.deleted = 0
+             ORDER BY l.name`,
+            [this.sessionId, chatJid]
+        );
+    }
+
+    /**
+     * Get labels for a message
+     * @param {string} msgId - Message ID
+     * @returns {Promise<Array>} Array of labels
+     */
+    async getMsgLabels(msgId) {
+        if (!msgId) return [];
+        
+        return this.db.all(
+            `SELECT l.* FROM labels l
+             JOIN label_assoc la ON l.id = la.label_id
+             WHERE la.session_id = ? AND la.target = ? AND la.type = 'msg' AND l.deleted = 0
+             ORDER BY l.name`,
+            [this.sessionId, msgId]
+        );
+    }
+
+    // ==================== NEWSLETTER METHODS ====================
+
+    /**
+     * Insert or update newsletter
+     * @param {Object} data - Newsletter data
+     * @returns {Promise<Object>} SQLite result
+     */
+    async upsertNewsletter(data) {
+        if (!data.id) throw new Error('Newsletter ID required');
+        
+        const newsletterData = {
+            session_id: this.sessionId,
+            id: data.id,
+            server_id: data.server_id || null,
+            name: data.name || null,
+            description: data.description || null,
+            picture: data.picture || null,
+            subscribers: data.subscribers || 0,
+            created_ts: data.created_ts || null,
+            verified: data.verified ? 1 : 0,
+            following: data.following ? 1 : 0,
+            meta: data.meta || null
+        };
+        
+        return this.upsert('newsletters', newsletterData, ['session_id', 'id']);
+    }
+
+    /**
+     * Get all newsletters
+     * @returns {Promise<Array>} Array of newsletters
+     */
+    async getNewsletters() {
+        return this.all('newsletters', 'ORDER BY name');
+    }
+
+    /**
+     * Get newsletter by ID
+     * @param {string} id - Newsletter ID
+     * @returns {Promise<Object|null>} Newsletter object or null
+     */
+    async getNewsletter(id) {
+        if (!id) return null;
+        return this.get('newsletters', ['session_id', 'id'], [this.sessionId, id]);
+    }
+
+    /**
+     * Insert or update newsletter post
+     * @param {Object} data - Post data
+     * @returns {Promise<Object>} SQLite result
+     */
+    async upsertNewsletterPost(data) {
+        if (!data.nid || !data.pid) throw new Error('Newsletter ID and post ID required');
+        
+        const postData = {
+            session_id: this.sessionId,
+            nid: data.nid,
+            pid: data.pid,
+            server_id: data.server_id || null,
+            msg_id: data.msg_id || null,
+            title: data.title || null,
+            content: data.content || null,
+            media_type: data.media_type || null,
+            media_url: data.media_url || null,
+            views: data.views || 0,
+            reactions: data.reactions || 0,
+            posted_ts: data.posted_ts || Date.now(),
+            meta: data.meta || null
+        };
+        
+        return this.upsert('newsletter_posts', postData, ['session_id', 'nid', 'pid']);
+    }
+
+    /**
+     * Get newsletter posts
+     * @param {string} nid - Newsletter ID
+     * @param {number} limit - Number of posts
+     * @returns {Promise<Array>} Array of posts
+     */
+    async getNewsletterPosts(nid, limit = 50) {
+        if (!nid) return [];
+        
+        return this.db.all(
+            `SELECT * FROM newsletter_posts 
+             WHERE session_id = ? AND nid = ? 
+             ORDER BY posted_ts DESC LIMIT ?`,
+            [this.sessionId, nid, limit]
+        );
+    }
+
+    /**
+     * Increment newsletter post view count
+     * @param {string} nid - Newsletter ID
+     * @param {string} pid - Post ID
+     * @returns {Promise<Object>} SQLite result
+     */
+    async incrementNewsletterPostViews(nid, pid) {
+        if (!nid || !pid) throw new Error('Newsletter ID and post ID required');
+        
+        return this.db.run(
+            `UPDATE newsletter_posts SET views = views + 1 
+             WHERE session_id = ? AND nid = ? AND pid = ?`,
+            [this.sessionId, nid, pid]
+        );
+    }
+
+    // ==================== WEBHOOK METHODS ====================
+
+    /**
+     * Create webhook for n8n
+     * @param {Object} data - Webhook data
+     * @returns {Promise<Object>} SQLite result
+     */
+    async createWebhook(data) {
+        const events = this._webhookEvents(data);
+        if (!events.length || !data.url) {
+            throw new Error('Events and URL required');
+        }
+        
+        const id = `webhook_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+        
+        await this.upsert('webhooks', {
+            id,
+            session_id: this.sessionId,
+            event: events.join(','),
+            events: JSON.stringify(events),
+            filters: data.filters ? JSON.stringify(data.filters) : null,
+            url: data.url,
+            headers: data.headers ? JSON.stringify(data.headers) : null,
+            enabled: data.enabled !== undefined ? data.enabled : 1,
+            retry_count: data.retry_count ?? 3,
+            timeout: data.timeout || 10000,
+            secret: data.secret || `whsec_${crypto.randomBytes(24).toString('hex')}`
+        }, ['id']);
+
+        return { id, events };
+    }
+
+    /**
+     * Get webhook by event type
+     * @param {string} event - Event type
+     * @returns {Promise<Object|null>} Webhook object or null
+     */
+    async getWebhookByEvent(event) {
+        if (!event) return null;
+        return this.get('webhooks', ['session_id', 'event'], [this.sessionId, event]);
+    }
+
+    /**
+     * Get webhook by ID
+     * @param {string} id - Webhook ID
+     * @returns {Promise<Object|null>} Webhook or null
+     */
+    async getWebhook(id) {
+        if (!id) return null;
+
+        const row = this.sessionId
+            ? await this.db.get(`SELECT * FROM webhooks WHERE session_id = ? AND id = ?`, [this.sessionId, id])
+            : await this.db.get(`SELECT * FROM webhooks WHERE id = ?`, [id]);
+
+        return row ? this._parseWebhook(row) : null;
+    }
+
+    /**
+     * Get all webhooks
+     * @returns {Promise<Array>} Array of webhooks
+     */
+    async getAllWebhooks() {
+        const rows = await this.all('webhooks', 'ORDER BY created_at');
+        return rows.map(r => this._parseWebhook(r));
+    }
+
+    /**
+     * Update webhook
+     * @param {string} id - Webhook ID
+     * @param {Object} updates - Fields to update
+     * @returns {Promise<Object|null>} SQLite result or null
+     */
+    async updateWebhook(id, updates) {
+        if (!id) throw new Error('Webhook ID required');
+        
+        const webhook = await this.get('webhooks', ['session_id', 'id'], [this.sessionId, id]);
+        if (!webhook) return null;
+        
+        if (updates.headers && typeof updates.headers !== 'string') {
+            updates.headers = JSON.stringify(updates.headers);
+        }
+
+        if (updates.events || updates.event) {
+            const events = this._webhookEvents(updates);
+            updates.event = events.join(',');
+            updates.events = JSON.stringify(events);
+        }
+
+        if (updates.filters !== undefined && typeof updates.filters !== 'string') {
+            updates.filters = updates.filters ? JSON.stringify(updates.filters) : null;
+        }
+        
+        const result = await this.upsert('webhooks', { id, ...webhook, ...updates }, ['id']);
+        this.cache.delete(`webhooks:${this.sessionId}:${id}`);
+        return result;
+    }
+
+    /**
+     * Normalize event subscription from { events } or legacy { event }
+     * @private
+     * @param {Object} data - Webhook data
+     * @returns {Array<string>} Event patterns
+     */
+    _webhookEvents(data) {
+        let events = data.events;
+        if (!events && data.event) events = [data.event];
+        if (typeof events === 'string') events = events.split(',');
+        if (!Array.isArray(events)) return [];
+
+        return [...new Set(events.map(e => String(e).trim()).filter(Boolean).map(e => e === 'all' ? '*' : e))];
+    }
+
+    /**
+     * Parse webhook row
+     * @private
+     * @param {Object} row - Webhook row
+     * @returns {Object} Parsed webhook
+     */
+    _parseWebhook(row) {
+        if (!row) return row;
+
+        const parse = (value, fallback) => {
+            if (!value || typeof value !== 'string') return value || fallback;
+            try {
+                return JSON.parse(value);
+            } catch (error) {
+                return fallback;
+            }
+        };
+
+        return {
+            ...row,
+            events: parse(row.events, null) || this._webhookEvents({ event: row.event }),
+            filters: parse(row.filters, null),
+            headers: parse(row.headers, {})
+        };
+    }
+
+    /**
+     * Delete webhook
+     * @param {string} id - Webhook ID
+     * @returns {Promise<Object>} SQLite result
+     */
+    async deleteWebhook(id) {
+        if (!id) throw new Error('Webhook ID required');
+        
+        return this.db.run(
+            `DELETE FROM webhooks WHERE id = ? AND session_id = ?`, 
+            [id, this.sessionId]
+        );
+    }
+
+    /**
+     * Get secrets currently valid for signing: the active secret first,
+     * then any rotated-out secrets still inside their grace period
+     * @param {string} webhookId - Webhook ID
+     * @returns {Promise<Array<string>>} Secrets
+     */
+    async getWebhookSecrets(webhookId) {
+        if (!webhookId) return [];
+
+        const rows = await this.db.all(
+            `SELECT secret, 0 AS rank FROM webhooks WHERE id = ? AND secret IS NOT NULL
+             UNION ALL
+             SELECT secret, 1 AS rank FROM webhook_secrets WHERE webhook_id = ? AND expires_at > ?
+             ORDER BY rank`,
+            [webhookId, webhookId, Date.now()]
+        );
+
+        return rows.map(r => r.secret);
+    }
+
+    /**
+     * Rotate webhook secret, keeping the old one valid for a grace period
+     * @param {string} id - Webhook ID
+     * @param {Object} options - { secret, gracePeriod (ms) }
+     * @returns {Promise<Object|null>} { id, secret, previousExpiresAt } or null
+     */
+    async rotateWebhookSecret(id, options = {}) {
+        if (!id) throw new Error('Webhook ID required');
+
+        const webhook = await this.db.get(
+            `SELECT id, secret FROM webhooks WHERE id = ? AND session_id = ?`,
+            [id, this.sessionId]
+        );
+        if (!webhook) return null;
+
+        const secret = options.secret || `whsec_${crypto.randomBytes(24).toString('hex')}`;
+        const gracePeriod = options.gracePeriod !== undefined ? options.gracePeriod : 86400000;
+        const now = Date.now();
+        const previousExpiresAt = webhook.secret && gracePeriod > 0 ? now + gracePeriod : null;
+
+        await this.transaction(async () => {
+            await this.db.run(`DELETE FROM webhook_secrets WHERE webhook_id = ? AND expires_at <= ?`, [id, now]);
+
+            if (previousExpiresAt) {
+                await this.db.run(
+                    `INSERT INTO webhook_secrets (webhook_id, secret, expires_at) VALUES (?, ?, ?)
+                     ON CONFLICT(webhook_id, secret) DO UPDATE SET expires_at = excluded.expires_at`,
+                    [id, webhook.secret, previousExpiresAt]
+                );
+            }
+
+            await this.db.run(
+                `UPDATE webhooks SET secret = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                [secret, id]
+            );
+        });
+
+        this.cache.delete(`webhooks:${this.sessionId}:${id}`);
+
+        return { id, secret, previousExpiresAt };
+    }
+
+    /**
+     * Log webhook delivery
+     * @param {string} webhookId - Webhook ID
+     * @param {string} event - Event type
+     * @param {Object} data - Delivery data
+     * @returns {Promise<Object>} SQLite result
+     */
+    async logWebhookDelivery(webhookId, event, data) {
+        if (!webhookId || !event) throw new Error('Webhook ID and event required');
+        
+        const id = data.id || `delivery_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+        
+        // One row per attempt; upsert() would touch an updated_at column this log doesn't have
+        return this._executeWithRetry(
+            `INSERT INTO webhook_deliveries 
+             (id, webhook_id, session_id, event, payload, response_status, response_body, success, attempt, duration, error)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                id,
+                webhookId,
+                data.session_id || this.sessionId,
+                event,
+                data.payload ? JSON.stringify(data.payload) : null,
+                data.response_status ?? null,
+                data.response_body && typeof data.response_body === 'object'
+                    ? JSON.stringify(data.response_body)
+                    : data.response_body ?? null,
+                data.success ? 1 : 0,
+                data.attempt || 1,
+                data.duration ?? null,
+                data.error ?? null
+            ]
+        );
+    }
+
+    /**
+     * Update webhook statistics
+     * @param {string} webhookId - Webhook ID
+     * @param {boolean} success - Whether delivery succeeded
+     * @param {number} statusCode - HTTP status code
+     * @returns {Promise<Object>} SQLite result
+     */
+    async updateWebhookStats(webhookId, success, statusCode = null) {
+        if (!webhookId) throw new Error('Webhook ID required');
+        
+        if (success) {
+            return this.db.run(
+                `UPDATE webhooks 
+                 SET last_triggered = CURRENT_TIMESTAMP, 
+                     last_response = ?, 
+                     failure_count = 0 
+                 WHERE id = ?`,
+                [statusCode || 200, webhookId]
+            );
+        } else {
+            return this.db.run(
+                `UPDATE webhooks 
+                 SET failure_count = failure_count + 1 
+                 WHERE id = ?`,
+                [webhookId]
+            );
+        }
+    }
+
+    /**
+     * Get webhook delivery history
+     * @param {string} webhookId - Webhook ID
+     * @param {number} limit - Number of records
+     * @returns {Promise<Array>} Array of delivery logs
+     */
+    async getWebhookDeliveries(webhookId, limit = 20) {
+        if (!webhookId) return [];
+        
+        return this.db.all(
+            `SELECT * FROM webhook_deliveries 
+             WHERE webhook_id = ? AND session_id = ? 
+             ORDER BY created_at DESC LIMIT ?`,
+            [webhookId, this.sessionId, limit]
+        );
+    }
+
+    /**
+     * Get failed webhooks that need retry
+     * @returns {Promise<Array>} Array of failed webhooks
+     */
+    async getFailedWebhooks() {
+        return this.db.all(
+            `SELECT * FROM webhooks 
+             WHERE session_id = ? AND enabled = 1 AND failure_count > 0`,
+            [this.sessionId]
+        );
+    }
+
+    // ==================== WEBHOOK QUEUE METHODS ====================
+
+    /**
+     * Persist a webhook delivery before it is sent
+     * @param {Object} data - { webhookId, event, payload, maxAttempts }
+     * @returns {Promise<string>} Queue ID
+     */
+    async enqueueWebhook(data) {
+        if (!data.webhookId || !data.event) throw new Error('Webhook ID and event required');
+
+        const id = `whq_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+
+        await this._executeWithRetry(
+            `INSERT INTO webhook_queue (id, session_id, webhook_id, event, payload, status, max_attempts, next_attempt_at)
+             VALUES (?, ?, ?, ?, ?, 'pending', ?, ?)`,
+            [
+                id,
+                this.sessionId,
+                data.webhookId,
+                data.event,
+                JSON.stringify(data.payload),
+                data.maxAttempts ?? 3,
+                Date.now()
+            ]
+        );
+
+        return id;
+    }
+
+    /**
+     * Get webhook queue item
+     * @param {string} id - Queue ID
+     * @returns {Promise<Object|null>} Queue item or null
+     */
+    async getWebhookQueueItem(id) {
+        if (!id) return null;
+
+        const row = this.sessionId
+            ? await this.db.get(`SELECT * FROM webhook_queue WHERE session_id = ? AND id = ?`, [this.sessionId, id])
+            : await this.db.get(`SELECT * FROM webhook_queue WHERE id = ?`, [id]);
+
+        return row ? this._parseWebhookQueue(row) : null;
+    }
+
+    /**
+     * List webhook queue items
+     * @param {Object} filters - { status, webhook_id, event, since, limit, offset }
+     * @returns {Promise<Array>} Queue items
+     */
+    async getWebhookQueue(filters = {}) {
+        const { where, params } = this._webhookQueueWhere(filters);
+
+        const rows = await this.db.all(
+            `SELECT * FROM webhook_queue WHERE ${where.join(' AND ')} 
+             ORDER BY created_at DESC LIMIT ? OFFSET ?`,
+            [...params, filters.limit || 50, filters.offset || 0]
+        );
+
+        return rows.map(r => this._parseWebhookQueue(r));
+    }
+
+    /**
+     * Get due deliveries across all sessions
+     * @param {number} limit - Max items
+     * @returns {Promise<Array>} Queue items
+     */
+    async getDueWebhookJobs(limit = 10) {
+        const rows = await this.db.all(
+            `SELECT * FROM webhook_queue 
+             WHERE status = 'pending' AND next_attempt_at <= ?
+             ORDER BY next_attempt_at ASC LIMIT ?`,
+            [Date.now(), limit]
+        );
+
+        return rows.map(r => this._parseWebhookQueue(r));
+    }
+
+    /**
+     * Claim a pending delivery so only one worker sends it
+     * @param {string} id - Queue ID
+     * @returns {Promise<boolean>} True if claimed
+     */
+    async claimWebhookJob(id) {
+        const result = await this.db.run(
+            `UPDATE webhook_queue SET status = 'delivering', updated_at = CURRENT_TIMESTAMP 
+             WHERE id = ? AND status = 'pending'`,
+            [id]
+        );
+        return result.changes > 0;
+    }
+
+    /**
+     * Update webhook queue item
+     * @param {string} id - Queue ID
+     * @param {Object} updates - Fields to update
+     * @returns {Promise<Object>} SQLite result
+     */
+    async updateWebhookJob(id, updates) {
+        if (!id) throw new Error('Queue ID required');
+
+        const cols = Object.keys(updates);
+        if (!cols.length) return null;
+
+        return this._executeWithRetry(
+            `UPDATE webhook_queue SET ${cols.map(c => `${c} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP 
+             WHERE id = ?`,
+            [...cols.map(c => updates[c]), id]
+        );
+    }
+
+    /**
+     * Reset deliveries for another round of attempts
+     * @param {Object} filters - { ids, status, webhook_id, event, since, limit }
+     * @returns {Promise<number>} Number of deliveries requeued
+     */
+    async redeliverWebhooks(filters = {}) {
+        const { where, params } = this._webhookQueueWhere(filters);
+
+        if (Array.isArray(filters.ids)) {
+            if (!filters.ids.length) return 0;
+            where.push(`id IN (${filters.ids.map(() => '?').join(', ')})`);
+            params.push(...filters.ids);
+        }
+
+        // Never reset something that is still in flight
+        where.push(`status IN ('dead', 'delivered')`);
+
+        const result = await this.db.run(
+            `UPDATE webhook_queue 
+             SET status = 'pending', attempts = 0, next_attempt_at = ?, error = NULL, updated_at = CURRENT_TIMESTAMP 
+             WHERE id IN (
+                SELECT id FROM webhook_queue WHERE ${where.join(' AND ')} 
+                ORDER BY created_at ASC LIMIT ?
+             )`,
+            [Date.now(), ...params, Math.min(filters.limit || 100, 1000)]
+        );
+
+        return result.changes || 0;
+    }
+
+    /**
+     * Requeue deliveries left in "delivering" by a crash or restart
+     * @returns {Promise<number>} Number of deliveries requeued
+     */
+    async requeueStuckWebhooks() {
+        const result = await this.db.run(
+            `UPDATE webhook_queue SET status = 'pending', updated_at = CURRENT_TIMESTAMP 
+             WHERE status = 'delivering'`
+        );
+        return result.changes || 0;
+    }
+
+    /**
+     * Delete delivered queue items older than a cutoff
+     * @param {number} olderThan - Epoch ms
+     * @returns {Promise<number>} Number of items deleted
+     */
+    async pruneWebhookQueue(olderThan) {
+        const result = await this.db.run(
+            `DELETE FROM webhook_queue WHERE status = 'delivered' AND created_at < ?`,
+            [new Date(olderThan).toISOString().replace('T', ' ').slice(0, 19)]
+        );
+        return result.changes || 0;
+    }
+
+    /**
+     * Build WHERE clause for queue filters
+     * @private
+     */
+    _webhookQueueWhere(filters) {
+        const where = [];
+        const params = [];
+
+        if (this.sessionId) {
+            where.push('session_id = ?');
+            params.push(this.sessionId);
+        }
+        if (filters.status) {
+            where.push('status = ?');
+            params.push(filters.status);
+        }
+        if (filters.webhook_id) {
+            where.push('webhook_id = ?');
+            params.push(filters.webhook_id);
+        }
+        if (filters.event) {
+            where.push('event = ?');
+            params.push(filters.event);
+        }
+        if (filters.since) {
+            where.push('created_at >= ?');
+            params.push(new Date(filters.since).toISOString().replace('T', ' ').slice(0, 19));
+        }
+        if (!where.length) where.push('1 = 1');
+
+        return { where, params };
+    }
+
+    /**
+     * Parse webhook queue row
+     * @private
+     * @param {Object} row - Raw row
+     * @returns {Object} Queue item
+     */
+    _parseWebhookQueue(row) {
+        const { payload, ...item } = row;
+        item.payload = payload ? JSON.parse(payload) : null;
+        return item;
+    }
+
+    // ==================== SCHEDULE METHODS ====================
+
+    /**
+     * Create scheduled message
+     * @param {Object} data - { id, user_id, jid, type, content, media_path, send_at, cron, timezone }
+     * @returns {Promise<Object>} Schedule
+     */
+    async createSchedule(data) {
+        if (!data.jid) throw new Error('JID required');
+        if (!data.send_at && !data.cron) throw new Error('send_at or cron required');
+
+        const id = data.id || `schedule_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+
+        await this.upsert('schedules', {
+            id,
+            session_id: this.sessionId,
+            user_id: data.user_id,
+            jid: data.jid,
+            type: data.type || 'text',
+            content: data.content || {},
+            media_path: data.media_path || null,
+            send_at: data.send_at || null,
+            cron: data.cron || null,
+            timezone: data.timezone || null,
+            status: 'active'
+        }, ['id']);
+
+        return this.getSchedule(id);
+    }
+
+    /**
+     * Get schedule by ID
+     * @param {string} id - Schedule ID
+     * @returns {Promise<Object|null>} Schedule or null
+     */
+    async getSchedule(id) {
+        if (!id) return null;
+
+        const row = this.sessionId
+            ? await this.db.get(`SELECT * FROM schedules WHERE id = ? AND session_id = ?`, [id, this.sessionId])
+            : await this.db.get(`SELECT * FROM schedules WHERE id = ?`, [id]);
+
+        return row ? this._parseSchedule(row) : null;
+    }
+
+    /**
+     * Get session schedules
+     * @param {Object} filters - { status, limit, offset }
+     * @returns {Promise<Array>} Schedules
+     */
+    async getSchedules(filters = {}) {
+        const where = ['session_id = ?'];
+        const params = [this.sessionId];
+
+        if (filters.status) {
+            where.push('status = ?');
+            params.push(filters.status);
+        }
+
+        const rows = await this.db.all(
+            `SELECT * FROM schedules WHERE ${where.join(' AND ')} 
+             ORDER BY created_at DESC LIMIT ? OFFSET ?`,
+            [...params, filters.limit || 50, filters.offset || 0]
+        );
+
+        return rows.map(r => this._parseSchedule(r));
+    }
+
+    /**
+     * Get active schedules across all sessions
+     * @returns {Promise<Array>} Schedules
+     */
+    async getActiveSchedules() {
+        const rows = await this.db.all(`SELECT * FROM schedules WHERE status = 'active'`);
+        return rows.map(r => this._parseSchedule(r));
+    }
+
+    /**
+     * Update schedule
+     * @param {string} id - Schedule ID
+     * @param {Object} updates - Fields to update
+     * @returns {Promise<Object|null>} Updated schedule
+     */
+    async updateSchedule(id, updates) {
+        if (!id) throw new Error('Schedule ID required');
+
+        const cols = Object.keys(updates).filter(k => updates[k] !== undefined);
+        if (cols.length) {
+            const vals = cols.map(c => {
+                const val = updates[c];
+                return val !== null && typeof val === 'object' ? JSON.stringify(val) : val;
+            });
+
+            await this._executeWithRetry(
+                `UPDATE schedules SET ${cols.map(c => `${c} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP 
+                 WHERE id = ?`,
+                [...vals, id]
+            );
+        }
+
+        return this.getSchedule(id);
+    }
+
+    /**
+     * Record a schedule run and bump counters
+     * @param {Object} schedule - Schedule
+     * @param {Object} run - { status, outbox_id, error }
+     * @returns {Promise<Object>} SQLite result
+     */
+    async addScheduleRun(schedule, run) {
+        const id = `run_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+
+        return this.transaction(async () => {
+            await this.db.run(
+                `INSERT INTO schedule_runs (id, schedule_id, session_id, status, outbox_id, error) 
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [id, schedule.id, schedule.session_id, run.status, run.outbox_id || null, run.error || null]
+            );
+
+            return this.db.run(
+                `UPDATE schedules SET run_count = run_count + 1, last_run_at = CURRENT_TIMESTAMP, 
+                 last_error = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                [run.error || null, schedule.id]
+            );
+        });
+    }
+
+    /**
+     * Get run history for a schedule, with current outbox state
+     * @param {string} scheduleId - Schedule ID
+     * @param {number} limit - Number of runs
+     * @returns {Promise<Array>} Runs
+     */
+    async getScheduleRuns(scheduleId, limit = 50) {
+        return this.db.all(
+            `SELECT r.*, o.status as delivery_status, o.msg_id 
+             FROM schedule_runs r 
+             LEFT JOIN outbox o ON o.id = r.outbox_id 
+             WHERE r.schedule_id = ? 
+             ORDER BY r.created_at DESC LIMIT ?`,
+            [scheduleId, limit]
+        );
+    }
+
+    /**
+     * Media files of schedules and campaigns that may still send
+     * @returns {Promise<Array<string>>} File paths (all sessions on the global store)
+     */
+    async getScheduledMedia() {
+        const params = [];
+        let where = 'media_path IS NOT NULL';
+        if (this.sessionId) {
+            where += ' AND session_id = ?';
+            params.push(this.sessionId, this.sessionId);
+        }
+
+        const rows = await this.db.all(
+            `SELECT media_path FROM schedules WHERE status IN ('active', 'paused') AND ${where}
+             UNION SELECT media_path FROM campaigns WHERE status IN ('running', 'paused') AND ${where}`,
+            params
+        );
+        return rows.map(r => r.media_path);
+    }
+
+    /**
+     * Parse schedule row
+     * @private
+     * @param {Object} row - Raw row
+     * @returns {Object} Schedule
+     */
+    _parseSchedule(row) {
+        return {
+            ...row,
+            content: row.content ? JSON.parse(row.content) : {}
+        };
+    }
+
+    // ==================== CAMPAIGN METHODS ====================
+
+    /**
+     * Create campaign with its recipient list (duplicate JIDs are dropped)
+     * @param {Object} data - { id, user_id, name, type, content, media_path, min_delay, max_delay, recipients: [{ jid, vars }] }
+     * @returns {Promise<Object>} Campaign
+     */
+    async createCampaign(data) {
+        if (!Array.isArray(data.recipients) || !data.recipients.length) throw new Error('Recipients required');
+
+        const id = data.id || `campaign_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+
+        await this.transaction(async () => {
+            await this.db.run(
+                `INSERT INTO campaigns (id, session_id, user_id, name, type, content, media_path, status, 
+                 min_delay, max_delay, started_at) VALUES (?, ?, ?, ?, ?, ?, ?, 'running', ?, ?, CURRENT_TIMESTAMP)`,
+                [
+                    id,
+                    this.sessionId,
+                    data.user_id || null,
+                    data.name || null,
+                    data.type || 'text',
+                    JSON.stringify(data.content || {}),
+                    data.media_path || null,
+                    data.min_delay ?? 3000,
+                    data.max_delay ?? 8000
+                ]
+            );
+
+            let total = 0;
+            for (const recipient of data.recipients) {
+                const result = await this.db.run(
+                    `INSERT OR IGNORE INTO campaign_recipients (campaign_id, position, jid, vars) VALUES (?, ?, ?, ?)`,
+                    [id, total, recipient.jid, recipient.vars ? JSON.stringify(recipient.vars) : null]
+                );
+                total += result.changes;
+            }
+
+            await this.db.run(`UPDATE campaigns SET total = ? WHERE id = ?`, [total, id]);
+        });
+
+        return this.getCampaign(id);
+    }
+
+    /**
+     * Get campaign by ID
+     * @param {string} id - Campaign ID
+     * @returns {Promise<Object|null>} Campaign or null
+     */
+    async getCampaign(id) {
+        if (!id) return null;
+
+        const row = this.sessionId
+            ? await this.db.get(`SELECT * FROM campaigns WHERE id = ? AND session_id = ?`, [id, this.sessionId])
+            : await this.db.get(`SELECT * FROM campaigns WHERE id = ?`, [id]);
+
+        return row ? this._parseCampaign(row) : null;
+    }
+
+    /**
+     * Get session campaigns
+     * @param {Object} filters - { status, limit, offset }
+     * @returns {Promise<Array>} Campaigns
+     */
+    async getCampaigns(filters = {}) {
+        const where = ['session_id = ?'];
+        const params = [this.sessionId];
+
+        if (filters.status) {
+            where.push('status = ?');
+            params.push(filters.status);
+        }
+
+        const rows = await this.db.all(
+            `SELECT * FROM campaigns WHERE ${where.join(' AND ')} 
+             ORDER BY created_at DESC LIMIT ? OFFSET ?`,
+            [...params, filters.limit || 50, filters.offset || 0]
+        );
+
+        return rows.map(r => this._parseCampaign(r));
+    }
+
+    /**
+     * Get running campaigns across all sessions
+     * @returns {Promise<Array>} Campaigns
+     */
+    async getRunningCampaigns() {
+        const rows = await this.db.all(`SELECT * FROM campaigns WHERE status = 'running'`);
+        return rows.map(r => this._parseCampaign(r));
+    }
+
+    /**
+     * Update campaign
+     * @param {string} id - Campaign ID
+     * @param {Object} updates - Fields to update
+     * @returns {Promise<Object|null>} Updated campaign
+     */
+    async updateCampaign(id, updates) {
+        if (!id) throw new Error('Campaign ID required');
+
+        const cols = Object.keys(updates).filter(k => updates[k] !== undefined);
+        if (cols.length) {
+            await this._executeWithRetry(
+                `UPDATE campaigns SET ${cols.map(c => `${c} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP 
+                 WHERE id = ?`,
+                [...cols.map(c => updates[c]), id]
+            );
+        }
+
+        return this.getCampaign(id);
+    }
+
+    /**
+     * Get the next recipient still waiting to be sent
+     * @param {string} campaignId - Campaign ID
+     * @returns {Promise<Object|null>} Recipient or null
+     */
+    async getNextCampaignRecipient(campaignId) {
+        const row = await this.db.get(
+            `SELECT * FROM campaign_recipients WHERE campaign_id = ? AND status = 'pending' 
+             ORDER BY position LIMIT 1`,
+            [campaignId]
+        );
+
+        return row ? this._parseCampaignRecipient(row) : null;
+    }
+
+    /**
+     * Update campaign recipient
+     * @param {string} campaignId - Campaign ID
+     * @param {string} jid - Recipient JID
+     * @param {Object} updates - { status, outbox_id, error, sent_at }
+     * @returns {Promise<Object>} SQLite result
+     */
+    async updateCampaignRecipient(campaignId, jid, updates) {
+        const cols = Object.keys(updates);
+        if (!cols.length) return null;
+
+        return this._executeWithRetry(
+            `UPDATE campaign_recipients SET ${cols.map(c => `${c} = ?`).join(', ')} 
+             WHERE campaign_id = ? AND jid = ?`,
+            [...cols.map(c => updates[c]), campaignId, jid]
+        );
+    }
+
+    /**
+     * Get campaign recipients with the delivery state of their outbox item
+     * @param {string} campaignId - Campaign ID
+     * @param {Object} filters - { status, delivery_status, limit, offset }
+     * @returns {Promise<Array>} Recipients
+     */
+    async getCampaignRecipients(campaignId, filters = {}) {
+        const where = ['r.campaign_id = ?'];
+        const params = [campaignId];
+
+        if (filters.status) {
+            where.push('r.status = ?');
+            params.push(filters.status);
+        }
+        if (filters.delivery_status) {
+            where.push('o.status = ?');
+            params.push(filters.delivery_status);
+        }
+
+        const rows = await this.db.all(
+            `SELECT r.*, o.status as delivery_status, o.msg_id, o.error as delivery_error 
+             FROM campaign_recipients r 
+             LEFT JOIN outbox o ON o.id = r.outbox_id 
+             WHERE ${where.join(' AND ')} 
+             ORDER BY r.position LIMIT ? OFFSET ?`,
+            [...params, filters.limit || 50, filters.offset || 0]
+        );
+
+        return rows.map(r => this._parseCampaignRecipient(r));
+    }
+
+    /**
+     * Count recipients by send state and by delivery state
+     * @param {string} campaignId - Campaign ID
+     * @returns {Promise<Object>} { total, pending, queued, failed, cancelled, delivery: { sent, delivered, read, ... }, progress }
+     */
+    async getCampaignSummary(campaignId) {
+        const rows = await this.db.all(
+            `SELECT r.status, o.status as delivery_status, COUNT(*) as count 
+             FROM campaign_recipients r 
+             LEFT JOIN outbox o ON o.id = r.outbox_id 
+             WHERE r.campaign_id = ? 
+             GROUP BY r.status, o.status`,
+            [campaignId]
+        );
+
+        const summary = { total: 0, pending: 0, sending: 0, queued: 0, failed: 0, cancelled: 0, delivery: {} };
+
+        for (const row of rows) {
+            summary.total += row.count;
+            summary[row.status] = (summary[row.status] || 0) + row.count;
+            if (row.delivery_status) {
+                summary.delivery[row.delivery_status] = (summary.delivery[row.delivery_status] || 0) + row.count;
+            }
+        }
+
+        const done = summary.total - summary.pending - summary.sending;
+        summary.progress = summary.total ? Math.round((done / summary.total) * 1000) / 10 : 100;
+
+        return summary;
+    }
+
+    /**
+     * Cancel recipients that have not been sent yet
+     * @param {string} campaignId - Campaign ID
+     * @returns {Promise<Array>} Outbox IDs still queued for this campaign
+     */
+    async cancelCampaignRecipients(campaignId) {
+        await this.db.run(
+            `UPDATE campaign_recipients SET status = 'cancelled' 
+             WHERE campaign_id = ? AND status IN ('pending', 'sending')`,
+            [campaignId]
+        );
+
+        const rows = await this.db.all(
+            `SELECT r.outbox_id FROM campaign_recipients r 
+             JOIN outbox o ON o.id = r.outbox_id 
+             WHERE r.campaign_id = ? AND o.status = 'queued'`,
+            [campaignId]
+        );
+
+        return rows.map(r => r.outbox_id);
+    }
+
+    /**
+     * Return recipients left in "sending" by a crash or restart to pending
+     * @returns {Promise<number>} Number of recipients requeued
+     */
+    async requeueStuckCampaignRecipients() {
+        const result = await this.db.run(
+            `UPDATE campaign_recipients SET status = 'pending' WHERE status = 'sending'`
+        );
+        return result.changes || 0;
+    }
+
+    /**
+     * Parse campaign row
+     * @private
+     * @param {Object} row - Raw row
+     * @returns {Object} Campaign
+     */
+    _parseCampaign(row) {
+        return {
+            ...row,
+            content: row.content ? JSON.parse(row.content) : {}
+        };
+    }
+
+    /**
+     * Parse campaign recipient row
+     * @private
+     * @param {Object} row - Raw row
+     * @returns {Object} Recipient
+     */
+    _parseCampaignRecipient(row) {
+        return {
+            ...row,
+            vars: row.vars ? JSON.parse(row.vars) : {}
+        };
+    }
+
+    // ==================== BROADCAST LIST METHODS ====================
+
+    /**
+     * Create broadcast list
+     * @param {Object} data - { name, recipients }
+     * @returns {Promise<Object>} List
+     */
+    async createBroadcastList(data) {
+        if (!data.name || !Array.isArray(data.recipients)) throw new Error('Name and recipients required');
+
+        const id = `broadcast_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+
+        await this._executeWithRetry(
+            `INSERT INTO broadcast_lists (id, session_id, name, recipients) VALUES (?, ?, ?, ?)`,
+            [id, this.sessionId, data.name, JSON.stringify(data.recipients)]
+        );
+
+        return this.getBroadcastList(id);
+    }
+
+    /**
+     * Get broadcast list
+     * @param {string} id - List ID
+     * @returns {Promise<Object|null>} List or null
+     */
+    async getBroadcastList(id) {
+        if (!id) return null;
+
+        const row = await this.db.get(
+            `SELECT * FROM broadcast_lists WHERE session_id = ? AND id = ?`,
+            [this.sessionId, id]
+        );
+
+        return row ? this._parseBroadcastList(row) : null;
+    }
+
+    /**
+     * List broadcast lists
+     * @param {Object} filters - { limit, offset }
+     * @returns {Promise<Array>} Lists
+     */
+    async getBroadcastLists(filters = {}) {
+        const rows = await this.db.all(
+            `SELECT * FROM broadcast_lists WHERE session_id = ? 
+             ORDER BY name COLLATE NOCASE LIMIT ? OFFSET ?`,
+            [this.sessionId, filters.limit || 50, filters.offset || 0]
+        );
+
+        return rows.map(r => this._parseBroadcastList(r));
+    }
+
+    /**
+     * Update broadcast list
+     * @param {string} id - List ID
+     * @param {Object} updates - { name, recipients }
+     * @returns {Promise<Object|null>} Updated list
+     */
+    async updateBroadcastList(id, updates) {
+        if (!id) throw new Error('Broadcast list ID required');
+
+        const cols = ['name', 'recipients'].filter(k => updates[k] !== undefined);
+        if (cols.length) {
+            await this._executeWithRetry(
+                `UPDATE broadcast_lists SET ${cols.map(c => `${c} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP 
+                 WHERE session_id = ? AND id = ?`,
+                [...cols.map(c => c === 'recipients' ? JSON.stringify(updates[c]) : updates[c]), this.sessionId, id]
+            );
+        }
+
+        return this.getBroadcastList(id);
+    }
+
+    /**
+     * Delete broadcast list and its send history
+     * @param {string} id - List ID
+     * @returns {Promise<boolean>} True if deleted
+     */
+    async deleteBroadcastList(id) {
+        const result = await this.db.run(
+            `DELETE FROM broadcast_lists WHERE session_id = ? AND id = ?`,
+            [this.sessionId, id]
+        );
+        return result.changes > 0;
+    }
+
+    /**
+     * Record a send to a broadcast list
+     * @param {Object} data - { list_id, type, preview, results: [{ jid, outboxId, error }] }
+     * @returns {Promise<string>} Send ID
+     */
+    async recordBroadcastSend(data) {
+        const id = `bsend_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+
+        await this.transaction(async () => {
+            await this.db.run(
+                `INSERT INTO broadcast_sends (id, session_id, list_id, type, preview, total) VALUES (?, ?, ?, ?, ?, ?)`,
+                [id, this.sessionId, data.list_id, data.type || 'text', data.preview || null, data.results.length]
+            );
+
+            for (const result of data.results) {
+                await this.db.run(
+                    `INSERT OR REPLACE INTO broadcast_recipients (send_id, jid, outbox_id, error) VALUES (?, ?, ?, ?)`,
+                    [id, result.jid, result.outboxId || null, result.error || null]
+                );
+            }
+        });
+
+        return id;
+    }
+
+    /**
+     * List sends to a broadcast list with status counts
+     * @param {string} listId - List ID
+     * @param {Object} filters - { limit, offset }
+     * @returns {Promise<Array>} Sends, newest first
+     */
+    async getBroadcastSends(listId, filters = {}) {
+        const rows = await this.db.all(
+            `SELECT s.*,
+                    SUM(CASE WHEN COALESCE(o.status, r.status) IN ('sent', 'delivered', 'read') THEN 1 ELSE 0 END) as sent,
+                    SUM(CASE WHEN COALESCE(o.status, r.status) IN ('delivered', 'read') THEN 1 ELSE 0 END) as delivered,
+                    SUM(CASE WHEN COALESCE(o.status, r.status) = 'read' THEN 1 ELSE 0 END) as read,
+                    SUM(CASE WHEN COALESCE(o.status, r.status) = 'failed' OR r.error IS NOT NULL THEN 1 ELSE 0 END) as failed
+             FROM broadcast_sends s
+             LEFT JOIN broadcast_recipients r ON r.send_id = s.id
+             LEFT JOIN outbox o ON o.id = r.outbox_id
+             WHERE s.session_id = ? AND s.list_id = ?
+             GROUP BY s.id
+             ORDER BY s.created_at DESC LIMIT ? OFFSET ?`,
+            [this.sessionId, listId, filters.limit || 50, filters.offset || 0]
+        );
+
+        return rows;
+    }
+
+    /**
+     * Get a broadcast send with each recipient's message ID and receipt status
+     * @param {string} id - Send ID
+     * @returns {Promise<Object|null>} Send with recipients or null
+     */
+    async getBroadcastSend(id) {
+        const send = await this.db.get(
+            `SELECT * FROM broadcast_sends WHERE session_id = ? AND id = ?`,
+            [this.sessionId, id]
+        );
+        if (!send) return null;
+
+        send.recipients = await this.db.all(
+            `SELECT r.jid, r.outbox_id, COALESCE(o.msg_id, r.msg_id) as id,
+                    COALESCE(o.status, r.status, CASE WHEN r.outbox_id IS NULL THEN 'failed' ELSE 'unknown' END) as status,
+                    COALESCE(r.error, o.error) as error, o.sent_at
+             FROM broadcast_recipients r
+             LEFT JOIN outbox o ON o.id = r.outbox_id
+             WHERE r.send_id = ?
+             ORDER BY r.rowid`,
+            [id]
+        );
+
+        return send;
     }
 
     /**
-     * Get all newsletters
-     * @returns {Promise<Array>} Array of newsletters
+     * Parse broadcast list row
+     * @private
+     * @param {Object} row - Raw row
+     * @returns {Object} List
      */
-    async getNewsletters() {
-        return this.all('newsletters', 'ORDER BY name');
+    _parseBroadcastList(row) {
+        const recipients = row.recipients ? JSON.parse(row.recipients) : [];
+        return { ...row, recipients, count: recipients.length };
     }
 
+    // ==================== TEMPLATE METHODS ====================
+
     /**
-     * Get newsletter by ID
-     * @param {string} id - Newsletter ID
-     * @returns {Promise<Object|null>} Newsletter object or null
+     * Create message template
+     * @param {Object} data - { id, user_id, scope: session|user, name, type, content, media_path, defaults }
+     * @returns {Promise<Object>} Template
      */
-    async getNewsletter(id) {
-        if (!id) return null;
-        return this.get('newsletters', ['session_id', 'id'], [this.sessionId, id]);
+    async createTemplate(data) {
+        if (!data.user_id || !data.name) throw new Error('User and name required');
+
+        const id = data.id || `template_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+
+        await this._executeWithRetry(
+            `INSERT INTO templates (id, user_id, session_id, name, type, content, media_path, defaults) 
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                id,
+                data.user_id,
+                data.scope === 'user' ? null : this.sessionId,
+                data.name,
+                data.type || 'text',
+                JSON.stringify(data.content || {}),
+                data.media_path || null,
+                data.defaults ? JSON.stringify(data.defaults) : null
+            ]
+        );
+
+        return this.getTemplate(id, data.user_id);
     }
 
     /**
-     * Insert or update newsletter post
-     * @param {Object} data - Post data
-     * @returns {Promise<Object>} SQLite result
+     * Get a template visible from this session: its own or the user's personal ones
+     * @param {string} id - Template ID
+     * @param {string} userId - Requesting user
+     * @returns {Promise<Object|null>} Template or null
      */
-    async upsertNewsletterPost(data) {
-        if (!data.nid || !data.pid) throw new Error('Newsletter ID and post ID required');
-        
-        const postData = {
-            session_id: this.sessionId,
-            nid: data.nid,
-            pid: data.pid,
-            server_id: data.server_id || null,
-            msg_id: data.msg_id || null,
-            title: data.title || null,
-            content: data.content || null,
-            media_type: data.media_type || null,
-            media_url: data.media_url || null,
-            views: data.views || 0,
-            reactions: data.reactions || 0,
-            posted_ts: data.posted_ts || Date.now(),
-            meta: data.meta || null
-        };
-        
-        return this.upsert('newsletter_posts', postData, ['session_id', 'nid', 'pid']);
+    async getTemplate(id, userId) {
+        if (!id) return null;
+
+        const row = await this.db.get(
+            `SELECT * FROM templates WHERE id = ? AND (session_id = ? OR (session_id IS NULL AND user_id = ?))`,
+            [id, this.sessionId, userId]
+        );
+
+        return row ? this._parseTemplate(row) : null;
     }
 
     /**
-     * Get newsletter posts
-     * @param {string} nid - Newsletter ID
-     * @param {number} limit - Number of posts
-     * @returns {Promise<Array>} Array of posts
+     * List templates visible from this session
+     * @param {string} userId - Requesting user
+     * @param {Object} filters - { scope: session|user, type, limit, offset }
+     * @returns {Promise<Array>} Templates
      */
-    async getNewsletterPosts(nid, limit = 50) {
-        if (!nid) return [];
-        
-        return this.db.all(
-            `SELECT * FROM newsletter_posts 
-             WHERE session_id = ? AND nid = ? 
-             ORDER BY posted_ts DESC LIMIT ?`,
-            [this.sessionId, nid, limit]
+    async getTemplates(userId, filters = {}) {
+        const scopes = {
+            session: 'session_id = ?',
+            user: 'session_id IS NULL AND user_id = ?'
+        };
+        const where = [filters.scope ? scopes[filters.scope] : `(${scopes.session} OR (${scopes.user}))`];
+        const params = filters.scope === 'user' ? [userId]
+            : filters.scope === 'session' ? [this.sessionId]
+                : [this.sessionId, userId];
+
+        if (filters.type) {
+            where.push('type = ?');
+            params.push(filters.type);
+        }
+
+        const rows = await this.db.all(
+            `SELECT * FROM templates WHERE ${where.join(' AND ')} 
+             ORDER BY name COLLATE NOCASE LIMIT ? OFFSET ?`,
+            [...params, filters.limit || 50, filters.offset || 0]
         );
+
+        return rows.map(r => this._parseTemplate(r));
     }
 
     /**
-     * Increment newsletter post view count
-     * @param {string} nid - Newsletter ID
-     * @param {string} pid - Post ID
+     * Update template
+     * @param {string} id - Template ID
+     * @param {Object} updates - { name, content, media_path, defaults }
      * @returns {Promise<Object>} SQLite result
      */
-    async incrementNewsletterPostViews(nid, pid) {
-        if (!nid || !pid) throw new Error('Newsletter ID and post ID required');
-        
-        return this.db.run(
-            `UPDATE newsletter_posts SET views = views + 1 
-             WHERE session_id = ? AND nid = ? AND pid = ?`,
-            [this.sessionId, nid, pid]
+    async updateTemplate(id, updates) {
+        if (!id) throw new Error('Template ID required');
+
+        const cols = Object.keys(updates).filter(k => updates[k] !== undefined);
+        if (!cols.length) return null;
+
+        const vals = cols.map(c => {
+            const val = updates[c];
+            return val !== null && typeof val === 'object' ? JSON.stringify(val) : val;
+        });
+
+        return this._executeWithRetry(
+            `UPDATE templates SET ${cols.map(c => `${c} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP 
+             WHERE id = ?`,
+            [...vals, id]
         );
     }
 
-    // ==================== WEBHOOK METHODS ====================
+    /**
+     * Delete template
+     * @param {string} id - Template ID
+     * @returns {Promise<boolean>} True if deleted
+     */
+    async deleteTemplate(id) {
+        const result = await this.db.run(`DELETE FROM templates WHERE id = ?`, [id]);
+        return result.changes > 0;
+    }
 
     /**
-     * Create webhook for n8n
-     * @param {Object} data - Webhook data
-     * @returns {Promise<Object>} SQLite result
+     * Media files of all templates
+     * @returns {Promise<Array<string>>} File paths
      */
-    async createWebhook(data) {
-        if (!data.event || !data.url) {
-            throw new Error('Event and URL required');
-        }
-        
-        const id = `webhook_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
-        
-        // Check if webhook for this event already exists
-        const existing = await this.getWebhookByEvent(data.event);
-        if (existing) {
-            throw new Error(`Webhook for event ${data.event} already exists`);
-        }
-        
-        return this.upsert('webhooks', {
+    async getTemplateMedia() {
+        const rows = await this.db.all(`SELECT media_path FROM templates WHERE media_path IS NOT NULL`);
+        return rows.map(r => r.media_path);
+    }
+
+    /**
+     * Parse template row
+     * @private
+     * @param {Object} row - Raw row
+     * @returns {Object} Template
+     */
+    _parseTemplate(row) {
+        return {
+            ...row,
+            scope: row.session_id ? 'session' : 'user',
+            content: row.content ? JSON.parse(row.content) : {},
+            defaults: row.defaults ? JSON.parse(row.defaults) : {}
+        };
+    }
+
+    // ==================== AUTO-REPLY METHODS ====================
+
+    /**
+     * Create auto-reply rule
+     * @param {Object} data - Rule data
+     * @returns {Promise<Object>} Created rule
+     */
+    async createAutoreplyRule(data) {
+        if (!data.trigger || !data.reply) throw new Error('Trigger and reply required');
+
+        const id = `autoreply_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+
+        await this.upsert('autoreply_rules', {
             id,
             session_id: this.sessionId,
-            event: data.event,
-            url: data.url,
-            headers: data.headers ? JSON.stringify(data.headers) : null,
-            enabled: data.enabled !== undefined ? data.enabled : 1,
-            retry_count: data.retry_count || 3,
-            timeout: data.timeout || 10000,
-            secret: data.secret || null
+            name: data.name || null,
+            trigger: data.trigger,
+            pattern: data.pattern || null,
+            case_sensitive: !!data.case_sensitive,
+            reply: data.reply,
+            scope: data.scope || 'all',
+            allow_jids: data.allow_jids || null,
+            deny_jids: data.deny_jids || null,
+            cooldown: data.cooldown || 0,
+            business_hours: data.business_hours || null,
+            priority: data.priority || 0,
+            enabled: data.enabled !== undefined ? !!data.enabled : true,
+            // true/false or per-rule overrides; null follows the session's humanize setting
+            humanize: data.humanize !== undefined && data.humanize !== null ? JSON.stringify(data.humanize) : null
         }, ['id']);
+
+        return this.getAutoreplyRule(id);
     }
 
     /**
-     * Get webhook by event type
-     * @param {string} event - Event type
-     * @returns {Promise<Object|null>} Webhook object or null
+     * Get auto-reply rule
+     * @param {string} id - Rule ID
+     * @returns {Promise<Object|null>} Rule or null
      */
-    async getWebhookByEvent(event) {
-        if (!event) return null;
-        return this.get('webhooks', ['session_id', 'event'], [this.sessionId, event]);
+    async getAutoreplyRule(id) {
+        if (!id) return null;
+
+        const row = await this.db.get(
+            `SELECT * FROM autoreply_rules WHERE session_id = ? AND id = ?`,
+            [this.sessionId, id]
+        );
+        return row ? this._parseAutoreplyRule(row) : null;
     }
 
     /**
-     * Get all webhooks
-     * @returns {Promise<Array>} Array of webhooks
+     * Get auto-reply rules, highest priority first
+     * @param {boolean} enabledOnly - Only enabled rules
+     * @returns {Promise<Array>} Rules
      */
-    async getAllWebhooks() {
-        return this.all('webhooks', 'ORDER BY event');
+    async getAutoreplyRules(enabledOnly = false) {
+        const rows = await this.db.all(
+            `SELECT * FROM autoreply_rules WHERE session_id = ? ${enabledOnly ? 'AND enabled = 1' : ''} 
+             ORDER BY priority DESC, created_at ASC`,
+            [this.sessionId]
+        );
+        return rows.map(r => this._parseAutoreplyRule(r));
     }
 
     /**
-     * Update webhook
-     * @param {string} id - Webhook ID
+     * Update auto-reply rule
+     * @param {string} id - Rule ID
      * @param {Object} updates - Fields to update
-     * @returns {Promise<Object|null>} SQLite result or null
+     * @returns {Promise<Object|null>} Updated rule
      */
-    async updateWebhook(id, updates) {
-        if (!id) throw new Error('Webhook ID required');
-        
-        const webhook = await this.get('webhooks', ['session_id', 'id'], [this.sessionId, id]);
-        if (!webhook) return null;
-        
-        if (updates.headers && typeof updates.headers !== 'string') {
-            updates.headers = JSON.stringify(updates.headers);
+    async updateAutoreplyRule(id, updates) {
+        const allowed = [
+            'name', 'trigger', 'pattern', 'case_sensitive', 'reply', 'scope', 'allow_jids',
+            'deny_jids', 'cooldown', 'business_hours', 'priority', 'enabled', 'humanize'
+        ];
+        if (updates.humanize !== undefined && updates.humanize !== null) {
+            updates = { ...updates, humanize: JSON.stringify(updates.humanize) };
         }
-        
-        return this.upsert('webhooks', { id, ...webhook, ...updates }, ['id']);
+        const cols = Object.keys(updates).filter(k => allowed.includes(k) && updates[k] !== undefined);
+
+        if (cols.length) {
+            const vals = cols.map(c => {
+                const val = updates[c];
+                if (val === null) return null;
+                if (typeof val === 'object') return JSON.stringify(val);
+                if (typeof val === 'boolean') return val ? 1 : 0;
+                return val;
+            });
+
+            await this._executeWithRetry(
+                `UPDATE autoreply_rules SET ${cols.map(c => `${c} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP 
+                 WHERE session_id = ? AND id = ?`,
+                [...vals, this.sessionId, id]
+            );
+        }
+
+        return this.getAutoreplyRule(id);
     }
 
     /**
-     * Delete webhook
-     * @param {string} id - Webhook ID
+     * Delete auto-reply rule
+     * @param {string} id - Rule ID
      * @returns {Promise<Object>} SQLite result
      */
-    async deleteWebhook(id) {
-        if (!id) throw new Error('Webhook ID required');
-        
+    async deleteAutoreplyRule(id) {
         return this.db.run(
-            `DELETE FROM webhooks WHERE id = ? AND session_id = ?`, 
-            [id, this.sessionId]
+            `DELETE FROM autoreply_rules WHERE session_id = ? AND id = ?`,
+            [this.sessionId, id]
         );
     }
 
     /**
-     * Log webhook delivery
-     * @param {string} webhookId - Webhook ID
-     * @param {string} event - Event type
-     * @param {Object} data - Delivery data
-     * @returns {Promise<Object>} SQLite result
+     * Get when a rule last fired for a contact
+     * @param {string} ruleId - Rule ID
+     * @param {string} jid - Contact/chat JID
+     * @returns {Promise<number|null>} Epoch ms or null
      */
-    async logWebhookDelivery(webhookId, event, data) {
-        if (!webhookId || !event) throw new Error('Webhook ID and event required');
-        
-        const id = `delivery_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
-        
-        return this.upsert('webhook_deliveries', {
-            id,
-            webhook_id: webhookId,
-            session_id: this.sessionId,
-            event,
-            payload: data.payload ? JSON.stringify(data.payload) : null,
-            response_status: data.response_status,
-            response_body: data.response_body,
-            success: data.success ? 1 : 0,
-            attempt: data.attempt || 1,
-            duration: data.duration,
-            error: data.error
-        }, ['id']);
+    async getAutoreplyCooldown(ruleId, jid) {
+        const row = await this.db.get(
+            `SELECT fired_at FROM autoreply_cooldowns WHERE rule_id = ? AND jid = ?`,
+            [ruleId, jid]
+        );
+        return row?.fired_at || null;
     }
 
     /**
-     * Update webhook statistics
-     * @param {string} webhookId - Webhook ID
-     * @param {boolean} success - Whether delivery succeeded
-     * @param {number} statusCode - HTTP status code
-     * @returns {Promise<Object>} SQLite result
+     * Record that a rule fired for a contact
+     * @param {string} ruleId - Rule ID
+     * @param {string} jid - Contact/chat JID
+     * @returns {Promise<void>}
      */
-    async updateWebhookStats(webhookId, success, statusCode = null) {
-        if (!webhookId) throw new Error('Webhook ID required');
-        
-        if (success) {
-            return this.db.run(
-                `UPDATE webhooks 
-                 SET last_triggered = CURRENT_TIMESTAMP, 
-                     last_response = ?, 
-                     failure_count = 0 
-                 WHERE id = ?`,
-                [statusCode || 200, webhookId]
+    async recordAutoreplyFire(ruleId, jid) {
+        await this.transaction(async () => {
+            await this.db.run(
+                `INSERT INTO autoreply_cooldowns (rule_id, jid, fired_at) VALUES (?, ?, ?)
+                 ON CONFLICT(rule_id, jid) DO UPDATE SET fired_at = excluded.fired_at`,
+                [ruleId, jid, Date.now()]
             );
-        } else {
-            return this.db.run(
-                `UPDATE webhooks 
-                 SET failure_count = failure_count + 1 
-                 WHERE id = ?`,
-                [webhookId]
+            await this.db.run(
+                `UPDATE autoreply_rules SET fire_count = fire_count + 1, last_fired_at = CURRENT_TIMESTAMP 
+                 WHERE session_id = ? AND id = ?`,
+                [this.sessionId, ruleId]
             );
-        }
+        });
     }
 
     /**
-     * Get webhook delivery history
-     * @param {string} webhookId - Webhook ID
-     * @param {number} limit - Number of records
-     * @returns {Promise<Array>} Array of delivery logs
+     * Parse auto-reply rule row
+     * @private
+     * @param {Object} row - Raw row
+     * @returns {Object} Rule
      */
-    async getWebhookDeliveries(webhookId, limit = 20) {
-        if (!webhookId) return [];
-        
-        return this.db.all(
-            `SELECT * FROM webhook_deliveries 
-             WHERE webhook_id = ? 
-             ORDER BY created_at DESC LIMIT ?`,
-            [webhookId, limit]
-        );
-    }
+    _parseAutoreplyRule(row) {
+        const parse = (val) => {
+            if (!val) return null;
+            try { return JSON.parse(val); } catch (e) { return null; }
+        };
 
-    /**
-     * Get failed webhooks that need retry
-     * @returns {Promise<Array>} Array of failed webhooks
-     */
-    async getFailedWebhooks() {
-        return this.db.all(
-            `SELECT * FROM webhooks 
-             WHERE session_id = ? AND enabled = 1 AND failure_count > 0`,
-            [this.sessionId]
-        );
+        return {
+            ...row,
+            case_sensitive: !!row.case_sensitive,
+            enabled: !!row.enabled,
+            allow_jids: parse(row.allow_jids),
+            deny_jids: parse(row.deny_jids),
+            business_hours: parse(row.business_hours),
+            humanize: parse(row.humanize)
+        };
     }
 
     // ==================== BACKUPS METHODS ====================
@@ -3414,6 +6027,94 @@ class SQLiteStores {
         );
     }
 
+    // ==================== IDEMPOTENCY METHODS ====================
+
+    /**
+     * Claim an idempotency key for a request. Expired keys, and pending keys
+     * whose request never finished, are replaced.
+     * @param {Object} data - { user_id, key, fingerprint, method, path, ttl, staleAfter }
+     * @returns {Promise<Object>} { claimed: true } or { claimed: false, row }
+     */
+    async claimIdempotencyKey(data) {
+        if (!data.user_id || !data.key) throw new Error('User and key required');
+
+        const now = Date.now();
+        await this.db.run(
+            `DELETE FROM idempotency_keys
+             WHERE user_id = ? AND key = ?
+             AND (expires_at < ? OR (status = 'pending' AND created_at < ?))`,
+            [data.user_id, data.key, now, now - (data.staleAfter || 5 * 60 * 1000)]
+        );
+
+        const result = await this.db.run(
+            `INSERT OR IGNORE INTO idempotency_keys
+             (user_id, key, fingerprint, method, path, status, created_at, expires_at)
+             VALUES (?, ?, ?, ?, ?, 'pending', ?, ?)`,
+            [data.user_id, data.key, data.fingerprint, data.method, data.path, now, now + data.ttl]
+        );
+        if (result.changes) return { claimed: true };
+
+        return { claimed: false, row: await this.getIdempotencyKey(data.user_id, data.key) };
+    }
+
+    /**
+     * Get an idempotency key
+     * @param {string} userId - Username
+     * @param {string} key - Idempotency key
+     * @returns {Promise<Object|null>} Key row with parsed response
+     */
+    async getIdempotencyKey(userId, key) {
+        const row = await this.db.get(
+            `SELECT * FROM idempotency_keys WHERE user_id = ? AND key = ?`,
+            [userId, key]
+        );
+        if (!row) return null;
+
+        row.response = row.response ? JSON.parse(row.response) : null;
+        return row;
+    }
+
+    /**
+     * Store the response for a claimed key
+     * @param {string} userId - Username
+     * @param {string} key - Idempotency key
+     * @param {number} statusCode - HTTP status
+     * @param {*} body - JSON response body
+     * @returns {Promise<Object>} SQLite result
+     */
+    async completeIdempotencyKey(userId, key, statusCode, body) {
+        return this.db.run(
+            `UPDATE idempotency_keys SET status = 'done', status_code = ?, response = ?
+             WHERE user_id = ? AND key = ?`,
+            [statusCode, JSON.stringify(body === undefined ? null : body), userId, key]
+        );
+    }
+
+    /**
+     * Release a pending key so the request can be retried
+     * @param {string} userId - Username
+     * @param {string} key - Idempotency key
+     * @returns {Promise<Object>} SQLite result
+     */
+    async releaseIdempotencyKey(userId, key) {
+        return this.db.run(
+            `DELETE FROM idempotency_keys WHERE user_id = ? AND key = ? AND status = 'pending'`,
+            [userId, key]
+        );
+    }
+
+    /**
+     * Delete expired idempotency keys
+     * @returns {Promise<number>} Number of keys deleted
+     */
+    async purgeIdempotencyKeys() {
+        const result = await this.db.run(
+            `DELETE FROM idempotency_keys WHERE expires_at < ?`,
+            [Date.now()]
+        );
+        return result.changes || 0;
+    }
+
     // ==================== ACTIVITY LOGS ====================
 
     /**
@@ -3488,6 +6189,7 @@ class SQLiteStores {
     async setSessionSetting(name, value) {
         if (!name) throw new Error('Setting name required');
         
+        this.cache.delete(`session_meta:${this.sessionId}:setting_${name}`);
         return this.upsert('session_meta', {
             session_id: this.sessionId, 
             key: `setting_${name}`, 
@@ -1,12 +1,23 @@
 // src/core/SessionHandler.js
 const SQLiteStores = require('./SQLiteStores');
-const { makeWASocket, DisconnectReason, fetchLatestBaileysVersion } = require('@whiskeysockets/baileys');
+const {
+    makeWASocket, DisconnectReason, fetchLatestBaileysVersion, makeCacheableSignalKeyStore,
+    downloadMediaMessage, normalizeMessageContent, BufferJSON, jidNormalizedUser
+} = require('@whiskeysockets/baileys');
+const path = require('path');
+const fs = require('fs');
 const WebSocket = require('ws');
 const { v4: uuidv4 } = require('uuid');
 const axios = require('axios');
 const logger = require('../utils/logger');
-const { sleep, retry, isValidJid, formatDuration } = require('../utils/helpers');
-const { MESSAGE_TYPES, MESSAGE_STATUS, PRESENCE_STATES, CALL_TYPES, CALL_STATUS } = require('../utils/constants');
+const { serviceManager } = require('../services');
+const { sleep, retry, isValidJid, isValidPhone, isGroupJid, phoneToJid, jidToPhone, formatDuration, ensureDir, getExtensionFromMime, webhookHeaders, renderTemplateContent } = require('../utils/helpers');
+const { MESSAGE_TYPES, MESSAGE_STATUS, PRESENCE_STATES, CALL_TYPES, CALL_STATUS, PAIRING, MEDIA_TYPES, MESSAGE_EDIT_WINDOW, POLL_MAX_OPTIONS, STATUS, DISAPPEARING_MODES, ACK_LEVELS, SEND_POLICY, HUMANIZE } = require('../utils/constants');
+
+// Rolling window for daily sending limits
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Frequent or sensitive events a "*" webhook only gets when it names them
+const WILDCARD_EXCLUDED_EVENTS = ['presence', 'typing', 'qr'];
 
 class SessionHandler {
     /**
@@ -24,15 +35,25 @@ class SessionHandler {
         this.unsub = [];
         this.state = 'disconnected';
         this.qr = null;
+        this.pairing = null;
+        this.pairingTimer = null;
         this.reconn = 0;
         this.maxReconn = 5;
         this.reconnDelay = 1000;
         this.loggingOut = false;
         this.connecting = false;
+        this.saveCreds = null;
         this.startTime = Date.now();
         this.lastActivity = Date.now();
-        this.messageQueue = [];
+        this.outboxWaiters = new Map();
+        this.ackWaiters = new Map(); // msgId -> Set of { rank, resolve, timer }
+        this.outboxTimer = null;
         this.processingQueue = false;
+        this.outboxRetry = {
+            maxAttempts: parseInt(process.env.OUTBOX_RETRY_COUNT) || 3,
+            delay: parseInt(process.env.OUTBOX_RETRY_DELAY) || 5000,
+            waitTimeout: 300000
+        };
         this.stats = {
             msgsRx: 0,
             msgsTx: 0,
@@ -42,6 +63,15 @@ class SessionHandler {
             webhooks: 0
         };
         this.pendingPromises = new Map();
+        this.mediaDownloads = new Set();
+        this.baileysLogger = {
+            level: 'fatal',
+            trace: () => {},
+            info: () => {},
+            error: (msg) => logger.debug('Baileys error', { sid: this.sid, msg }),
+            warn: () => {},
+            debug: () => {}
+        };
         this.webhookCache = new Map();
         this.webhookCacheTime = 0;
     }
@@ -67,6 +97,9 @@ class SessionHandler {
 
             this._setupCallbacks();
 
+            const requeued = await this.db.requeueStuckOutbox().catch(() => 0);
+            if (requeued) logger.info(`Requeued ${requeued} interrupted sends`, context);
+
             const session = await this.db.getSession(this.sid);
             if (!session) {
                 await this.db.createSession(this.sid, {
@@ -77,7 +110,7 @@ class SessionHandler {
             }
 
             await this._refreshWebhookCache();
-            await this._connect(session?.creds);
+            await this._connect();
 
             logger.info('Session initialized', { ...context, state: this.state });
             return this;
@@ -94,15 +127,12 @@ class SessionHandler {
      * @private
      */
     _setupCallbacks() {
-        const events = ['message', 'presence', 'chat', 'reaction', 'group', 'lid', 'error'];
+        const events = ['message', 'message_edited', 'poll_vote', 'status', 'presence', 'chat', 'reaction', 'group', 'lid', 'error'];
 
         events.forEach(e => {
             const fn = this.db.on(e, (data) => {
                 this.stats.events++;
                 this._emit(e, data);
-                this._sendToWebhook(e, data).catch(err => {
-                    logger.debug(`Webhook failed for ${e}`, { sid: this.sid, error: err.message });
-                });
             });
             if (fn) this.unsub.push(fn);
         });
@@ -123,13 +153,14 @@ class SessionHandler {
             this.webhookCache.clear();
             for (const w of webhooks) {
                 if (w.enabled) {
-                    this.webhookCache.set(w.event, {
+                    this.webhookCache.set(w.id, {
                         id: w.id,
                         url: w.url,
-                        headers: w.headers ? JSON.parse(w.headers) : {},
+                        events: w.events,
+                        filters: w.filters,
+                        headers: w.headers || {},
                         retry_count: w.retry_count,
-                        timeout: w.timeout,
-                        secret: w.secret
+                        timeout: w.timeout
                     });
                 }
             }
@@ -145,9 +176,8 @@ class SessionHandler {
     /**
      * Connect to WhatsApp
      * @private
-     * @param {string} creds - Serialized credentials
      */
-    async _connect(creds = null) {
+    async _connect() {
         if (this.connecting || this.loggingOut) {
             logger.debug('Already connecting or logging out', { sid: this.sid });
             return;
@@ -160,18 +190,17 @@ class SessionHandler {
 
             const { version } = await fetchLatestBaileysVersion();
 
-            let auth = null;
-            if (creds) {
-                try {
-                    auth = JSON.parse(creds);
-                } catch (e) {
-                    logger.warn('Failed to parse creds', { sid: this.sid });
-                }
-            }
+            // Creds and signal keys are reloaded from SQLite on every connect
+            const { state, saveCreds } = await this.db.useSQLiteAuthState(this.sid);
+            this.saveCreds = saveCreds;
+            this.qr = null;
 
             this.sock = makeWASocket({
                 version,
-                auth,
+                auth: {
+                    creds: state.creds,
+                    keys: makeCacheableSignalKeyStore(state.keys, this.baileysLogger)
+                },
                 printQRInTerminal: true,
                 browser: ['WhatsApp Clone', 'Chrome', '1.0.0'],
                 syncFullHistory: true,
@@ -180,13 +209,7 @@ class SessionHandler {
                 qrTimeout: 30000,
                 defaultQueryTimeoutMs: 10000,
                 keepAliveIntervalMs: 30000,
-                logger: {
-                    level: 'fatal',
-                    info: () => {},
-                    error: (msg) => logger.debug('Baileys error', { sid: this.sid, msg }),
-                    warn: () => {},
-                    debug: () => {}
-                }
+                logger: this.baileysLogger
             });
 
             this._bindEvents();
@@ -399,6 +422,8 @@ class SessionHandler {
 
             if (connection === 'open') {
                 this.reconn = 0;
+                this.qr = null;
+                this._clearPairing();
                 await this.db.updateSession(this.sid, { logged_in: 1 }).catch(() => {});
                 this._emit('connected', {});
                 logger.info('WhatsApp connected', context);
@@ -419,6 +444,14 @@ class SessionHandler {
                 if (shouldReconnect) {
                     this._scheduleReconnect();
                 } else {
+                    this._clearPairing();
+
+                    // Stored keys are useless once WhatsApp has unlinked the device
+                    if (code === DisconnectReason.loggedOut || code === DisconnectReason.badSession) {
+                        await this.db.clearAuthState(this.sid)
+                            .catch(err => logger.error('Failed to clear auth state', { ...context, error: err.message }));
+                    }
+
                     this._emit('disconnected', {
                         reason: code === DisconnectReason.loggedOut ? 'logged_out' : 'closed',
                         code
@@ -435,12 +468,113 @@ class SessionHandler {
     /**
      * Handle credentials update
      * @private
-     * @param {Object} up - Credentials update
+     * @param {Object} up - Credentials update (already merged into auth state by Baileys)
      */
     async _handleCreds(up) {
-        await this.db.updateSession(this.sid, {
-            creds: JSON.stringify(up)
-        }).catch(err => logger.error('Failed to save creds', { sid: this.sid, error: err.message }));
+        if (!this.saveCreds) return;
+
+        await this.saveCreds()
+            .catch(err => logger.error('Failed to save creds', { sid: this.sid, error: err.message }));
+    }
+
+    // ==================== PAIRING ====================
+
+    /**
+     * Request a pairing code to link a phone without scanning the QR
+     * @param {string} phone - Phone number with country code, digits only
+     * @returns {Promise<Object>} { code, phone, expiresAt }
+     */
+    async requestPairingCode(phone) {
+        phone = String(phone || '').replace(/[^0-9]/g, '');
+        if (!isValidPhone(phone)) {
+            throw new Error('Invalid phone number');
+        }
+
+        if (this.state === 'open' || this.sock?.authState?.creds?.registered) {
+            throw new Error('Session already linked');
+        }
+
+        // The socket must have finished its handshake (first QR) before a code can be issued
+        const deadline = Date.now() + PAIRING.READY_TIMEOUT;
+        while (!this.qr && Date.now() < deadline) {
+            await sleep(250);
+        }
+
+        if (!this.sock || !this.qr) {
+            throw new Error('Socket not ready for pairing');
+        }
+
+        const code = await this.sock.requestPairingCode(phone);
+        const refreshes = this.pairing?.phone === phone ? this.pairing.refreshes : 0;
+
+        this.pairing = {
+            phone,
+            code,
+            expiresAt: Date.now() + PAIRING.CODE_TTL,
+            refreshes
+        };
+
+        await this.db.updateSession(this.sid, { phone }).catch(() => {});
+
+        this._schedulePairingRefresh();
+        this._emit('pairing_code', this.getPairing());
+        logger.info('Pairing code issued', { sid: this.sid, phone });
+
+        return this.getPairing();
+    }
+
+    /**
+     * Get the current pairing code, if any
+     * @returns {Object|null} { code, phone, expiresAt, expired }
+     */
+    getPairing() {
+        if (!this.pairing) return null;
+
+        return {
+            code: this.pairing.code,
+            phone: this.pairing.phone,
+            expiresAt: new Date(this.pairing.expiresAt).toISOString(),
+            expired: Date.now() >= this.pairing.expiresAt
+        };
+    }
+
+    /**
+     * Refresh the pairing code when it expires, like QR rotation
+     * @private
+     */
+    _schedulePairingRefresh() {
+        if (this.pairingTimer) clearTimeout(this.pairingTimer);
+
+        this.pairingTimer = setTimeout(async () => {
+            this.pairingTimer = null;
+            if (!this.pairing || this.state === 'open') return;
+
+            if (this.pairing.refreshes >= PAIRING.MAX_REFRESH) {
+                this._emit('pairing_expired', { phone: this.pairing.phone });
+                logger.info('Pairing code expired', { sid: this.sid });
+                return;
+            }
+
+            this.pairing.refreshes++;
+            try {
+                await this.requestPairingCode(this.pairing.phone);
+            } catch (error) {
+                logger.warn('Pairing code refresh failed', { sid: this.sid, error: error.message });
+                this._emit('pairing_expired', { phone: this.pairing?.phone, error: error.message });
+            }
+        }, PAIRING.CODE_TTL);
+    }
+
+    /**
+     * Drop pairing state and timer
+     * @private
+     */
+    _clearPairing() {
+        if (this.pairingTimer) {
+            clearTimeout(this.pairingTimer);
+            this.pairingTimer = null;
+        }
+        this.pairing = null;
     }
 
     // ==================== MESSAGE HANDLERS ====================
@@ -463,6 +597,23 @@ class SessionHandler {
         } catch (err) {
             this.stats.errors++;
             logger.error('Failed to save messages', { sid: this.sid, error: err.message });
+            return;
+        }
+
+        for (const msg of data.messages) {
+            await this._handleIncomingMedia(msg, data.type === 'notify').catch(err => {
+                logger.debug('Media handling failed', { sid: this.sid, error: err.message });
+            });
+        }
+
+        // Auto-replies only react to live messages, not history sync
+        const responder = serviceManager.get('responder');
+        if (responder && data.type === 'notify') {
+            for (const msg of data.messages) {
+                await responder.handle(this, msg).catch(err => {
+                    logger.debug('Auto-reply check failed', { sid: this.sid, error: err.message });
+                });
+            }
         }
     }
 
@@ -478,19 +629,24 @@ class SessionHandler {
             try {
                 if (!up.key?.id) continue;
 
-                const status = this._getStatusFromCode(up.status);
+                // Baileys nests the changed fields under update
+                const changes = up.update || up;
+
+                const status = this._getStatusFromCode(changes.status);
                 if (status) {
                     await this.db.updateMsgStatus(up.key.id, status);
+                    await this.db.advanceOutboxStatus(up.key.id, status);
+                    this._notifyAck(up.key.id, status);
                 }
 
-                if (up.starred !== undefined) {
-                    await this.db.starMsg(up.key.id, up.starred);
+                if (changes.starred !== undefined) {
+                    await this.db.starMsg(up.key.id, changes.starred);
                 }
 
                 this._emit('message_update', {
                     id: up.key.id,
                     status,
-                    starred: up.starred
+                    starred: changes.starred
                 });
 
             } catch (err) {
@@ -536,9 +692,9 @@ class SessionHandler {
             try {
                 if (!up.key?.id) continue;
 
+                // up.media is the re-uploaded CDN location; the file itself is saved by downloadMedia
                 if (up.media) {
-                    await this.db.markMediaDownloaded(up.key.id, up.media.url || 'downloaded');
-                    this._emit('media_downloaded', { id: up.key.id });
+                    this._emit('media_reuploaded', { id: up.key.id });
                 } else if (up.error) {
                     await this.db.markMediaFailed(up.key.id, up.error.message);
                     this._emit('media_failed', { id: up.key.id, error: up.error.message });
@@ -572,21 +728,28 @@ class SessionHandler {
 
         for (const up of ups) {
             try {
-                if (!up.key?.id || !up.userReceipt) continue;
+                // Baileys sends one { receipt } per participant; older payloads carried userReceipt lists
+                const receipts = up.receipt ? [up.receipt] : up.userReceipt;
+                if (!up.key?.id || !Array.isArray(receipts)) continue;
 
-                for (const r of up.userReceipt) {
+                // readTimestamp/playedTimestamp mean read, receiptTimestamp only delivered
+                const readAt = (r) => r.readTimestamp || r.playedTimestamp;
+
+                for (const r of receipts) {
                     await this.db.addReceipt({
                         msg_id: up.key.id,
                         participant: r.userJid,
-                        type: r.receiptTimestamp ? 'read' : 'delivered',
-                        ts: r.receiptTimestamp || Date.now()
+                        type: readAt(r) ? 'read' : 'delivered',
+                        ts: Number(readAt(r) || r.receiptTimestamp) || Date.now()
                     });
                 }
 
-                const hasRead = up.userReceipt.some(r => r.receiptTimestamp);
+                const hasRead = receipts.some(r => readAt(r));
                 await this.db.updateMsgStatus(up.key.id, hasRead ? 'read' : 'delivered');
+                await this.db.advanceOutboxStatus(up.key.id, hasRead ? 'read' : 'delivered');
+                this._notifyAck(up.key.id, hasRead ? 'read' : 'delivered');
 
-                this._emit('receipt', { id: up.key.id, receipts: up.userReceipt });
+                this._emit('receipt', { id: up.key.id, receipts });
 
             } catch (err) {
                 logger.error('Failed to handle receipt', { sid: this.sid, error: err.message });
@@ -594,6 +757,186 @@ class SessionHandler {
         }
     }
 
+    // ==================== MEDIA ====================
+
+    /**
+     * Record media metadata and auto-download per session policy
+     * @private
+     * @param {Object} msg - Baileys message
+     * @param {boolean} live - Live message (history sync is never auto-downloaded)
+     */
+    async _handleIncomingMedia(msg, live) {
+        const content = normalizeMessageContent(msg.message);
+        const type = Object.values(MEDIA_TYPES).find(t => content?.[`${t}Message`]);
+        if (!type || !msg.key?.id) return;
+
+        // Re-delivered messages must not reset a finished download
+        const existing = await this.db.getMedia(msg.key.id);
+        if (existing?.downloaded) return;
+
+        const media = content[`${type}Message`];
+        const b64 = (buf) => buf ? Buffer.from(buf).toString('base64') : null;
+
+        await this.db.upsertMedia({
+            msg_id: msg.key.id,
+            type,
+            key: b64(media.mediaKey),
+            sha256: b64(media.fileSha256),
+            enc_sha256: b64(media.fileEncSha256),
+            len: media.fileLength ? Number(media.fileLength) : null,
+            h: media.height,
+            w: media.width,
+            dur: media.seconds,
+            mime: media.mimetype,
+            fname: media.fileName,
+            // Keep the original message so the download can be retried later
+            meta: JSON.stringify({ key: msg.key, message: msg.message }, BufferJSON.replacer)
+        });
+
+        if (!live) return;
+
+        const policy = await this.getMediaPolicy();
+        const size = media.fileLength ? Number(media.fileLength) : 0;
+
+        if (!policy.types.includes(type)) return;
+        if (policy.maxSize && size > policy.maxSize) {
+            await this.db.markMediaFailed(msg.key.id, `Exceeds max size (${size} > ${policy.maxSize})`);
+            return;
+        }
+
+        this.downloadMedia(msg.key.id).catch(() => {});
+    }
+
+    /**
+     * Get media auto-download policy (setting "media_download")
+     * @returns {Promise<Object>} { types, maxSize }
+     */
+    async getMediaPolicy() {
+        const setting = await this.db.getSessionSetting('media_download').catch(() => null) || {};
+
+        const envTypes = process.env.MEDIA_AUTO_DOWNLOAD
+            ? process.env.MEDIA_AUTO_DOWNLOAD.split(',').map(t => t.trim()).filter(Boolean)
+            : Object.values(MEDIA_TYPES);
+
+        return {
+            types: Array.isArray(setting.types) ? setting.types : envTypes,
+            maxSize: setting.maxSize !== undefined
+                ? setting.maxSize
+                : parseInt(process.env.MEDIA_MAX_DOWNLOAD_SIZE || process.env.MAX_FILE_SIZE) || 104857600
+        };
+    }
+
+    /**
+     * Download media for a stored message into MEDIA_PATH/<sid>/<type>/
+     * Expired media is re-requested from the sender via updateMediaMessage.
+     * @param {string} msgId - Message ID
+     * @returns {Promise<Object>} { id, type, path, size }
+     */
+    async downloadMedia(msgId) {
+        if (this.mediaDownloads.has(msgId)) throw new Error('Download already in progress');
+
+        const media = await this.db.getMedia(msgId);
+        if (!media?.meta) throw new Error('Media not found');
+
+        this.mediaDownloads.add(msgId);
+
+        try {
+            let stored = JSON.parse(media.meta, BufferJSON.reviver);
+            let buffer;
+
+            try {
+                buffer = await downloadMediaMessage(stored, 'buffer', {}, { logger: this.baileysLogger });
+            } catch (err) {
+                const status = err.output?.statusCode || err.response?.status;
+                if (!this.sock || ![404, 410].includes(status)) throw err;
+
+                logger.debug('Media expired, requesting re-upload', { sid: this.sid, msgId });
+                stored = await this.sock.updateMediaMessage(stored);
+                buffer = await downloadMediaMessage(stored, 'buffer', {}, { logger: this.baileysLogger });
+
+                await this.db.upsertMedia({
+                    ...media,
+                    meta: JSON.stringify({ key: stored.key, message: stored.message }, BufferJSON.replacer)
+                });
+            }
+
+            const dir = path.join(process.env.MEDIA_PATH || './data/media', this.sid, media.type);
+            ensureDir(dir);
+
+            const ext = (media.fname && path.extname(media.fname).slice(1)) ||
+                (media.mime ? getExtensionFromMime(media.mime.split(';')[0]) : 'bin');
+            const filePath = path.join(dir, `${msgId}.${ext}`);
+
+            fs.writeFileSync(filePath, buffer);
+            await this.db.markMediaDownloaded(msgId, filePath);
+
+            const result = { id: msgId, type: media.type, path: filePath, size: buffer.length };
+            this._emit('media_downloaded', result);
+            logger.debug('Media downloaded', { sid: this.sid, ...result });
+
+            return result;
+
+        } catch (err) {
+            await this.db.markMediaFailed(msgId, err.message).catch(() => {});
+            this._emit('media_failed', { id: msgId, error: err.message });
+            logger.warn('Media download failed', { sid: this.sid, msgId, error: err.message });
+            throw err;
+
+        } finally {
+            this.mediaDownloads.delete(msgId);
+        }
+    }
+
+    /**
+     * Locate a stored media file so it can be sent again, downloading it first if needed
+     * The file is returned by path; sendMessage queues it by reference.
+     * @param {string} msgId - Message ID the media belongs to
+     * @returns {Promise<Object>} { type, path, size, mime, fname }
+     */
+    async getStoredMedia(msgId) {
+        const media = await this.db.getMedia(msgId);
+        if (!media) {
+            throw Object.assign(new Error('Media not found'), { code: 'MEDIA_NOT_FOUND' });
+        }
+
+        let filePath = media.downloaded ? media.url : null;
+        if (!filePath || !fs.existsSync(filePath)) {
+            filePath = (await this.downloadMedia(msgId)).path;
+        }
+
+        return {
+            type: media.type,
+            path: filePath,
+            size: fs.statSync(filePath).size,
+            mime: media.mime,
+            fname: media.fname
+        };
+    }
+
+    /**
+     * Resolve media content to a file the outbox can reference instead of inlining it
+     * A path is used as it is; a buffer is written once to MEDIA_PATH/<sid>/outbox, where the
+     * cleanup service removes it after no queued message needs it any more.
+     * @private
+     * @param {Object} content - { path } or { buffer, name }
+     * @param {string} label - Media kind for error messages, e.g. "Image"
+     * @returns {string} File path
+     */
+    _mediaFile(content, label) {
+        if (content?.path) {
+            if (!fs.existsSync(content.path)) throw new Error(`${label} file not found`);
+            return content.path;
+        }
+        if (!content?.buffer) throw new Error(`${label} buffer required`);
+
+        const dir = path.join(process.env.MEDIA_PATH || './data/media', this.sid, 'outbox');
+        ensureDir(dir);
+
+        const filePath = path.join(dir, `${uuidv4()}${path.extname(content.name || '')}`);
+        fs.writeFileSync(filePath, content.buffer);
+        return filePath;
+    }
+
     // ==================== PRESENCE HANDLER ====================
 
     /**
@@ -632,6 +975,10 @@ class SessionHandler {
                     last_msg_time: c.lastMessage?.messageTimestamp
                 });
 
+                if (c.ephemeralExpiration !== undefined) {
+                    await this.db.setChatEphemeral(c.id, c.ephemeralExpiration || 0);
+                }
+
             } catch (err) {
                 logger.error('Failed to save chat', { sid: this.sid, error: err.message });
             }
@@ -663,6 +1010,10 @@ class SessionHandler {
                     });
                 }
 
+                if (up.ephemeralExpiration !== undefined) {
+                    await this.db.setChatEphemeral(up.id, up.ephemeralExpiration || 0);
+                }
+
                 this._emit('chat_update', up);
 
             } catch (err) {
@@ -796,6 +1147,10 @@ class SessionHandler {
                     created_ts: g.creation
                 });
 
+                if (g.ephemeralDuration !== undefined) {
+                    await this.db.setChatEphemeral(g.id, g.ephemeralDuration || 0);
+                }
+
                 if (g.participants && Array.isArray(g.participants)) {
                     for (const p of g.participants) {
                         await this.db.upsertGroupMember({
@@ -845,6 +1200,10 @@ class SessionHandler {
                     });
                 }
 
+                if (up.ephemeralDuration !== undefined) {
+                    await this.db.setChatEphemeral(up.id, up.ephemeralDuration || 0);
+                }
+
             } catch (err) {
                 logger.error('Failed to update group', { sid: this.sid, error: err.message });
             }
@@ -859,6 +1218,12 @@ class SessionHandler {
     async _handleGroupParticipants(data) {
         try {
             await this.db.handleGroupUpdate(data);
+
+            // Anyone added while their join request was pending has been let in
+            if (data.action === 'add' && Array.isArray(data.participants)) {
+                const added = data.participants.map(p => p.jid || p).filter(Boolean);
+                await this.db.resolveJoinRequests(data.id, added, 'approved', data.author || 'whatsapp');
+            }
         } catch (err) {
             logger.error('Failed to update group members', { sid: this.sid, error: err.message });
         }
@@ -867,20 +1232,38 @@ class SessionHandler {
     /**
      * Handle group join requests
      * @private
-     * @param {Object} data - Join request data
+     * @param {Object} data - { id, participant, participantPn, author, action, method }
      */
     async _handleGroupJoinRequest(data) {
         try {
-            await this.db.upsertGroupMember({
-                group_jid: data.id,
-                member: data.participant,
-                req_status: data.action,
-                req_method: data.method,
-                req_ts: Date.now()
-            });
+            if (!data.id || !data.participant) return;
+
+            if (data.action === 'created') {
+                const contact = await this.db.findContact(data.participant).catch(() => null);
+                const pn = data.participantPn ||
+                    (data.participant.endsWith('@s.whatsapp.net') ? data.participant : contact?.jid);
+
+                await this.db.upsertJoinRequest({
+                    group_jid: data.id,
+                    requester: data.participant,
+                    phone: pn ? jidToPhone(pn) : null,
+                    method: data.method,
+                    status: 'pending',
+                    requested_at: Date.now(),
+                    resolved_at: null,
+                    resolved_by: null
+                });
+            } else {
+                const status = data.action === 'revoked' ? 'cancelled' : 'rejected';
+                await this.db.resolveJoinRequests(data.id, [data.participant], status, data.author || 'whatsapp');
+            }
 
             this._emit('group_join_request', data);
 
+            if (data.action === 'created') {
+                await this._autoApproveJoinRequest(data.id, data.participant);
+            }
+
         } catch (err) {
             logger.error('Failed to handle group join request', { sid: this.sid, error: err.message });
         }
@@ -1150,10 +1533,10 @@ class SessionHandler {
             await this._refreshWebhookCache();
         }
 
-        const webhook = this.webhookCache.get(event);
-        if (!webhook) return;
-
-        this.stats.webhooks++;
+        const matched = Array.from(this.webhookCache.values()).filter(w =>
+            this._webhookMatchesEvent(w.events, event) && this._webhookMatchesFilters(w.filters, data)
+        );
+        if (!matched.length) return;
 
         const payload = {
             event,
@@ -1163,195 +1546,670 @@ class SessionHandler {
             data
         };
 
-        setImmediate(() => this._deliverWebhook(webhook, payload));
+        // Persist first; the webhook service sends, retries and dead-letters
+        for (const webhook of matched) {
+            this.stats.webhooks++;
+            await this.db.enqueueWebhook({
+                webhookId: webhook.id,
+                event,
+                payload,
+                maxAttempts: webhook.retry_count ?? 3
+            });
+        }
+
+        serviceManager.get('webhook')?.kick();
     }
 
     /**
-     * Deliver webhook with retry
+     * Check event against subscription patterns
+     * "*" matches everything but presence, typing and qr; "message.*" matches
+     * message, message_update, message_delete...
      * @private
-     * @param {Object} webhook - Webhook config
-     * @param {Object} payload - Payload to send
+     * @param {Array<string>} patterns - Subscribed events
+     * @param {string} event - Emitted event
+     * @returns {boolean} Match
      */
-    async _deliverWebhook(webhook, payload) {
-        const start = Date.now();
-        const context = { sid: this.sid, event: payload.event, url: webhook.url };
-
-        try {
-            await retry(
-                async () => {
-                    const response = await axios({
-                        method: 'POST',
-                        url: webhook.url,
-                        headers: {
-                            'Content-Type': 'application/json',
-                            'User-Agent': 'WhatsApp-Clone-API/1.0',
-                            ...webhook.headers
-                        },
-                        data: payload,
-                        timeout: webhook.timeout || 10000,
-                        validateStatus: null
-                    });
-
-                    const success = response.status >= 200 && response.status < 300;
-                    const duration = Date.now() - start;
-
-                    await this.db.logWebhookDelivery(webhook.id, payload.event, {
-                        payload,
-                        response_status: response.status,
-                        response_body: response.data,
-                        success,
-                        duration
-                    }).catch(() => {});
+    _webhookMatchesEvent(patterns, event) {
+        return (patterns || []).some(p => {
+            if (p === event) return true;
+            if (p === '*') return !WILDCARD_EXCLUDED_EVENTS.includes(event);
+            if (!p.endsWith('.*')) return false;
+
+            const family = p.slice(0, -2);
+            return event === family || event.startsWith(`${family}_`) || event.startsWith(`${family}.`);
+        });
+    }
 
-                    await this.db.updateWebhookStats(webhook.id, success, response.status).catch(() => {});
+    /**
+     * Check event data against webhook filters
+     * A filter on a field the event doesn't carry never matches.
+     * @private
+     * @param {Object} filters - { jid, from_me, group, type }
+     * @param {Object} data - Event data
+     * @returns {boolean} Match
+     */
+    _webhookMatchesFilters(filters, data) {
+        if (!filters) return true;
 
-                    if (success) {
-                        logger.debug('Webhook delivered', { ...context, status: response.status, duration });
-                    } else {
-                        logger.warn('Webhook failed', { ...context, status: response.status, duration });
-                        throw new Error(`HTTP ${response.status}`);
-                    }
-                },
-                {
-                    maxAttempts: webhook.retry_count || 3,
-                    initialDelay: 5000,
-                    onRetry: ({ attempt }) => {
-                        logger.debug(`Webhook retry ${attempt}`, context);
-                    }
-                }
-            );
+        const jid = data?.chat || data?.chatJid || data?.jid || data?.groupJid || data?.remoteJid;
+        const list = (value) => Array.isArray(value) ? value : [value];
 
-        } catch (err) {
-            logger.error('Webhook delivery failed permanently', { ...context, error: err.message });
+        if (filters.jid !== undefined && (!jid || !list(filters.jid).includes(jid))) return false;
+        if (filters.group !== undefined && (!jid || isGroupJid(jid) !== !!filters.group)) return false;
+        if (filters.from_me !== undefined && (data?.fromMe === undefined || !!data.fromMe !== !!filters.from_me)) return false;
+        if (filters.type !== undefined && (!data?.type || !list(filters.type).includes(data.type))) return false;
 
-            await this.db.logWebhookDelivery(webhook.id, payload.event, {
-                payload,
-                success: false,
-                duration: Date.now() - start,
-                error: err.message
-            }).catch(() => {});
-        }
+        return true;
     }
 
     // ==================== MESSAGE QUEUE ====================
 
     /**
-     * Queue message for sending
+     * Queue message in the persistent outbox
      * @private
      * @param {string} jid - Recipient JID
-     * @param {Object} message - Message to send
-     * @param {Function} resolve - Promise resolve
-     * @param {Function} reject - Promise reject
+     * @param {Object} message - Baileys message content
+     * @param {string} type - Message type
+     * @param {Object} options - { source, meta, wait, waitTimeout, sendOptions, humanize, mediaPath }
+     * @returns {Promise<Object>} Sent message, or { outboxId, status } if still queued after the wait window
      */
-    _queueMessage(jid, message, resolve, reject) {
-        this.messageQueue.push({ jid, message, resolve, reject, queuedAt: Date.now() });
+    async _queueMessage(jid, message, type, options = {}) {
+        // With onLimit "reject" a send over the policy fails now instead of waiting in the outbox
+        const policy = await this.getSendPolicy();
+        if (policy.onLimit === 'reject') {
+            const { limit } = await this._checkSendPolicy(jid, policy, true);
+            if (limit) {
+                throw Object.assign(new Error(limit.message), {
+                    code: limit.code,
+                    retryAfter: Math.max(Math.ceil((limit.retryAt - Date.now()) / 1000), 1)
+                });
+            }
+        }
+
+        // Match the chat's disappearing messages timer so our messages expire like everyone else's
+        let sendOptions = options.sendOptions;
+        if (jid !== STATUS.JID && sendOptions?.ephemeralExpiration === undefined) {
+            const expiration = await this.db.getChatEphemeral(jid);
+            if (expiration) sendOptions = { ...sendOptions, ephemeralExpiration: expiration };
+        }
+
+        const item = await this.db.enqueueOutbox({
+            jid,
+            type,
+            message,
+            options: sendOptions,
+            mediaPath: options.mediaPath,
+            maxAttempts: this.outboxRetry.maxAttempts,
+            source: options.source,
+            meta: options.meta,
+            humanize: options.humanize
+        });
+
+        this._emit('outbox', { id: item.id, jid, status: item.status });
 
-        if (!this.processingQueue) {
+        if (options.wait === false) {
             this._processMessageQueue();
+            return { outboxId: item.id, status: item.status };
         }
+
+        const result = new Promise((resolve, reject) => {
+            // The message stays in the outbox; the caller just stops waiting
+            const timer = setTimeout(() => {
+                this.outboxWaiters.delete(item.id);
+                resolve({ outboxId: item.id, status: 'queued' });
+            }, options.waitTimeout || this.outboxRetry.waitTimeout);
+
+            this.outboxWaiters.set(item.id, { resolve, reject, timer });
+        });
+
+        this._processMessageQueue();
+        return result;
     }
 
     /**
-     * Process message queue
+     * Process outbox until empty or disconnected
      * @private
      */
     async _processMessageQueue() {
-        if (this.processingQueue || this.messageQueue.length === 0) return;
+        if (this.processingQueue) return;
 
         this.processingQueue = true;
+        if (this.outboxTimer) {
+            clearTimeout(this.outboxTimer);
+            this.outboxTimer = null;
+        }
 
+        let heldUntil = null;
         try {
-            while (this.messageQueue.length > 0) {
-                if (this.state !== 'open') {
-                    await new Promise(r => setTimeout(r, 1000));
-                    continue;
-                }
+            while (this.state === 'open' && this.sock && this.db) {
+                const item = await this.db.getNextOutboxItem();
+                if (!item) break;
+
+                const policy = await this.getSendPolicy();
+                const { limit, newContact } = await this._checkSendPolicy(item.jid, policy);
+
+                if (limit) {
+                    this._emit('outbox', { id: item.id, jid: item.jid, status: 'queued', heldUntil: limit.retryAt, reason: limit.code });
 
-                const item = this.messageQueue.shift();
+                    if (limit.scope === 'session') {
+                        heldUntil = limit.retryAt;
+                        break;
+                    }
 
-                if (Date.now() - item.queuedAt > 300000) {
-                    item.reject(new Error('Message timeout'));
+                    // Only this chat is limited; other items can go first
+                    await this.db.updateOutbox(item.id, { next_attempt_at: limit.retryAt });
                     continue;
                 }
 
-                try {
-                    const result = await this.sock.sendMessage(item.jid, item.message);
-                    item.resolve(result);
-                } catch (err) {
-                    item.reject(err);
-                }
+                await this._sendOutboxItem(item, { newContact });
+                await sleep(this._sendPause(policy));
+            }
 
-                await sleep(100);
+            // Wake up again for items waiting on a retry delay or a sending limit
+            if (this.state === 'open' && this.db) {
+                const next = heldUntil || await this.db.getNextOutboxAttemptTime();
+                if (next) {
+                    this.outboxTimer = setTimeout(() => {
+                        this.outboxTimer = null;
+                        this._processMessageQueue();
+                    }, Math.max(next - Date.now(), 100));
+                }
             }
+        } catch (err) {
+            logger.error('Outbox processing failed', { sid: this.sid, error: err.message });
         } finally {
             this.processingQueue = false;
         }
     }
 
-    // ==================== ACTION METHODS ====================
-
     /**
-     * Send message
-     * @param {string} jid - Recipient JID
-     * @param {*} content - Message content
-     * @param {string} type - Message type
-     * @returns {Promise<Object>} Sent message
+     * Send a single outbox item and apply the retry policy
+     * @private
+     * @param {Object} item - Outbox item with decoded message
+     * @param {Object} flags - { newContact } from the sending policy check
      */
-    async sendMessage(jid, content, type = MESSAGE_TYPES.TEXT) {
-        if (!this.sock) throw new Error('Socket not connected');
-        if (!jid) throw new Error('JID required');
-        if (!content) throw new Error('Content required');
-        if (!isValidJid(jid)) throw new Error('Invalid JID format');
+    async _sendOutboxItem(item, flags = {}) {
+        const attempts = item.attempts + 1;
+        await this.db.updateOutbox(item.id, { status: 'sending', attempts });
 
-        this.lastActivity = Date.now();
+        try {
+            // Read and type first; retries go straight out
+            if (item.humanize && attempts === 1) await this._humanize(item.jid, item.humanize);
+
+            const sent = await this.sock.sendMessage(item.jid, item.message, item.options || undefined);
+            const msgId = sent?.key?.id || null;
+
+            await this.db.updateOutbox(item.id, {
+                status: 'sent',
+                msg_id: msgId,
+                error: null,
+                new_contact: flags.newContact ? 1 : 0,
+                sent_at: new Date().toISOString()
+            });
 
-        let message;
-        switch (type) {
-            case MESSAGE_TYPES.TEXT:
-                if (typeof content !== 'string') throw new Error('Text content must be string');
-                message = { text: content };
-                break;
+            this._emit('outbox', { id: item.id, jid: item.jid, status: 'sent', msgId });
+            this._settleOutboxWaiter(item.id, null, { ...sent, outboxId: item.id });
 
-            case MESSAGE_TYPES.IMAGE:
-                if (!content.buffer) throw new Error('Image buffer required');
-                message = { image: content.buffer, caption: content.caption || '' };
-                break;
+        } catch (err) {
+            if (attempts < item.max_attempts) {
+                const delay = Math.min(this.outboxRetry.delay * Math.pow(2, attempts - 1), 300000);
 
-            case MESSAGE_TYPES.VIDEO:
-                if (!content.buffer) throw new Error('Video buffer required');
-                message = { video: content.buffer, caption: content.caption || '' };
-                break;
+                await this.db.updateOutbox(item.id, {
+                    status: 'queued',
+                    error: err.message,
+                    next_attempt_at: Date.now() + delay
+                });
 
-            case MESSAGE_TYPES.AUDIO:
-                if (!content.buffer) throw new Error('Audio buffer required');
-                message = { audio: content.buffer };
-                break;
+                logger.warn(`Send failed, retrying in ${formatDuration(delay)}`, {
+                    sid: this.sid,
+                    id: item.id,
+                    attempt: attempts,
+                    error: err.message
+                });
+            } else {
+                await this.db.updateOutbox(item.id, { status: 'failed', error: err.message });
 
-            case MESSAGE_TYPES.DOCUMENT:
-                if (!content.buffer) throw new Error('Document buffer required');
-                message = {
-                    document: content.buffer,
-                    fileName: content.name || 'document',
-                    caption: content.caption
-                };
-                break;
+                this._emit('outbox', { id: item.id, jid: item.jid, status: 'failed', error: err.message });
+                this._settleOutboxWaiter(item.id, err);
+            }
+        }
+    }
 
-            case MESSAGE_TYPES.STICKER:
-                if (!content.buffer) throw new Error('Sticker buffer required');
-                message = { sticker: content.buffer };
-                break;
+    /**
+     * Resolve or reject a caller waiting on an outbox item
+     * @private
+     * @param {string} id - Outbox ID
+     * @param {Error|null} err - Failure
+     * @param {*} result - Sent message
+     */
+    _settleOutboxWaiter(id, err, result) {
+        const waiter = this.outboxWaiters.get(id);
+        if (!waiter) return;
 
-            case MESSAGE_TYPES.LOCATION:
-                if (!content.latitude || !content.longitude) {
-                    throw new Error('Latitude and longitude required');
-                }
-                message = {
-                    location: {
-                        degreesLatitude: content.latitude,
-                        degreesLongitude: content.longitude,
-                        name: content.name,
-                        address: content.address
-                    }
+        clearTimeout(waiter.timer);
+        this.outboxWaiters.delete(id);
+
+        if (err) waiter.reject(err);
+        else waiter.resolve(result);
+    }
+
+    /**
+     * Wait until a sent message is acknowledged by the server, delivered or read
+     * @param {string} msgId - Message ID
+     * @param {string} target - One of ACK_LEVELS: server, delivered, read
+     * @param {number} timeout - Max wait in ms
+     * @returns {Promise<Object>} { status, reached }
+     */
+    async waitForAck(msgId, target, timeout) {
+        const rank = ACK_LEVELS.indexOf(target) + 1;
+        if (!rank) throw new Error(`waitFor must be one of ${ACK_LEVELS.join(', ')}`);
+
+        const result = new Promise((resolve) => {
+            const waiter = { rank, resolve };
+            waiter.timer = setTimeout(() => this._settleAckWaiter(msgId, waiter, null), Math.max(timeout, 0));
+
+            if (!this.ackWaiters.has(msgId)) this.ackWaiters.set(msgId, new Set());
+            this.ackWaiters.get(msgId).add(waiter);
+        });
+
+        // The ack may have landed before we started listening
+        const msg = await this.db.getMsg(msgId).catch(() => null);
+        if (msg?.status) this._notifyAck(msgId, msg.status);
+
+        return result;
+    }
+
+    /**
+     * Resolve ack waiters that the new status satisfies
+     * @private
+     * @param {string} msgId - Message ID
+     * @param {string} status - sent, delivered or read
+     */
+    _notifyAck(msgId, status) {
+        const waiters = this.ackWaiters.get(msgId);
+        if (!waiters) return;
+
+        const rank = this._ackRank(status);
+        for (const waiter of Array.from(waiters)) {
+            if (rank >= waiter.rank) this._settleAckWaiter(msgId, waiter, status);
+        }
+    }
+
+    /**
+     * Settle one ack waiter; a null status means it timed out
+     * @private
+     */
+    _settleAckWaiter(msgId, waiter, status) {
+        const waiters = this.ackWaiters.get(msgId);
+        if (!waiters?.delete(waiter)) return;
+        if (!waiters.size) this.ackWaiters.delete(msgId);
+
+        clearTimeout(waiter.timer);
+        if (status) return waiter.resolve({ status, reached: true });
+
+        // Report how far it got before the timeout
+        this.db.getMsg(msgId)
+            .then(msg => waiter.resolve({ status: msg?.status || MESSAGE_STATUS.PENDING, reached: false }))
+            .catch(() => waiter.resolve({ status: MESSAGE_STATUS.PENDING, reached: false }));
+    }
+
+    /**
+     * Rank of a message status on the server -> delivered -> read scale
+     * @private
+     * @returns {number} 0 when not acknowledged yet
+     */
+    _ackRank(status) {
+        return { [MESSAGE_STATUS.SENT]: 1, [MESSAGE_STATUS.DELIVERED]: 2, [MESSAGE_STATUS.READ]: 3 }[status] || 0;
+    }
+
+    /**
+     * Get outbox items
+     * @param {Object} filters - { status, jid, limit, offset }
+     * @returns {Promise<Array>} Outbox items
+     */
+    async getOutbox(filters = {}) {
+        return this.db.getOutbox(filters);
+    }
+
+    /**
+     * Get outbox item
+     * @param {string} id - Outbox ID
+     * @returns {Promise<Object|null>} Outbox item
+     */
+    async getOutboxItem(id) {
+        return this.db.getOutboxItem(id);
+    }
+
+    /**
+     * Cancel a queued outbox item
+     * @param {string} id - Outbox ID
+     * @returns {Promise<boolean>} True if cancelled
+     */
+    async cancelOutboxItem(id) {
+        const cancelled = await this.db.cancelOutboxItem(id);
+        if (cancelled) {
+            this._settleOutboxWaiter(id, new Error('Message cancelled'));
+            this._emit('outbox', { id, status: 'cancelled' });
+        }
+        return cancelled;
+    }
+
+    // ==================== SEND POLICY ====================
+
+    /**
+     * Get the sending policy (setting "send_policy") over the defaults
+     * @returns {Promise<Object>} Policy, see SEND_POLICY
+     */
+    async getSendPolicy() {
+        const setting = await this.db.getSessionSetting('send_policy').catch(() => null) || {};
+
+        return {
+            ...SEND_POLICY,
+            ...setting,
+            jitter: { ...SEND_POLICY.jitter, ...setting.jitter }
+        };
+    }
+
+    /**
+     * Current usage against the sending policy
+     * @returns {Promise<Object>} { policy, dailyCap, sent: { minute, hour, day }, newContacts }
+     */
+    async getSendPolicyUsage() {
+        const now = Date.now();
+        const policy = await this.getSendPolicy();
+        const count = async (window, filters = {}) => (await this.db.countOutboxSends({ since: now - window, ...filters })).count;
+
+        return {
+            policy,
+            dailyCap: await this._dailySendCap(policy, now),
+            sent: {
+                minute: await count(60 * 1000),
+                hour: await count(60 * 60 * 1000),
+                day: await count(DAY_MS)
+            },
+            newContacts: await count(DAY_MS, { newContact: true })
+        };
+    }
+
+    /**
+     * Check a send against the sending policy
+     * @private
+     * @param {string} jid - Recipient JID
+     * @param {Object} policy - From getSendPolicy()
+     * @param {boolean} pending - Count items still in the outbox as sent (checks made when queueing)
+     * @returns {Promise<Object>} { limit, newContact }; limit is null or { code, message, scope, retryAt }
+     */
+    async _checkSendPolicy(jid, policy, pending = false) {
+        const now = Date.now();
+        const dailyCap = await this._dailySendCap(policy, now);
+
+        const windows = [
+            { max: policy.perMinute, window: 60 * 1000, label: 'per minute' },
+            { max: policy.perHour, window: 60 * 60 * 1000, label: 'per hour' },
+            { max: dailyCap, window: DAY_MS, label: dailyCap !== policy.perDay ? 'per day during warm-up' : 'per day' }
+        ];
+
+        for (const { max, window, label } of windows) {
+            if (max === null || max === undefined) continue;
+
+            const sent = await this.db.countOutboxSends({ since: now - window, pending });
+            if (sent.count >= max) {
+                return {
+                    limit: {
+                        code: 'SEND_RATE_LIMITED',
+                        message: `Sending limit of ${max} messages ${label} reached`,
+                        scope: 'session',
+                        retryAt: (sent.oldest || now) + window
+                    }
+                };
+            }
+        }
+
+        // Recipient rules only apply to chats, not to status updates
+        if (jid === STATUS.JID) return { limit: null, newContact: false };
+
+        if (policy.recipientCooldown > 0) {
+            const cooldown = policy.recipientCooldown * 1000;
+            const recent = await this.db.countOutboxSends({ since: now - cooldown, jid, pending });
+            if (recent.count) {
+                return {
+                    limit: {
+                        code: 'RECIPIENT_COOLDOWN',
+                        message: `Messages to the same chat must be ${policy.recipientCooldown}s apart`,
+                        scope: 'chat',
+                        retryAt: (recent.latest || now) + cooldown
+                    }
+                };
+            }
+        }
+
+        let newContact = false;
+        if (policy.newContactsPerDay !== null && policy.newContactsPerDay !== undefined && /@(s\.whatsapp\.net|lid)$/.test(jid)) {
+            newContact = !await this.db.hasOtherChatMsgs(jid, '');
+
+            if (newContact) {
+                const sent = await this.db.countOutboxSends({ since: now - DAY_MS, newContact: true });
+                if (sent.count >= policy.newContactsPerDay) {
+                    return {
+                        limit: {
+                            code: 'NEW_CONTACT_LIMIT',
+                            message: `Limit of ${policy.newContactsPerDay} messages to new contacts per day reached`,
+                            scope: 'chat',
+                            retryAt: (sent.oldest || now) + DAY_MS
+                        },
+                        newContact
+                    };
+                }
+            }
+        }
+
+        return { limit: null, newContact };
+    }
+
+    /**
+     * Daily cap for today, ramping linearly from warmup.startPerDay to perDay
+     * over warmup.days counted from warmup.since (default: when the session was created)
+     * @private
+     * @param {Object} policy - Sending policy
+     * @param {number} now - Epoch ms
+     * @returns {Promise<number|null>} Cap or null for no limit
+     */
+    async _dailySendCap(policy, now) {
+        const { warmup, perDay } = policy;
+        if (!warmup?.days || perDay === null || perDay === undefined) return perDay ?? null;
+
+        let since = warmup.since ? Date.parse(warmup.since) : NaN;
+        if (isNaN(since)) since = await this.db.getSessionCreatedAt(this.sid).catch(() => null) || now;
+
+        const day = Math.floor((now - since) / DAY_MS);
+        if (day >= warmup.days) return perDay;
+
+        const start = Math.min(warmup.startPerDay || 0, perDay);
+        return Math.round(start + (perDay - start) * Math.max(day, 0) / warmup.days);
+    }
+
+    /**
+     * Randomised pause between two sends
+     * @private
+     * @param {Object} policy - Sending policy
+     * @returns {number} Delay in ms
+     */
+    _sendPause(policy) {
+        const min = Math.max(policy.jitter.min || 0, 0);
+        const max = Math.max(policy.jitter.max || 0, min);
+        return min + Math.floor(Math.random() * (max - min + 1));
+    }
+
+    // ==================== HUMANISED SENDING ====================
+
+    /**
+     * Get the humanised sending defaults (setting "humanize")
+     * @returns {Promise<Object>} Settings, see HUMANIZE
+     */
+    async getHumanizePolicy() {
+        const setting = await this.db.getSessionSetting('humanize').catch(() => null) || {};
+        return { ...HUMANIZE, ...setting };
+    }
+
+    /**
+     * Work out the read/typing plan stored with an outbox item
+     * @private
+     * @param {string} jid - Recipient JID
+     * @param {Object} message - Baileys message content
+     * @param {string} type - Message type
+     * @param {boolean|Object} option - On/off, overrides of the session defaults, or undefined to follow them
+     * @returns {Promise<Object|null>} { markRead, presence, delay } or null
+     */
+    async _humanizePlan(jid, message, type, option) {
+        if (option !== undefined && option !== null && typeof option !== 'boolean'
+            && (typeof option !== 'object' || Array.isArray(option))) {
+            throw Object.assign(new Error('humanize must be a boolean or an object'), { code: 'INVALID_HUMANIZE' });
+        }
+        if (option === false || jid === STATUS.JID) return null;
+
+        const policy = { ...await this.getHumanizePolicy(), ...(typeof option === 'object' ? option : {}) };
+        const enabled = option === undefined || option === null ? policy.enabled : option.enabled !== false;
+        if (!enabled) return null;
+
+        const cps = Number(policy.charsPerSecond);
+        const min = Number(policy.minDelay);
+        const max = Number(policy.maxDelay);
+        if (!(cps > 0) || !(min >= 0) || !(max >= min) || max > 60000) {
+            throw Object.assign(new Error('humanize needs charsPerSecond > 0 and 0 <= minDelay <= maxDelay <= 60000'), {
+                code: 'INVALID_HUMANIZE'
+            });
+        }
+
+        // Roughly how long typing the text takes, +/-20% so sends don't all take the same time
+        const text = message.text || message.caption || message.poll?.name || '';
+        const typed = text.length / cps * 1000 * (0.8 + Math.random() * 0.4);
+
+        return {
+            markRead: !!policy.markRead,
+            presence: policy.typing
+                ? (type === MESSAGE_TYPES.AUDIO ? PRESENCE_STATES.RECORDING : PRESENCE_STATES.COMPOSING)
+                : null,
+            delay: Math.round(Math.min(Math.max(typed, min), max))
+        };
+    }
+
+    /**
+     * Read the chat, show composing/recording and wait before a send.
+     * Runs inside the outbox, so other messages wait their turn like a person would.
+     * @private
+     * @param {string} jid - Chat JID
+     * @param {Object} plan - From _humanizePlan()
+     */
+    async _humanize(jid, plan) {
+        try {
+            if (plan.markRead) await this._readUnanswered(jid);
+            if (plan.presence) await this.setPresence(jid, plan.presence);
+
+            await sleep(plan.delay || 0);
+
+            if (plan.presence) await this.setPresence(jid, PRESENCE_STATES.PAUSED);
+        } catch (error) {
+            // Best effort; the message still goes out
+            logger.debug('Humanised send step failed', { sid: this.sid, jid, error: error.message });
+        }
+    }
+
+    /**
+     * Send read receipts for incoming messages since our last message in the chat
+     * @private
+     * @param {string} jid - Chat JID
+     */
+    async _readUnanswered(jid) {
+        const unanswered = [];
+        for (const msg of await this.db.getChatMsgs(jid, 20)) {
+            if (msg.from_me) break;
+            if (msg.status !== MESSAGE_STATUS.READ) unanswered.push(msg);
+        }
+        if (!unanswered.length) return;
+
+        await this.sock.readMessages(unanswered.map(msg => ({
+            remoteJid: jid,
+            id: msg.id,
+            participant: isGroupJid(jid) ? msg.from_jid : undefined
+        })));
+
+        for (const msg of unanswered) {
+            await this.db.updateMsgStatus(msg.id, MESSAGE_STATUS.READ);
+            this._emit('read', { jid, msgId: msg.id });
+        }
+        await this.db.upsertChat({ jid, unread: 0 });
+    }
+
+    // ==================== ACTION METHODS ====================
+
+    /**
+     * Send message
+     * @param {string} jid - Recipient JID
+     * @param {*} content - Text, or for media { buffer | path, caption, name } (a path is queued by reference)
+     * @param {string} type - Message type
+     * @param {Object} options - { source, meta, wait, quotedMessageId, mentions, humanize } (wait: false returns once queued)
+     * @returns {Promise<Object>} Sent message
+     */
+    async sendMessage(jid, content, type = MESSAGE_TYPES.TEXT, options = {}) {
+        // Without a wait the message only has to reach the outbox, which sends it on reconnect
+        if (!this.sock && options.wait !== false) throw new Error('Socket not connected');
+        if (!jid) throw new Error('JID required');
+        if (!content) throw new Error('Content required');
+        if (!isValidJid(jid)) throw new Error('Invalid JID format');
+
+        this.lastActivity = Date.now();
+
+        let message;
+        let mediaPath;
+        switch (type) {
+            case MESSAGE_TYPES.TEXT:
+                if (typeof content !== 'string') throw new Error('Text content must be string');
+                message = { text: content };
+                break;
+
+            case MESSAGE_TYPES.IMAGE:
+                mediaPath = this._mediaFile(content, 'Image');
+                message = { image: { url: mediaPath }, caption: content.caption || '' };
+                if (content.viewOnce) message.viewOnce = true;
+                break;
+
+            case MESSAGE_TYPES.VIDEO:
+                mediaPath = this._mediaFile(content, 'Video');
+                message = { video: { url: mediaPath }, caption: content.caption || '' };
+                if (content.viewOnce) message.viewOnce = true;
+                break;
+
+            case MESSAGE_TYPES.AUDIO:
+                mediaPath = this._mediaFile(content, 'Audio');
+                message = { audio: { url: mediaPath } };
+                if (content.viewOnce) message.viewOnce = true;
+                break;
+
+            case MESSAGE_TYPES.DOCUMENT:
+                mediaPath = this._mediaFile(content, 'Document');
+                message = {
+                    document: { url: mediaPath },
+                    fileName: content.name || 'document',
+                    caption: content.caption
+                };
+                break;
+
+            case MESSAGE_TYPES.STICKER:
+                mediaPath = this._mediaFile(content, 'Sticker');
+                message = { sticker: { url: mediaPath } };
+                break;
+
+            case MESSAGE_TYPES.LOCATION:
+                if (!content.latitude || !content.longitude) {
+                    throw new Error('Latitude and longitude required');
+                }
+                message = {
+                    location: {
+                        degreesLatitude: content.latitude,
+                        degreesLongitude: content.longitude,
+                        name: content.name,
+                        address: content.address
+                    }
                 };
                 break;
 
@@ -1369,13 +2227,48 @@ class SessionHandler {
                 };
                 break;
 
+            case MESSAGE_TYPES.POLL: {
+                const options = (content.options || []).map(o => String(o).trim()).filter(Boolean);
+                if (!content.question) throw new Error('Poll question required');
+                if (options.length < 2 || options.length > POLL_MAX_OPTIONS) {
+                    throw new Error(`Poll needs 2-${POLL_MAX_OPTIONS} options`);
+                }
+                if (new Set(options).size !== options.length) throw new Error('Poll options must be unique');
+
+                // 0 lets voters pick any number of options
+                message = {
+                    poll: {
+                        name: content.question,
+                        values: options,
+                        selectableCount: content.multiple ? 0 : 1
+                    }
+                };
+                break;
+            }
+
             default:
                 throw new Error(`Unsupported message type: ${type}`);
         }
 
-        return new Promise((resolve, reject) => {
-            this._queueMessage(jid, message, resolve, reject);
-        }).then(async (sent) => {
+        if (options.mentions) {
+            const mentions = await this._resolveMentions(jid, options.mentions);
+            if (mentions.length) message.mentions = mentions;
+        }
+
+        const sendOptions = {};
+        if (options.quotedMessageId) {
+            sendOptions.quoted = await this._quotedMessage(options.quotedMessageId);
+        }
+
+        // waitFor bounds the whole call: time in the outbox plus waiting for the ack
+        const deadline = options.waitFor ? Date.now() + options.waitTimeout : null;
+        const queueOptions = { ...options, sendOptions, mediaPath };
+        queueOptions.humanize = await this._humanizePlan(jid, message, type, options.humanize);
+        if (deadline) queueOptions.waitTimeout = options.waitTimeout;
+
+        return this._queueMessage(jid, message, type, queueOptions).then(async (sent) => {
+            if (!sent?.key) return sent;
+
             this.stats.msgsTx++;
 
             await this.db.logActivity({
@@ -1386,10 +2279,85 @@ class SessionHandler {
                 details: { type, id: sent?.key?.id }
             }).catch(() => {});
 
+            if (deadline) {
+                sent.ack = await this.waitForAck(sent.key.id, options.waitFor, deadline - Date.now());
+            }
+
             return sent;
         });
     }
 
+    /**
+     * Build the message Baileys quotes from a stored message
+     * Only text/caption is kept as the quote preview; the raw proto isn't stored.
+     * @private
+     * @param {string} msgId - Message ID
+     * @returns {Promise<Object>} WAMessage-like object for the quoted option
+     */
+    async _quotedMessage(msgId) {
+        const row = await this.db.getMsg(msgId);
+        if (!row || row.deleted) {
+            throw Object.assign(new Error('Quoted message not found'), { code: 'QUOTED_NOT_FOUND' });
+        }
+
+        let meta = {};
+        try {
+            meta = row.meta ? JSON.parse(row.meta) : {};
+        } catch (error) {
+            // Old rows may have unparseable meta; the sender falls back to from_jid
+        }
+
+        const fromMe = !!row.from_me;
+        return {
+            key: {
+                remoteJid: row.chat,
+                id: row.id,
+                fromMe,
+                participant: isGroupJid(row.chat) && !fromMe ? (meta.participant || row.from_jid) : undefined
+            },
+            message: { conversation: row.text || row.caption || '' },
+            messageTimestamp: row.ts
+        };
+    }
+
+    /**
+     * Normalize mentions to JIDs; "@all" expands to the group's members
+     * @private
+     * @param {string} jid - Chat JID
+     * @param {Array|string} mentions - JIDs, phone numbers or "@all"
+     * @returns {Promise<Array>} Unique JIDs
+     */
+    async _resolveMentions(jid, mentions) {
+        const list = Array.isArray(mentions) ? mentions : [mentions];
+        const result = new Set();
+
+        for (const entry of list) {
+            const value = String(entry).trim();
+            if (!value) continue;
+
+            if (value === '@all' || value === 'all') {
+                if (!isGroupJid(jid)) {
+                    throw Object.assign(new Error('@all mentions are only available in groups'), { code: 'INVALID_MENTION' });
+                }
+
+                const own = this.sock?.user?.id?.split(':')[0].split('@')[0];
+                const members = await this.db.getGroupMembers(jid);
+                members
+                    .filter(m => m.member.split('@')[0] !== own)
+                    .forEach(m => result.add(m.member));
+                continue;
+            }
+
+            const mention = value.includes('@') ? value : phoneToJid(value);
+            if (!isValidJid(mention) || isGroupJid(mention)) {
+                throw Object.assign(new Error(`Invalid mention: ${value}`), { code: 'INVALID_MENTION' });
+            }
+            result.add(mention);
+        }
+
+        return Array.from(result);
+    }
+
     /**
      * Send reaction
      * @param {string} jid - Chat JID
@@ -1684,6 +2652,329 @@ class SessionHandler {
         }
     }
 
+    /**
+     * Edit one of our own text messages
+     * @param {string} msgId - Message ID
+     * @param {string} text - New text
+     * @returns {Promise<Object>} Recorded edit
+     */
+    async editMessage(msgId, text) {
+        if (!this.sock) throw new Error('Socket not connected');
+        if (!msgId || !text) throw new Error('Message ID and text required');
+
+        const msg = await this.db.getMsg(msgId);
+        if (!msg) {
+            throw Object.assign(new Error('Message not found'), { code: 'MESSAGE_NOT_FOUND' });
+        }
+        if (!msg.from_me || !['conversation', 'extendedtext'].includes(msg.type)) {
+            throw Object.assign(new Error('Only our own text messages can be edited'), { code: 'NOT_EDITABLE' });
+        }
+
+        // ts is normally seconds, but falls back to ms when the socket gave none
+        const sentAt = msg.ts > 1e12 ? Math.floor(msg.ts / 1000) : msg.ts;
+        const now = Math.floor(Date.now() / 1000);
+        if (sentAt && now - sentAt > MESSAGE_EDIT_WINDOW) {
+            throw Object.assign(new Error('Message can no longer be edited'), { code: 'EDIT_WINDOW_EXPIRED' });
+        }
+
+        this.lastActivity = Date.now();
+
+        try {
+            const result = await this.sock.sendMessage(msg.chat, {
+                text,
+                edit: { remoteJid: msg.chat, id: msg.id, fromMe: true }
+            });
+
+            // The upsert of our own edit may already have recorded it
+            const edit = await this.db.recordMsgEdit({
+                id: result?.key?.id || `edit-${msg.id}-${Date.now()}`,
+                msg_id: msg.id,
+                chat: msg.chat,
+                editor: this.sid,
+                from_me: 1,
+                text,
+                ts: now
+            }) || { id: msg.id, editId: result?.key?.id, chat: msg.chat, editor: this.sid, fromMe: true, prevText: msg.text, text, ts: now };
+
+            await this.db.logActivity({
+                user_id: this.uid,
+                session_id: this.sid,
+                action: 'edit_message',
+                resource: msg.id,
+                details: { jid: msg.chat }
+            }).catch(() => {});
+
+            return edit;
+
+        } catch (error) {
+            this.stats.errors++;
+            logger.error('Edit message failed', { sid: this.sid, msgId, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Turn disappearing messages on or off for a chat or group
+     * @param {string} jid - Chat JID
+     * @param {number} expiration - Seconds (one of DISAPPEARING_MODES), 0 for off
+     * @returns {Promise<Object>} { jid, expiration, updated_at }
+     */
+    async setDisappearing(jid, expiration) {
+        if (!this.sock) throw new Error('Socket not connected');
+        if (!isValidJid(jid)) throw new Error('Invalid JID format');
+        if (!Object.values(DISAPPEARING_MODES).includes(expiration)) {
+            throw new Error(`Expiration must be one of ${Object.values(DISAPPEARING_MODES).join(', ')}`);
+        }
+
+        this.lastActivity = Date.now();
+
+        try {
+            // Baileys routes groups to groupToggleEphemeral
+            await this.sock.sendMessage(jid, { disappearingMessagesInChat: expiration || false });
+            const ephemeral = await this.db.setChatEphemeral(jid, expiration);
+
+            await this.db.logActivity({
+                user_id: this.uid,
+                session_id: this.sid,
+                action: 'set_disappearing',
+                resource: jid,
+                details: { expiration }
+            }).catch(() => {});
+
+            this._emit('chat_update', { id: jid, ephemeralExpiration: expiration });
+            return { jid, ...ephemeral };
+
+        } catch (error) {
+            this.stats.errors++;
+            logger.error('Failed to set disappearing messages', { sid: this.sid, jid, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Forward a stored message to other chats
+     * Media is forwarded from the stored message keys, so nothing is re-uploaded.
+     * Targets are queued one after another and the outbox paces the sends.
+     * @param {string} msgId - Message ID
+     * @param {Array<string>} jids - Target JIDs
+     * @returns {Promise<Array>} Per-target results { jid, success, outboxId, status, error }
+     */
+    async forwardMessage(msgId, jids) {
+        if (!msgId || !Array.isArray(jids) || !jids.length) throw new Error('Message ID and target JIDs required');
+
+        const { source, type } = await this._forwardSource(msgId);
+        this.lastActivity = Date.now();
+
+        const results = [];
+        for (const jid of jids) {
+            try {
+                if (!isValidJid(jid)) throw new Error('Invalid JID format');
+
+                const queued = await this._queueMessage(jid, { forward: source }, type, {
+                    source: 'forward',
+                    meta: { msgId },
+                    wait: false
+                });
+
+                results.push({ jid, success: true, outboxId: queued.outboxId, status: queued.status });
+
+            } catch (error) {
+                results.push({ jid, success: false, error: error.message, code: error.code, retryAfter: error.retryAfter });
+            }
+        }
+
+        await this.db.logActivity({
+            user_id: this.uid,
+            session_id: this.sid,
+            action: 'forward_message',
+            resource: msgId,
+            details: { targets: jids.length, failed: results.filter(r => !r.success).length }
+        }).catch(() => {});
+
+        return results;
+    }
+
+    /**
+     * Send a message to every recipient of a broadcast list. Each recipient
+     * gets their own message through the outbox, like WhatsApp broadcast lists.
+     * Recipients are queued one after another and the outbox paces the sends;
+     * media is written once and every item references the same file.
+     * @param {string} listId - Broadcast list ID
+     * @param {*} content - Message content, as for sendMessage
+     * @param {string} type - Message type
+     * @param {Object} options - { humanize }
+     * @returns {Promise<Object>} { sendId, results: [{ jid, success, outboxId, status }] }
+     */
+    async sendBroadcast(listId, content, type = MESSAGE_TYPES.TEXT, options = {}) {
+        const list = await this.db.getBroadcastList(listId);
+        if (!list) throw Object.assign(new Error('Broadcast list not found'), { code: 'BROADCAST_NOT_FOUND' });
+        if (!list.recipients.length) {
+            throw Object.assign(new Error('Broadcast list has no recipients'), { code: 'BROADCAST_EMPTY' });
+        }
+
+        if (content?.buffer) {
+            const { buffer, ...rest } = content;
+            content = { ...rest, path: this._mediaFile(content, 'Broadcast media') };
+        }
+
+        const results = [];
+        for (const jid of list.recipients) {
+            try {
+                const queued = await this.sendMessage(jid, content, type, {
+                    source: 'broadcast',
+                    meta: { broadcastId: listId },
+                    humanize: options.humanize,
+                    wait: false
+                });
+
+                results.push({ jid, success: true, outboxId: queued.outboxId, status: queued.status });
+
+            } catch (error) {
+                results.push({ jid, success: false, error: error.message, code: error.code, retryAfter: error.retryAfter });
+            }
+        }
+
+        const preview = typeof content === 'string' ? content : content.caption || content.name || '';
+        const sendId = await this.db.recordBroadcastSend({
+            list_id: listId,
+            type,
+            preview: preview.substring(0, 100),
+            results
+        });
+
+        await this.db.logActivity({
+            user_id: this.uid,
+            session_id: this.sid,
+            action: 'broadcast_send',
+            resource: listId,
+            details: { sendId, targets: results.length, failed: results.filter(r => !r.success).length }
+        }).catch(() => {});
+
+        return { sendId, results };
+    }
+
+    /**
+     * Rebuild the WAMessage to forward from the stored msgs/media rows
+     * @private
+     * @param {string} msgId - Message ID
+     * @returns {Promise<Object>} { source, type }
+     */
+    async _forwardSource(msgId) {
+        const row = await this.db.getMsg(msgId);
+        if (!row || row.deleted) {
+            throw Object.assign(new Error('Message not found'), { code: 'MESSAGE_NOT_FOUND' });
+        }
+
+        const media = await this.db.getMedia(msgId);
+        if (media?.meta) {
+            const stored = JSON.parse(media.meta, BufferJSON.reviver);
+            const message = stored.message || {};
+            if (message.viewOnceMessage || message.viewOnceMessageV2 || message.viewOnceMessageV2Extension) {
+                throw Object.assign(new Error('View once messages cannot be forwarded'), { code: 'NOT_FORWARDABLE' });
+            }
+            return { source: { key: stored.key, message }, type: media.type };
+        }
+
+        if (['conversation', 'extendedtext'].includes(row.type) && row.text) {
+            return {
+                source: {
+                    key: { remoteJid: row.chat, id: row.id, fromMe: !!row.from_me },
+                    message: { extendedTextMessage: { text: row.text } }
+                },
+                type: MESSAGE_TYPES.TEXT
+            };
+        }
+
+        throw Object.assign(new Error(`Messages of type ${row.type} cannot be forwarded`), { code: 'NOT_FORWARDABLE' });
+    }
+
+    /**
+     * Post a status (story) to all contacts or a selected list
+     * @param {string|Object} content - Text, or { buffer | path, caption } for image/video
+     * @param {string} type - text, image or video
+     * @param {Object} options - { audience: 'all' | Array<string>, backgroundColor, font }
+     * @returns {Promise<Object>} { id, status, audience } or { outboxId, status, audience } if still queued
+     */
+    async postStatus(content, type = MESSAGE_TYPES.TEXT, options = {}) {
+        if (!this.sock) throw new Error('Socket not connected');
+        if (!STATUS.TYPES.includes(type)) throw new Error(`Unsupported status type: ${type}`);
+
+        let message;
+        let mediaPath;
+        if (type === MESSAGE_TYPES.TEXT) {
+            if (!content || typeof content !== 'string') throw new Error('Status text required');
+            message = { text: content };
+        } else {
+            mediaPath = this._mediaFile(content, 'Status media');
+            message = { [type]: { url: mediaPath }, caption: content.caption || '' };
+        }
+
+        const audience = await this._statusAudience(options.audience);
+        this.lastActivity = Date.now();
+
+        const sent = await this._queueMessage(STATUS.JID, message, type, {
+            source: 'status',
+            mediaPath,
+            sendOptions: {
+                statusJidList: audience,
+                broadcast: true,
+                backgroundColor: options.backgroundColor,
+                font: options.font
+            }
+        });
+
+        await this.db.logActivity({
+            user_id: this.uid,
+            session_id: this.sid,
+            action: 'post_status',
+            resource: sent?.key?.id || sent?.outboxId,
+            details: { type, audience: audience.length }
+        }).catch(() => {});
+
+        if (!sent?.key) return { ...sent, audience: audience.length };
+
+        // The upsert of our own status records it too; this adds who it was shared with
+        await this.db.saveStatus({
+            msg_id: sent.key.id,
+            sender: this.sid,
+            from_me: 1,
+            type,
+            text: message.text || message.caption || null,
+            ts: Number(sent.messageTimestamp) || Math.floor(Date.now() / 1000),
+            audience
+        });
+
+        this.stats.msgsTx++;
+        return { id: sent.key.id, status: 'sent', audience: audience.length };
+    }
+
+    /**
+     * Resolve who a status is shared with
+     * @private
+     * @param {string|Array<string>} audience - 'all' (every saved contact) or JIDs
+     * @returns {Promise<Array<string>>} JIDs, including our own so other devices see it
+     */
+    async _statusAudience(audience) {
+        let jids;
+        if (Array.isArray(audience) && audience.length) {
+            jids = audience.map(j => String(j).includes('@') ? String(j) : phoneToJid(String(j)));
+            const invalid = jids.find(j => !isValidJid(j) || isGroupJid(j));
+            if (invalid) {
+                throw Object.assign(new Error(`Invalid status recipient: ${invalid}`), { code: 'INVALID_AUDIENCE' });
+            }
+        } else {
+            const contacts = await this.db.getAllContacts();
+            jids = contacts.map(c => c.jid).filter(j => j && j.endsWith('@s.whatsapp.net'));
+        }
+
+        if (!jids.length) {
+            throw Object.assign(new Error('No contacts to share the status with'), { code: 'INVALID_AUDIENCE' });
+        }
+
+        const me = this.sock?.user?.id ? jidNormalizedUser(this.sock.user.id) : null;
+        return Array.from(new Set(me ? [...jids, me] : jids));
+    }
+
     /**
      * Star/unstar message
      * @param {string} jid - Chat JID
@@ -1726,7 +3017,7 @@ class SessionHandler {
 
         const validCmds = [
             'create', 'subject', 'desc', 'add', 'remove', 'promote', 'demote',
-            'announce', 'not_announce', 'lock', 'unlock', 'invite', 'revoke', 'join', 'leave'
+            'announce', 'not_announce', 'lock', 'unlock', 'approval', 'invite', 'revoke', 'join', 'leave'
         ];
 
         if (!validCmds.includes(cmd)) {
@@ -1826,6 +3117,14 @@ class SessionHandler {
                     });
                     break;
 
+                case 'approval':
+                    if (!jid) throw new Error('Group JID required');
+                    result = await this.sock.groupJoinApprovalMode(jid, data[0] ? 'on' : 'off');
+
+                    const approvalGroup = await this.db.getGroup(jid);
+                    await this.db.upsertGroup({ ...approvalGroup, jid, approval: !!data[0] });
+                    break;
+
                 case 'invite':
                     if (!jid) throw new Error('Group JID required');
                     const code = await this.sock.groupInviteCode(jid);
@@ -2102,6 +3401,200 @@ class SessionHandler {
         }
     }
 
+    // ==================== GROUP JOIN REQUESTS ====================
+
+    /**
+     * List join requests for a group
+     * @param {string} groupJid - Group JID
+     * @param {Object} options - { status, limit, offset, refresh } - refresh syncs pending requests from WhatsApp first
+     * @returns {Promise<Array>} Requests
+     */
+    async getJoinRequests(groupJid, options = {}) {
+        if (!isGroupJid(groupJid)) throw new Error('Invalid group JID');
+
+        if (options.refresh) {
+            if (!this.sock) throw new Error('Socket not connected');
+
+            const live = await this.sock.groupRequestParticipantsList(groupJid);
+            const jids = new Set();
+
+            for (const r of live || []) {
+                if (!r.jid) continue;
+                jids.add(r.jid);
+
+                const existing = await this.db.getJoinRequest(groupJid, r.jid);
+                if (existing?.status === 'pending') continue;
+
+                const pn = r.phone_number || (r.jid.endsWith('@s.whatsapp.net') ? r.jid : null);
+                await this.db.upsertJoinRequest({
+                    group_jid: groupJid,
+                    requester: r.jid,
+                    phone: pn ? jidToPhone(pn) : existing?.phone,
+                    method: r.request_method,
+                    status: 'pending',
+                    requested_at: r.request_time ? Number(r.request_time) * 1000 : Date.now(),
+                    resolved_at: null,
+                    resolved_by: null
+                });
+            }
+
+            // Requests WhatsApp no longer lists were handled somewhere we did not see
+            const pending = await this.db.getJoinRequests(groupJid, { status: 'pending', limit: -1 });
+            const stale = pending.map(r => r.requester).filter(jid => !jids.has(jid));
+            await this.db.resolveJoinRequests(groupJid, stale, 'closed', 'whatsapp');
+        }
+
+        return this.db.getJoinRequests(groupJid, options);
+    }
+
+    /**
+     * Approve or reject pending join requests
+     * @param {string} groupJid - Group JID
+     * @param {Array<string>} jids - Requester JIDs
+     * @param {string} action - approve or reject
+     * @param {string} by - Who resolved them, stored on the request
+     * @returns {Promise<Array>} [{ jid, status, success }]
+     */
+    async resolveJoinRequests(groupJid, jids, action, by = 'api') {
+        if (!this.sock) throw new Error('Socket not connected');
+        if (!isGroupJid(groupJid)) throw new Error('Invalid group JID');
+        if (!['approve', 'reject'].includes(action)) throw new Error(`Invalid action: ${action}`);
+        if (!jids?.length) return [];
+
+        this.lastActivity = Date.now();
+
+        try {
+            const response = await this.sock.groupRequestParticipantsUpdate(groupJid, jids, action);
+            const results = (response || []).map(r => ({
+                jid: r.jid,
+                status: r.status,
+                success: String(r.status) === '200'
+            }));
+
+            const done = results.filter(r => r.success).map(r => r.jid);
+            await this.db.resolveJoinRequests(groupJid, done, action === 'approve' ? 'approved' : 'rejected', by);
+
+            this._emit('group_join_request', {
+                id: groupJid,
+                action: action === 'approve' ? 'approved' : 'rejected',
+                participants: done,
+                author: by
+            });
+
+            return results;
+
+        } catch (error) {
+            this.stats.errors++;
+            logger.error(`Join request ${action} failed`, { sid: this.sid, groupJid, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Approve a new join request when the group's auto-approve rule matches it
+     * @private
+     * @param {string} groupJid - Group JID
+     * @param {string} requester - Requester JID
+     */
+    async _autoApproveJoinRequest(groupJid, requester) {
+        try {
+            const rule = await this.db.getJoinRule(groupJid);
+            if (!rule?.enabled) return;
+
+            const request = await this.db.getJoinRequest(groupJid, requester);
+            if (!request || request.status !== 'pending') return;
+            if (!await this._matchJoinRule(rule, request)) return;
+
+            await this.resolveJoinRequests(groupJid, [requester], 'approve', 'auto');
+            logger.info(`Auto-approved join request from ${requester} to ${groupJid}`, { sid: this.sid });
+
+        } catch (err) {
+            logger.warn('Auto-approve join request failed', { sid: this.sid, groupJid, error: err.message });
+        }
+    }
+
+    /**
+     * Check a join request against an auto-approve rule
+     * @private
+     * @param {Object} rule - { prefixes, contacts_only }
+     * @param {Object} request - Stored join request
+     * @returns {Promise<boolean>} True when every condition of the rule holds
+     */
+    async _matchJoinRule(rule, request) {
+        // A rule without conditions would let everyone in
+        if (!rule.prefixes.length && !rule.contacts_only) return false;
+
+        if (rule.prefixes.length) {
+            // Requests that hide the phone number (LID only) can't match a prefix
+            if (!request.phone) return false;
+            if (!rule.prefixes.some(prefix => request.phone.startsWith(prefix))) return false;
+        }
+
+        if (rule.contacts_only) {
+            const contact = await this.db.findContact(request.requester) ||
+                (request.phone ? await this.db.findContact(phoneToJid(request.phone)) : null);
+            if (!contact?.name) return false;
+        }
+
+        return true;
+    }
+
+    // ==================== TEMPLATES ====================
+
+    /**
+     * Variables available to a template for one recipient
+     * Precedence: request variables, then contact fields, then template defaults.
+     * @param {string} jid - Recipient JID
+     * @param {Object} variables - Caller supplied variables
+     * @param {Object} defaults - Template defaults
+     * @returns {Promise<Object>} Variables
+     */
+    async templateVars(jid, variables = {}, defaults = {}) {
+        const contact = await this.db.getContact(jid).catch(() => null);
+
+        return {
+            ...defaults,
+            jid,
+            phone: contact?.phone || jid.split('@')[0],
+            'contact.name': contact?.name || contact?.short || undefined,
+            'contact.push_name': contact?.push || undefined,
+            'contact.phone': contact?.phone || jid.split('@')[0],
+            ...variables
+        };
+    }
+
+    /**
+     * Render a stored template into sendMessage arguments
+     * @param {string} id - Template ID
+     * @param {string} jid - Recipient JID
+     * @param {Object} variables - Template variables
+     * @param {string} userId - Requesting user (for personal templates)
+     * @returns {Promise<Object>} { type, content, template }
+     */
+    async renderTemplate(id, jid, variables = {}, userId = this.uid) {
+        const template = await this.db.getTemplate(id, userId);
+        if (!template) {
+            throw Object.assign(new Error('Template not found'), { code: 'TEMPLATE_NOT_FOUND' });
+        }
+
+        const vars = await this.templateVars(jid, variables, template.defaults);
+        const content = renderTemplateContent(template.content, vars);
+
+        if (template.media_path) {
+            if (!fs.existsSync(template.media_path)) {
+                throw Object.assign(new Error('Template media file missing'), { code: 'TEMPLATE_MEDIA_MISSING' });
+            }
+            // Queued by reference; the file is read when the outbox sends it
+            content.path = template.media_path;
+        }
+
+        return {
+            type: template.type,
+            content: template.type === MESSAGE_TYPES.TEXT ? content.text : content,
+            template
+        };
+    }
+
     // ==================== WEBHOOK METHODS ====================
 
     /**
@@ -2146,6 +3639,48 @@ class SessionHandler {
         return result;
     }
 
+    /**
+     * List queued/dead-lettered webhook deliveries
+     * @param {Object} filters - { status, webhook_id, event, limit, offset }
+     * @returns {Promise<Array>} Queue items
+     */
+    async getWebhookQueue(filters = {}) {
+        return this.db.getWebhookQueue(filters);
+    }
+
+    /**
+     * Get delivery attempt log for a webhook
+     * @param {string} id - Webhook ID
+     * @param {number} limit - Number of records
+     * @returns {Promise<Array>} Attempts
+     */
+    async getWebhookDeliveries(id, limit = 20) {
+        return this.db.getWebhookDeliveries(id, limit);
+    }
+
+    /**
+     * Requeue dead-lettered or delivered webhook deliveries
+     * @param {Object} filters - { ids, status, webhook_id, event, since, limit }
+     * @returns {Promise<number>} Number of deliveries requeued
+     */
+    async redeliverWebhooks(filters = {}) {
+        const count = await this.db.redeliverWebhooks(filters);
+        if (count) serviceManager.get('webhook')?.kick();
+        return count;
+    }
+
+    /**
+     * Rotate webhook signing secret
+     * @param {string} id - Webhook ID
+     * @param {Object} options - { secret, gracePeriod (ms) }
+     * @returns {Promise<Object|null>} { id, secret, previousExpiresAt } or null
+     */
+    async rotateWebhookSecret(id, options = {}) {
+        const result = await this.db.rotateWebhookSecret(id, options);
+        await this._refreshWebhookCache();
+        return result;
+    }
+
     /**
      * Test webhook
      * @param {string} id - Webhook ID
@@ -2155,6 +3690,9 @@ class SessionHandler {
         const webhook = await this.db.get('webhooks', ['id'], [id]);
         if (!webhook) throw new Error('Webhook not found');
 
+        // Sample is shaped like a message event; wildcards are sent as "message"
+        const event = webhook.event.split(',')[0].replace(/^\*$|\.\*$/, '') || 'message';
+
         const sampleData = {
             message: {
                 id: 'test_msg_123',
@@ -2165,7 +3703,7 @@ class SessionHandler {
         };
 
         const payload = {
-            event: webhook.event,
+            event,
             sessionId: this.sid,
             timestamp: new Date().toISOString(),
             test: true,
@@ -2173,13 +3711,25 @@ class SessionHandler {
         };
 
         const start = Date.now();
+        const body = JSON.stringify(payload);
+        const secrets = await this.db.getWebhookSecrets(webhook.id);
 
         try {
             const response = await axios({
                 method: 'POST',
                 url: webhook.url,
-                headers: webhook.headers ? JSON.parse(webhook.headers) : {},
-                data: payload,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(webhook.headers ? JSON.parse(webhook.headers) : {}),
+                    ...webhookHeaders({
+                        secrets,
+                        body,
+                        event,
+                        deliveryId: uuidv4(),
+                        idempotencyKey: uuidv4()
+                    })
+                },
+                data: body,
                 timeout: webhook.timeout || 10000,
                 validateStatus: null
             });
@@ -2272,12 +3822,11 @@ class SessionHandler {
     /**
      * Search messages
      * @param {string} query - Search query
-     * @param {string} jid - Chat JID (optional)
-     * @param {number} limit - Limit
+     * @param {Object} options - { chat, sender, type, fromMe, from, to, sort, limit, offset }
      * @returns {Promise<Array>} Matching messages
      */
-    async searchMessages(query, jid = null, limit = 50) {
-        return this.db.searchMsgs(jid, query, limit);
+    async searchMessages(query, options = {}) {
+        return this.db.searchMsgs(query, options);
     }
 
     /**
@@ -2401,6 +3950,7 @@ class SessionHandler {
             device: dbSession?.device_id,
             created: dbSession?.created_at,
             lastSeen: dbSession?.last_seen,
+            pairing: this.getPairing(),
             stats: {
                 ...this.stats,
                 uptime: Date.now() - this.startTime,
@@ -2424,17 +3974,22 @@ class SessionHandler {
             case 2: return MESSAGE_STATUS.SENT;
             case 3: return MESSAGE_STATUS.DELIVERED;
             case 4: return MESSAGE_STATUS.READ;
+            case 5: return MESSAGE_STATUS.READ; // Played (voice notes, video)
             default: return null;
         }
     }
 
     /**
-     * Emit event to WebSocket clients
+     * Emit event to WebSocket clients and matching webhooks
      * @private
      * @param {string} event - Event name
      * @param {*} data - Event data
      */
     _emit(event, data) {
+        this._sendToWebhook(event, data).catch(err => {
+            logger.debug(`Webhook failed for ${event}`, { sid: this.sid, error: err.message });
+        });
+
         if (!this.wss) return;
 
         const msg = JSON.stringify({ event, data });
@@ -2506,6 +4061,7 @@ class SessionHandler {
                 status: 'logged_out',
                 logged_in: 0
             }).catch(() => {});
+            await this.db.clearAuthState(this.sid).catch(() => {});
 
             this._emit('logged_out', {});
             logger.info('Logged out', { sid: this.sid });
@@ -2524,15 +4080,23 @@ class SessionHandler {
     async close() {
         logger.info('Closing session', { sid: this.sid });
 
-        this.messageQueue.forEach(item => {
-            item.reject(new Error('Session closed'));
-        });
-        this.messageQueue = [];
+        // Queued messages stay in the outbox and resume on next start
+        for (const id of Array.from(this.outboxWaiters.keys())) {
+            this._settleOutboxWaiter(id, null, { outboxId: id, status: 'queued' });
+        }
+        for (const [msgId, waiters] of Array.from(this.ackWaiters)) {
+            for (const waiter of Array.from(waiters)) this._settleAckWaiter(msgId, waiter, null);
+        }
+        if (this.outboxTimer) {
+            clearTimeout(this.outboxTimer);
+            this.outboxTimer = null;
+        }
 
         for (const [id, { reject }] of this.pendingPromises) {
             reject(new Error('Session closed'));
         }
         this.pendingPromises.clear();
+        this._clearPairing();
 
         if (this.sock) {
             try {
@@ -2567,6 +4131,7 @@ class SessionHandler {
         try {
             const dbOk = this.db ? await this.db.healthCheck().catch(() => false) : false;
             const sockOk = this.sock && this.state === 'open';
+            const queueSize = dbOk ? await this.db.count('outbox', 'AND status = ?', ['queued']).catch(() => 0) : 0;
 
             return {
                 status: dbOk && sockOk ? 'healthy' : 'unhealthy',
@@ -2574,7 +4139,7 @@ class SessionHandler {
                 db: dbOk ? 'ok' : 'error',
                 socket: sockOk ? 'ok' : 'error',
                 stats: this.stats,
-                queueSize: this.messageQueue.length,
+                queueSize,
                 uptime: Date.now() - this.startTime,
                 lastActivity: Date.now() - this.lastActivity
             };
@@ -90,10 +90,8 @@ class SessionsManager {
         logger.info('Restoring active sessions...');
 
         try {
-            // Fix: Use db.all directly instead of store.all which requires sessionId
-            const sessions = await this.store.db.all(
-                `SELECT * FROM sessions WHERE logged_in = 1`
-            );
+            // Sessions with persisted auth state reconnect without a new QR scan
+            const sessions = await this.store.getRestorableSessions();
             
             let restored = 0;
             let failed = 0;
@@ -333,12 +331,19 @@ class SessionsManager {
             // Create session
             const sess = await this._add(sid, uid);
 
+            // Link by pairing code instead of QR when a phone number is given
+            let pairing = null;
+            if (options.phone) {
+                pairing = await sess.requestPairingCode(options.phone)
+                    .catch(err => ({ error: err.message }));
+            }
+
             // Log activity
             await this.store.logActivity({
                 user_id: uid,
                 action: 'create_session',
                 resource: sid,
-                details: { platform: options.platform, device: options.device }
+                details: { platform: options.platform, device: options.device, pairing: !!pairing }
             }).catch(() => { });
 
             logger.info('Session created', { sid, uid, platform: options.platform });
@@ -346,7 +351,8 @@ class SessionsManager {
             return {
                 sid,
                 qr: sess.qr,
-                state: sess.state
+                state: sess.state,
+                pairing
             };
 
         } catch (error) {
@@ -939,12 +945,11 @@ class SessionsManager {
      * Search messages
      * @param {string} sid - Session ID
      * @param {string} query - Search query
-     * @param {string} jid - Chat JID (optional)
-     * @param {number} limit - Limit
+     * @param {Object} options - { chat, sender, type, fromMe, from, to, sort, limit, offset }
      * @returns {Promise<Array>}
      */
-    async searchMessages(sid, query, jid = null, limit = 50) {
-        return this.exec(sid, 'searchMessages', query, jid, limit);
+    async searchMessages(sid, query, options = {}) {
+        return this.exec(sid, 'searchMessages', query, options);
     }
 
     /**
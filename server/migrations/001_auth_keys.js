@@ -0,0 +1,24 @@
+// src/migrations/001_auth_keys.js
+// Baileys signal keys (pre-keys, sessions, sender keys, ...), one row per
+// key. The creds half of the auth state lives in sessions.creds.
+
+module.exports = {
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS auth_keys (
+                session_id TEXT NOT NULL,
+                type TEXT NOT NULL,
+                id TEXT NOT NULL,
+                value TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (session_id, type, id),
+                FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+            )
+        `);
+    },
+
+    async down(db) {
+        await db.exec(`DROP TABLE IF EXISTS auth_keys`);
+    }
+};
@@ -0,0 +1,40 @@
+// src/migrations/002_outbox.js
+// Persistent outbox for outgoing messages. Each row holds the Baileys
+// payload until it is finished, plus its retry state and delivery status.
+// Media is not inlined: media_path points at the file the payload sends.
+
+module.exports = {
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS outbox (
+                id TEXT PRIMARY KEY,
+                session_id TEXT NOT NULL,
+                jid TEXT NOT NULL,
+                type TEXT NOT NULL,
+                payload TEXT,
+                media_path TEXT,
+                status TEXT DEFAULT 'queued',
+                msg_id TEXT,
+                attempts INTEGER DEFAULT 0,
+                max_attempts INTEGER DEFAULT 3,
+                next_attempt_at INTEGER,
+                error TEXT,
+                source TEXT,
+                meta TEXT,
+                sent_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+            )
+        `);
+
+        await db.exec(`CREATE INDEX IF NOT EXISTS idx_outbox_status ON outbox(session_id, status, next_attempt_at)`);
+        await db.exec(`CREATE INDEX IF NOT EXISTS idx_outbox_msg ON outbox(session_id, msg_id)`);
+        await db.exec(`CREATE INDEX IF NOT EXISTS idx_outbox_finished ON outbox(status, updated_at)`);
+        await db.exec(`CREATE INDEX IF NOT EXISTS idx_outbox_media ON outbox(media_path) WHERE media_path IS NOT NULL`);
+    },
+
+    async down(db) {
+        await db.exec(`DROP TABLE IF EXISTS outbox`);
+    }
+};
@@ -0,0 +1,51 @@
+// src/migrations/003_schedules.js
+// Scheduled sends: one-off (send_at) or recurring (cron + timezone), with
+// a run log that links each run to the outbox item it queued.
+
+module.exports = {
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS schedules (
+                id TEXT PRIMARY KEY,
+                session_id TEXT NOT NULL,
+                user_id TEXT,
+                jid TEXT NOT NULL,
+                type TEXT DEFAULT 'text',
+                content TEXT,
+                media_path TEXT,
+                send_at INTEGER,
+                cron TEXT,
+                timezone TEXT,
+                status TEXT DEFAULT 'active',
+                run_count INTEGER DEFAULT 0,
+                last_run_at DATETIME,
+                last_error TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+            )
+        `);
+
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS schedule_runs (
+                id TEXT PRIMARY KEY,
+                schedule_id TEXT NOT NULL,
+                session_id TEXT NOT NULL,
+                status TEXT NOT NULL,
+                outbox_id TEXT,
+                error TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (schedule_id) REFERENCES schedules(id) ON DELETE CASCADE
+            )
+        `);
+
+        await db.exec(`CREATE INDEX IF NOT EXISTS idx_schedules_status ON schedules(status)`);
+        await db.exec(`CREATE INDEX IF NOT EXISTS idx_schedules_session ON schedules(session_id, created_at DESC)`);
+        await db.exec(`CREATE INDEX IF NOT EXISTS idx_schedule_runs ON schedule_runs(schedule_id, created_at DESC)`);
+    },
+
+    async down(db) {
+        await db.exec(`DROP TABLE IF EXISTS schedule_runs`);
+        await db.exec(`DROP TABLE IF EXISTS schedules`);
+    }
+};
@@ -0,0 +1,48 @@
+// src/migrations/004_autoreply.js
+// Auto-reply rules per session and the per-contact cooldown each rule
+// keeps so it doesn't answer the same chat over and over.
+
+module.exports = {
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS autoreply_rules (
+                id TEXT PRIMARY KEY,
+                session_id TEXT NOT NULL,
+                name TEXT,
+                trigger TEXT NOT NULL,
+                pattern TEXT,
+                case_sensitive BOOLEAN DEFAULT 0,
+                reply TEXT NOT NULL,
+                scope TEXT DEFAULT 'all',
+                allow_jids TEXT,
+                deny_jids TEXT,
+                cooldown INTEGER DEFAULT 0,
+                business_hours TEXT,
+                priority INTEGER DEFAULT 0,
+                enabled BOOLEAN DEFAULT 1,
+                fire_count INTEGER DEFAULT 0,
+                last_fired_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+            )
+        `);
+
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS autoreply_cooldowns (
+                rule_id TEXT NOT NULL,
+                jid TEXT NOT NULL,
+                fired_at INTEGER NOT NULL,
+                PRIMARY KEY (rule_id, jid),
+                FOREIGN KEY (rule_id) REFERENCES autoreply_rules(id) ON DELETE CASCADE
+            )
+        `);
+
+        await db.exec(`CREATE INDEX IF NOT EXISTS idx_autoreply_session ON autoreply_rules(session_id, enabled, priority DESC)`);
+    },
+
+    async down(db) {
+        await db.exec(`DROP TABLE IF EXISTS autoreply_cooldowns`);
+        await db.exec(`DROP TABLE IF EXISTS autoreply_rules`);
+    }
+};
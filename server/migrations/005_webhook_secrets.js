@@ -0,0 +1,24 @@
+// src/migrations/005_webhook_secrets.js
+// Previous webhook signing secrets that stay valid until expires_at, so
+// receivers can switch over after a rotation.
+
+module.exports = {
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS webhook_secrets (
+                webhook_id TEXT NOT NULL,
+                secret TEXT NOT NULL,
+                expires_at INTEGER NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (webhook_id, secret),
+                FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE
+            )
+        `);
+
+        await db.exec(`CREATE INDEX IF NOT EXISTS idx_webhook_secrets ON webhook_secrets(webhook_id, expires_at)`);
+    },
+
+    async down(db) {
+        await db.exec(`DROP TABLE IF EXISTS webhook_secrets`);
+    }
+};
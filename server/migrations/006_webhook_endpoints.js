@@ -0,0 +1,67 @@
+// src/migrations/006_webhook_endpoints.js
+// Webhooks move from one-per-event (UNIQUE(session_id, event)) to
+// multiple endpoints per session with event lists and filters.
+
+module.exports = {
+    // PRAGMA foreign_keys can't change inside a transaction
+    transaction: false,
+
+    async up(db) {
+        const columns = await db.all(`PRAGMA table_info(webhooks)`);
+        if (!columns.length || columns.some(c => c.name === 'events')) return;
+
+        // Dropping the old table must not cascade into deliveries/secrets
+        await db.exec('PRAGMA foreign_keys = OFF');
+
+        try {
+            await db.exec('BEGIN IMMEDIATE');
+
+            await db.exec(`
+                CREATE TABLE webhooks_upgrade (
+                    id TEXT PRIMARY KEY,
+                    session_id TEXT NOT NULL,
+                    event TEXT NOT NULL,
+                    events TEXT,
+                    filters TEXT,
+                    url TEXT NOT NULL,
+                    headers TEXT,
+                    enabled BOOLEAN DEFAULT 1,
+                    retry_count INTEGER DEFAULT 3,
+                    timeout INTEGER DEFAULT 10000,
+                    secret TEXT,
+                    last_triggered DATETIME,
+                    last_response INTEGER,
+                    failure_count INTEGER DEFAULT 0,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+                )
+            `);
+            await db.exec(`
+                INSERT INTO webhooks_upgrade (id, session_id, event, events, url, headers, enabled,
+                    retry_count, timeout, secret, last_triggered, last_response, failure_count,
+                    created_at, updated_at)
+                SELECT id, session_id, event,
+                    CASE WHEN event = 'all' THEN '["*"]' ELSE json_array(event) END,
+                    url, headers, enabled, retry_count, timeout, secret, last_triggered,
+                    last_response, failure_count, created_at, updated_at
+                FROM webhooks
+            `);
+            await db.exec(`DROP TABLE webhooks`);
+            await db.exec(`ALTER TABLE webhooks_upgrade RENAME TO webhooks`);
+            await db.exec(`CREATE INDEX IF NOT EXISTS idx_webhook_session ON webhooks(session_id, enabled)`);
+            await db.exec(`CREATE INDEX IF NOT EXISTS idx_webhook_event ON webhooks(session_id, event)`);
+
+            await db.exec('COMMIT');
+
+        } catch (error) {
+            await db.exec('ROLLBACK').catch(() => {});
+            throw error;
+
+        } finally {
+            await db.exec('PRAGMA foreign_keys = ON');
+        }
+    }
+
+    // No down: several webhooks per event can't be folded back into one
+};
@@ -0,0 +1,35 @@
+// src/migrations/007_webhook_queue.js
+// Durable webhook delivery queue. Items are retried with backoff and end
+// up 'delivered' or 'dead' (kept for manual redelivery).
+
+module.exports = {
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS webhook_queue (
+                id TEXT PRIMARY KEY,
+                session_id TEXT NOT NULL,
+                webhook_id TEXT NOT NULL,
+                event TEXT NOT NULL,
+                payload TEXT NOT NULL,
+                status TEXT DEFAULT 'pending',
+                attempts INTEGER DEFAULT 0,
+                max_attempts INTEGER DEFAULT 3,
+                next_attempt_at INTEGER,
+                last_status INTEGER,
+                error TEXT,
+                delivered_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE,
+                FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+            )
+        `);
+
+        await db.exec(`CREATE INDEX IF NOT EXISTS idx_webhook_queue_due ON webhook_queue(status, next_attempt_at)`);
+        await db.exec(`CREATE INDEX IF NOT EXISTS idx_webhook_queue_session ON webhook_queue(session_id, created_at DESC)`);
+    },
+
+    async down(db) {
+        await db.exec(`DROP TABLE IF EXISTS webhook_queue`);
+    }
+};
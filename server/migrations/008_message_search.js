@@ -0,0 +1,79 @@
+// src/migrations/008_message_search.js
+// FTS5 index over message text/caption, document file names and
+// sender/contact-card names, kept in sync with msgs by triggers.
+
+const logger = require('../utils/logger');
+
+// Indexed fields for a msgs row alias
+const values = (row) => `
+    coalesce(${row}.text, '') || CASE WHEN ${row}.caption IS NOT NULL AND ${row}.caption IS NOT ${row}.text
+        THEN ' ' || ${row}.caption ELSE '' END,
+    CASE WHEN json_valid(${row}.meta) THEN json_extract(${row}.meta, '$.fileName') END,
+    CASE WHEN json_valid(${row}.meta) THEN trim(
+        coalesce(json_extract(${row}.meta, '$.pushName'), '') || ' ' ||
+        coalesce(json_extract(${row}.meta, '$.contactNames'), '')) END`;
+
+module.exports = {
+    async up(db) {
+        const exists = await db.get(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'msgs_fts'`);
+        if (exists) return;
+
+        try {
+            await db.exec(`
+                CREATE VIRTUAL TABLE msgs_fts USING fts5(
+                    body, fname, names,
+                    tokenize = 'unicode61 remove_diacritics 2',
+                    prefix = '2 3'
+                )
+            `);
+        } catch (error) {
+            // SQLite built without FTS5: search falls back to LIKE
+            if (/no such module/i.test(error.message)) {
+                logger.warn('[Migrate] FTS5 unavailable, skipping message search index');
+                return;
+            }
+            throw error;
+        }
+
+        await db.exec(`
+            CREATE TRIGGER IF NOT EXISTS msgs_fts_ai AFTER INSERT ON msgs WHEN new.deleted = 0 BEGIN
+                INSERT INTO msgs_fts (rowid, body, fname, names) VALUES (new.rowid, ${values('new')});
+            END
+        `);
+        await db.exec(`
+            CREATE TRIGGER IF NOT EXISTS msgs_fts_ad AFTER DELETE ON msgs BEGIN
+                DELETE FROM msgs_fts WHERE rowid = old.rowid;
+            END
+        `);
+        await db.exec(`
+            CREATE TRIGGER IF NOT EXISTS msgs_fts_au AFTER UPDATE OF text, caption, meta, deleted ON msgs BEGIN
+                DELETE FROM msgs_fts WHERE rowid = old.rowid;
+                INSERT INTO msgs_fts (rowid, body, fname, names)
+                    SELECT new.rowid, ${values('new')} WHERE new.deleted = 0;
+            END
+        `);
+
+        // Older rows have no fileName in meta, so take it from media
+        await db.exec(`
+            INSERT INTO msgs_fts (rowid, body, fname, names)
+            SELECT m.rowid,
+                coalesce(m.text, '') || CASE WHEN m.caption IS NOT NULL AND m.caption IS NOT m.text
+                    THEN ' ' || m.caption ELSE '' END,
+                coalesce(
+                    CASE WHEN json_valid(m.meta) THEN json_extract(m.meta, '$.fileName') END,
+                    (SELECT fname FROM media WHERE session_id = m.session_id AND msg_id = m.id)
+                ),
+                CASE WHEN json_valid(m.meta) THEN trim(
+                    coalesce(json_extract(m.meta, '$.pushName'), '') || ' ' ||
+                    coalesce(json_extract(m.meta, '$.contactNames'), '')) END
+            FROM msgs m WHERE m.deleted = 0
+        `);
+    },
+
+    async down(db) {
+        await db.exec(`DROP TRIGGER IF EXISTS msgs_fts_ai`);
+        await db.exec(`DROP TRIGGER IF EXISTS msgs_fts_ad`);
+        await db.exec(`DROP TRIGGER IF EXISTS msgs_fts_au`);
+        await db.exec(`DROP TABLE IF EXISTS msgs_fts`);
+    }
+};
@@ -0,0 +1,52 @@
+// src/migrations/009_campaigns.js
+// Bulk send campaigns: one row per campaign plus a persistent recipient
+// list whose rows link to the outbox item created for each send.
+
+module.exports = {
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS campaigns (
+                id TEXT PRIMARY KEY,
+                session_id TEXT NOT NULL,
+                user_id TEXT,
+                name TEXT,
+                type TEXT NOT NULL DEFAULT 'text',
+                content TEXT NOT NULL,
+                media_path TEXT,
+                status TEXT DEFAULT 'running',
+                min_delay INTEGER DEFAULT 3000,
+                max_delay INTEGER DEFAULT 8000,
+                total INTEGER DEFAULT 0,
+                last_error TEXT,
+                started_at DATETIME,
+                completed_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+            )
+        `);
+
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS campaign_recipients (
+                campaign_id TEXT NOT NULL,
+                position INTEGER NOT NULL,
+                jid TEXT NOT NULL,
+                vars TEXT,
+                status TEXT DEFAULT 'pending',
+                outbox_id TEXT,
+                error TEXT,
+                sent_at DATETIME,
+                PRIMARY KEY (campaign_id, jid),
+                FOREIGN KEY (campaign_id) REFERENCES campaigns(id) ON DELETE CASCADE
+            )
+        `);
+
+        await db.exec(`CREATE INDEX IF NOT EXISTS idx_campaigns_session ON campaigns(session_id, status)`);
+        await db.exec(`CREATE INDEX IF NOT EXISTS idx_campaign_recipients_next ON campaign_recipients(campaign_id, status, position)`);
+    },
+
+    async down(db) {
+        await db.exec(`DROP TABLE IF EXISTS campaign_recipients`);
+        await db.exec(`DROP TABLE IF EXISTS campaigns`);
+    }
+};
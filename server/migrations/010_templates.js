@@ -0,0 +1,30 @@
+// src/migrations/010_templates.js
+// Reusable message templates. Rows with a session_id belong to that
+// session; rows without one are personal templates usable from any
+// session of the same user.
+
+module.exports = {
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS templates (
+                id TEXT PRIMARY KEY,
+                user_id TEXT NOT NULL,
+                session_id TEXT,
+                name TEXT NOT NULL,
+                type TEXT NOT NULL DEFAULT 'text',
+                content TEXT NOT NULL,
+                media_path TEXT,
+                defaults TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+            )
+        `);
+
+        await db.exec(`CREATE INDEX IF NOT EXISTS idx_templates_owner ON templates(user_id, session_id)`);
+    },
+
+    async down(db) {
+        await db.exec(`DROP TABLE IF EXISTS templates`);
+    }
+};
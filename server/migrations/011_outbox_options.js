@@ -0,0 +1,16 @@
+// src/migrations/011_outbox_options.js
+// Per-message Baileys send options (e.g. the quoted message for replies)
+// are stored next to the payload so retries send the same thing.
+
+module.exports = {
+    async up(db) {
+        const columns = await db.all(`PRAGMA table_info(outbox)`);
+        if (!columns.length || columns.some(c => c.name === 'options')) return;
+
+        await db.exec(`ALTER TABLE outbox ADD COLUMN options TEXT`);
+    },
+
+    async down(db) {
+        await db.exec(`ALTER TABLE outbox DROP COLUMN options`);
+    }
+};
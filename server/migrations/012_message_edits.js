@@ -0,0 +1,36 @@
+// src/migrations/012_message_edits.js
+// Edit history for messages. msgs keeps the latest text; every edit
+// (ours or incoming) is one msg_edits row keyed by the edit message ID.
+
+module.exports = {
+    async up(db) {
+        const columns = await db.all(`PRAGMA table_info(msgs)`);
+        if (columns.length && !columns.some(c => c.name === 'edited_at')) {
+            await db.exec(`ALTER TABLE msgs ADD COLUMN edited_at INTEGER`);
+        }
+
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS msg_edits (
+                session_id TEXT NOT NULL,
+                edit_id TEXT NOT NULL,
+                msg_id TEXT NOT NULL,
+                chat TEXT,
+                editor TEXT,
+                from_me BOOLEAN DEFAULT 0,
+                prev_text TEXT,
+                text TEXT,
+                ts INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (session_id, edit_id),
+                FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+            )
+        `);
+
+        await db.exec(`CREATE INDEX IF NOT EXISTS idx_msg_edits_msg ON msg_edits(session_id, msg_id, ts)`);
+    },
+
+    async down(db) {
+        await db.exec(`DROP TABLE IF EXISTS msg_edits`);
+        await db.exec(`ALTER TABLE msgs DROP COLUMN edited_at`);
+    }
+};
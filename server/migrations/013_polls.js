@@ -0,0 +1,45 @@
+// src/migrations/013_polls.js
+// Polls and their votes. The poll row keeps the options and the message
+// secret needed to decrypt votes; each voter has one row holding their
+// latest selection (an empty selection means the vote was withdrawn).
+
+module.exports = {
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS polls (
+                session_id TEXT NOT NULL,
+                msg_id TEXT NOT NULL,
+                chat TEXT NOT NULL,
+                creator TEXT,
+                from_me BOOLEAN DEFAULT 0,
+                question TEXT,
+                options TEXT NOT NULL,
+                selectable_count INTEGER DEFAULT 0,
+                enc_key TEXT,
+                ts INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (session_id, msg_id),
+                FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+            )
+        `);
+
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS poll_votes (
+                session_id TEXT NOT NULL,
+                poll_id TEXT NOT NULL,
+                voter TEXT NOT NULL,
+                options TEXT NOT NULL,
+                vote_msg_id TEXT,
+                ts INTEGER,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (session_id, poll_id, voter),
+                FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+            )
+        `);
+    },
+
+    async down(db) {
+        await db.exec(`DROP TABLE IF EXISTS poll_votes`);
+        await db.exec(`DROP TABLE IF EXISTS polls`);
+    }
+};
@@ -0,0 +1,32 @@
+// src/migrations/014_statuses.js
+// WhatsApp Status (stories). The status message itself stays in msgs so
+// media downloads and view receipts work as for chats; this table adds
+// the sender, expiry and, for our own statuses, who it was shared with.
+
+module.exports = {
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS statuses (
+                session_id TEXT NOT NULL,
+                msg_id TEXT NOT NULL,
+                sender TEXT NOT NULL,
+                from_me BOOLEAN DEFAULT 0,
+                type TEXT,
+                text TEXT,
+                ts INTEGER,
+                expires_at INTEGER,
+                audience TEXT,
+                deleted BOOLEAN DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (session_id, msg_id),
+                FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+            )
+        `);
+
+        await db.exec(`CREATE INDEX IF NOT EXISTS idx_statuses_sender ON statuses(session_id, from_me, sender, expires_at)`);
+    },
+
+    async down(db) {
+        await db.exec(`DROP TABLE IF EXISTS statuses`);
+    }
+};
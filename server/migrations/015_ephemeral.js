@@ -0,0 +1,27 @@
+// src/migrations/015_ephemeral.js
+// Tag view-once and disappearing messages. ephemeral holds the message's
+// expiration in seconds; the chat's current setting lives in chats.meta.
+
+const COLUMNS = {
+    view_once: 'BOOLEAN DEFAULT 0',
+    ephemeral: 'INTEGER'
+};
+
+module.exports = {
+    async up(db) {
+        const columns = await db.all(`PRAGMA table_info(msgs)`);
+        if (!columns.length) return;
+
+        for (const [name, type] of Object.entries(COLUMNS)) {
+            if (!columns.some(c => c.name === name)) {
+                await db.exec(`ALTER TABLE msgs ADD COLUMN ${name} ${type}`);
+            }
+        }
+    },
+
+    async down(db) {
+        for (const name of Object.keys(COLUMNS)) {
+            await db.exec(`ALTER TABLE msgs DROP COLUMN ${name}`);
+        }
+    }
+};
@@ -0,0 +1,30 @@
+// src/migrations/016_idempotency.js
+// Idempotency keys for send and mutating endpoints. A key is scoped to the
+// calling user and holds a fingerprint of the request it was first used
+// with plus, once that request finished, the response to replay.
+
+module.exports = {
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS idempotency_keys (
+                user_id TEXT NOT NULL,
+                key TEXT NOT NULL,
+                fingerprint TEXT NOT NULL,
+                method TEXT,
+                path TEXT,
+                status TEXT DEFAULT 'pending',
+                status_code INTEGER,
+                response TEXT,
+                created_at INTEGER NOT NULL,
+                expires_at INTEGER NOT NULL,
+                PRIMARY KEY (user_id, key)
+            )
+        `);
+
+        await db.exec(`CREATE INDEX IF NOT EXISTS idx_idempotency_expires ON idempotency_keys(expires_at)`);
+    },
+
+    async down(db) {
+        await db.exec(`DROP TABLE IF EXISTS idempotency_keys`);
+    }
+};
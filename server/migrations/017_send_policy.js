@@ -0,0 +1,21 @@
+// src/migrations/017_send_policy.js
+// Sending policies count what the outbox already sent: flag sends that
+// went to chats with no prior history and index sent_at for the windows.
+
+module.exports = {
+    async up(db) {
+        const columns = await db.all(`PRAGMA table_info(outbox)`);
+        if (!columns.length) return;
+
+        if (!columns.some(c => c.name === 'new_contact')) {
+            await db.exec(`ALTER TABLE outbox ADD COLUMN new_contact BOOLEAN DEFAULT 0`);
+        }
+
+        await db.exec(`CREATE INDEX IF NOT EXISTS idx_outbox_sent ON outbox(session_id, sent_at)`);
+    },
+
+    async down(db) {
+        await db.exec(`DROP INDEX IF EXISTS idx_outbox_sent`);
+        await db.exec(`ALTER TABLE outbox DROP COLUMN new_contact`);
+    }
+};
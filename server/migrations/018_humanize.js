@@ -0,0 +1,22 @@
+// src/migrations/018_humanize.js
+// Humanised sending: outbox items carry the read/typing plan to run right
+// before they go out, and auto-reply rules can override the session default.
+
+module.exports = {
+    async up(db) {
+        const outbox = await db.all(`PRAGMA table_info(outbox)`);
+        if (outbox.length && !outbox.some(c => c.name === 'humanize')) {
+            await db.exec(`ALTER TABLE outbox ADD COLUMN humanize TEXT`);
+        }
+
+        const rules = await db.all(`PRAGMA table_info(autoreply_rules)`);
+        if (rules.length && !rules.some(c => c.name === 'humanize')) {
+            await db.exec(`ALTER TABLE autoreply_rules ADD COLUMN humanize TEXT`);
+        }
+    },
+
+    async down(db) {
+        await db.exec(`ALTER TABLE autoreply_rules DROP COLUMN humanize`);
+        await db.exec(`ALTER TABLE outbox DROP COLUMN humanize`);
+    }
+};
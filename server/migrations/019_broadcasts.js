@@ -0,0 +1,53 @@
+// src/migrations/019_broadcasts.js
+// Broadcast lists kept by the API (linked devices can't manage WhatsApp's
+// own lists). Each send to a list fans out one message per recipient; the
+// rows link to their outbox items so receipt status is read from there.
+
+module.exports = {
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS broadcast_lists (
+                id TEXT PRIMARY KEY,
+                session_id TEXT NOT NULL,
+                name TEXT NOT NULL,
+                recipients TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+            )
+        `);
+
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS broadcast_sends (
+                id TEXT PRIMARY KEY,
+                session_id TEXT NOT NULL,
+                list_id TEXT NOT NULL,
+                type TEXT NOT NULL DEFAULT 'text',
+                preview TEXT,
+                total INTEGER DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (list_id) REFERENCES broadcast_lists(id) ON DELETE CASCADE
+            )
+        `);
+
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS broadcast_recipients (
+                send_id TEXT NOT NULL,
+                jid TEXT NOT NULL,
+                outbox_id TEXT,
+                error TEXT,
+                PRIMARY KEY (send_id, jid),
+                FOREIGN KEY (send_id) REFERENCES broadcast_sends(id) ON DELETE CASCADE
+            )
+        `);
+
+        await db.exec(`CREATE INDEX IF NOT EXISTS idx_broadcast_lists_session ON broadcast_lists(session_id)`);
+        await db.exec(`CREATE INDEX IF NOT EXISTS idx_broadcast_sends_list ON broadcast_sends(list_id, created_at)`);
+    },
+
+    async down(db) {
+        await db.exec(`DROP TABLE IF EXISTS broadcast_recipients`);
+        await db.exec(`DROP TABLE IF EXISTS broadcast_sends`);
+        await db.exec(`DROP TABLE IF EXISTS broadcast_lists`);
+    }
+};
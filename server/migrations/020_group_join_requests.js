@@ -0,0 +1,47 @@
+// src/migrations/020_group_join_requests.js
+// Join requests for groups that require admin approval, one row per group
+// and requester holding the latest request, plus optional per-group rules
+// that approve matching requests automatically.
+
+module.exports = {
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS group_join_requests (
+                session_id TEXT NOT NULL,
+                group_jid TEXT NOT NULL,
+                requester TEXT NOT NULL,
+                phone TEXT,
+                method TEXT,
+                status TEXT DEFAULT 'pending',
+                requested_at INTEGER,
+                resolved_at INTEGER,
+                resolved_by TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (session_id, group_jid, requester),
+                FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+            )
+        `);
+
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS group_join_rules (
+                session_id TEXT NOT NULL,
+                group_jid TEXT NOT NULL,
+                enabled BOOLEAN DEFAULT 1,
+                prefixes TEXT,
+                contacts_only BOOLEAN DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (session_id, group_jid),
+                FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+            )
+        `);
+
+        await db.exec(`CREATE INDEX IF NOT EXISTS idx_group_join_requests_status ON group_join_requests(session_id, group_jid, status)`);
+    },
+
+    async down(db) {
+        await db.exec(`DROP TABLE IF EXISTS group_join_rules`);
+        await db.exec(`DROP TABLE IF EXISTS group_join_requests`);
+    }
+};
@@ -0,0 +1,22 @@
+// src/migrations/021_broadcast_results.js
+// Broadcast recipients keep the message ID and final status of their outbox
+// item, copied over before finished outbox items are pruned.
+
+module.exports = {
+    async up(db) {
+        const columns = await db.all(`PRAGMA table_info(broadcast_recipients)`);
+        if (!columns.length) return;
+
+        if (!columns.some(c => c.name === 'msg_id')) {
+            await db.exec(`ALTER TABLE broadcast_recipients ADD COLUMN msg_id TEXT`);
+        }
+        if (!columns.some(c => c.name === 'status')) {
+            await db.exec(`ALTER TABLE broadcast_recipients ADD COLUMN status TEXT`);
+        }
+    },
+
+    async down(db) {
+        await db.exec(`ALTER TABLE broadcast_recipients DROP COLUMN status`);
+        await db.exec(`ALTER TABLE broadcast_recipients DROP COLUMN msg_id`);
+    }
+};
@@ -0,0 +1,81 @@
+// src/scripts/migrate.js
+// Usage:
+//   node server/scripts/migrate.js [status]
+//   node server/scripts/migrate.js up [--to <version>] [--dry-run]
+//   node server/scripts/migrate.js down [--steps <n> | --to <version>] [--dry-run]
+require('dotenv').config();
+
+const SQLiteStores = require('../core/SQLiteStores');
+const Migrator = require('../core/Migrator');
+
+const parseArgs = (argv) => {
+    const args = { command: 'status', dryRun: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--dry-run') args.dryRun = true;
+        else if (arg === '--to') args.to = parseInt(argv[++i], 10);
+        else if (arg === '--steps') args.steps = parseInt(argv[++i], 10);
+        else if (arg === '--no-wait') args.wait = false;
+        else if (!arg.startsWith('--')) args.command = arg;
+        else throw new Error(`Unknown option: ${arg}`);
+    }
+
+    if ([args.to, args.steps].some(n => n !== undefined && isNaN(n))) {
+        throw new Error('--to and --steps take a number');
+    }
+
+    return args;
+};
+
+const main = async () => {
+    const args = parseArgs(process.argv.slice(2));
+    const dbPath = process.env.DB_PATH || './data/db.db';
+
+    // Open with the base schema but leave migrating to this script
+    process.env.DB_AUTO_MIGRATE = 'false';
+    const store = new SQLiteStores(null, dbPath);
+    await store.init();
+
+    const migrator = new Migrator(store.db, { dbPath });
+
+    try {
+        switch (args.command) {
+            case 'status': {
+                const list = await migrator.status();
+                if (!list.length) console.log('No migrations found');
+                for (const m of list) {
+                    console.log(`${String(m.version).padStart(3, '0')}  ${m.state.padEnd(8)} ${m.name}${m.applied_at ? `  (${m.applied_at})` : ''}`);
+                }
+                break;
+            }
+
+            case 'up':
+            case 'down': {
+                const list = await migrator[args.command]({
+                    to: args.to,
+                    steps: args.steps,
+                    dryRun: args.dryRun,
+                    wait: args.wait
+                });
+
+                const verb = args.dryRun ? 'Would run' : 'Ran';
+                if (!list.length) console.log('Nothing to do');
+                for (const m of list) {
+                    console.log(`${verb} ${args.command}: ${String(m.version).padStart(3, '0')}_${m.name}`);
+                }
+                break;
+            }
+
+            default:
+                throw new Error(`Unknown command: ${args.command} (use status, up or down)`);
+        }
+    } finally {
+        await store.close();
+    }
+};
+
+main().catch(error => {
+    console.error(`[Migrate] ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,243 @@
+// src/services/campaign.js
+const fs = require('fs');
+const logger = require('../utils/logger');
+const { renderTemplateContent } = require('../utils/helpers');
+
+// How long to wait before checking again when the session is offline or sends are still queued
+const OFFLINE_RETRY = 15000;
+
+class CampaignService {
+    constructor(manager, store, config) {
+        this.manager = manager;
+        this.store = store; // Global store (sessionId = null)
+        this.config = config;
+        this.isRunning = false;
+        this.timers = new Map(); // campaignId -> timeout
+        this.stats = {
+            sent: 0,
+            failed: 0,
+            completed: 0
+        };
+    }
+
+    /**
+     * Start campaign service and resume running campaigns
+     */
+    async start() {
+        if (this.isRunning) return;
+
+        logger.info('Campaign service starting...');
+
+        const requeued = await this.store.requeueStuckCampaignRecipients();
+        if (requeued) logger.info(`Requeued ${requeued} interrupted campaign recipients`);
+
+        this.isRunning = true;
+
+        const campaigns = await this.store.getRunningCampaigns();
+        for (const campaign of campaigns) {
+            this.register(campaign.id);
+        }
+
+        logger.info(`Campaign service started (${campaigns.length} running)`);
+    }
+
+    /**
+     * Stop campaign service
+     */
+    async stop() {
+        if (!this.isRunning) return;
+
+        logger.info('Campaign service stopping...');
+
+        for (const id of Array.from(this.timers.keys())) {
+            this.unregister(id);
+        }
+
+        this.isRunning = false;
+        logger.info('Campaign service stopped');
+    }
+
+    /**
+     * Schedule the next send for a campaign
+     * @param {string} id - Campaign ID
+     * @param {number} delay - Delay in ms
+     */
+    register(id, delay = 0) {
+        if (!this.isRunning) return;
+
+        this.unregister(id);
+        this.timers.set(id, setTimeout(() => {
+            this._tick(id).catch(error => {
+                logger.error(`Campaign ${id} tick failed`, error);
+                this.register(id, OFFLINE_RETRY);
+            });
+        }, delay));
+    }
+
+    /**
+     * Stop sending for a campaign
+     * @param {string} id - Campaign ID
+     */
+    unregister(id) {
+        const timer = this.timers.get(id);
+        if (timer) clearTimeout(timer);
+
+        this.timers.delete(id);
+    }
+
+    /**
+     * Send to the next pending recipient, then wait a randomised delay
+     * @private
+     * @param {string} id - Campaign ID
+     */
+    async _tick(id) {
+        this.timers.delete(id);
+
+        const campaign = await this.store.getCampaign(id);
+        if (!campaign || campaign.status !== 'running') {
+            return this.unregister(id);
+        }
+
+        // Hold the campaign while the session is offline instead of piling up the outbox
+        const session = this.manager.get(campaign.session_id);
+        if (!session || session.state !== 'open') {
+            return this.register(id, OFFLINE_RETRY);
+        }
+
+        const recipient = await this.store.getNextCampaignRecipient(id);
+        if (!recipient) {
+            // The outbox reads the media at send time, so it has to outlive the last queued item
+            if (campaign.media_path && (await session.db.getPendingOutboxMedia()).includes(campaign.media_path)) {
+                return this.register(id, OFFLINE_RETRY);
+            }
+            return this._complete(campaign, session);
+        }
+
+        await this.store.updateCampaignRecipient(id, recipient.jid, { status: 'sending' });
+
+        const update = {};
+        try {
+            const { content, type } = await this._buildContent(session, campaign, recipient);
+            const result = await session.sendMessage(recipient.jid, content, type, {
+                source: 'campaign',
+                meta: { campaignId: id },
+                wait: false
+            });
+
+            Object.assign(update, {
+                status: 'queued',
+                outbox_id: result.outboxId,
+                sent_at: new Date().toISOString()
+            });
+            this.stats.sent++;
+
+        } catch (error) {
+            if (error.pause) {
+                // Nothing can be sent without the media; keep the recipient for a resume
+                await this.store.updateCampaignRecipient(id, recipient.jid, { status: 'pending' });
+                await this.store.updateCampaign(id, { status: 'paused', last_error: error.message });
+                session._emit('campaign_paused', { campaignId: id, error: error.message });
+                logger.warn(`Campaign ${id} paused: ${error.message}`);
+                return this.unregister(id);
+            }
+
+            if (error.retryAfter) {
+                // Rejected by the session's sending policy; try the same recipient once it allows
+                await this.store.updateCampaignRecipient(id, recipient.jid, { status: 'pending' });
+                return this.register(id, error.retryAfter * 1000);
+            }
+
+            Object.assign(update, { status: 'failed', error: error.message });
+            this.stats.failed++;
+            logger.warn(`Campaign ${id} send to ${recipient.jid} failed: ${error.message}`);
+        }
+
+        await this.store.updateCampaignRecipient(id, recipient.jid, update);
+
+        session._emit('campaign_progress', {
+            campaignId: id,
+            jid: recipient.jid,
+            status: update.status,
+            outboxId: update.outbox_id,
+            error: update.error
+        });
+
+        this.register(id, this._delay(campaign));
+    }
+
+    /**
+     * Mark a campaign completed once no recipients are left
+     * @private
+     */
+    async _complete(campaign, session) {
+        this.unregister(campaign.id);
+
+        await this.store.updateCampaign(campaign.id, {
+            status: 'completed',
+            completed_at: new Date().toISOString()
+        });
+
+        if (campaign.media_path && fs.existsSync(campaign.media_path)) {
+            fs.unlinkSync(campaign.media_path);
+        }
+
+        const summary = await this.store.getCampaignSummary(campaign.id);
+        session._emit('campaign_completed', { campaignId: campaign.id, summary });
+
+        this.stats.completed++;
+        logger.info(`Campaign ${campaign.id} completed`, summary);
+    }
+
+    /**
+     * Random delay between the campaign's min and max
+     * @private
+     * @returns {number} Delay in ms
+     */
+    _delay(campaign) {
+        const min = campaign.min_delay || 0;
+        const max = Math.max(min, campaign.max_delay || 0);
+        return min + Math.floor(Math.random() * (max - min + 1));
+    }
+
+    /**
+     * Build sendMessage content for one recipient
+     * @private
+     * @param {Object} session - SessionHandler
+     * @param {Object} campaign - Campaign
+     * @param {Object} recipient - Recipient with vars
+     * @returns {Promise<Object>} { content, type }
+     */
+    async _buildContent(session, campaign, recipient) {
+        const type = campaign.type || 'text';
+        const vars = await session.templateVars(recipient.jid, recipient.vars);
+        const content = renderTemplateContent(campaign.content, vars);
+
+        if (type === 'text') {
+            return { content: content.text, type };
+        }
+
+        // Every recipient's outbox item points at the same file
+        if (campaign.media_path) {
+            if (!fs.existsSync(campaign.media_path)) {
+                throw Object.assign(new Error('Campaign media file missing'), { pause: true });
+            }
+            content.path = campaign.media_path;
+        }
+
+        return { content, type };
+    }
+
+    /**
+     * Get service status
+     * @returns {Object} Status
+     */
+    getStatus() {
+        return {
+            running: this.isRunning,
+            active: this.timers.size,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = CampaignService;
@@ -1,7 +1,12 @@
 // src/services/cleanup.js
+const fs = require('fs');
+const path = require('path');
 const logger = require('../utils/logger');
 const { formatDuration } = require('../utils/helpers');
 
+// Media younger than this is left alone; it may belong to a send, schedule or campaign still being created
+const MEDIA_GRACE = 60 * 60 * 1000;
+
 class CleanupService {
     constructor(manager, store, config) {
         this.manager = manager;
@@ -68,6 +73,10 @@ class CleanupService {
             await this.cleanupMessages();
             await this.cleanupMedia();
             await this.cleanupLogs();
+            await this.cleanupWebhookQueue();
+            await this.cleanupOutbox();
+            await this.cleanupStoredMedia();
+            await this.cleanupIdempotencyKeys();
             await this.vacuumDatabase();
 
             this.stats.lastRun = new Date().toISOString();
@@ -137,8 +146,13 @@ class CleanupService {
                 WHERE msg.id IS NULL OR msg.deleted = 1
             `);
 
+            // Files sent again by reference stay until the outbox is done with them
+            const inUse = new Set(await this.store.getPendingOutboxMedia());
+
             let cleaned = 0;
             for (const media of orphaned) {
+                if (inUse.has(media.url)) continue;
+
                 try {
                     // Delete file
                     if (media.url && require('fs').existsSync(media.url)) {
@@ -187,6 +201,109 @@ class CleanupService {
         }
     }
 
+    /**
+     * Cleanup delivered webhook queue items (dead letters are kept for replay)
+     */
+    async cleanupWebhookQueue() {
+        // Keep delivered items for 7 days
+        const keepDays = 7;
+        const removed = await this.store.pruneWebhookQueue(Date.now() - (keepDays * 24 * 60 * 60 * 1000));
+
+        if (removed > 0) {
+            logger.info(`Cleaned ${removed} delivered webhook queue items`);
+        }
+    }
+
+    /**
+     * Cleanup finished outbox items and spooled media no queued item needs
+     */
+    async cleanupOutbox() {
+        // Never prune items finished less than a day ago
+        const keepDays = Math.max(parseInt(process.env.OUTBOX_RETENTION_DAYS) || 30, 1);
+        const removed = await this.store.pruneOutbox(Date.now() - (keepDays * 24 * 60 * 60 * 1000));
+
+        if (removed > 0) {
+            logger.info(`Cleaned ${removed} finished outbox items`);
+        }
+
+        const mediaDir = process.env.MEDIA_PATH || './data/media';
+        if (!fs.existsSync(mediaDir)) return;
+
+        const inUse = new Set(await this.store.getPendingOutboxMedia());
+        const cutoff = Date.now() - MEDIA_GRACE;
+        let cleaned = 0;
+
+        for (const sid of fs.readdirSync(mediaDir)) {
+            const dir = path.join(mediaDir, sid, 'outbox');
+            if (!fs.existsSync(dir)) continue;
+
+            for (const file of fs.readdirSync(dir)) {
+                const filePath = path.join(dir, file);
+                try {
+                    if (inUse.has(filePath) || fs.statSync(filePath).mtimeMs > cutoff) continue;
+                    fs.unlinkSync(filePath);
+                    cleaned++;
+                } catch (error) {
+                    logger.error('Failed to delete outbox media', error);
+                }
+            }
+        }
+
+        this.stats.mediaCleaned += cleaned;
+        if (cleaned > 0) {
+            logger.info(`Cleaned ${cleaned} spooled outbox media files`);
+        }
+    }
+
+    /**
+     * Cleanup schedule, campaign and template media nothing will send again
+     */
+    async cleanupStoredMedia() {
+        const mediaDir = process.env.MEDIA_PATH || './data/media';
+
+        // Finished schedules and campaigns, and deleted or replaced template
+        // files, may still have messages in the outbox
+        const inUse = new Set([
+            ...await this.store.getScheduledMedia(),
+            ...await this.store.getTemplateMedia(),
+            ...await this.store.getPendingOutboxMedia()
+        ]);
+        const cutoff = Date.now() - MEDIA_GRACE;
+        let cleaned = 0;
+
+        for (const name of ['scheduled', 'campaigns', 'templates']) {
+            const dir = path.join(mediaDir, name);
+            if (!fs.existsSync(dir)) continue;
+
+            for (const file of fs.readdirSync(dir)) {
+                const filePath = path.join(dir, file);
+                try {
+                    if (inUse.has(filePath) || fs.statSync(filePath).mtimeMs > cutoff) continue;
+                    fs.unlinkSync(filePath);
+                    cleaned++;
+                } catch (error) {
+                    logger.error('Failed to delete stored media', error);
+                }
+            }
+        }
+
+        this.stats.mediaCleaned += cleaned;
+        if (cleaned > 0) {
+            logger.info(`Cleaned ${cleaned} schedule, campaign and template media files`);
+        }
+    }
+
+    /**
+     * Cleanup expired idempotency keys
+     */
+    async cleanupIdempotencyKeys() {
+        const removed = await this.store.purgeIdempotencyKeys();
+
+        if (removed > 0) {
+            logger.info(`Cleaned ${removed} expired idempotency keys`);
+        }
+    }
+
     /**
      * Vacuum database to reclaim space
      */
@@ -3,6 +3,9 @@ const WebhookService = require('./webhook');
 const BackupService = require('./backup');
 const CleanupService = require('./cleanup');
 const StatsService = require('./stats');
+const SchedulerService = require('./scheduler');
+const ResponderService = require('./responder');
+const CampaignService = require('./campaign');
 const logger = require('../utils/logger');
 
 class ServiceManager {
@@ -30,7 +33,10 @@ class ServiceManager {
             { name: 'webhook', instance: new WebhookService(manager, store, config) },
             { name: 'backup', instance: new BackupService(store, config) },
             { name: 'cleanup', instance: new CleanupService(manager, store, config) },
-            { name: 'stats', instance: new StatsService(manager, store, config) }
+            { name: 'stats', instance: new StatsService(manager, store, config) },
+            { name: 'scheduler', instance: new SchedulerService(manager, store, config) },
+            { name: 'responder', instance: new ResponderService(manager, store, config) },
+            { name: 'campaign', instance: new CampaignService(manager, store, config) }
         ];
 
         // Start each service
@@ -82,6 +88,15 @@ class ServiceManager {
         return status;
     }
 
+    /**
+     * Get a running service instance
+     * @param {string} name - Service name
+     * @returns {Object|undefined} Service instance
+     */
+    get(name) {
+        return this.services.get(name);
+    }
+
     /**
      * Restart a specific service
      * @param {string} name - Service name
@@ -0,0 +1,346 @@
+// src/services/responder.js
+const logger = require('../utils/logger');
+const { isGroupJid } = require('../utils/helpers');
+
+const TRIGGERS = ['keyword', 'regex', 'exact', 'first_message', 'outside_hours'];
+const RULE_CACHE_TTL = 60000;
+const PATTERN_MAX_LENGTH = 200;
+
+class ResponderService {
+    constructor(manager, store, config) {
+        this.manager = manager;
+        this.store = store;
+        this.config = config;
+        this.isRunning = false;
+        this.rules = new Map(); // sid -> { rules, loadedAt }
+        this.stats = {
+            checked: 0,
+            fired: 0,
+            failed: 0,
+            lastFired: null
+        };
+    }
+
+    /**
+     * Start responder service
+     */
+    async start() {
+        if (this.isRunning) return;
+
+        this.isRunning = true;
+        logger.info('Responder service started');
+    }
+
+    /**
+     * Stop responder service
+     */
+    async stop() {
+        if (!this.isRunning) return;
+
+        this.rules.clear();
+        this.isRunning = false;
+        logger.info('Responder service stopped');
+    }
+
+    /**
+     * Drop cached rules for a session after CRUD changes
+     * @param {string} sid - Session ID
+     */
+    invalidate(sid) {
+        this.rules.delete(sid);
+    }
+
+    /**
+     * Validate rule fields
+     * @param {Object} rule - Rule data
+     * @returns {string|null} Error message or null
+     */
+    validateRule(rule) {
+        if (!TRIGGERS.includes(rule.trigger)) {
+            return `Trigger must be one of: ${TRIGGERS.join(', ')}`;
+        }
+
+        if (['keyword', 'regex', 'exact'].includes(rule.trigger) && !rule.pattern) {
+            return 'Pattern required for this trigger';
+        }
+
+        if (['keyword', 'regex', 'exact'].includes(rule.trigger) && String(rule.pattern).length > PATTERN_MAX_LENGTH) {
+            return `Pattern must be at most ${PATTERN_MAX_LENGTH} characters`;
+        }
+
+        if (rule.trigger === 'regex') {
+            try {
+                new RegExp(rule.pattern);
+            } catch (error) {
+                return `Invalid regex: ${error.message}`;
+            }
+
+            // Every incoming message is tested, so patterns that can backtrack exponentially are refused
+            if (this._hasNestedQuantifier(rule.pattern)) {
+                return 'Regex must not repeat a group that contains a quantifier, such as (a+)+';
+            }
+        }
+
+        if (rule.trigger === 'outside_hours') {
+            const hours = rule.business_hours;
+            const time = /^([01]\d|2[0-3]):[0-5]\d$/;
+            if (!hours || !time.test(hours.start) || !time.test(hours.end)) {
+                return 'business_hours with start and end (HH:MM) required';
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Check whether a regex repeats a group that itself contains a quantifier
+     * @private
+     * @param {string} pattern - Regex source
+     * @returns {boolean} Nested quantifier found
+     */
+    _hasNestedQuantifier(pattern) {
+        const groups = []; // per open group: contains a quantifier
+        let closed = false; // previous token closed a group that contains a quantifier
+        let inClass = false;
+
+        for (let i = 0; i < pattern.length; i++) {
+            const ch = pattern[i];
+
+            if (ch === '\\') {
+                i++;
+                closed = false;
+                continue;
+            }
+            if (inClass) {
+                if (ch === ']') inClass = false;
+                continue;
+            }
+
+            const bounded = ch === '{' && /^\{\d+(,\d*)?\}/.test(pattern.slice(i));
+            if (ch === '*' || ch === '+' || bounded) {
+                if (closed) return true;
+                if (groups.length) groups[groups.length - 1] = true;
+                continue;
+            }
+
+            if (ch === '(') {
+                groups.push(false);
+                closed = false;
+            } else if (ch === ')') {
+                closed = groups.pop() || false;
+                if (closed && groups.length) groups[groups.length - 1] = true;
+            } else if (ch !== '?') {
+                closed = false;
+                if (ch === '[') inClass = true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Compile the trigger pattern of a rule
+     * @private
+     * @param {Object} rule - Rule
+     * @returns {RegExp|null} Matcher for keyword/regex rules
+     */
+    _compile(rule) {
+        const flags = rule.case_sensitive ? '' : 'i';
+
+        if (rule.trigger === 'keyword') {
+            const words = rule.pattern.split(',').map(w => w.trim()).filter(Boolean)
+                .map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+            return words.length ? new RegExp(`(^|\\W)(${words.join('|')})($|\\W)`, flags) : null;
+        }
+
+        if (rule.trigger === 'regex') {
+            // Rules stored before patterns were validated never match if they are unsafe
+            const invalid = this.validateRule(rule);
+            if (invalid) {
+                logger.warn('Auto-reply rule disabled', { ruleId: rule.id, error: invalid });
+                return null;
+            }
+            return new RegExp(rule.pattern, flags);
+        }
+
+        return null;
+    }
+
+    /**
+     * Check an incoming message against the session's rules and reply once
+     * @param {Object} session - SessionHandler
+     * @param {Object} msg - Baileys message
+     * @returns {Promise<Object|null>} Fired rule info or null
+     */
+    async handle(session, msg) {
+        if (!this.isRunning || !msg?.key?.id || msg.key.fromMe) return null;
+
+        const jid = msg.key.remoteJid;
+        if (!jid || jid === 'status@broadcast') return null;
+
+        const rules = await this._getRules(session);
+        if (!rules.length) return null;
+
+        this.stats.checked++;
+
+        const stored = await session.db.getMsg(msg.key.id);
+        const text = stored?.text || stored?.caption || '';
+        const sender = msg.key.participant || jid;
+
+        for (const rule of rules) {
+            if (!this._inScope(rule, jid, sender)) continue;
+            if (!(await this._matches(rule, session, msg, text))) continue;
+
+            if (rule.cooldown > 0) {
+                const last = await session.db.getAutoreplyCooldown(rule.id, sender);
+                if (last && Date.now() - last < rule.cooldown * 1000) continue;
+            }
+
+            return this._fire(session, rule, msg, sender);
+        }
+
+        return null;
+    }
+
+    /**
+     * Get cached rules for a session
+     * @private
+     * @param {Object} session - SessionHandler
+     * @returns {Promise<Array>} Enabled rules
+     */
+    async _getRules(session) {
+        const cached = this.rules.get(session.sid);
+        if (cached && Date.now() - cached.loadedAt < RULE_CACHE_TTL) {
+            return cached.rules;
+        }
+
+        // Patterns are compiled once per load, not per message
+        const rules = (await session.db.getAutoreplyRules(true))
+            .map(rule => ({ ...rule, matcher: this._compile(rule) }));
+        this.rules.set(session.sid, { rules, loadedAt: Date.now() });
+        return rules;
+    }
+
+    /**
+     * Check chat type and allow/deny lists
+     * @private
+     */
+    _inScope(rule, jid, sender) {
+        const group = isGroupJid(jid);
+        if (rule.scope === 'group' && !group) return false;
+        if (rule.scope === 'private' && group) return false;
+
+        const listed = (list) => Array.isArray(list) && (list.includes(jid) || list.includes(sender));
+
+        if (listed(rule.deny_jids)) return false;
+        if (Array.isArray(rule.allow_jids) && rule.allow_jids.length && !listed(rule.allow_jids)) return false;
+
+        return true;
+    }
+
+    /**
+     * Check rule trigger
+     * @private
+     */
+    async _matches(rule, session, msg, text) {
+        const norm = (s) => rule.case_sensitive ? s : s.toLowerCase();
+
+        switch (rule.trigger) {
+            case 'exact':
+                return norm(text.trim()) === norm(rule.pattern.trim());
+
+            case 'keyword':
+            case 'regex':
+                return !!rule.matcher && rule.matcher.test(text);
+
+            case 'first_message':
+                return !(await session.db.hasOtherChatMsgs(msg.key.remoteJid, msg.key.id));
+
+            case 'outside_hours':
+                return !this._withinHours(rule.business_hours);
+
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Check whether now falls inside business hours
+     * @private
+     * @param {Object} hours - { timezone, days: [0-6], start: 'HH:MM', end: 'HH:MM' }
+     * @returns {boolean} Inside business hours
+     */
+    _withinHours(hours) {
+        if (!hours) return true;
+
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone: hours.timezone || 'UTC',
+            weekday: 'short',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(new Date());
+
+        const get = (type) => parts.find(p => p.type === type)?.value;
+        const day = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(get('weekday'));
+        const now = `${get('hour')}:${get('minute')}`;
+
+        const days = Array.isArray(hours.days) ? hours.days : [1, 2, 3, 4, 5];
+        if (!days.includes(day)) return false;
+
+        // Windows such as 22:00-06:00 wrap past midnight
+        return hours.start <= hours.end
+            ? now >= hours.start && now < hours.end
+            : now >= hours.start || now < hours.end;
+    }
+
+    /**
+     * Send the reply and record it
+     * @private
+     */
+    async _fire(session, rule, msg, sender) {
+        const jid = msg.key.remoteJid;
+
+        try {
+            const result = await session.sendMessage(jid, rule.reply, 'text', {
+                source: 'autoreply',
+                meta: { ruleId: rule.id, inReplyTo: msg.key.id },
+                humanize: rule.humanize,
+                wait: false
+            });
+
+            await session.db.recordAutoreplyFire(rule.id, sender);
+            await session.db.mergeMsgMeta(msg.key.id, {
+                autoreply: { ruleId: rule.id, outboxId: result.outboxId, at: Date.now() }
+            });
+
+            this.stats.fired++;
+            this.stats.lastFired = new Date().toISOString();
+
+            const fired = { ruleId: rule.id, msgId: msg.key.id, jid, outboxId: result.outboxId };
+            session._emit('autoreply', fired);
+            logger.debug('Auto-reply fired', { sid: session.sid, ...fired });
+
+            return fired;
+
+        } catch (error) {
+            this.stats.failed++;
+            logger.warn('Auto-reply failed', { sid: session.sid, ruleId: rule.id, error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Get service status
+     * @returns {Object} Status
+     */
+    getStatus() {
+        return {
+            running: this.isRunning,
+            cachedSessions: this.rules.size,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = ResponderService;
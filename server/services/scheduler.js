@@ -0,0 +1,222 @@
+// src/services/scheduler.js
+const cron = require('node-cron');
+const fs = require('fs');
+const logger = require('../utils/logger');
+
+// setTimeout overflows past ~24.8 days, so long waits are split up
+const MAX_TIMER_DELAY = 24 * 60 * 60 * 1000;
+
+// How long a due one-shot waits before checking again when its session isn't loaded
+const OFFLINE_RETRY = 15000;
+
+class SchedulerService {
+    constructor(manager, store, config) {
+        this.manager = manager;
+        this.store = store; // Global store (sessionId = null)
+        this.config = config;
+        this.isRunning = false;
+        this.jobs = new Map();
+        this.stats = {
+            runs: 0,
+            failed: 0,
+            lastRun: null
+        };
+    }
+
+    /**
+     * Start scheduler service
+     */
+    async start() {
+        if (this.isRunning) return;
+
+        logger.info('Scheduler service starting...');
+
+        const schedules = await this.store.getActiveSchedules();
+        for (const schedule of schedules) {
+            this.register(schedule);
+        }
+
+        this.isRunning = true;
+        logger.info(`Scheduler service started (${this.jobs.size} schedules)`);
+    }
+
+    /**
+     * Stop scheduler service
+     */
+    async stop() {
+        if (!this.isRunning) return;
+
+        logger.info('Scheduler service stopping...');
+
+        for (const id of Array.from(this.jobs.keys())) {
+            this.unregister(id);
+        }
+
+        this.isRunning = false;
+        logger.info('Scheduler service stopped');
+    }
+
+    /**
+     * Validate a cron expression
+     * @param {string} expression - Cron expression
+     * @returns {boolean} Valid
+     */
+    validateCron(expression) {
+        return typeof expression === 'string' && cron.validate(expression);
+    }
+
+    /**
+     * Register (or re-register) a schedule
+     * @param {Object} schedule - Schedule
+     * @param {number} [retryDelay] - Run a one-shot after this delay instead of at send_at
+     */
+    register(schedule, retryDelay) {
+        this.unregister(schedule.id);
+        if (schedule.status !== 'active') return;
+
+        if (schedule.cron) {
+            if (!this.validateCron(schedule.cron)) {
+                logger.warn(`Invalid cron for schedule ${schedule.id}: ${schedule.cron}`);
+                return;
+            }
+
+            const options = schedule.timezone ? { timezone: schedule.timezone } : {};
+            const task = cron.schedule(schedule.cron, () => {
+                this.run(schedule.id).catch(error => {
+                    logger.error(`Schedule ${schedule.id} failed`, error);
+                });
+            }, options);
+
+            this.jobs.set(schedule.id, { type: 'cron', task });
+
+        } else if (schedule.send_at) {
+            const delay = retryDelay ?? Math.max(schedule.send_at - Date.now(), 0);
+
+            const timer = setTimeout(() => {
+                if (delay > MAX_TIMER_DELAY) {
+                    this.register(schedule);
+                    return;
+                }
+                this.run(schedule.id).catch(error => {
+                    logger.error(`Schedule ${schedule.id} failed`, error);
+                });
+            }, Math.min(delay, MAX_TIMER_DELAY));
+
+            this.jobs.set(schedule.id, { type: 'once', timer });
+        }
+
+        logger.debug(`Schedule registered: ${schedule.id}`);
+    }
+
+    /**
+     * Remove in-memory job for a schedule
+     * @param {string} id - Schedule ID
+     */
+    unregister(id) {
+        const job = this.jobs.get(id);
+        if (!job) return;
+
+        if (job.task) job.task.stop();
+        if (job.timer) clearTimeout(job.timer);
+
+        this.jobs.delete(id);
+    }
+
+    /**
+     * Execute a schedule now
+     * @param {string} id - Schedule ID
+     * @returns {Promise<Object>} Run record
+     */
+    async run(id) {
+        const schedule = await this.store.getSchedule(id);
+        if (!schedule || schedule.status !== 'active') {
+            this.unregister(id);
+            return null;
+        }
+
+        // A due one-shot waits for its session to be loaded instead of being lost
+        const session = this.manager.get(schedule.session_id);
+        if (!session && !schedule.cron) {
+            logger.debug(`Schedule ${id} waiting for session ${schedule.session_id}`);
+            this.register(schedule, OFFLINE_RETRY);
+            return null;
+        }
+
+        if (!schedule.cron) this.unregister(id);
+
+        const run = { status: 'queued' };
+
+        try {
+            if (!session) {
+                throw new Error('Session not active');
+            }
+
+            // Queued even while disconnected; the outbox sends it once the session is back
+            const { content, type } = this._buildContent(schedule);
+            const result = await session.sendMessage(schedule.jid, content, type, {
+                source: 'schedule',
+                meta: { scheduleId: schedule.id },
+                wait: false
+            });
+
+            run.outbox_id = result.outboxId;
+            this.stats.runs++;
+
+        } catch (error) {
+            run.status = 'failed';
+            run.error = error.message;
+            this.stats.failed++;
+            logger.warn(`Schedule ${id} run failed: ${error.message}`);
+        }
+
+        this.stats.lastRun = new Date().toISOString();
+        await this.store.addScheduleRun(schedule, run);
+
+        // A one-shot is only done once its message is in the outbox; otherwise it
+        // is paused with the error so it can be fixed and resumed
+        if (!schedule.cron) {
+            await this.store.updateSchedule(id, { status: run.status === 'queued' ? 'completed' : 'paused' });
+        }
+
+        return run;
+    }
+
+    /**
+     * Build sendMessage content from a stored schedule
+     * @private
+     * @param {Object} schedule - Schedule
+     * @returns {Object} { content, type }
+     */
+    _buildContent(schedule) {
+        const type = schedule.type || 'text';
+
+        if (type === 'text') {
+            return { content: schedule.content.text, type };
+        }
+
+        const content = { ...schedule.content };
+        if (schedule.media_path) {
+            if (!fs.existsSync(schedule.media_path)) {
+                throw new Error('Scheduled media file missing');
+            }
+            // Queued by reference; the file is read when the outbox sends it
+            content.path = schedule.media_path;
+        }
+
+        return { content, type };
+    }
+
+    /**
+     * Get service status
+     * @returns {Object} Status
+     */
+    getStatus() {
+        return {
+            running: this.isRunning,
+            jobs: this.jobs.size,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = SchedulerService;
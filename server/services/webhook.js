@@ -1,22 +1,28 @@
 // src/services/webhook.js
 const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
-const { sleep, retry } = require('../utils/helpers');
+const { webhookHeaders } = require('../utils/helpers');
+
+const BATCH_SIZE = 10;
+const POLL_INTERVAL = 5000;
+const MAX_BACKOFF = 60 * 60 * 1000;
 
 class WebhookService {
     constructor(manager, store, config) {
         this.manager = manager;
-        this.store = store;
+        this.store = store; // Global store (sessionId = null)
         this.config = config;
         this.isRunning = false;
         this.interval = null;
-        this.queue = [];
+        this.timer = null;
         this.processing = false;
+        this.retryDelay = parseInt(process.env.WEBHOOK_RETRY_DELAY) || 5000;
         this.stats = {
             delivered: 0,
             failed: 0,
             retries: 0,
-            queueSize: 0
+            dead: 0
         };
     }
 
@@ -28,13 +34,14 @@ class WebhookService {
 
         logger.info('Webhook service starting...');
 
-        // Load failed webhooks from DB
-        await this.loadFailedWebhooks();
+        // Deliveries interrupted by a restart go back to pending
+        const requeued = await this.store.requeueStuckWebhooks();
+        if (requeued) logger.info(`Requeued ${requeued} interrupted webhook deliveries`);
 
-        // Start processing interval
-        this.interval = setInterval(() => this.processQueue(), 5000);
+        this.interval = setInterval(() => this.processQueue(), POLL_INTERVAL);
         this.isRunning = true;
 
+        this.kick();
         logger.info('Webhook service started');
     }
 
@@ -50,91 +57,41 @@ class WebhookService {
             clearInterval(this.interval);
             this.interval = null;
         }
-
-        // Save queue state? Could be implemented if needed
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
 
         this.isRunning = false;
         logger.info('Webhook service stopped');
     }
 
     /**
-     * Load failed webhooks from database
+     * Process the queue now instead of waiting for the next poll
      */
-    async loadFailedWebhooks() {
-        try {
-            // Fix: Use db.all directly instead of store.getAll
-            const failed = await this.store.db.all(
-                `SELECT * FROM webhooks WHERE failure_count > 0 AND enabled = 1`
-            );
-
-            for (const webhook of failed) {
-                this.queue.push({
-                    id: webhook.id,
-                    event: webhook.event,
-                    url: webhook.url,
-                    headers: webhook.headers ? JSON.parse(webhook.headers) : {},
-                    retryCount: 0,
-                    maxRetries: webhook.retry_count || 3,
-                    timeout: webhook.timeout || 10000
-                });
-            }
-
-            this.stats.queueSize = this.queue.length;
-            logger.info(`Loaded ${this.queue.length} failed webhooks`);
+    kick() {
+        if (!this.isRunning || this.timer) return;
 
-        } catch (error) {
-            logger.error('Failed to load failed webhooks', error);
-        }
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.processQueue();
+        }, 0);
     }
 
     /**
-     * Get failed webhooks
-     */
-    async getFailedWebhooks() {
-        try {
-            return await this.store.db.all(
-                `SELECT * FROM webhooks WHERE failure_count > 0 AND enabled = 1`
-            );
-        } catch (error) {
-            logger.error('Failed to get failed webhooks', error);
-            return [];
-        }
-    }
-
-    /**
-     * Queue webhook for delivery
-     * @param {Object} webhook - Webhook data
-     * @param {Object} payload - Payload to send
-     */
-    async queueWebhook(webhook, payload) {
-        this.queue.push({
-            id: webhook.id,
-            event: webhook.event,
-            url: webhook.url,
-            headers: webhook.headers ? JSON.parse(webhook.headers) : {},
-            payload,
-            retryCount: 0,
-            maxRetries: webhook.retry_count || 3,
-            timeout: webhook.timeout || 10000,
-            queuedAt: Date.now()
-        });
-
-        this.stats.queueSize = this.queue.length;
-    }
-
-    /**
-     * Process webhook queue
+     * Deliver due webhooks in batches until none are left
      */
     async processQueue() {
-        if (this.processing || this.queue.length === 0) return;
+        if (this.processing || !this.isRunning) return;
 
         this.processing = true;
 
         try {
-            const batch = this.queue.splice(0, 10); // Process 10 at a time
-            this.stats.queueSize = this.queue.length;
-
-            await Promise.all(batch.map(item => this.deliver(item)));
+            let batch;
+            do {
+                batch = await this.store.getDueWebhookJobs(BATCH_SIZE);
+                await Promise.all(batch.map(job => this.deliver(job)));
+            } while (batch.length === BATCH_SIZE && this.isRunning);
 
         } catch (error) {
             logger.error('Error processing webhook queue', error);
@@ -144,86 +101,127 @@ class WebhookService {
     }
 
     /**
-     * Deliver webhook with retry logic
-     * @param {Object} item - Queue item
+     * Make one delivery attempt, then schedule a retry or dead-letter it
+     * @param {Object} job - Webhook queue item
      */
-    async deliver(item) {
-        const startTime = Date.now();
+    async deliver(job) {
+        if (!(await this.store.claimWebhookJob(job.id))) return;
+
+        const start = Date.now();
+        const attempt = job.attempts + 1;
+        // Attempts restart at 1 on redelivery, so the ID can't be derived from them
+        const deliveryId = uuidv4();
 
         try {
-            await retry(
-                async () => {
-                    const response = await axios({
-                        method: 'POST',
-                        url: item.url,
-                        headers: {
-                            'Content-Type': 'application/json',
-                            'User-Agent': 'WhatsApp-Clone-API/1.0',
-                            ...item.headers
-                        },
-                        data: item.payload,
-                        timeout: item.timeout,
-                        validateStatus: null // Don't throw on non-2xx
-                    });
-
-                    // Log delivery
-                    await this.store.logWebhookDelivery(item.id, item.event, {
-                        payload: item.payload,
-                        response_status: response.status,
-                        response_body: response.data,
-                        success: response.status >= 200 && response.status < 300,
-                        attempt: item.retryCount + 1,
-                        duration: Date.now() - startTime
-                    });
-
-                    if (response.status >= 200 && response.status < 300) {
-                        // Success
-                        await this.store.updateWebhookStats(item.id, true, response.status);
-                        this.stats.delivered++;
-                        logger.debug('Webhook delivered', {
-                            id: item.id,
-                            event: item.event,
-                            status: response.status
-                        });
-                    } else {
-                        // HTTP error
-                        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-                    }
+            const webhook = await this.store.getWebhook(job.webhook_id);
+            if (!webhook || !webhook.enabled) {
+                throw Object.assign(new Error('Webhook disabled or deleted'), { permanent: true });
+            }
+
+            const body = JSON.stringify(job.payload);
+            const secrets = await this.store.getWebhookSecrets(webhook.id);
+
+            const response = await axios({
+                method: 'POST',
+                url: webhook.url,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'WhatsApp-Clone-API/1.0',
+                    ...webhook.headers,
+                    // Queue ID is stable across retries and restarts
+                    ...webhookHeaders({ secrets, body, event: job.event, deliveryId, idempotencyKey: job.id })
                 },
-                {
-                    maxAttempts: item.maxRetries,
-                    initialDelay: this.config.webhookRetryDelay,
-                    onRetry: async ({ attempt, error }) => {
-                        this.stats.retries++;
-                        logger.warn(`Webhook retry ${attempt}/${item.maxRetries}`, {
-                            id: item.id,
-                            error: error.message
-                        });
-
-                        // Update failure count in DB
-                        await this.store.updateWebhookStats(item.id, false);
-                    }
-                }
-            );
+                data: body,
+                timeout: webhook.timeout || 10000,
+                validateStatus: null
+            });
+
+            const success = response.status >= 200 && response.status < 300;
+
+            await this.store.logWebhookDelivery(job.webhook_id, job.event, {
+                id: deliveryId,
+                session_id: job.session_id,
+                payload: job.payload,
+                response_status: response.status,
+                response_body: response.data,
+                success,
+                attempt,
+                duration: Date.now() - start
+            }).catch(() => {});
+
+            await this.store.updateWebhookStats(job.webhook_id, success, response.status).catch(() => {});
+
+            if (!success) {
+                throw Object.assign(new Error(`HTTP ${response.status}`), { status: response.status });
+            }
+
+            await this.store.updateWebhookJob(job.id, {
+                status: 'delivered',
+                attempts: attempt,
+                last_status: response.status,
+                error: null,
+                delivered_at: new Date().toISOString()
+            });
+
+            this.stats.delivered++;
+            logger.debug('Webhook delivered', { id: job.id, event: job.event, status: response.status });
 
         } catch (error) {
-            // Final failure
-            this.stats.failed++;
-            logger.error('Webhook delivery failed permanently', {
-                id: item.id,
-                event: item.event,
+            await this._handleFailure(job, attempt, error, deliveryId, start);
+        }
+    }
+
+    /**
+     * Schedule the next attempt with exponential backoff or move to dead-letter
+     * @private
+     */
+    async _handleFailure(job, attempt, error, deliveryId, start) {
+        // HTTP failures are already logged with the response
+        if (!error.status) {
+            await this.store.logWebhookDelivery(job.webhook_id, job.event, {
+                id: deliveryId,
+                session_id: job.session_id,
+                payload: job.payload,
+                success: false,
+                attempt,
+                duration: Date.now() - start,
+                error: error.message
+            }).catch(() => {});
+        }
+
+        if (error.permanent || attempt >= job.max_attempts) {
+            await this.store.updateWebhookJob(job.id, {
+                status: 'dead',
+                attempts: attempt,
+                last_status: error.status || null,
                 error: error.message
             });
 
-            // Log final failure
-            await this.store.logWebhookDelivery(item.id, item.event, {
-                payload: item.payload,
-                success: false,
-                attempt: item.maxRetries,
-                duration: Date.now() - startTime,
+            this.stats.failed++;
+            this.stats.dead++;
+            logger.error('Webhook delivery failed permanently', {
+                id: job.id,
+                event: job.event,
                 error: error.message
             });
+            return;
         }
+
+        const delay = Math.min(this.retryDelay * Math.pow(2, attempt - 1), MAX_BACKOFF);
+
+        await this.store.updateWebhookJob(job.id, {
+            status: 'pending',
+            attempts: attempt,
+            last_status: error.status || null,
+            error: error.message,
+            next_attempt_at: Date.now() + delay
+        });
+
+        this.stats.retries++;
+        logger.warn(`Webhook retry ${attempt}/${job.max_attempts} in ${delay}ms`, {
+            id: job.id,
+            error: error.message
+        });
     }
 
     /**
@@ -233,10 +231,10 @@ class WebhookService {
     getStatus() {
         return {
             running: this.isRunning,
-            queueSize: this.queue.length,
+            processing: this.processing,
             ...this.stats
         };
     }
 }
 
-module.exports = WebhookService;
\ No newline at end of file
+module.exports = WebhookService;
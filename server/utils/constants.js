@@ -42,7 +42,8 @@ module.exports = {
         STICKER: 'sticker',
         LOCATION: 'location',
         CONTACT: 'contact',
-        REACTION: 'reaction'
+        REACTION: 'reaction',
+        POLL: 'poll'
     },
 
     // Message statuses
@@ -55,6 +56,71 @@ module.exports = {
         DELETED: 'deleted'
     },
 
+    // Outbox (outgoing queue) states
+    OUTBOX_STATUS: {
+        QUEUED: 'queued',
+        SENDING: 'sending',
+        SENT: 'sent',
+        DELIVERED: 'delivered',
+        READ: 'read',
+        FAILED: 'failed',
+        CANCELLED: 'cancelled'
+    },
+
+    // How long after sending a message WhatsApp accepts edits (seconds)
+    MESSAGE_EDIT_WINDOW: 15 * 60,
+
+    // WhatsApp's limit on poll options
+    POLL_MAX_OPTIONS: 12,
+
+    // waitFor levels for send-and-wait, lowest first
+    ACK_LEVELS: ['server', 'delivered', 'read'],
+
+    // Per-session sending policy defaults (setting "send_policy"); null means no limit
+    SEND_POLICY: {
+        perMinute: null,
+        perHour: null,
+        perDay: null,
+        recipientCooldown: 0,                // Seconds between sends to the same chat
+        jitter: { min: 100, max: 100 },      // Pause between sends (ms)
+        warmup: null,                        // { days, startPerDay, since } ramps up to perDay
+        newContactsPerDay: null,             // Sends to chats with no history, per 24h
+        onLimit: 'queue'                     // 'queue' holds the send, 'reject' fails it
+    },
+
+    // Humanised sending defaults (setting "humanize")
+    HUMANIZE: {
+        enabled: false,                      // Applies to sends that don't say otherwise
+        markRead: true,                      // Read the chat's unanswered messages first
+        typing: true,                        // Show composing (recording for audio) before sending
+        charsPerSecond: 6,                   // Typing speed that sizes the delay
+        minDelay: 1000,                      // ms
+        maxDelay: 8000                       // ms
+    },
+
+    // Disappearing messages timers WhatsApp offers (seconds)
+    DISAPPEARING_MODES: {
+        off: 0,
+        '24h': 24 * 60 * 60,
+        '7d': 7 * 24 * 60 * 60,
+        '90d': 90 * 24 * 60 * 60
+    },
+
+    // WhatsApp Status (stories)
+    STATUS: {
+        JID: 'status@broadcast',
+        TTL: 24 * 60 * 60,       // Statuses expire after a day (seconds)
+        TYPES: ['text', 'image', 'video']
+    },
+
+    // Webhook delivery queue status
+    WEBHOOK_DELIVERY_STATUS: {
+        PENDING: 'pending',
+        DELIVERING: 'delivering',
+        DELIVERED: 'delivered',
+        DEAD: 'dead'
+    },
+
     // Presence states
     PRESENCE_STATES: {
         AVAILABLE: 'available',
@@ -107,6 +173,8 @@ module.exports = {
         REACTION: 'reaction',
         GROUP: 'group',
         CALL: 'call',
+        POLL_VOTE: 'poll_vote',
+        STATUS: 'status',
         ALL: 'all'
     },
 
@@ -174,6 +242,13 @@ module.exports = {
         SETTINGS: 600000     // 10 minutes
     },
 
+    // Pairing code login
+    PAIRING: {
+        CODE_TTL: 180000,        // 3 minutes
+        READY_TIMEOUT: 15000,    // Wait for socket before requesting a code
+        MAX_REFRESH: 5           // Automatic refreshes before giving up
+    },
+
     // Rate limit defaults
     RATE_LIMITS: {
         REGISTER: { windowMs: 3600000, max: 5 },     // 5 per hour
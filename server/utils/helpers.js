@@ -36,7 +36,8 @@ const generateSessionId = () => {
  */
 const isValidJid = (jid) => {
     if (!jid || typeof jid !== 'string') return false;
-    return /^[0-9]+@[sg]\.whatsapp\.net$/.test(jid);
+    // Groups are <id>@g.us, or <creator>-<timestamp>@g.us for older groups
+    return /^[0-9]+@[sg]\.whatsapp\.net$/.test(jid) || /^[0-9]+(-[0-9]+)?@g\.us$/.test(jid);
 };
 
 /**
@@ -353,6 +354,63 @@ const parseCSV = (str) => {
     return str.split(',').map(s => s.trim()).filter(Boolean);
 };
 
+/**
+ * Build signed webhook headers
+ * Signature is HMAC-SHA256 over "<timestamp>.<body>", one v1 entry per secret
+ * so receivers keep verifying during a secret rotation grace period.
+ * @param {Object} options - { secrets, body, event, deliveryId, idempotencyKey }
+ * @returns {Object} Headers
+ */
+const webhookHeaders = ({ secrets = [], body, event, deliveryId, idempotencyKey }) => {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+        'X-Webhook-Event': event,
+        'X-Webhook-Delivery': deliveryId,
+        'X-Webhook-Timestamp': String(timestamp),
+        'Idempotency-Key': idempotencyKey
+    };
+
+    if (secrets.length) {
+        const signatures = secrets.map(secret =>
+            'v1=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')
+        );
+        headers['X-Webhook-Signature'] = `t=${timestamp},${signatures.join(',')}`;
+    }
+
+    return headers;
+};
+
+/**
+ * Fill {{name}} / {{name|fallback}} placeholders
+ * Missing or empty values use the inline fallback, otherwise an empty string.
+ * @param {string} template - Template text
+ * @param {Object} vars - Variables (dotted names such as contact.name are plain keys)
+ * @returns {string} Rendered text
+ */
+const renderTemplate = (template, vars = {}) => {
+    if (typeof template !== 'string') return template;
+
+    return template.replace(/\{\{\s*([\w.-]+)\s*(?:\|([^}]*))?\}\}/g, (match, name, fallback) => {
+        const value = vars[name];
+        if (value !== undefined && value !== null && value !== '') return String(value);
+        return fallback !== undefined ? fallback.trim() : '';
+    });
+};
+
+/**
+ * Render every string field of a message content object
+ * @param {Object} content - Content fields (text, caption, name, ...)
+ * @param {Object} vars - Variables
+ * @returns {Object} Rendered copy
+ */
+const renderTemplateContent = (content, vars = {}) => {
+    const rendered = {};
+    for (const [key, value] of Object.entries(content || {})) {
+        rendered[key] = renderTemplate(value, vars);
+    }
+    return rendered;
+};
+
 module.exports = {
     randomString,
     generateApiKey,
@@ -378,5 +436,8 @@ module.exports = {
     cleanOldFiles,
     env,
     maskString,
-    parseCSV
+    parseCSV,
+    webhookHeaders,
+    renderTemplate,
+    renderTemplateContent
 };
\ No newline at end of file
@@ -107,7 +107,7 @@ const handlePing = (ws, payload, requestId) => {
  * Handle send message
  */
 const handleSendMessage = async (ws, session, payload, requestId) => {
-    const { jid, content, type } = payload;
+    const { jid, content, type, quotedMessageId, mentions, humanize } = payload;
 
     if (!jid || !content) {
         sendError(ws, 'JID and content required', requestId);
@@ -120,7 +120,7 @@ const handleSendMessage = async (ws, session, payload, requestId) => {
     }
 
     try {
-        const result = await session.sendMessage(jid, content, type || 'text');
+        const result = await session.sendMessage(jid, content, type || 'text', { quotedMessageId, mentions, humanize });
         sendResponse(ws, result, requestId);
     } catch (error) {
         sendError(ws, error.message, requestId);
@@ -313,8 +313,11 @@ const handleSubscribe = (ws, payload, requestId) => {
     } else if (events === 'all') {
         // Subscribe to all events
         const allEvents = [
-            'message', 'presence', 'chat', 'reaction', 
+            'message', 'message_edited', 'poll_vote', 'status', 'presence', 'chat', 'reaction', 
             'group', 'call', 'receipt', 'media', 'qr', // Add 'qr' here
+            'pairing_code', 'pairing_expired', 'outbox', 'autoreply',
+            'media_downloaded', 'media_failed', 'media_reuploaded',
+            'campaign_progress', 'campaign_paused', 'campaign_completed',
             'connection', 'disconnected', 'connected', 'error'
         ];
         allEvents.forEach(e => ws.subscriptions.add(e));
@@ -0,0 +1,93 @@
+// test/auth-state.test.js
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { BufferJSON, proto } = require('@whiskeysockets/baileys');
+const { createStores } = require('./helpers');
+
+let ctx;
+
+beforeEach(async () => {
+    ctx = await createStores('s1');
+});
+
+afterEach(async () => {
+    await ctx.close();
+});
+
+// ==================== CREDS ====================
+
+test('a new session gets fresh creds that survive a reload', async () => {
+    const { state, saveCreds } = await ctx.store.useSQLiteAuthState();
+    assert.ok(state.creds.noiseKey);
+
+    state.creds.me = { id: '15550001111:3@s.whatsapp.net' };
+    await saveCreds();
+
+    const again = await ctx.store.useSQLiteAuthState();
+    assert.strictEqual(again.state.creds.me.id, '15550001111:3@s.whatsapp.net');
+    assert.ok(Buffer.isBuffer(again.state.creds.noiseKey.private));
+    assert.ok(again.state.creds.noiseKey.private.equals(state.creds.noiseKey.private));
+});
+
+test('partial or corrupt stored creds are treated as missing', async () => {
+    await ctx.global.db.run(`UPDATE sessions SET creds = ? WHERE id = 's1'`, [JSON.stringify({ me: { id: 'x' } })]);
+    assert.strictEqual(await ctx.store.getAuthCreds(), null);
+
+    await ctx.global.db.run(`UPDATE sessions SET creds = '{' WHERE id = 's1'`);
+    assert.strictEqual(await ctx.store.getAuthCreds(), null);
+});
+
+// ==================== KEYS ====================
+
+test('signal keys are stored per type and id', async () => {
+    const { state } = await ctx.store.useSQLiteAuthState();
+    const preKey = { public: crypto.randomBytes(32), private: crypto.randomBytes(32) };
+
+    await state.keys.set({ 'pre-key': { 1: preKey, 2: preKey }, session: { 'a.0': Buffer.from('sess') } });
+
+    const keys = await state.keys.get('pre-key', ['1', '3']);
+    assert.deepStrictEqual(Object.keys(keys), ['1']);
+    assert.ok(keys['1'].private.equals(preKey.private));
+    assert.deepStrictEqual(await state.keys.get('pre-key', []), {});
+
+    // A null value deletes the key
+    await state.keys.set({ 'pre-key': { 1: null } });
+    assert.deepStrictEqual(Object.keys(await state.keys.get('pre-key', ['1', '2'])), ['2']);
+});
+
+test('app state sync keys come back as protobuf objects', async () => {
+    const { state } = await ctx.store.useSQLiteAuthState();
+    const keyData = { keyData: crypto.randomBytes(32), timestamp: 1700000000 };
+
+    await state.keys.set({ 'app-state-sync-key': { AAAA: keyData } });
+    const { AAAA } = await state.keys.get('app-state-sync-key', ['AAAA']);
+
+    assert.ok(AAAA instanceof proto.Message.AppStateSyncKeyData);
+    assert.ok(Buffer.from(AAAA.keyData).equals(keyData.keyData));
+});
+
+// ==================== CLEAR / RESTORE ====================
+
+test('clearing the auth state removes creds and keys', async () => {
+    const { state, clear } = await ctx.store.useSQLiteAuthState();
+    await state.keys.set({ session: { 'a.0': Buffer.from('sess') } });
+
+    await clear();
+
+    assert.strictEqual(await ctx.store.getAuthCreds(), null);
+    const rows = await ctx.store.db.all(`SELECT * FROM auth_keys WHERE session_id = 's1'`);
+    assert.strictEqual(rows.length, 0);
+});
+
+test('only registered sessions are restorable', async () => {
+    const { state, saveCreds } = await ctx.store.useSQLiteAuthState();
+    assert.deepStrictEqual(await ctx.global.getRestorableSessions(), []);
+
+    state.creds.registered = true;
+    await saveCreds();
+
+    const restorable = await ctx.global.getRestorableSessions();
+    assert.deepStrictEqual(restorable.map(s => s.id), ['s1']);
+    assert.strictEqual(JSON.parse(restorable[0].creds, BufferJSON.reviver).registered, true);
+});
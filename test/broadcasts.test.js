@@ -0,0 +1,127 @@
+// test/broadcasts.test.js
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const SessionHandler = require('../server/core/SessionHandler');
+const { createStores } = require('./helpers');
+
+const ALICE = '15550001111@s.whatsapp.net';
+const BOB = '15550002222@s.whatsapp.net';
+
+let ctx;
+let h;
+
+beforeEach(async () => {
+    ctx = await createStores('s1');
+
+    h = new SessionHandler('s1', 'u1');
+    h.db = ctx.store;
+    h.sock = { sendMessage: async (jid) => ({ key: { id: `MSG_${jid.slice(0, 11)}`, remoteJid: jid, fromMe: true } }) };
+    h.webhookCacheTime = Date.now();
+    h.outboxRetry = { maxAttempts: 1, delay: 1000, waitTimeout: 10 };
+});
+
+afterEach(async () => {
+    await ctx.close();
+});
+
+// ==================== LISTS ====================
+
+test('broadcast lists are stored with their recipients', async () => {
+    const list = await ctx.store.createBroadcastList({ name: 'Team', recipients: [ALICE] });
+    assert.deepStrictEqual(list.recipients, [ALICE]);
+    assert.strictEqual(list.count, 1);
+
+    const updated = await ctx.store.updateBroadcastList(list.id, { recipients: [ALICE, BOB] });
+    assert.strictEqual(updated.name, 'Team');
+    assert.strictEqual(updated.count, 2);
+
+    await ctx.store.createBroadcastList({ name: 'alpha', recipients: [] });
+    assert.deepStrictEqual((await ctx.store.getBroadcastLists()).map(l => l.name), ['alpha', 'Team']);
+
+    assert.strictEqual(await ctx.store.deleteBroadcastList(list.id), true);
+    assert.strictEqual(await ctx.store.getBroadcastList(list.id), null);
+    await assert.rejects(ctx.store.createBroadcastList({ name: 'x' }), /Name and recipients required/);
+});
+
+// ==================== SENDING ====================
+
+test('a broadcast sends one message per recipient and records the send', async () => {
+    const list = await ctx.store.createBroadcastList({ name: 'Team', recipients: [ALICE, BOB, 'nobody'] });
+
+    const { sendId, results } = await h.sendBroadcast(list.id, 'Meeting moved to 3pm');
+
+    assert.deepStrictEqual(results.map(r => [r.jid, r.success]), [[ALICE, true], [BOB, true], ['nobody', false]]);
+    assert.strictEqual(results[2].error, 'Invalid JID format');
+
+    const outbox = await ctx.store.getOutbox();
+    assert.strictEqual(outbox.length, 2);
+    assert.ok(outbox.every(item => item.source === 'broadcast'));
+
+    // Send the first queued item so the counts move
+    await h._sendOutboxItem(await ctx.store.getNextOutboxItem());
+
+    const send = await ctx.store.getBroadcastSend(sendId);
+    assert.strictEqual(send.preview, 'Meeting moved to 3pm');
+    assert.strictEqual(send.total, 3);
+    assert.deepStrictEqual(send.recipients.map(r => [r.jid, r.status]), [
+        [ALICE, 'sent'],
+        [BOB, 'queued'],
+        ['nobody', 'failed']
+    ]);
+    assert.strictEqual(send.recipients[0].id, `MSG_${ALICE.slice(0, 11)}`);
+
+    const [summary] = await ctx.store.getBroadcastSends(list.id);
+    assert.strictEqual(summary.id, sendId);
+    assert.strictEqual(summary.sent, 1);
+    assert.strictEqual(summary.failed, 1);
+});
+
+test('a send keeps its results after the outbox is pruned', async () => {
+    const list = await ctx.store.createBroadcastList({ name: 'Team', recipients: [ALICE, BOB] });
+    const { sendId } = await h.sendBroadcast(list.id, 'Meeting moved to 3pm');
+    await h._sendOutboxItem(await ctx.store.getNextOutboxItem());
+    await ctx.global.db.run(`UPDATE outbox SET updated_at = datetime('now', '-40 days')`);
+
+    assert.strictEqual(await ctx.global.pruneOutbox(Date.now() - 30 * 24 * 60 * 60 * 1000), 1);
+
+    const send = await ctx.store.getBroadcastSend(sendId);
+    assert.deepStrictEqual(send.recipients.map(r => [r.jid, r.id, r.status]), [
+        [ALICE, `MSG_${ALICE.slice(0, 11)}`, 'sent'],
+        [BOB, null, 'queued']
+    ]);
+    const [summary] = await ctx.store.getBroadcastSends(list.id);
+    assert.strictEqual(summary.sent, 1);
+    assert.strictEqual(summary.failed, 0);
+
+    // Pruned before results were kept
+    await ctx.global.db.run(`UPDATE broadcast_recipients SET status = NULL, msg_id = NULL WHERE jid = ?`, [ALICE]);
+    assert.strictEqual((await ctx.store.getBroadcastSend(sendId)).recipients[0].status, 'unknown');
+});
+
+test('a media broadcast writes the upload once for every recipient', async (t) => {
+    const previous = process.env.MEDIA_PATH;
+    process.env.MEDIA_PATH = ctx.dir;
+    t.after(() => {
+        if (previous === undefined) delete process.env.MEDIA_PATH;
+        else process.env.MEDIA_PATH = previous;
+    });
+    const list = await ctx.store.createBroadcastList({ name: 'Team', recipients: [ALICE, BOB] });
+
+    const { results } = await h.sendBroadcast(list.id, { buffer: Buffer.from('jpg'), caption: 'Flyer', name: 'flyer.jpg' }, 'image');
+
+    assert.deepStrictEqual(results.map(r => r.status), ['queued', 'queued']);
+    const outbox = await ctx.store.getOutbox();
+    assert.strictEqual(outbox.length, 2);
+    assert.strictEqual(outbox[0].media_path, outbox[1].media_path);
+    assert.strictEqual(fs.readFileSync(outbox[0].media_path, 'utf8'), 'jpg');
+    assert.strictEqual(fs.readdirSync(path.join(ctx.dir, 's1', 'outbox')).length, 1);
+});
+
+test('missing and empty lists are refused', async () => {
+    const empty = await ctx.store.createBroadcastList({ name: 'Empty', recipients: [] });
+
+    await assert.rejects(h.sendBroadcast('missing', 'hi'), { code: 'BROADCAST_NOT_FOUND' });
+    await assert.rejects(h.sendBroadcast(empty.id, 'hi'), { code: 'BROADCAST_EMPTY' });
+});
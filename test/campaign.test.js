@@ -0,0 +1,221 @@
+// test/campaign.test.js
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const CampaignService = require('../server/services/campaign');
+const SessionHandler = require('../server/core/SessionHandler');
+const { createStores } = require('./helpers');
+
+const ALICE = '15550001111@s.whatsapp.net';
+const BOB = '15550002222@s.whatsapp.net';
+
+let ctx;
+let session;
+let sent;
+let events;
+let campaigns;
+
+beforeEach(async () => {
+    ctx = await createStores('s1');
+    sent = [];
+    events = [];
+
+    session = {
+        state: 'open',
+        db: ctx.store,
+        sendMessage: async (jid, content, type, options) => {
+            sent.push({ jid, content, type, options });
+            return { outboxId: `outbox_${sent.length}`, status: 'queued' };
+        },
+        _emit: (event, data) => events.push({ event, data }),
+        templateVars: (jid, vars, defaults) => SessionHandler.prototype.templateVars.call({ db: ctx.store }, jid, vars, defaults)
+    };
+    const manager = { get: sid => (sid === 's1' ? session : null) };
+
+    campaigns = new CampaignService(manager, ctx.global, {});
+});
+
+afterEach(async () => {
+    await campaigns.stop();
+    await ctx.close();
+});
+
+/**
+ * Create a text campaign for Alice and Bob
+ * @param {Object} data - Campaign fields
+ * @returns {Promise<Object>} Campaign
+ */
+function campaign(data = {}) {
+    return ctx.store.createCampaign({
+        content: { text: 'Hi {{name}}, your code is {{ code }}{{missing}}' },
+        recipients: [
+            { jid: ALICE, vars: { name: 'Alice', code: 7 } },
+            { jid: BOB }
+        ],
+        min_delay: 0,
+        max_delay: 0,
+        ...data
+    });
+}
+
+// ==================== STORE ====================
+
+test('a campaign keeps one recipient per JID in list order', async () => {
+    await assert.rejects(ctx.store.createCampaign({ recipients: [] }), /Recipients required/);
+
+    const created = await campaign({ recipients: [{ jid: BOB }, { jid: ALICE }, { jid: BOB }] });
+    assert.strictEqual(created.status, 'running');
+    assert.strictEqual(created.total, 2);
+
+    const recipients = await ctx.store.getCampaignRecipients(created.id);
+    assert.deepStrictEqual(recipients.map(r => [r.jid, r.status]), [[BOB, 'pending'], [ALICE, 'pending']]);
+    assert.deepStrictEqual((await ctx.global.getRunningCampaigns()).map(c => c.id), [created.id]);
+});
+
+test('placeholders use recipient vars, then contact fields', async () => {
+    await ctx.store.db.run('INSERT INTO contacts (session_id, jid, name) VALUES (?, ?, ?)', ['s1', BOB, 'Bob']);
+    const created = await campaign({ content: { text: 'Hi {{contact.name|friend}} ({{name|no name}})' } });
+
+    await campaigns._tick(created.id);
+    await campaigns._tick(created.id);
+
+    assert.deepStrictEqual(sent.map(s => s.content), ['Hi friend (Alice)', 'Hi Bob (no name)']);
+});
+
+// ==================== SENDING ====================
+
+test('each tick sends to the next recipient and the last one completes the campaign', async () => {
+    const created = await campaign();
+
+    await campaigns._tick(created.id);
+    await campaigns._tick(created.id);
+
+    assert.deepStrictEqual(sent.map(s => [s.jid, s.content, s.type]), [
+        [ALICE, 'Hi Alice, your code is 7', 'text'],
+        [BOB, 'Hi , your code is ', 'text']
+    ]);
+    assert.deepStrictEqual(sent[0].options, { source: 'campaign', meta: { campaignId: created.id }, wait: false });
+
+    const [alice] = await ctx.store.getCampaignRecipients(created.id);
+    assert.strictEqual(alice.status, 'queued');
+    assert.strictEqual(alice.outbox_id, 'outbox_1');
+    assert.ok(alice.sent_at);
+
+    await campaigns._tick(created.id);
+
+    const after = await ctx.store.getCampaign(created.id);
+    assert.strictEqual(after.status, 'completed');
+    assert.ok(after.completed_at);
+    assert.deepStrictEqual(events.map(e => e.event), ['campaign_progress', 'campaign_progress', 'campaign_completed']);
+    assert.strictEqual(events.at(-1).data.summary.queued, 2);
+    assert.strictEqual(events.at(-1).data.summary.progress, 100);
+});
+
+test('a failed send is recorded and the campaign moves on', async () => {
+    session.sendMessage = async (jid) => {
+        if (jid === ALICE) throw new Error('Invalid JID format');
+        return { outboxId: 'outbox_bob' };
+    };
+    const created = await campaign();
+
+    await campaigns._tick(created.id);
+    await campaigns._tick(created.id);
+
+    const recipients = await ctx.store.getCampaignRecipients(created.id);
+    assert.deepStrictEqual(recipients.map(r => [r.status, r.error]), [['failed', 'Invalid JID format'], ['queued', null]]);
+
+    const summary = await ctx.store.getCampaignSummary(created.id);
+    assert.strictEqual(summary.failed, 1);
+    assert.strictEqual(summary.queued, 1);
+    assert.strictEqual(campaigns.getStatus().failed, 1);
+});
+
+test('nothing is sent while the session is offline or the campaign is paused', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    campaigns.isRunning = true;
+    const created = await campaign();
+
+    session.state = 'close';
+    await campaigns._tick(created.id);
+    assert.strictEqual(sent.length, 0);
+    assert.ok(campaigns.timers.has(created.id));
+
+    session.state = 'open';
+    await ctx.store.updateCampaign(created.id, { status: 'paused' });
+    await campaigns._tick(created.id);
+    assert.strictEqual(sent.length, 0);
+    assert.ok(!campaigns.timers.has(created.id));
+});
+
+// ==================== MEDIA ====================
+
+test('media campaigns send the stored file and pause when it is gone', async () => {
+    const file = path.join(ctx.dir, 'flyer.jpg');
+    fs.writeFileSync(file, 'jpg');
+    const created = await campaign({ type: 'image', content: { caption: 'For {{name}}' }, media_path: file });
+
+    await campaigns._tick(created.id);
+    assert.strictEqual(sent[0].type, 'image');
+    assert.strictEqual(sent[0].content.caption, 'For Alice');
+    // Every recipient's item points at the campaign file
+    assert.strictEqual(sent[0].content.path, file);
+
+    const missing = await campaign({ type: 'image', content: {}, media_path: path.join(ctx.dir, 'gone.jpg') });
+    await campaigns._tick(missing.id);
+
+    const paused = await ctx.store.getCampaign(missing.id);
+    assert.strictEqual(paused.status, 'paused');
+    assert.strictEqual(paused.last_error, 'Campaign media file missing');
+    assert.strictEqual((await ctx.store.getNextCampaignRecipient(missing.id)).jid, ALICE);
+    assert.strictEqual(events.at(-1).event, 'campaign_paused');
+});
+
+test('the media file is deleted once the last queued item has been sent', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    campaigns.isRunning = true;
+    const file = path.join(ctx.dir, 'flyer.jpg');
+    fs.writeFileSync(file, 'jpg');
+    const created = await campaign({ type: 'image', content: {}, media_path: file, recipients: [{ jid: ALICE }] });
+    const queued = await ctx.store.enqueueOutbox({ jid: ALICE, type: 'image', message: { image: { url: file } }, mediaPath: file });
+
+    await campaigns._tick(created.id);
+    await campaigns._tick(created.id);
+
+    // Still waiting on the outbox
+    assert.strictEqual((await ctx.store.getCampaign(created.id)).status, 'running');
+    assert.ok(fs.existsSync(file));
+    assert.ok(campaigns.timers.has(created.id));
+
+    await ctx.store.updateOutbox(queued.id, { status: 'sent' });
+    await campaigns._tick(created.id);
+
+    assert.strictEqual((await ctx.store.getCampaign(created.id)).status, 'completed');
+    assert.ok(!fs.existsSync(file));
+});
+
+// ==================== LIFECYCLE ====================
+
+test('running campaigns resume on start and interrupted sends are retried', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const created = await campaign();
+    await ctx.store.updateCampaignRecipient(created.id, ALICE, { status: 'sending' });
+
+    await campaigns.start();
+
+    assert.ok(campaigns.timers.has(created.id));
+    assert.strictEqual((await ctx.store.getNextCampaignRecipient(created.id)).jid, ALICE);
+});
+
+test('cancelling returns the outbox items that have not been sent yet', async () => {
+    const created = await campaign();
+    const queued = await ctx.store.enqueueOutbox({ jid: ALICE, message: { text: 'Hi' }, source: 'campaign' });
+    await ctx.store.updateCampaignRecipient(created.id, ALICE, { status: 'queued', outbox_id: queued.id });
+
+    assert.deepStrictEqual(await ctx.store.cancelCampaignRecipients(created.id), [queued.id]);
+
+    const summary = await ctx.store.getCampaignSummary(created.id);
+    assert.strictEqual(summary.cancelled, 1);
+    assert.deepStrictEqual(summary.delivery, { queued: 1 });
+    assert.strictEqual(summary.progress, 100);
+});
@@ -0,0 +1,156 @@
+// test/edits.test.js
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const SessionHandler = require('../server/core/SessionHandler');
+const { createStores } = require('./helpers');
+
+const ALICE = '15550001111@s.whatsapp.net';
+
+let ctx;
+let sent;
+let edited;
+
+beforeEach(async () => {
+    ctx = await createStores('s1');
+    sent = [];
+    edited = [];
+    ctx.store.on('message_edited', edit => edited.push(edit));
+
+    await ctx.store.db.run('INSERT INTO chats (session_id, jid) VALUES (?, ?)', ['s1', ALICE]);
+});
+
+afterEach(async () => {
+    await ctx.close();
+});
+
+/**
+ * Store one message
+ * @param {string} id - Message ID
+ * @param {boolean} fromMe - Sent by us
+ * @param {Object} message - Message content
+ * @param {number} ts - Timestamp in seconds
+ * @returns {Promise}
+ */
+function store(id, fromMe, message = { conversation: 'lunch at 12' }, ts = Math.floor(Date.now() / 1000)) {
+    return ctx.store.handleMsg({
+        type: 'notify',
+        messages: [{ key: { id, remoteJid: ALICE, fromMe }, message, messageTimestamp: ts }]
+    });
+}
+
+/**
+ * Incoming edit protocol message
+ * @param {string} id - Edit message ID
+ * @param {string} msgId - Edited message ID
+ * @param {string} text - New text
+ * @param {number} timestampMs - Edit time in ms
+ * @returns {Promise}
+ */
+function edit(id, msgId, text, timestampMs) {
+    return store(id, false, {
+        protocolMessage: {
+            key: { id: msgId, remoteJid: ALICE },
+            type: 'MESSAGE_EDIT',
+            editedMessage: { conversation: text },
+            timestampMs
+        }
+    });
+}
+
+// ==================== INCOMING ====================
+
+test('an incoming edit updates the message and keeps the history', async () => {
+    await store('M1', false, { conversation: 'lunch at 12' }, 100);
+
+    await edit('E1', 'M1', 'lunch at 1', 200000);
+    await edit('E1', 'M1', 'lunch at 1', 200000);
+
+    const msg = await ctx.store.getMsg('M1');
+    assert.strictEqual(msg.text, 'lunch at 1');
+    assert.strictEqual(msg.edited_at, 200);
+    // The edit itself is not stored as a message
+    assert.ok(!(await ctx.store.getMsg('E1')));
+
+    const edits = await ctx.store.getMsgEdits('M1');
+    assert.deepStrictEqual(edits.map(e => [e.edit_id, e.prev_text, e.text, e.editor]), [['E1', 'lunch at 12', 'lunch at 1', ALICE]]);
+    assert.strictEqual(edited.length, 1);
+    assert.strictEqual(edited[0].id, 'M1');
+});
+
+test('a replayed older edit is recorded but does not replace newer text', async () => {
+    await store('M1', false, { conversation: 'v1' }, 100);
+
+    await edit('E2', 'M1', 'v3', 300000);
+    await edit('E1', 'M1', 'v2', 200000);
+
+    assert.strictEqual((await ctx.store.getMsg('M1')).text, 'v3');
+    assert.deepStrictEqual((await ctx.store.getMsgEdits('M1')).map(e => e.text), ['v2', 'v3']);
+});
+
+test('an edit of a media message replaces its caption', async () => {
+    await store('I1', false, { imageMessage: { caption: 'old caption', mimetype: 'image/jpeg' } }, 100);
+
+    await ctx.store.handleMsg({
+        type: 'notify',
+        messages: [{
+            key: { id: 'E1', remoteJid: ALICE, fromMe: false },
+            message: {
+                protocolMessage: {
+                    key: { id: 'I1', remoteJid: ALICE },
+                    type: 'MESSAGE_EDIT',
+                    editedMessage: { imageMessage: { caption: 'new caption' } },
+                    timestampMs: 200000
+                }
+            },
+            messageTimestamp: 200
+        }]
+    });
+
+    const msg = await ctx.store.getMsg('I1');
+    assert.strictEqual(msg.caption, 'new caption');
+    assert.ok(msg.text !== 'new caption');
+
+    const [history] = await ctx.store.getMsgEdits('I1');
+    assert.deepStrictEqual([history.prev_text, history.text], ['old caption', 'new caption']);
+});
+
+// ==================== OUTGOING ====================
+
+/**
+ * Session handler over the test store with a fake socket
+ * @returns {SessionHandler}
+ */
+function handler() {
+    const h = new SessionHandler('s1', 'u1');
+    h.db = ctx.store;
+    h.sock = {
+        sendMessage: async (jid, message) => {
+            sent.push({ jid, message });
+            return { key: { id: `EDIT${sent.length}` } };
+        }
+    };
+    return h;
+}
+
+test('our own recent text message can be edited', async () => {
+    await store('M1', true);
+    const h = handler();
+
+    const result = await h.editMessage('M1', 'lunch at 1');
+
+    assert.deepStrictEqual(sent, [{ jid: ALICE, message: { text: 'lunch at 1', edit: { remoteJid: ALICE, id: 'M1', fromMe: true } } }]);
+    assert.strictEqual(result.editId, 'EDIT1');
+    assert.strictEqual(result.prevText, 'lunch at 12');
+    assert.strictEqual((await ctx.store.getMsg('M1')).text, 'lunch at 1');
+});
+
+test('edits are refused for other people\'s, missing and old messages', async () => {
+    await store('THEIRS', false);
+    await store('OLD', true, { conversation: 'old' }, Math.floor(Date.now() / 1000) - 16 * 60);
+    const h = handler();
+
+    await assert.rejects(h.editMessage('THEIRS', 'x'), { code: 'NOT_EDITABLE' });
+    await assert.rejects(h.editMessage('missing', 'x'), { code: 'MESSAGE_NOT_FOUND' });
+    await assert.rejects(h.editMessage('OLD', 'x'), { code: 'EDIT_WINDOW_EXPIRED' });
+    assert.strictEqual(sent.length, 0);
+});
@@ -0,0 +1,113 @@
+// test/ephemeral.test.js
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { proto } = require('@whiskeysockets/baileys');
+const SessionHandler = require('../server/core/SessionHandler');
+const { createStores } = require('./helpers');
+
+const ALICE = '15550001111@s.whatsapp.net';
+const WEEK = 7 * 24 * 60 * 60;
+
+let ctx;
+let h;
+let sent;
+
+beforeEach(async () => {
+    ctx = await createStores('s1');
+    sent = [];
+
+    h = new SessionHandler('s1', 'u1');
+    h.db = ctx.store;
+    h.sock = {
+        sendMessage: async (jid, message, options) => {
+            sent.push({ jid, message, options });
+            return { key: { id: `MSG${sent.length}` } };
+        }
+    };
+    h.webhookCacheTime = Date.now();
+    h.outboxRetry = { maxAttempts: 1, delay: 1000, waitTimeout: 10 };
+
+    await ctx.store.db.run('INSERT INTO chats (session_id, jid) VALUES (?, ?)', ['s1', ALICE]);
+});
+
+afterEach(async () => {
+    await ctx.close();
+});
+
+/**
+ * Store one incoming message
+ * @param {string} id - Message ID
+ * @param {Object} message - Baileys message content
+ * @returns {Promise}
+ */
+function receive(id, message) {
+    return ctx.store.handleMsg({
+        type: 'notify',
+        messages: [{ key: { id, remoteJid: ALICE, fromMe: false }, message, messageTimestamp: 100 }]
+    });
+}
+
+// ==================== TIMERS ====================
+
+test('a timer change from the chat is stored without touching other chat settings', async () => {
+    await ctx.store.updateChatMeta(ALICE, { pinnedNote: 'x' });
+
+    await receive('P1', { protocolMessage: { type: proto.Message.ProtocolMessage.Type.EPHEMERAL_SETTING, ephemeralExpiration: WEEK } });
+    assert.strictEqual(await ctx.store.getChatEphemeral(ALICE), WEEK);
+
+    await h._handleChatsUpdate([{ id: ALICE, ephemeralExpiration: 0 }]);
+    assert.strictEqual(await ctx.store.getChatEphemeral(ALICE), 0);
+
+    const meta = JSON.parse((await ctx.store.getChat(ALICE)).meta);
+    assert.strictEqual(meta.pinnedNote, 'x');
+});
+
+test('our messages follow the chat timer', async () => {
+    await ctx.store.setChatEphemeral(ALICE, WEEK);
+
+    await h.sendMessage(ALICE, 'hi', 'text', { wait: false });
+    await h._sendOutboxItem(await ctx.store.getNextOutboxItem());
+
+    assert.strictEqual(sent[0].options.ephemeralExpiration, WEEK);
+});
+
+test('the timer is set through the socket and only to a supported value', async () => {
+    const result = await h.setDisappearing(ALICE, WEEK);
+
+    assert.deepStrictEqual(sent[0], { jid: ALICE, message: { disappearingMessagesInChat: WEEK }, options: undefined });
+    assert.strictEqual(result.expiration, WEEK);
+    assert.strictEqual(await ctx.store.getChatEphemeral(ALICE), WEEK);
+
+    await h.setDisappearing(ALICE, 0);
+    assert.strictEqual(sent[1].message.disappearingMessagesInChat, false);
+
+    await assert.rejects(h.setDisappearing(ALICE, 3600), /Expiration must be one of/);
+});
+
+// ==================== MESSAGES ====================
+
+test('view-once and disappearing messages are unwrapped and tagged', async () => {
+    await receive('V1', { viewOnceMessageV2: { message: { imageMessage: { caption: 'once', mimetype: 'image/jpeg' } } } });
+    await receive('E1', { ephemeralMessage: { message: { extendedTextMessage: { text: 'gone soon', contextInfo: { expiration: WEEK } } } } });
+
+    const once = await ctx.store.getMsg('V1');
+    assert.strictEqual(once.view_once, 1);
+    assert.strictEqual(once.caption, 'once');
+
+    const ephemeral = await ctx.store.getMsg('E1');
+    assert.strictEqual(ephemeral.text, 'gone soon');
+    assert.strictEqual(ephemeral.ephemeral, WEEK);
+    assert.strictEqual(ephemeral.view_once, 0);
+});
+
+test('media can be sent as view-once', async () => {
+    const file = path.join(ctx.dir, 'a.jpg');
+    fs.writeFileSync(file, 'jpg');
+
+    await h.sendMessage(ALICE, { path: file, viewOnce: true }, 'image', { wait: false });
+
+    const item = await ctx.store.getNextOutboxItem();
+    assert.strictEqual(item.message.viewOnce, true);
+});
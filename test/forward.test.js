@@ -0,0 +1,140 @@
+// test/forward.test.js
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const SessionHandler = require('../server/core/SessionHandler');
+const CleanupService = require('../server/services/cleanup');
+const { createStores } = require('./helpers');
+
+const ALICE = '15550001111@s.whatsapp.net';
+const BOB = '15550002222@s.whatsapp.net';
+
+let ctx;
+let h;
+let downloads;
+
+beforeEach(async () => {
+    ctx = await createStores('s1');
+    downloads = [];
+
+    h = new SessionHandler('s1', 'u1');
+    h.db = ctx.store;
+    h.sock = { sendMessage: async () => ({ key: { id: 'MSG1' } }) };
+    h.webhookCacheTime = Date.now();
+    h.outboxRetry = { maxAttempts: 1, delay: 1000, waitTimeout: 10 };
+    h.downloadMedia = async (id) => {
+        downloads.push(id);
+        const file = path.join(ctx.dir, `${id}.jpg`);
+        fs.writeFileSync(file, 'downloaded');
+        return { path: file };
+    };
+
+    await ctx.store.db.run('INSERT INTO chats (session_id, jid) VALUES (?, ?)', ['s1', ALICE]);
+});
+
+afterEach(async () => {
+    await ctx.close();
+});
+
+/**
+ * Store an incoming message, including its media row
+ * @param {string} id - Message ID
+ * @param {Object} message - Baileys message content
+ * @returns {Promise<Object>} WAMessage
+ */
+async function receive(id, message) {
+    const msg = { key: { id, remoteJid: ALICE, fromMe: false }, message, messageTimestamp: 100 };
+    await ctx.store.handleMsg({ type: 'notify', messages: [msg] });
+    await h._handleIncomingMedia(msg, false);
+    return msg;
+}
+
+const image = {
+    imageMessage: {
+        mimetype: 'image/jpeg',
+        fileLength: 3,
+        mediaKey: Buffer.from('key'),
+        contextInfo: { isForwarded: true }
+    }
+};
+
+// ==================== FORWARD ====================
+
+test('a text message is forwarded to every target that is valid', async () => {
+    await receive('T1', { conversation: 'meet at 5' });
+
+    // Forwards only need the outbox, not a live socket
+    h.sock = null;
+    const results = await h.forwardMessage('T1', [BOB, 'not-a-jid']);
+
+    assert.strictEqual(results[0].jid, BOB);
+    assert.strictEqual(results[0].success, true);
+    assert.strictEqual(results[0].status, 'queued');
+    assert.ok(results[0].outboxId);
+    assert.strictEqual(results[1].success, false);
+    assert.strictEqual(results[1].error, 'Invalid JID format');
+
+    const [item] = await ctx.store.getOutbox();
+    const queued = await ctx.store.getOutboxItem(item.id, true);
+    assert.strictEqual(queued.source, 'forward');
+    assert.deepStrictEqual(queued.meta, { msgId: 'T1' });
+    assert.deepStrictEqual(queued.message.forward, {
+        key: { remoteJid: ALICE, id: 'T1', fromMe: false },
+        message: { extendedTextMessage: { text: 'meet at 5' } }
+    });
+});
+
+test('media is forwarded from its stored keys', async () => {
+    const msg = await receive('I1', image);
+
+    const source = await h._forwardSource('I1');
+
+    assert.strictEqual(source.type, 'image');
+    assert.deepStrictEqual(source.source.key, msg.key);
+    assert.ok(Buffer.from(source.source.message.imageMessage.mediaKey).equals(Buffer.from('key')));
+    // The forwarded flag is read from any message type
+    assert.strictEqual((await ctx.store.getMsg('I1')).fwd, 1);
+});
+
+test('missing, unsupported and view once messages are not forwarded', async () => {
+    await receive('V1', { viewOnceMessageV2: { message: image } });
+    await receive('L1', { locationMessage: { degreesLatitude: 1, degreesLongitude: 2 } });
+
+    await assert.rejects(h._forwardSource('missing'), { code: 'MESSAGE_NOT_FOUND' });
+    await assert.rejects(h._forwardSource('L1'), { code: 'NOT_FORWARDABLE' });
+    await assert.rejects(h._forwardSource('V1'), /View once messages cannot be forwarded/);
+});
+
+// ==================== STORED MEDIA ====================
+
+test('stored media is downloaded first when the file is not there', async () => {
+    await receive('I1', image);
+
+    const media = await h.getStoredMedia('I1');
+    assert.strictEqual(media.type, 'image');
+    assert.strictEqual(media.mime, 'image/jpeg');
+    assert.strictEqual(media.path, path.join(ctx.dir, 'I1.jpg'));
+    assert.strictEqual(media.size, 'downloaded'.length);
+    assert.deepStrictEqual(downloads, ['I1']);
+
+    await assert.rejects(h.getStoredMedia('missing'), { code: 'MEDIA_NOT_FOUND' });
+});
+
+test('cleanup keeps a deleted message\'s media while a queued send still uses it', async () => {
+    await receive('I1', image);
+    const file = path.join(ctx.dir, 'I1.jpg');
+    fs.writeFileSync(file, 'jpg');
+    await ctx.store.db.run('UPDATE media SET url = ? WHERE msg_id = ?', [file, 'I1']);
+    await ctx.store.db.run('UPDATE msgs SET deleted = 1 WHERE id = ?', ['I1']);
+
+    const queued = await ctx.store.enqueueOutbox({ jid: BOB, type: 'image', message: { image: { url: file } }, mediaPath: file });
+    const cleanup = new CleanupService(null, ctx.global, {});
+
+    await cleanup.cleanupMedia();
+    assert.ok(fs.existsSync(file));
+
+    await ctx.store.updateOutbox(queued.id, { status: 'sent' });
+    await cleanup.cleanupMedia();
+    assert.ok(!fs.existsSync(file));
+});
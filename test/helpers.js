@@ -0,0 +1,32 @@
+// test/helpers.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SQLiteStores = require('../server/core/SQLiteStores');
+
+/**
+ * Open a throwaway database with one session
+ * @param {string} sessionId - Session to create
+ * @returns {Promise<Object>} { global, store, dir, close }
+ */
+async function createStores(sessionId = 's1') {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wa-test-'));
+    const dbPath = path.join(dir, 'test.db');
+
+    const global = await new SQLiteStores(null, dbPath).init();
+    await global.db.run(`INSERT INTO sessions (id) VALUES (?)`, [sessionId]);
+    const store = await new SQLiteStores(sessionId, dbPath).init();
+
+    return {
+        global,
+        store,
+        dir,
+        async close() {
+            await store.close();
+            await global.close();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    };
+}
+
+module.exports = { createStores };
@@ -0,0 +1,117 @@
+// test/humanize.test.js
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const SessionHandler = require('../server/core/SessionHandler');
+const { STATUS } = require('../server/utils/constants');
+const { createStores } = require('./helpers');
+
+const ALICE = '15550001111@s.whatsapp.net';
+
+let ctx;
+let h;
+let calls;
+
+beforeEach(async () => {
+    ctx = await createStores('s1');
+    calls = [];
+
+    h = new SessionHandler('s1', 'u1');
+    h.db = ctx.store;
+    h.sock = {
+        sendMessage: async (jid, message) => {
+            calls.push(['send', message.text]);
+            return { key: { id: 'OUT1', remoteJid: jid, fromMe: true } };
+        },
+        sendPresenceUpdate: async (state) => calls.push(['presence', state]),
+        readMessages: async (keys) => calls.push(['read', keys.map(k => k.id)])
+    };
+    h.webhookCacheTime = Date.now();
+    h.outboxRetry = { maxAttempts: 1, delay: 1000, waitTimeout: 10 };
+
+    await ctx.store.db.run('INSERT INTO chats (session_id, jid) VALUES (?, ?)', ['s1', ALICE]);
+});
+
+afterEach(async () => {
+    await ctx.close();
+});
+
+/**
+ * Store one message in the chat
+ * @param {string} id - Message ID
+ * @param {boolean} fromMe - Sent by us
+ * @param {number} ts - Timestamp in seconds
+ * @returns {Promise}
+ */
+function store(id, fromMe, ts) {
+    return ctx.store.handleMsg({
+        type: 'notify',
+        messages: [{ key: { id, remoteJid: ALICE, fromMe }, message: { conversation: id }, messageTimestamp: ts }]
+    });
+}
+
+// ==================== PLAN ====================
+
+test('humanising follows the session setting unless the send says otherwise', async () => {
+    assert.strictEqual(await h._humanizePlan(ALICE, { text: 'hi' }, 'text'), null);
+    assert.ok(await h._humanizePlan(ALICE, { text: 'hi' }, 'text', true));
+
+    await ctx.store.setSessionSetting('humanize', { enabled: true });
+    assert.ok(await h._humanizePlan(ALICE, { text: 'hi' }, 'text'));
+    assert.strictEqual(await h._humanizePlan(ALICE, { text: 'hi' }, 'text', false), null);
+    // Statuses have no chat to type in
+    assert.strictEqual(await h._humanizePlan(STATUS.JID, { text: 'hi' }, 'text', true), null);
+});
+
+test('the delay follows the text length within the bounds', async () => {
+    const long = await h._humanizePlan(ALICE, { text: 'x'.repeat(600) }, 'text', true);
+    assert.deepStrictEqual(long, { markRead: true, presence: 'composing', delay: 8000 });
+
+    const short = await h._humanizePlan(ALICE, { text: 'ok' }, 'text', true);
+    assert.strictEqual(short.delay, 1000);
+
+    const sized = await h._humanizePlan(ALICE, { caption: 'x'.repeat(60) }, 'image', { charsPerSecond: 10, minDelay: 0 });
+    assert.ok(sized.delay >= 4800 && sized.delay <= 7200);
+
+    const audio = await h._humanizePlan(ALICE, {}, 'audio', { markRead: false });
+    assert.strictEqual(audio.presence, 'recording');
+    assert.strictEqual(audio.markRead, false);
+});
+
+test('invalid humanize options are refused', async () => {
+    await assert.rejects(h._humanizePlan(ALICE, { text: 'hi' }, 'text', 'yes'), { code: 'INVALID_HUMANIZE' });
+    await assert.rejects(h._humanizePlan(ALICE, { text: 'hi' }, 'text', [true]), { code: 'INVALID_HUMANIZE' });
+    await assert.rejects(h._humanizePlan(ALICE, { text: 'hi' }, 'text', { maxDelay: 120000 }), { code: 'INVALID_HUMANIZE' });
+    await assert.rejects(h._humanizePlan(ALICE, { text: 'hi' }, 'text', { charsPerSecond: 0 }), { code: 'INVALID_HUMANIZE' });
+});
+
+// ==================== SENDING ====================
+
+test('only messages since our last reply are marked read', async () => {
+    await store('IN1', false, 100);
+    await store('OUT0', true, 200);
+    await store('IN2', false, 300);
+    await store('IN3', false, 400);
+
+    await h._readUnanswered(ALICE);
+
+    assert.deepStrictEqual(calls, [['read', ['IN3', 'IN2']]]);
+    assert.strictEqual((await ctx.store.getMsg('IN2')).status, 'read');
+    assert.notStrictEqual((await ctx.store.getMsg('IN1')).status, 'read');
+});
+
+test('a humanised send reads the chat and types before it goes out', async () => {
+    await store('IN1', false, 100);
+
+    await h.sendMessage(ALICE, 'hello', 'text', { wait: false, humanize: { minDelay: 0, maxDelay: 0 } });
+    const item = await ctx.store.getNextOutboxItem();
+    assert.deepStrictEqual(item.humanize, { markRead: true, presence: 'composing', delay: 0 });
+
+    await h._sendOutboxItem(item);
+
+    assert.deepStrictEqual(calls, [
+        ['read', ['IN1']],
+        ['presence', 'composing'],
+        ['presence', 'paused'],
+        ['send', 'hello']
+    ]);
+});
@@ -0,0 +1,183 @@
+// test/idempotency.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const multer = require('multer');
+const { idempotency } = require('../server/api/middleware');
+const { createStores } = require('./helpers');
+
+let ctx;
+let server;
+let base;
+let runs = 0;
+
+// Same layout as api/routes.js: a router-level instance for JSON routes and
+// a per-route one behind multer for uploads
+before(async () => {
+    ctx = await createStores('s1');
+
+    const app = express();
+    app.use(express.json());
+
+    const router = express.Router();
+    router.use((req, res, next) => {
+        req.user = { username: req.get('X-User') || 'alice' };
+        next();
+    });
+    router.use('/sessions/:sid', idempotency(ctx.global, { match: /^\/send/, skipMultipart: true, wait: 2000 }));
+
+    const upload = multer({ storage: multer.memoryStorage() }).single('file');
+    const idempotentUpload = idempotency(ctx.global, { wait: 2000 });
+
+    router.post('/sessions/:sid/send/text', async (req, res) => {
+        runs++;
+        if (req.body.delay) await new Promise(r => setTimeout(r, req.body.delay));
+        if (req.body.fail) return res.status(500).json({ error: 'boom' });
+        res.json({ run: runs });
+    });
+    router.post('/sessions/:sid/send/media', upload, idempotentUpload, (req, res) => {
+        runs++;
+        res.json({ run: runs, size: req.file?.size ?? null });
+    });
+
+    app.use('/api', router);
+
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(r => server.once('listening', r));
+    base = `http://127.0.0.1:${server.address().port}/api/sessions/s1`;
+});
+
+after(async () => {
+    await new Promise(r => server.close(r));
+    await ctx.close();
+});
+
+/**
+ * POST JSON with an Idempotency-Key
+ * @param {string} key - Idempotency-Key
+ * @param {Object} body - JSON body
+ * @param {Object} headers - Extra headers
+ * @returns {Promise<Response>}
+ */
+function sendText(key, body, headers = {}) {
+    return fetch(`${base}/send/text`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Idempotency-Key': key, ...headers },
+        body: JSON.stringify(body)
+    });
+}
+
+/**
+ * POST a multipart upload with an Idempotency-Key
+ * @param {string} key - Idempotency-Key
+ * @param {string} content - File content
+ * @returns {Promise<Response>}
+ */
+function sendMedia(key, content) {
+    const form = new FormData();
+    form.append('jid', '15550001111@s.whatsapp.net');
+    form.append('file', new Blob([content]), 'a.txt');
+    return fetch(`${base}/send/media`, { method: 'POST', headers: { 'Idempotency-Key': key }, body: form });
+}
+
+// ==================== JSON ====================
+
+test('a repeated request replays the stored response', async () => {
+    const first = await sendText('json-1', { text: 'hi' });
+    const { run } = await first.json();
+
+    const again = await sendText('json-1', { text: 'hi' });
+    assert.strictEqual(again.status, 200);
+    assert.strictEqual(again.headers.get('idempotent-replayed'), 'true');
+    assert.deepStrictEqual(await again.json(), { run });
+    assert.strictEqual(runs, run);
+});
+
+test('a key reused for a different body is rejected', async () => {
+    await (await sendText('json-2', { text: 'hi' })).json();
+
+    const other = await sendText('json-2', { text: 'bye' });
+    assert.strictEqual(other.status, 422);
+    assert.strictEqual((await other.json()).code, 'IDEMPOTENCY_KEY_REUSED');
+});
+
+test('keys are scoped per user', async () => {
+    await (await sendText('json-3', { text: 'hi' })).json();
+
+    const other = await sendText('json-3', { text: 'hi' }, { 'X-User': 'bob' });
+    assert.strictEqual(other.headers.get('idempotent-replayed'), null);
+});
+
+test('server errors release the key for a retry', async () => {
+    const failed = await sendText('json-4', { fail: true });
+    assert.strictEqual(failed.status, 500);
+    await failed.json();
+
+    const before = runs;
+    const retried = await sendText('json-4', { fail: true });
+    assert.strictEqual(retried.status, 500);
+    assert.strictEqual(retried.headers.get('idempotent-replayed'), null);
+    assert.strictEqual(runs, before + 1);
+});
+
+test('a concurrent repeat waits for the first request', async () => {
+    const before = runs;
+    const [a, b] = await Promise.all([
+        sendText('json-5', { delay: 300 }),
+        new Promise(r => setTimeout(r, 50)).then(() => sendText('json-5', { delay: 300 }))
+    ]);
+
+    assert.deepStrictEqual(await a.json(), await b.json());
+    assert.strictEqual(b.headers.get('idempotent-replayed'), 'true');
+    assert.strictEqual(runs, before + 1);
+});
+
+// ==================== UPLOADS ====================
+
+test('an upload is fingerprinted after multer, including the file', async () => {
+    const first = await sendMedia('media-1', 'one');
+    const body = await first.json();
+    assert.strictEqual(body.size, 3);
+
+    const again = await sendMedia('media-1', 'one');
+    assert.strictEqual(again.headers.get('idempotent-replayed'), 'true');
+    assert.deepStrictEqual(await again.json(), body);
+
+    const otherFile = await sendMedia('media-1', 'two');
+    assert.strictEqual(otherFile.status, 422);
+});
+
+test('a JSON request to an upload route is claimed once', async () => {
+    const post = () => fetch(`${base}/send/media`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Idempotency-Key': 'media-2' },
+        body: JSON.stringify({ jid: '15550001111@s.whatsapp.net', mediaMsgId: 'M1' })
+    });
+
+    const first = await post();
+    assert.strictEqual(first.status, 200);
+    const body = await first.json();
+
+    const again = await post();
+    assert.strictEqual(again.headers.get('idempotent-replayed'), 'true');
+    assert.deepStrictEqual(await again.json(), body);
+});
+
+// ==================== KEYS ====================
+
+test('overlong keys are refused', async () => {
+    const res = await sendText('k'.repeat(256), { text: 'hi' });
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual((await res.json()).code, 'INVALID_IDEMPOTENCY_KEY');
+});
+
+test('expired keys are purged and can be used again', async () => {
+    await (await sendText('json-6', { text: 'hi' })).json();
+    await ctx.global.db.run(`UPDATE idempotency_keys SET expires_at = ? WHERE key = 'json-6'`, [Date.now() - 1]);
+
+    assert.strictEqual(await ctx.global.purgeIdempotencyKeys(), 1);
+
+    const fresh = await sendText('json-6', { text: 'bye' });
+    assert.strictEqual(fresh.status, 200);
+    assert.strictEqual(fresh.headers.get('idempotent-replayed'), null);
+});
@@ -0,0 +1,132 @@
+// test/join-requests.test.js
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const SessionHandler = require('../server/core/SessionHandler');
+const { createStores } = require('./helpers');
+
+const GROUP = '120363000000000001@g.us';
+const ALICE = '15550001111@s.whatsapp.net';
+const BOB = '4915550002222@s.whatsapp.net';
+const HIDDEN = '123456789012345@lid';
+
+let ctx;
+let h;
+let updates;
+
+beforeEach(async () => {
+    ctx = await createStores('s1');
+    updates = [];
+
+    h = new SessionHandler('s1', 'u1');
+    h.db = ctx.store;
+    h.sock = {
+        groupRequestParticipantsUpdate: async (jid, jids, action) => {
+            updates.push({ jid, jids, action });
+            return jids.map(j => ({ jid: j, status: '200' }));
+        }
+    };
+    h.webhookCacheTime = Date.now();
+});
+
+afterEach(async () => {
+    await ctx.close();
+});
+
+/**
+ * Deliver a join request event as Baileys emits it
+ * @param {string} participant - Requester JID
+ * @param {string} action - created, revoked or rejected
+ * @returns {Promise}
+ */
+function request(participant, action = 'created') {
+    return h._handleGroupJoinRequest({ id: GROUP, participant, action, method: 'invite_link' });
+}
+
+// ==================== EVENTS ====================
+
+test('join requests are stored as they arrive and closed when withdrawn', async () => {
+    await request(ALICE);
+    await request(HIDDEN);
+
+    const alice = await ctx.store.getJoinRequest(GROUP, ALICE);
+    assert.strictEqual(alice.status, 'pending');
+    assert.strictEqual(alice.phone, '15550001111');
+    assert.strictEqual(alice.method, 'invite_link');
+    assert.strictEqual((await ctx.store.getJoinRequest(GROUP, HIDDEN)).phone, null);
+
+    await request(ALICE, 'revoked');
+    await request(HIDDEN, 'rejected');
+
+    const requests = await ctx.store.getJoinRequests(GROUP);
+    assert.deepStrictEqual(requests.map(r => [r.requester, r.status]).sort(), [[HIDDEN, 'rejected'], [ALICE, 'cancelled']].sort());
+    assert.strictEqual(updates.length, 0);
+});
+
+// ==================== AUTO-APPROVE ====================
+
+test('requests matching the group rule are approved automatically', async () => {
+    await ctx.store.setJoinRule(GROUP, { prefixes: ['49'] });
+
+    await request(BOB);
+    await request(ALICE);
+    // A LID-only request has no number to match a prefix
+    await request(HIDDEN);
+
+    assert.deepStrictEqual(updates, [{ jid: GROUP, jids: [BOB], action: 'approve' }]);
+    const bob = await ctx.store.getJoinRequest(GROUP, BOB);
+    assert.strictEqual(bob.status, 'approved');
+    assert.strictEqual(bob.resolved_by, 'auto');
+    assert.strictEqual((await ctx.store.getJoinRequest(GROUP, ALICE)).status, 'pending');
+});
+
+test('a rule without conditions approves nobody', async () => {
+    await ctx.store.setJoinRule(GROUP, { prefixes: [] });
+
+    await request(ALICE);
+
+    assert.strictEqual(updates.length, 0);
+    assert.strictEqual((await ctx.store.getJoinRequest(GROUP, ALICE)).status, 'pending');
+});
+
+test('a contacts-only rule needs a saved contact', async () => {
+    await ctx.store.setJoinRule(GROUP, { contacts_only: true });
+    await ctx.store.db.run('INSERT INTO contacts (session_id, jid, name) VALUES (?, ?, ?)', ['s1', ALICE, 'Alice']);
+
+    assert.strictEqual(await h._matchJoinRule(await ctx.store.getJoinRule(GROUP), { requester: ALICE, phone: '15550001111' }), true);
+    assert.strictEqual(await h._matchJoinRule(await ctx.store.getJoinRule(GROUP), { requester: BOB, phone: '4915550002222' }), false);
+
+    await ctx.store.setJoinRule(GROUP, { enabled: false });
+    await request(ALICE);
+    assert.strictEqual(updates.length, 0);
+});
+
+// ==================== RESOLVING ====================
+
+test('only requests WhatsApp accepted are marked resolved', async () => {
+    await request(ALICE);
+    await request(BOB);
+    h.sock.groupRequestParticipantsUpdate = async (jid, jids) => [
+        { jid: jids[0], status: '200' },
+        { jid: jids[1], status: '404' }
+    ];
+
+    const results = await h.resolveJoinRequests(GROUP, [ALICE, BOB], 'reject');
+
+    assert.deepStrictEqual(results.map(r => r.success), [true, false]);
+    assert.strictEqual((await ctx.store.getJoinRequest(GROUP, ALICE)).status, 'rejected');
+    assert.strictEqual((await ctx.store.getJoinRequest(GROUP, BOB)).status, 'pending');
+    await assert.rejects(h.resolveJoinRequests(GROUP, [ALICE], 'ignore'), /Invalid action/);
+});
+
+test('a refresh adds live requests and closes the ones WhatsApp no longer lists', async () => {
+    await request(ALICE);
+    h.sock.groupRequestParticipantsList = async () => [
+        { jid: BOB, request_method: 'linked_group_join', request_time: '1700000000' }
+    ];
+
+    const requests = await h.getJoinRequests(GROUP, { refresh: true });
+
+    assert.deepStrictEqual(requests.map(r => [r.requester, r.status]).sort(), [[BOB, 'pending'], [ALICE, 'closed']].sort());
+    assert.strictEqual((await ctx.store.getJoinRequest(GROUP, BOB)).requested_at, 1700000000000);
+    await assert.rejects(h.getJoinRequests(ALICE), /Invalid group JID/);
+});
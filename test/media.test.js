@@ -0,0 +1,127 @@
+// test/media.test.js
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const SessionHandler = require('../server/core/SessionHandler');
+const { createStores } = require('./helpers');
+
+const ALICE = '15550001111@s.whatsapp.net';
+
+let ctx;
+let h;
+let downloads;
+
+beforeEach(async () => {
+    ctx = await createStores('s1');
+    downloads = [];
+
+    h = new SessionHandler('s1', 'u1');
+    h.db = ctx.store;
+    h.downloadMedia = async (id) => downloads.push(id);
+
+    await ctx.store.db.run('INSERT INTO chats (session_id, jid) VALUES (?, ?)', ['s1', ALICE]);
+});
+
+afterEach(async () => {
+    await ctx.close();
+});
+
+/**
+ * Store an incoming media message and hand it to the media handler
+ * @param {string} id - Message ID
+ * @param {Object} message - Baileys message content
+ * @param {boolean} live - Live (notify) rather than history sync
+ * @returns {Promise<Object>} Stored media row
+ */
+async function receive(id, message, live = true) {
+    const msg = { key: { id, remoteJid: ALICE, fromMe: false }, message, messageTimestamp: 100 };
+    await ctx.store.handleMsg({ type: live ? 'notify' : 'append', messages: [msg] });
+    await h._handleIncomingMedia(msg, live);
+    return ctx.store.db.get('SELECT * FROM media WHERE msg_id = ?', [id]);
+}
+
+const image = (size = 2048) => ({
+    imageMessage: {
+        mimetype: 'image/jpeg',
+        fileLength: size,
+        mediaKey: Buffer.from('key'),
+        fileSha256: Buffer.from('sha'),
+        width: 640,
+        height: 480
+    }
+});
+
+// ==================== POLICY ====================
+
+test('the download policy comes from the environment unless the session overrides it', async (t) => {
+    const env = { ...process.env };
+    t.after(() => { process.env = env; });
+
+    process.env.MEDIA_AUTO_DOWNLOAD = 'image, document';
+    process.env.MEDIA_MAX_DOWNLOAD_SIZE = '1000';
+    assert.deepStrictEqual(await h.getMediaPolicy(), { types: ['image', 'document'], maxSize: 1000 });
+
+    await ctx.store.setSessionSetting('media_download', { types: ['audio'], maxSize: 0 });
+    assert.deepStrictEqual(await h.getMediaPolicy(), { types: ['audio'], maxSize: 0 });
+});
+
+// ==================== INCOMING ====================
+
+test('incoming media is recorded and downloaded', async () => {
+    const row = await receive('M1', image());
+
+    assert.strictEqual(row.type, 'image');
+    assert.strictEqual(row.mime, 'image/jpeg');
+    assert.strictEqual(row.len, 2048);
+    assert.strictEqual(row.key, Buffer.from('key').toString('base64'));
+    assert.strictEqual(JSON.parse(row.meta).key.id, 'M1');
+    assert.deepStrictEqual(downloads, ['M1']);
+});
+
+test('history sync and excluded types are recorded but not downloaded', async () => {
+    await ctx.store.setSessionSetting('media_download', { types: ['document'] });
+
+    assert.ok(await receive('M1', image(), false));
+    assert.ok(await receive('M2', image()));
+    assert.deepStrictEqual(downloads, []);
+});
+
+test('media over the size limit is marked failed', async () => {
+    await ctx.store.setSessionSetting('media_download', { maxSize: 1024 });
+
+    const row = await receive('M1', image(4096));
+    assert.match(row.dl_error, /Exceeds max size/);
+    assert.deepStrictEqual(downloads, []);
+});
+
+test('a re-delivered message keeps its finished download', async () => {
+    await receive('M1', image());
+    await ctx.store.markMediaDownloaded('M1', '/media/s1/image/M1.jpg');
+
+    const row = await receive('M1', image());
+    assert.strictEqual(row.downloaded, 1);
+    assert.strictEqual(row.url, '/media/s1/image/M1.jpg');
+    assert.deepStrictEqual(downloads, ['M1']);
+});
+
+test('text messages have no media', async () => {
+    assert.strictEqual(await receive('M1', { conversation: 'hi' }), undefined);
+});
+
+// ==================== DOWNLOAD ====================
+
+test('a failed download is recorded and reported', async (t) => {
+    const emit = t.mock.method(h, '_emit', () => {});
+    delete h.downloadMedia;
+
+    // No URL or direct path, so the download fails without touching the network
+    await receive('M1', { imageMessage: { mimetype: 'image/jpeg' } }, false);
+
+    await assert.rejects(h.downloadMedia('M1'));
+    const row = await ctx.store.db.get('SELECT * FROM media WHERE msg_id = ?', ['M1']);
+    assert.ok(row.dl_error);
+    assert.strictEqual(row.downloaded, 0);
+    assert.deepStrictEqual(emit.mock.calls.map(c => c.arguments[0]), ['media_failed']);
+    assert.strictEqual(h.mediaDownloads.size, 0);
+
+    await assert.rejects(h.downloadMedia('missing'), /Media not found/);
+});
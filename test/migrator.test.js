@@ -0,0 +1,190 @@
+// test/migrator.test.js
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { open } = require('sqlite');
+const Migrator = require('../server/core/Migrator');
+const { createStores } = require('./helpers');
+
+let dir;
+let db;
+let logs;
+
+beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wa-migrate-'));
+    fs.mkdirSync(path.join(dir, 'migrations'));
+    db = await open({ filename: path.join(dir, 'test.db'), driver: sqlite3.Database });
+    logs = [];
+});
+
+afterEach(async () => {
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Write a migration file
+ * @param {string} file - File name, e.g. 001_notes.js
+ * @param {string} up - Body of up(db)
+ * @param {string|null} down - Body of down(db), null for none
+ */
+function write(file, up, down = null) {
+    fs.writeFileSync(path.join(dir, 'migrations', file), `module.exports = {
+    async up(db) { ${up} },
+    ${down !== null ? `async down(db) { ${down} }` : ''}
+};
+`);
+}
+
+/**
+ * Migrator for the test directory
+ * @param {string} dbPath - Key for in-process serialization
+ * @returns {Migrator} Migrator
+ */
+function migrator(dbPath = dir) {
+    return new Migrator(db, { dir: path.join(dir, 'migrations'), dbPath, log: msg => logs.push(msg) });
+}
+
+/**
+ * Names of the tables the test migrations create
+ * @returns {Promise<Array<string>>} Sorted table names
+ */
+async function tables() {
+    const rows = await db.all(`SELECT name FROM sqlite_master WHERE type = 'table' AND name LIKE 'note%'`);
+    return rows.map(r => r.name).sort();
+}
+
+/**
+ * Write two reversible migrations
+ */
+function addNotes() {
+    write('001_notes.js', 'await db.exec(`CREATE TABLE notes (id TEXT)`);', 'await db.exec(`DROP TABLE notes`);');
+    write('002_note_tags.js', 'await db.exec(`CREATE TABLE note_tags (id TEXT)`);', 'await db.exec(`DROP TABLE note_tags`);');
+}
+
+// ==================== UP ====================
+
+test('pending migrations are applied in order and recorded once', async () => {
+    addNotes();
+
+    const applied = await migrator().up();
+    assert.deepStrictEqual(applied.map(m => m.version), [1, 2]);
+    assert.deepStrictEqual(await tables(), ['note_tags', 'notes']);
+    assert.ok(logs.includes('Applying 001_notes'));
+
+    assert.deepStrictEqual(await migrator().up(), []);
+    assert.deepStrictEqual((await migrator().status()).map(m => [m.name, m.state]), [['notes', 'applied'], ['note_tags', 'applied']]);
+});
+
+test('dry runs list pending migrations and --to stops at a version', async () => {
+    addNotes();
+
+    assert.deepStrictEqual((await migrator().up({ dryRun: true })).map(m => m.name), ['notes', 'note_tags']);
+    assert.deepStrictEqual(await tables(), []);
+
+    await migrator().up({ to: 1 });
+    assert.deepStrictEqual(await tables(), ['notes']);
+    assert.deepStrictEqual((await migrator().status()).map(m => m.state), ['applied', 'pending']);
+});
+
+test('a failed migration is rolled back and not recorded', async () => {
+    write('001_notes.js', 'await db.exec(`CREATE TABLE notes (id TEXT)`); await db.exec(`NOT SQL`);');
+
+    await assert.rejects(migrator().up(), /Migration 001_notes failed/);
+    assert.deepStrictEqual(await tables(), []);
+    assert.deepStrictEqual((await migrator().status()).map(m => m.state), ['pending']);
+});
+
+test('duplicate versions are refused', async () => {
+    addNotes();
+    write('002_other.js', '');
+
+    await assert.rejects(migrator().up(), /Duplicate migration version 2/);
+});
+
+// ==================== CHECKSUM ====================
+
+test('editing an applied migration is refused', async () => {
+    addNotes();
+    await migrator().up();
+
+    fs.appendFileSync(path.join(dir, 'migrations', '001_notes.js'), '// changed\n');
+    write('003_note_links.js', 'await db.exec(`CREATE TABLE note_links (id TEXT)`);');
+
+    await assert.rejects(migrator().up(), /Applied migrations were modified: 001_notes/);
+    assert.deepStrictEqual((await migrator().status()).map(m => m.state), ['changed', 'applied', 'pending']);
+    assert.deepStrictEqual(await tables(), ['note_tags', 'notes']);
+});
+
+// ==================== DOWN ====================
+
+test('down reverts the newest migrations first', async () => {
+    addNotes();
+    write('003_note_links.js', 'await db.exec(`CREATE TABLE note_links (id TEXT)`);', 'await db.exec(`DROP TABLE note_links`);');
+    await migrator().up();
+
+    assert.deepStrictEqual((await migrator().down()).map(m => m.version), [3]);
+    assert.deepStrictEqual((await migrator().down({ to: 0 })).map(m => m.version), [2, 1]);
+    assert.deepStrictEqual(await tables(), []);
+    assert.deepStrictEqual((await migrator().status()).map(m => m.state), ['pending', 'pending', 'pending']);
+});
+
+test('down refuses irreversible or missing migrations before reverting anything', async () => {
+    addNotes();
+    write('003_note_links.js', 'await db.exec(`CREATE TABLE note_links (id TEXT)`);');
+    await migrator().up();
+
+    await assert.rejects(migrator().down({ steps: 2 }), /003_note_links is irreversible/);
+    assert.deepStrictEqual(await tables(), ['note_links', 'note_tags', 'notes']);
+
+    fs.unlinkSync(path.join(dir, 'migrations', '003_note_links.js'));
+    assert.strictEqual((await migrator().status()).at(-1).state, 'missing');
+    await assert.rejects(migrator().down(), /003_note_links file is missing/);
+});
+
+// ==================== LOCK ====================
+
+test('a lock held by another process blocks migrations until it expires', async () => {
+    addNotes();
+    await migrator().up({ to: 0 });
+    await db.run(`INSERT INTO schema_lock (id, owner, acquired_at) VALUES (1, 'other:1', ?)`, [Date.now()]);
+
+    await assert.rejects(migrator().up({ wait: false }), /Migrations locked by other:1/);
+    assert.deepStrictEqual(await tables(), []);
+
+    // Abandoned locks are taken over
+    await db.run(`UPDATE schema_lock SET acquired_at = ?`, [Date.now() - 11 * 60 * 1000]);
+    await migrator().up({ wait: false });
+    assert.deepStrictEqual(await tables(), ['note_tags', 'notes']);
+    assert.strictEqual(await db.get(`SELECT * FROM schema_lock`), undefined);
+});
+
+test('runs on the same database in one process wait for each other', async () => {
+    addNotes();
+
+    const [first, second] = await Promise.all([migrator('shared').up(), migrator('shared').up()]);
+
+    assert.strictEqual(first.length + second.length, 2);
+    assert.deepStrictEqual(await tables(), ['note_tags', 'notes']);
+});
+
+// ==================== SCHEMA ====================
+
+test('a new store starts from the base schema and applies every migration', async () => {
+    const ctx = await createStores('s1');
+
+    try {
+        const status = await new Migrator(ctx.store.db, { log: () => {} }).status();
+        assert.ok(status.length >= 8);
+        assert.ok(status.every(m => m.state === 'applied'));
+
+        const columns = (await ctx.store.db.all(`PRAGMA table_info(webhooks)`)).map(c => c.name);
+        assert.ok(columns.includes('events') && columns.includes('filters'));
+        assert.ok(await ctx.store.db.get(`SELECT name FROM sqlite_master WHERE name = 'outbox'`));
+    } finally {
+        await ctx.close();
+    }
+});
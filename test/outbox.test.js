@@ -0,0 +1,276 @@
+// test/outbox.test.js
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const SessionHandler = require('../server/core/SessionHandler');
+const CleanupService = require('../server/services/cleanup');
+const { createStores } = require('./helpers');
+
+const JID = '15550001111@s.whatsapp.net';
+
+let ctx;
+
+beforeEach(async () => {
+    ctx = await createStores('s1');
+});
+
+afterEach(async () => {
+    await ctx.close();
+});
+
+/**
+ * Session handler over the test store with a fake socket
+ * @param {Function} sendMessage - Socket sendMessage stub
+ * @returns {SessionHandler}
+ */
+function handler(sendMessage) {
+    const h = new SessionHandler('s1', 'u1');
+    h.db = ctx.store;
+    h.sock = { sendMessage };
+    h.webhookCacheTime = Date.now();
+    h.outboxRetry = { maxAttempts: 2, delay: 1000, waitTimeout: 1000 };
+    return h;
+}
+
+/**
+ * Raw outbox row including the payload columns
+ * @param {string} id - Outbox ID
+ * @returns {Promise<Object>}
+ */
+function row(id) {
+    return ctx.store.db.get('SELECT * FROM outbox WHERE id = ?', [id]);
+}
+
+// ==================== STORE ====================
+
+test('queued item is handed out with its payload', async () => {
+    const item = await ctx.store.enqueueOutbox({
+        jid: JID,
+        type: 'image',
+        message: { image: { url: '/media/s1/outbox/a.jpg' } },
+        mediaPath: '/media/s1/outbox/a.jpg'
+    });
+
+    assert.strictEqual(item.status, 'queued');
+    assert.strictEqual(item.media_path, '/media/s1/outbox/a.jpg');
+    assert.ok(!('message' in item));
+
+    const next = await ctx.store.getNextOutboxItem();
+    assert.strictEqual(next.id, item.id);
+    assert.deepStrictEqual(next.message, { image: { url: '/media/s1/outbox/a.jpg' } });
+});
+
+test('finishing an item drops its payload and media reference', async () => {
+    const item = await ctx.store.enqueueOutbox({
+        jid: JID,
+        type: 'image',
+        message: { image: { url: '/x/a.jpg' } },
+        mediaPath: '/x/a.jpg'
+    });
+    assert.deepStrictEqual(await ctx.global.getPendingOutboxMedia(), ['/x/a.jpg']);
+
+    await ctx.store.updateOutbox(item.id, { status: 'sent', sent_at: new Date().toISOString() });
+
+    const raw = await row(item.id);
+    assert.strictEqual(raw.payload, null);
+    assert.deepStrictEqual(await ctx.global.getPendingOutboxMedia(), []);
+    assert.strictEqual(await ctx.store.getNextOutboxItem(), null);
+});
+
+test('items waiting on a retry are not due yet', async () => {
+    const item = await ctx.store.enqueueOutbox({ jid: JID, message: { text: 'hi' } });
+    const retryAt = Date.now() + 60000;
+
+    await ctx.store.updateOutbox(item.id, { status: 'queued', next_attempt_at: retryAt });
+
+    assert.strictEqual(await ctx.store.getNextOutboxItem(), null);
+    assert.strictEqual(await ctx.store.getNextOutboxAttemptTime(), retryAt);
+});
+
+test('interrupted sends are requeued', async () => {
+    const item = await ctx.store.enqueueOutbox({ jid: JID, message: { text: 'hi' } });
+    await ctx.store.updateOutbox(item.id, { status: 'sending', attempts: 1 });
+
+    assert.strictEqual(await ctx.store.getNextOutboxItem(), null);
+    assert.strictEqual(await ctx.store.requeueStuckOutbox(), 1);
+
+    const next = await ctx.store.getNextOutboxItem();
+    assert.strictEqual(next.id, item.id);
+    assert.strictEqual(next.attempts, 1);
+    assert.deepStrictEqual(next.message, { text: 'hi' });
+});
+
+test('receipts only move an item forward', async () => {
+    const item = await ctx.store.enqueueOutbox({ jid: JID, message: { text: 'hi' } });
+    await ctx.store.updateOutbox(item.id, { status: 'sent', msg_id: 'MSG1' });
+
+    await ctx.store.advanceOutboxStatus('MSG1', 'read');
+    assert.strictEqual((await row(item.id)).status, 'read');
+
+    await ctx.store.advanceOutboxStatus('MSG1', 'delivered');
+    assert.strictEqual((await row(item.id)).status, 'read');
+
+    // "sent" is not a receipt
+    assert.strictEqual(await ctx.store.advanceOutboxStatus('MSG1', 'sent'), null);
+});
+
+test('only queued items can be cancelled', async () => {
+    const queued = await ctx.store.enqueueOutbox({ jid: JID, message: { text: 'a' } });
+    const sending = await ctx.store.enqueueOutbox({ jid: JID, message: { text: 'b' } });
+    await ctx.store.updateOutbox(sending.id, { status: 'sending' });
+
+    assert.strictEqual(await ctx.store.cancelOutboxItem(queued.id), true);
+    assert.strictEqual(await ctx.store.cancelOutboxItem(queued.id), false);
+    assert.strictEqual(await ctx.store.cancelOutboxItem(sending.id), false);
+
+    const raw = await row(queued.id);
+    assert.strictEqual(raw.status, 'cancelled');
+    assert.strictEqual(raw.payload, null);
+});
+
+test('pruning removes finished items only', async () => {
+    const done = await ctx.store.enqueueOutbox({ jid: JID, message: { text: 'a' } });
+    const pending = await ctx.store.enqueueOutbox({ jid: JID, message: { text: 'b' } });
+    await ctx.store.updateOutbox(done.id, { status: 'failed', error: 'x' });
+
+    assert.strictEqual(await ctx.global.pruneOutbox(Date.now() - 60000), 0);
+    assert.strictEqual(await ctx.global.pruneOutbox(Date.now() + 60000), 1);
+
+    assert.strictEqual(await row(done.id), undefined);
+    assert.ok(await row(pending.id));
+});
+
+// ==================== SENDER ====================
+
+test('a successful send records the message ID', async () => {
+    const h = handler(async () => ({ key: { id: 'MSG1' } }));
+    await ctx.store.enqueueOutbox({ jid: JID, message: { text: 'hi' }, maxAttempts: 2 });
+
+    await h._sendOutboxItem(await ctx.store.getNextOutboxItem());
+
+    const [item] = await ctx.store.getOutbox();
+    assert.strictEqual(item.status, 'sent');
+    assert.strictEqual(item.msg_id, 'MSG1');
+    assert.strictEqual(item.attempts, 1);
+    assert.ok(item.sent_at);
+});
+
+test('a failed send backs off, then fails for good', async () => {
+    const h = handler(async () => { throw new Error('boom'); });
+    await ctx.store.enqueueOutbox({ jid: JID, message: { text: 'hi' }, maxAttempts: 2 });
+
+    const before = Date.now();
+    await h._sendOutboxItem(await ctx.store.getNextOutboxItem());
+
+    let [item] = await ctx.store.getOutbox();
+    assert.strictEqual(item.status, 'queued');
+    assert.strictEqual(item.attempts, 1);
+    assert.strictEqual(item.error, 'boom');
+    assert.ok(item.next_attempt_at >= before + 1000);
+
+    await ctx.store.updateOutbox(item.id, { next_attempt_at: Date.now() });
+    await h._sendOutboxItem(await ctx.store.getNextOutboxItem());
+
+    [item] = await ctx.store.getOutbox();
+    assert.strictEqual(item.status, 'failed');
+    assert.strictEqual(item.attempts, 2);
+    assert.strictEqual((await row(item.id)).payload, null);
+});
+
+test('a send that does not wait is queued while disconnected', async () => {
+    const h = handler();
+    h.sock = null;
+
+    const queued = await h.sendMessage(JID, 'hi', 'text', { wait: false });
+    assert.strictEqual(queued.status, 'queued');
+    assert.strictEqual((await ctx.store.getOutbox()).length, 1);
+
+    await assert.rejects(h.sendMessage(JID, 'hi'), /Socket not connected/);
+});
+
+test('groups are valid recipients', async () => {
+    const h = handler();
+
+    await h.sendMessage('120363000000000001@g.us', 'hi', 'text', { wait: false });
+    await h.sendMessage('15550001111-1600000000@g.us', 'hi', 'text', { wait: false });
+
+    assert.strictEqual((await ctx.store.getOutbox()).length, 2);
+    await assert.rejects(h.sendMessage('abc@g.us', 'hi', 'text', { wait: false }), /Invalid JID format/);
+});
+
+// ==================== MEDIA ====================
+
+/**
+ * Point MEDIA_PATH at the test directory for one test
+ * @param {Object} t - Test context
+ */
+function useMediaPath(t) {
+    const previous = process.env.MEDIA_PATH;
+    process.env.MEDIA_PATH = ctx.dir;
+    t.after(() => {
+        if (previous === undefined) delete process.env.MEDIA_PATH;
+        else process.env.MEDIA_PATH = previous;
+    });
+}
+
+test('an uploaded buffer is spooled once and queued by reference', async (t) => {
+    useMediaPath(t);
+
+    const h = handler(async () => ({ key: { id: 'MSG1' } }));
+    h.outboxRetry.waitTimeout = 10;
+
+    const queued = await h.sendMessage(JID, { buffer: Buffer.from('pdf'), name: 'a.pdf', caption: 'doc' }, 'document');
+    const item = await ctx.store.getOutboxItem(queued.outboxId, true);
+
+    assert.strictEqual(path.dirname(item.media_path), path.join(ctx.dir, 's1', 'outbox'));
+    assert.strictEqual(path.extname(item.media_path), '.pdf');
+    assert.strictEqual(fs.readFileSync(item.media_path, 'utf8'), 'pdf');
+    assert.deepStrictEqual(item.message.document, { url: item.media_path });
+    assert.ok(!(await row(item.id)).payload.includes('"type":"Buffer"'));
+});
+
+test('a file path is queued as it is', async () => {
+    const h = handler(async () => ({ key: { id: 'MSG1' } }));
+    h.outboxRetry.waitTimeout = 10;
+    const file = path.join(ctx.dir, 'photo.jpg');
+    fs.writeFileSync(file, 'jpg');
+
+    const queued = await h.sendMessage(JID, { path: file }, 'image');
+    assert.strictEqual((await ctx.store.getOutboxItem(queued.outboxId)).media_path, file);
+
+    await assert.rejects(h.sendMessage(JID, { path: path.join(ctx.dir, 'gone.jpg') }, 'image'), /Image file not found/);
+    await assert.rejects(h.sendMessage(JID, { caption: 'x' }, 'image'), /Image buffer required/);
+});
+
+test('cleanup prunes old finished items and unreferenced spooled files', async (t) => {
+    useMediaPath(t);
+
+    const spool = path.join(ctx.dir, 's1', 'outbox');
+    fs.mkdirSync(spool, { recursive: true });
+    const old = Date.now() / 1000 - 2 * 60 * 60;
+    const spooled = name => {
+        const file = path.join(spool, name);
+        fs.writeFileSync(file, name);
+        fs.utimesSync(file, old, old);
+        return file;
+    };
+
+    const pending = spooled('pending.jpg');
+    const orphan = spooled('orphan.jpg');
+    const fresh = path.join(spool, 'fresh.jpg');
+    fs.writeFileSync(fresh, 'fresh');
+    await ctx.store.enqueueOutbox({ jid: JID, type: 'image', message: { image: { url: pending } }, mediaPath: pending });
+
+    const done = await ctx.store.enqueueOutbox({ jid: JID, message: { text: 'a' } });
+    await ctx.store.updateOutbox(done.id, { status: 'sent' });
+    await ctx.global.db.run(`UPDATE outbox SET updated_at = datetime('now', '-40 days') WHERE id = ?`, [done.id]);
+
+    const cleanup = new CleanupService(null, ctx.global, {});
+    await cleanup.cleanupOutbox();
+
+    assert.strictEqual(await row(done.id), undefined);
+    assert.deepStrictEqual(fs.readdirSync(spool).sort(), ['fresh.jpg', 'pending.jpg']);
+    assert.strictEqual(cleanup.stats.mediaCleaned, 1);
+    assert.ok(!fs.existsSync(orphan));
+});
@@ -0,0 +1,106 @@
+// test/pairing.test.js
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const SessionHandler = require('../server/core/SessionHandler');
+const { PAIRING } = require('../server/utils/constants');
+const { createStores } = require('./helpers');
+
+let ctx;
+let h;
+let codes;
+
+beforeEach(async () => {
+    ctx = await createStores('s1');
+    codes = [];
+
+    h = new SessionHandler('s1', 'u1');
+    h.db = ctx.store;
+    h.qr = 'qr-data';
+    h.sock = {
+        authState: { creds: { registered: false } },
+        requestPairingCode: async (phone) => {
+            codes.push(phone);
+            return `CODE${codes.length}`;
+        }
+    };
+});
+
+afterEach(async () => {
+    h._clearPairing();
+    await ctx.close();
+});
+
+// ==================== REQUEST ====================
+
+test('a code is requested for the digits of the phone number', async (t) => {
+    const emit = t.mock.method(h, '_emit', () => {});
+
+    const pairing = await h.requestPairingCode('+1 (555) 000-1111');
+
+    assert.deepStrictEqual(codes, ['15550001111']);
+    assert.strictEqual(pairing.code, 'CODE1');
+    assert.strictEqual(pairing.phone, '15550001111');
+    assert.strictEqual(pairing.expired, false);
+    assert.deepStrictEqual(h.getPairing(), pairing);
+    assert.deepStrictEqual(emit.mock.calls.map(c => c.arguments[0]), ['pairing_code']);
+});
+
+test('invalid numbers and linked sessions are refused', async () => {
+    await assert.rejects(h.requestPairingCode('12'), /Invalid phone number/);
+
+    h.sock.authState.creds.registered = true;
+    await assert.rejects(h.requestPairingCode('15550001111'), /already linked/);
+    assert.strictEqual(codes.length, 0);
+});
+
+test('a code needs a socket', async () => {
+    h.sock = null;
+    await assert.rejects(h.requestPairingCode('15550001111'), /not ready/);
+    assert.strictEqual(h.getPairing(), null);
+});
+
+// ==================== REFRESH ====================
+
+/**
+ * Let the refresh triggered by a timer run to completion
+ * @param {Function} done - Returns true once it has
+ * @returns {Promise<void>}
+ */
+async function settle(done = () => false) {
+    for (let i = 0; i < 1000 && !done(); i++) {
+        await new Promise(setImmediate);
+    }
+}
+
+test('an expired code is refreshed until MAX_REFRESH, then reported expired', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+    const emit = t.mock.method(h, '_emit', () => {});
+
+    await h.requestPairingCode('15550001111');
+
+    for (let i = 1; i <= PAIRING.MAX_REFRESH; i++) {
+        t.mock.timers.tick(PAIRING.CODE_TTL);
+        await settle(() => codes.length > i && h.pairingTimer);
+    }
+    assert.strictEqual(codes.length, PAIRING.MAX_REFRESH + 1);
+    assert.strictEqual(h.getPairing().code, `CODE${PAIRING.MAX_REFRESH + 1}`);
+
+    t.mock.timers.tick(PAIRING.CODE_TTL);
+    await settle();
+
+    assert.strictEqual(codes.length, PAIRING.MAX_REFRESH + 1);
+    assert.strictEqual(h.getPairing().expired, true);
+    assert.strictEqual(emit.mock.calls.at(-1).arguments[0], 'pairing_expired');
+});
+
+test('no refresh once the session is open', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+    t.mock.method(h, '_emit', () => {});
+
+    await h.requestPairingCode('15550001111');
+    h.state = 'open';
+
+    t.mock.timers.tick(PAIRING.CODE_TTL);
+    await settle();
+    assert.strictEqual(codes.length, 1);
+});
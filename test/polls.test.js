@@ -0,0 +1,181 @@
+// test/polls.test.js
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { proto, initAuthCreds } = require('@whiskeysockets/baileys');
+const SessionHandler = require('../server/core/SessionHandler');
+const { createStores } = require('./helpers');
+
+const GROUP = '120363000000000001@g.us';
+const CREATOR = '15550001111@s.whatsapp.net';
+const VOTER = '15550002222@s.whatsapp.net';
+const ME = '15550003333@s.whatsapp.net';
+const POLL_ID = 'POLL1';
+const OPTIONS = ['Pizza', 'Sushi', 'Tacos'];
+
+let ctx;
+let encKey;
+
+beforeEach(async () => {
+    ctx = await createStores('s1');
+    encKey = crypto.randomBytes(32);
+
+    await ctx.store.db.run('INSERT INTO chats (session_id, jid) VALUES (?, ?)', ['s1', GROUP]);
+    await ctx.store.savePoll({
+        msg_id: POLL_ID,
+        chat: GROUP,
+        creator: CREATOR,
+        question: 'Lunch?',
+        options: OPTIONS,
+        selectable_count: 0,
+        enc_key: encKey,
+        ts: 100
+    });
+});
+
+afterEach(async () => {
+    await ctx.close();
+});
+
+/**
+ * Encrypt a vote the way a WhatsApp client does
+ * @param {Array<string>} selected - Option names
+ * @param {string} voter - Voter JID
+ * @returns {Object} { encPayload, encIv }
+ */
+function encryptVote(selected, voter = VOTER) {
+    const plain = proto.Message.PollVoteMessage.encode({
+        selectedOptions: selected.map(name => crypto.createHash('sha256').update(name).digest())
+    }).finish();
+
+    const sign = Buffer.concat([Buffer.from(POLL_ID), Buffer.from(CREATOR), Buffer.from(voter), Buffer.from('Poll Vote'), Buffer.from([1])]);
+    const key0 = crypto.createHmac('sha256', Buffer.alloc(32)).update(encKey).digest();
+    const key = crypto.createHmac('sha256', key0).update(sign).digest();
+    const iv = crypto.randomBytes(12);
+
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(Buffer.from(`${POLL_ID}\u0000${voter}`));
+    const encPayload = Buffer.concat([cipher.update(plain), cipher.final(), cipher.getAuthTag()]);
+
+    return { encPayload, encIv: iv };
+}
+
+/**
+ * Poll update message
+ * @param {string} id - Message ID
+ * @param {Array<string>} selected - Option names
+ * @param {number} ts - Sender timestamp in seconds
+ * @param {Object} opts - { pollId, fromMe }
+ * @returns {Object} WAMessage
+ */
+function voteMsg(id, selected, ts, opts = {}) {
+    return {
+        key: { id, remoteJid: GROUP, participant: opts.fromMe ? undefined : VOTER, fromMe: !!opts.fromMe },
+        messageTimestamp: ts,
+        message: {
+            pollUpdateMessage: {
+                pollCreationMessageKey: { id: opts.pollId || POLL_ID, remoteJid: GROUP },
+                vote: encryptVote(selected, opts.fromMe ? ME : VOTER),
+                senderTimestampMs: ts * 1000
+            }
+        }
+    };
+}
+
+// ==================== VOTES ====================
+
+test('a poll without votes has an empty tally', async () => {
+    const results = await ctx.store.getPollResults(POLL_ID);
+
+    assert.strictEqual(results.question, 'Lunch?');
+    assert.strictEqual(results.voters, 0);
+    assert.deepStrictEqual(results.options.map(o => [o.name, o.votes]), [['Pizza', 0], ['Sushi', 0], ['Tacos', 0]]);
+    assert.strictEqual(await ctx.store.getPollResults('OTHER'), null);
+});
+
+test('a vote is decrypted and tallied', async () => {
+    const vote = await ctx.store.recordPollVote(voteMsg('V1', ['Sushi', 'Tacos'], 200));
+
+    assert.deepStrictEqual(vote, { pollId: POLL_ID, chat: GROUP, voter: VOTER, options: ['Sushi', 'Tacos'], fromMe: false, ts: 200 });
+
+    const results = await ctx.store.getPollResults(POLL_ID);
+    assert.strictEqual(results.voters, 1);
+    assert.deepStrictEqual(
+        results.options.map(o => [o.name, o.votes]),
+        [['Pizza', 0], ['Sushi', 1], ['Tacos', 1]]
+    );
+});
+
+test('a later vote replaces the earlier one and a replay of the older one is ignored', async () => {
+    await ctx.store.recordPollVote(voteMsg('V1', ['Pizza'], 200));
+    await ctx.store.recordPollVote(voteMsg('V2', ['Tacos'], 300));
+
+    assert.strictEqual(await ctx.store.recordPollVote(voteMsg('V1', ['Pizza'], 200)), null);
+
+    const results = await ctx.store.getPollResults(POLL_ID);
+    assert.deepStrictEqual(results.options.find(o => o.name === 'Tacos').voters, [VOTER]);
+    assert.strictEqual(results.options.find(o => o.name === 'Pizza').votes, 0);
+});
+
+test('an empty selection withdraws the vote', async () => {
+    await ctx.store.recordPollVote(voteMsg('V1', ['Pizza'], 200));
+    const vote = await ctx.store.recordPollVote(voteMsg('V2', [], 300));
+
+    assert.deepStrictEqual(vote.options, []);
+    assert.strictEqual((await ctx.store.getPollResults(POLL_ID)).voters, 0);
+});
+
+test('our own vote is attributed to the logged-in account', async () => {
+    await ctx.store.saveAuthCreds('s1', { ...initAuthCreds(), me: { id: '15550003333:12@s.whatsapp.net' } });
+
+    const vote = await ctx.store.recordPollVote(voteMsg('V1', ['Pizza'], 200, { fromMe: true }));
+    assert.strictEqual(vote.voter, ME);
+    assert.strictEqual(vote.fromMe, true);
+    assert.deepStrictEqual(vote.options, ['Pizza']);
+});
+
+test('a vote for an unknown poll is skipped', async () => {
+    assert.strictEqual(await ctx.store.recordPollVote(voteMsg('V1', ['Pizza'], 200, { pollId: 'OTHER' })), null);
+
+    const rows = await ctx.store.db.all('SELECT * FROM poll_votes');
+    assert.strictEqual(rows.length, 0);
+});
+
+// ==================== CREATION ====================
+
+test('an incoming poll is saved with its secret', async () => {
+    await ctx.store.handleMsg({
+        type: 'notify',
+        messages: [{
+            key: { id: 'POLL2', remoteJid: GROUP, participant: CREATOR, fromMe: false },
+            messageTimestamp: 100,
+            message: {
+                messageContextInfo: { messageSecret: encKey },
+                pollCreationMessageV3: { name: 'Dinner?', options: [{ optionName: 'Soup' }, { optionName: 'Salad' }], selectableOptionsCount: 1 }
+            }
+        }]
+    });
+
+    const poll = await ctx.store.getPoll('POLL2');
+    assert.strictEqual(poll.question, 'Dinner?');
+    assert.deepStrictEqual(poll.options, ['Soup', 'Salad']);
+    assert.strictEqual(poll.creator, CREATOR);
+    assert.strictEqual(poll.enc_key, encKey.toString('base64'));
+    assert.strictEqual((await ctx.store.getMsg('POLL2')).text, 'Dinner?');
+});
+
+test('a poll is sent with unique options and the selectable count', async () => {
+    const sent = [];
+    const h = new SessionHandler('s1', 'u1');
+    h.db = ctx.store;
+    h.sock = { sendMessage: async (jid, message) => (sent.push(message), { key: { id: 'MSG1' } }) };
+    h.webhookCacheTime = Date.now();
+
+    await h.sendMessage(CREATOR, { question: 'Lunch?', options: [' Pizza', 'Sushi', ''], multiple: true }, 'poll', { wait: false });
+    await h._sendOutboxItem(await ctx.store.getNextOutboxItem());
+    assert.deepStrictEqual(sent[0].poll, { name: 'Lunch?', values: ['Pizza', 'Sushi'], selectableCount: 0 });
+
+    await assert.rejects(h.sendMessage(CREATOR, { question: 'Lunch?', options: ['Pizza'] }, 'poll'), /Poll needs 2-12 options/);
+    await assert.rejects(h.sendMessage(CREATOR, { question: 'Lunch?', options: ['Pizza', 'Pizza'] }, 'poll'), /must be unique/);
+    await assert.rejects(h.sendMessage(CREATOR, { options: ['Pizza', 'Sushi'] }, 'poll'), /Poll question required/);
+});
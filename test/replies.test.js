@@ -0,0 +1,103 @@
+// test/replies.test.js
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const SessionHandler = require('../server/core/SessionHandler');
+const { createStores } = require('./helpers');
+
+const ALICE = '15550001111@s.whatsapp.net';
+const BOB = '15550002222@s.whatsapp.net';
+const ME = '15550009999@s.whatsapp.net';
+const GROUP = '120363000000000001@g.us';
+
+let ctx;
+let sent;
+let h;
+
+beforeEach(async () => {
+    ctx = await createStores('s1');
+    sent = [];
+
+    h = new SessionHandler('s1', 'u1');
+    h.db = ctx.store;
+    h.sock = {
+        user: { id: '15550009999:3@s.whatsapp.net' },
+        sendMessage: async (jid, message, options) => {
+            sent.push({ jid, message, options });
+            return { key: { id: `MSG${sent.length}` } };
+        }
+    };
+    h.webhookCacheTime = Date.now();
+    h.outboxRetry = { maxAttempts: 2, delay: 1000, waitTimeout: 1000 };
+
+    await ctx.store.db.run('INSERT INTO chats (session_id, jid) VALUES (?, ?), (?, ?)', ['s1', ALICE, 's1', GROUP]);
+    await ctx.store.handleMsg({
+        type: 'notify',
+        messages: [
+            { key: { id: 'Q1', remoteJid: ALICE, fromMe: false }, message: { conversation: 'lunch?' }, messageTimestamp: 100 },
+            { key: { id: 'Q2', remoteJid: GROUP, fromMe: false, participant: BOB }, message: { conversation: 'who is in' }, messageTimestamp: 200 }
+        ]
+    });
+
+    await ctx.store.db.run('INSERT INTO groups (session_id, jid) VALUES (?, ?)', ['s1', GROUP]);
+    for (const member of [ALICE, BOB, ME]) {
+        await ctx.store.db.run(
+            'INSERT INTO group_members (session_id, group_jid, member) VALUES (?, ?, ?)',
+            ['s1', GROUP, member]
+        );
+    }
+});
+
+afterEach(async () => {
+    await ctx.close();
+});
+
+// ==================== MENTIONS ====================
+
+test('mentions accept JIDs and phone numbers and are deduplicated', async () => {
+    const mentions = await h._resolveMentions(ALICE, [ALICE, '15550001111', ' 15550002222 ', '']);
+
+    assert.deepStrictEqual(mentions, [ALICE, BOB]);
+    await assert.rejects(h._resolveMentions(ALICE, [GROUP]), { code: 'INVALID_MENTION' });
+});
+
+test('@all mentions every group member except the session itself', async () => {
+    assert.deepStrictEqual((await h._resolveMentions(GROUP, '@all')).sort(), [ALICE, BOB]);
+    await assert.rejects(h._resolveMentions(ALICE, ['@all']), /only available in groups/);
+});
+
+// ==================== REPLIES ====================
+
+test('the quoted message is rebuilt from the stored row', async () => {
+    const direct = await h._quotedMessage('Q1');
+    assert.deepStrictEqual(direct.key, { remoteJid: ALICE, id: 'Q1', fromMe: false, participant: undefined });
+    assert.deepStrictEqual(direct.message, { conversation: 'lunch?' });
+
+    const group = await h._quotedMessage('Q2');
+    assert.strictEqual(group.key.participant, BOB);
+
+    await assert.rejects(h._quotedMessage('missing'), { code: 'QUOTED_NOT_FOUND' });
+});
+
+test('a reply with mentions is queued with its send options and sent with them', async () => {
+    const queued = await h.sendMessage(ALICE, 'ask @15550002222', 'text', {
+        quotedMessageId: 'Q1',
+        mentions: ['15550002222'],
+        wait: false
+    });
+
+    const item = await ctx.store.getOutboxItem(queued.outboxId, true);
+    assert.deepStrictEqual(item.message.mentions, [BOB]);
+    assert.strictEqual(item.options.quoted.key.id, 'Q1');
+
+    await h._sendOutboxItem(await ctx.store.getNextOutboxItem());
+
+    assert.strictEqual(sent.length, 1);
+    assert.deepStrictEqual(sent[0].message.mentions, [BOB]);
+    assert.strictEqual(sent[0].options.quoted.key.id, 'Q1');
+    assert.deepStrictEqual(sent[0].options.quoted.message, { conversation: 'lunch?' });
+
+    // Nothing but the sender needs the options, so they go with the payload
+    const done = await ctx.store.getOutboxItem(queued.outboxId, true);
+    assert.strictEqual(done.message, null);
+    assert.strictEqual(done.options, null);
+});
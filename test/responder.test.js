@@ -0,0 +1,223 @@
+// test/responder.test.js
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const ResponderService = require('../server/services/responder');
+const { createStores } = require('./helpers');
+
+const ALICE = '15550001111@s.whatsapp.net';
+const BOB = '15550002222@s.whatsapp.net';
+const GROUP = '120363000000000001@g.us';
+
+let ctx;
+let session;
+let replies;
+let events;
+let responder;
+let seq = 0;
+
+beforeEach(async () => {
+    ctx = await createStores('s1');
+    replies = [];
+    events = [];
+
+    session = {
+        sid: 's1',
+        db: ctx.store,
+        sendMessage: async (jid, text, type, options) => {
+            replies.push({ jid, text, type, options });
+            return { outboxId: `outbox_${replies.length}`, status: 'queued' };
+        },
+        _emit: (event, data) => events.push({ event, data })
+    };
+
+    responder = new ResponderService(null, ctx.global, {});
+    await responder.start();
+});
+
+afterEach(async () => {
+    await responder.stop();
+    await ctx.close();
+});
+
+/**
+ * Store an incoming text message and run it through the responder
+ * @param {string} text - Message text
+ * @param {Object} opts - { chat, sender, fromMe }
+ * @returns {Promise<Object|null>} Fired rule info
+ */
+async function receive(text, opts = {}) {
+    const chat = opts.chat || ALICE;
+    const msg = {
+        key: { id: `M${++seq}`, remoteJid: chat, participant: opts.sender, fromMe: !!opts.fromMe },
+        message: { conversation: text },
+        messageTimestamp: seq
+    };
+
+    await ctx.store.db.run('INSERT OR IGNORE INTO chats (session_id, jid) VALUES (?, ?)', ['s1', chat]);
+    await ctx.store.handleMsg({ type: 'notify', messages: [msg] });
+    return responder.handle(session, msg);
+}
+
+/**
+ * Create a rule and drop the cached rule list
+ * @param {Object} data - Rule fields
+ * @returns {Promise<Object>} Rule
+ */
+async function rule(data) {
+    const created = await ctx.store.createAutoreplyRule({ reply: 'auto', ...data });
+    responder.invalidate('s1');
+    return created;
+}
+
+// ==================== VALIDATION ====================
+
+test('rules are validated per trigger', () => {
+    assert.match(responder.validateRule({ trigger: 'sometimes' }), /Trigger must be one of/);
+    assert.match(responder.validateRule({ trigger: 'keyword' }), /Pattern required/);
+    assert.match(responder.validateRule({ trigger: 'regex', pattern: '(' }), /Invalid regex/);
+    assert.match(responder.validateRule({ trigger: 'outside_hours', business_hours: { start: '9:00', end: '17:00' } }), /business_hours/);
+
+    assert.strictEqual(responder.validateRule({ trigger: 'keyword', pattern: 'price' }), null);
+    assert.strictEqual(responder.validateRule({ trigger: 'outside_hours', business_hours: { start: '09:00', end: '17:00' } }), null);
+});
+
+test('regex patterns that can backtrack exponentially are refused', () => {
+    for (const pattern of ['(a+)+$', '(a*)*', '(\\d+)*x', '((ab)+)+', '(a{2,})+', '(?:x+|y)+', '((a+))*']) {
+        assert.strictEqual(responder._hasNestedQuantifier(pattern), true, pattern);
+    }
+    for (const pattern of ['^order #\\d+$', '(ab)+', '(a|b)*c', '[(+)]+', '\\(a+\\)+', '(a)?b+', 'x{2}(y)+']) {
+        assert.strictEqual(responder._hasNestedQuantifier(pattern), false, pattern);
+    }
+
+    assert.match(responder.validateRule({ trigger: 'regex', pattern: '(a+)+$' }), /must not repeat a group/);
+    assert.match(responder.validateRule({ trigger: 'keyword', pattern: 'x'.repeat(201) }), /at most 200 characters/);
+});
+
+test('unsafe regex rules stored before validation never match', async () => {
+    await ctx.store.db.run(
+        `INSERT INTO autoreply_rules (id, session_id, trigger, pattern, reply) VALUES ('old', 's1', 'regex', '(a+)+$', 'auto')`
+    );
+
+    assert.strictEqual(await receive('aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa!'), null);
+    assert.strictEqual(replies.length, 0);
+});
+
+// ==================== TRIGGERS ====================
+
+test('keywords match whole words, case-insensitive by default', async () => {
+    await rule({ trigger: 'keyword', pattern: 'price, menu' });
+
+    assert.strictEqual(await receive('priceless'), null);
+    assert.ok(await receive('What is the PRICE?'));
+    assert.deepStrictEqual(replies.map(r => r.text), ['auto']);
+});
+
+test('exact and regex triggers respect case sensitivity', async () => {
+    await rule({ trigger: 'exact', pattern: 'STOP', case_sensitive: true, reply: 'stopped', priority: 2 });
+    await rule({ trigger: 'regex', pattern: '^order #\\d+$', reply: 'order', priority: 1 });
+
+    assert.strictEqual(await receive('stop'), null);
+    assert.ok(await receive(' STOP '));
+    assert.ok(await receive('Order #123'));
+    assert.deepStrictEqual(replies.map(r => r.text), ['stopped', 'order']);
+});
+
+test('the highest priority matching rule answers alone', async () => {
+    const low = await rule({ trigger: 'keyword', pattern: 'hi', reply: 'low' });
+    const high = await rule({ trigger: 'keyword', pattern: 'hi', reply: 'high', priority: 5 });
+
+    const fired = await receive('hi');
+    assert.strictEqual(fired.ruleId, high.id);
+    assert.notStrictEqual(fired.ruleId, low.id);
+    assert.deepStrictEqual(replies.map(r => r.text), ['high']);
+});
+
+test('first_message only fires for a new chat', async () => {
+    await rule({ trigger: 'first_message', reply: 'welcome' });
+
+    assert.ok(await receive('hello'));
+    assert.strictEqual(await receive('hello again'), null);
+    assert.ok(await receive('hi', { chat: BOB }));
+});
+
+test('outside_hours fires outside the business hours window', async (t) => {
+    // Monday 2026-10-19 20:00 UTC
+    t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-10-19T20:00:00Z') });
+    await rule({ trigger: 'outside_hours', business_hours: { start: '09:00', end: '17:00', timezone: 'UTC' } });
+
+    assert.ok(await receive('anyone there?'));
+
+    t.mock.timers.setTime(Date.parse('2026-10-19T10:00:00Z'));
+    assert.strictEqual(responder._withinHours({ start: '09:00', end: '17:00', timezone: 'UTC' }), true);
+    assert.strictEqual(responder._withinHours({ start: '09:00', end: '17:00', timezone: 'Asia/Tokyo' }), false);
+    assert.strictEqual(responder._withinHours({ start: '22:00', end: '11:00', timezone: 'UTC' }), true);
+    assert.strictEqual(responder._withinHours({ start: '09:00', end: '17:00', days: [0, 6], timezone: 'UTC' }), false);
+});
+
+// ==================== SCOPE ====================
+
+test('scope and allow/deny lists limit where a rule answers', async () => {
+    await rule({ trigger: 'keyword', pattern: 'hi', scope: 'private', deny_jids: [BOB] });
+
+    assert.strictEqual(await receive('hi', { chat: GROUP, sender: ALICE }), null);
+    assert.strictEqual(await receive('hi', { chat: BOB }), null);
+    assert.ok(await receive('hi'));
+
+    await ctx.store.db.run('DELETE FROM autoreply_rules');
+    await rule({ trigger: 'keyword', pattern: 'hi', scope: 'group', allow_jids: [ALICE] });
+
+    assert.strictEqual(await receive('hi', { chat: GROUP, sender: BOB }), null);
+    assert.ok(await receive('hi', { chat: GROUP, sender: ALICE }));
+    assert.strictEqual(replies.at(-1).jid, GROUP);
+});
+
+test('our own messages and status updates are ignored', async () => {
+    await rule({ trigger: 'keyword', pattern: 'hi' });
+
+    assert.strictEqual(await receive('hi', { fromMe: true }), null);
+    assert.strictEqual(await receive('hi', { chat: 'status@broadcast', sender: ALICE }), null);
+    assert.strictEqual(replies.length, 0);
+});
+
+// ==================== FIRING ====================
+
+test('a fired rule is recorded and respects its cooldown per contact', async () => {
+    const cooled = await rule({ trigger: 'keyword', pattern: 'hi', cooldown: 3600 });
+
+    const fired = await receive('hi');
+    assert.deepStrictEqual(fired, { ruleId: cooled.id, msgId: `M${seq}`, jid: ALICE, outboxId: 'outbox_1' });
+    assert.deepStrictEqual(replies[0].options, {
+        source: 'autoreply',
+        meta: { ruleId: cooled.id, inReplyTo: `M${seq}` },
+        humanize: null,
+        wait: false
+    });
+    const { meta } = await ctx.store.db.get('SELECT meta FROM msgs WHERE id = ?', [`M${seq}`]);
+    assert.strictEqual(JSON.parse(meta).autoreply.ruleId, cooled.id);
+    assert.deepStrictEqual(events.map(e => e.event), ['autoreply']);
+
+    assert.strictEqual(await receive('hi'), null);
+    assert.ok(await receive('hi', { chat: BOB }));
+
+    const after = await ctx.store.getAutoreplyRule(cooled.id);
+    assert.strictEqual(after.fire_count, 2);
+});
+
+test('a rule can override the session humanize setting', async () => {
+    const typed = await rule({ trigger: 'keyword', pattern: 'hi', humanize: { minDelay: 0, maxDelay: 500 } });
+    assert.deepStrictEqual(typed.humanize, { minDelay: 0, maxDelay: 500 });
+
+    await receive('hi');
+    assert.deepStrictEqual(replies[0].options.humanize, { minDelay: 0, maxDelay: 500 });
+
+    await ctx.store.updateAutoreplyRule(typed.id, { humanize: false });
+    assert.strictEqual((await ctx.store.getAutoreplyRule(typed.id)).humanize, false);
+});
+
+test('a failed reply is counted and does not throw', async () => {
+    session.sendMessage = async () => { throw new Error('Socket not connected'); };
+    await rule({ trigger: 'keyword', pattern: 'hi' });
+
+    assert.strictEqual(await receive('hi'), null);
+    assert.strictEqual(responder.getStatus().failed, 1);
+});
@@ -0,0 +1,237 @@
+// test/scheduler.test.js
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const SchedulerService = require('../server/services/scheduler');
+const CleanupService = require('../server/services/cleanup');
+const { createStores } = require('./helpers');
+
+const JID = '15550001111@s.whatsapp.net';
+
+let ctx;
+let sent;
+let session;
+let scheduler;
+
+beforeEach(async () => {
+    ctx = await createStores('s1');
+    sent = [];
+
+    session = {
+        sendMessage: async (jid, content, type, options) => {
+            sent.push({ jid, content, type, options });
+            return { outboxId: `outbox_${sent.length}`, status: 'queued' };
+        }
+    };
+    const manager = { get: sid => (sid === 's1' ? session : null) };
+
+    scheduler = new SchedulerService(manager, ctx.global, {});
+});
+
+afterEach(async () => {
+    await scheduler.stop();
+    await ctx.close();
+});
+
+/**
+ * Create a schedule through the session store
+ * @param {Object} data - Schedule fields
+ * @returns {Promise<Object>} Schedule
+ */
+function schedule(data = {}) {
+    return ctx.store.createSchedule({ jid: JID, content: { text: 'hello' }, send_at: Date.now() + 60000, ...data });
+}
+
+// ==================== STORE ====================
+
+test('a schedule needs a recipient and a time', async () => {
+    await assert.rejects(ctx.store.createSchedule({ send_at: Date.now() }), /JID required/);
+    await assert.rejects(ctx.store.createSchedule({ jid: JID }), /send_at or cron required/);
+
+    const created = await schedule({ cron: '0 9 * * *', send_at: null, timezone: 'Europe/Berlin' });
+    assert.strictEqual(created.status, 'active');
+    assert.deepStrictEqual(created.content, { text: 'hello' });
+    assert.deepStrictEqual((await ctx.global.getActiveSchedules()).map(s => s.id), [created.id]);
+});
+
+// ==================== REGISTER ====================
+
+test('active schedules get a cron task or a timer', async () => {
+    const daily = await schedule({ cron: '0 9 * * *', send_at: null });
+    const once = await schedule();
+    const broken = await schedule({ cron: 'not a cron', send_at: null });
+    const paused = await ctx.global.updateSchedule((await schedule()).id, { status: 'paused' });
+
+    await scheduler.start();
+
+    assert.strictEqual(scheduler.jobs.get(daily.id).type, 'cron');
+    assert.strictEqual(scheduler.jobs.get(once.id).type, 'once');
+    assert.ok(!scheduler.jobs.has(broken.id));
+    assert.ok(!scheduler.jobs.has(paused.id));
+
+    scheduler.unregister(once.id);
+    assert.ok(!scheduler.jobs.has(once.id));
+
+    await scheduler.stop();
+    assert.strictEqual(scheduler.jobs.size, 0);
+});
+
+test('a one-shot runs when its time comes', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const runs = [];
+    const run = scheduler.run.bind(scheduler);
+    t.mock.method(scheduler, 'run', (id) => {
+        runs.push(run(id));
+        return runs.at(-1);
+    });
+    const once = await schedule({ send_at: Date.now() + 5000 });
+
+    scheduler.register(once);
+    t.mock.timers.tick(4000);
+    assert.strictEqual(runs.length, 0);
+
+    t.mock.timers.tick(1000);
+    assert.strictEqual(runs.length, 1);
+    assert.strictEqual((await runs[0]).status, 'queued');
+    assert.strictEqual(sent.length, 1);
+});
+
+// ==================== RUN ====================
+
+test('a run queues the message and records it', async () => {
+    const once = await schedule();
+
+    const run = await scheduler.run(once.id);
+
+    assert.deepStrictEqual(run, { status: 'queued', outbox_id: 'outbox_1' });
+    assert.deepStrictEqual(sent, [{
+        jid: JID,
+        content: 'hello',
+        type: 'text',
+        options: { source: 'schedule', meta: { scheduleId: once.id }, wait: false }
+    }]);
+
+    const after = await ctx.global.getSchedule(once.id);
+    assert.strictEqual(after.status, 'completed');
+    assert.strictEqual(after.run_count, 1);
+
+    const [logged] = await ctx.global.getScheduleRuns(once.id);
+    assert.strictEqual(logged.status, 'queued');
+    assert.strictEqual(logged.outbox_id, 'outbox_1');
+
+    // Completed schedules don't run again
+    assert.strictEqual(await scheduler.run(once.id), null);
+    assert.strictEqual(sent.length, 1);
+});
+
+test('a cron schedule stays active after a run', async () => {
+    const daily = await schedule({ cron: '0 9 * * *', send_at: null });
+
+    await scheduler.run(daily.id);
+    await scheduler.run(daily.id);
+
+    const after = await ctx.global.getSchedule(daily.id);
+    assert.strictEqual(after.status, 'active');
+    assert.strictEqual(after.run_count, 2);
+    assert.strictEqual(sent.length, 2);
+});
+
+test('a failed send is recorded on the run and the schedule', async () => {
+    session.sendMessage = async () => { throw new Error('Invalid JID format'); };
+    const daily = await schedule({ cron: '0 9 * * *', send_at: null });
+
+    const run = await scheduler.run(daily.id);
+
+    assert.deepStrictEqual(run, { status: 'failed', error: 'Invalid JID format' });
+    assert.strictEqual((await ctx.global.getSchedule(daily.id)).last_error, 'Invalid JID format');
+    assert.strictEqual(scheduler.getStatus().failed, 1);
+});
+
+test('media schedules send the stored file', async () => {
+    const file = path.join(ctx.dir, 'flyer.jpg');
+    fs.writeFileSync(file, 'jpg');
+    const once = await schedule({ type: 'image', content: { caption: 'Sale' }, media_path: file });
+
+    await scheduler.run(once.id);
+
+    assert.strictEqual(sent[0].type, 'image');
+    assert.strictEqual(sent[0].content.caption, 'Sale');
+    // Queued by reference; the outbox reads the file when it sends
+    assert.strictEqual(sent[0].content.path, file);
+
+    const missing = await schedule({ type: 'image', content: {}, media_path: path.join(ctx.dir, 'gone.jpg') });
+    const run = await scheduler.run(missing.id);
+    assert.strictEqual(run.error, 'Scheduled media file missing');
+});
+
+test('a one-shot that fails to queue is paused, not completed', async () => {
+    session.sendMessage = async () => { throw new Error('Invalid JID format'); };
+    const once = await schedule();
+
+    await scheduler.run(once.id);
+
+    const after = await ctx.global.getSchedule(once.id);
+    assert.strictEqual(after.status, 'paused');
+    assert.strictEqual(after.last_error, 'Invalid JID format');
+});
+
+test('a due one-shot waits for its session to be loaded', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const once = await schedule();
+    const offline = new SchedulerService({ get: () => null }, ctx.global, {});
+
+    assert.strictEqual(await offline.run(once.id), null);
+
+    assert.strictEqual((await ctx.global.getSchedule(once.id)).status, 'active');
+    assert.strictEqual(offline.jobs.get(once.id).type, 'once');
+    assert.deepStrictEqual(await ctx.global.getScheduleRuns(once.id), []);
+    await offline.stop();
+});
+
+// ==================== CLEANUP ====================
+
+test('cleanup removes schedule and campaign media nothing will send again', async (t) => {
+    const previous = process.env.MEDIA_PATH;
+    process.env.MEDIA_PATH = ctx.dir;
+    t.after(() => {
+        if (previous === undefined) delete process.env.MEDIA_PATH;
+        else process.env.MEDIA_PATH = previous;
+    });
+
+    const old = Date.now() / 1000 - 2 * 60 * 60;
+    const stored = (dir, name) => {
+        fs.mkdirSync(path.join(ctx.dir, dir), { recursive: true });
+        const file = path.join(ctx.dir, dir, name);
+        fs.writeFileSync(file, name);
+        fs.utimesSync(file, old, old);
+        return file;
+    };
+
+    const active = stored('scheduled', 'active.jpg');
+    await schedule({ type: 'image', content: {}, media_path: active });
+    const queued = stored('scheduled', 'queued.jpg');
+    const done = await schedule({ type: 'image', content: {}, media_path: queued });
+    await scheduler.run(done.id);
+    await ctx.store.enqueueOutbox({ jid: JID, type: 'image', message: { image: { url: queued } }, mediaPath: queued });
+    const used = stored('scheduled', 'used.jpg');
+    const finished = await schedule({ type: 'image', content: {}, media_path: used });
+    await ctx.store.updateSchedule(finished.id, { status: 'completed' });
+
+    const running = stored('campaigns', 'running.jpg');
+    await ctx.store.createCampaign({ type: 'image', content: {}, media_path: running, recipients: [{ jid: JID }] });
+    const cancelled = stored('campaigns', 'cancelled.jpg');
+    const campaign = await ctx.store.createCampaign({ type: 'image', content: {}, media_path: cancelled, recipients: [{ jid: JID }] });
+    await ctx.store.updateCampaign(campaign.id, { status: 'cancelled' });
+
+    // Written moments ago, before the schedule that owns it exists
+    fs.writeFileSync(path.join(ctx.dir, 'scheduled', 'fresh.jpg'), 'fresh');
+
+    const cleanup = new CleanupService(null, ctx.global, {});
+    await cleanup.cleanupStoredMedia();
+
+    assert.strictEqual((await ctx.global.getSchedule(done.id)).status, 'completed');
+    assert.deepStrictEqual(fs.readdirSync(path.join(ctx.dir, 'scheduled')).sort(), ['active.jpg', 'fresh.jpg', 'queued.jpg']);
+    assert.deepStrictEqual(fs.readdirSync(path.join(ctx.dir, 'campaigns')), ['running.jpg']);
+    assert.strictEqual(cleanup.stats.mediaCleaned, 2);
+});
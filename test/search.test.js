@@ -0,0 +1,145 @@
+// test/search.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const SQLiteStores = require('../server/core/SQLiteStores');
+const { createStores } = require('./helpers');
+
+const CHAT = '15550001111@s.whatsapp.net';
+const OTHER = '15550002222@s.whatsapp.net';
+
+// ==================== QUERY ====================
+
+test('user input becomes quoted FTS terms', () => {
+    const fts = q => SQLiteStores.prototype._ftsQuery.call(null, q);
+
+    assert.strictEqual(fts('hello world'), '"hello" "world"');
+    assert.strictEqual(fts('"hello world" inv*'), '"hello world" "inv"*');
+    assert.strictEqual(fts('a:b ^x NEAR(a'), '"a:b" "^x" "NEAR(a"');
+    assert.strictEqual(fts('say "hi" there"'), '"say" "hi" "there"');
+});
+
+test('operators without a term on both sides are dropped', () => {
+    const fts = q => SQLiteStores.prototype._ftsQuery.call(null, q);
+
+    assert.strictEqual(fts('a OR b'), '"a" OR "b"');
+    assert.strictEqual(fts('a NOT b'), '"a" NOT "b"');
+    assert.strictEqual(fts('a OR NOT b'), '"a" OR "b"');
+    assert.strictEqual(fts('a OR OR b'), '"a" OR "b"');
+    assert.strictEqual(fts('OR a'), '"a"');
+    assert.strictEqual(fts('a NOT'), '"a"');
+    assert.strictEqual(fts('a "" OR b'), '"a" OR "b"');
+    assert.strictEqual(fts('* OR a'), '"a"');
+    assert.strictEqual(fts('NOT'), '');
+});
+
+// ==================== SEARCH ====================
+
+let ctx;
+
+before(async () => {
+    ctx = await createStores('s1');
+    await ctx.store.db.run('INSERT INTO chats (session_id, jid) VALUES (?, ?), (?, ?)', ['s1', CHAT, 's1', OTHER]);
+    await ctx.store.handleMsg({
+        type: 'notify',
+        messages: [
+            { key: { id: 'M1', remoteJid: CHAT, fromMe: true }, message: { conversation: 'invoice for march' }, messageTimestamp: 100 },
+            { key: { id: 'M2', remoteJid: CHAT, fromMe: false }, pushName: 'Zoë Müller', message: { conversation: 'invoice paid, invoice closed' }, messageTimestamp: 200 },
+            { key: { id: 'M3', remoteJid: OTHER, fromMe: true }, message: { conversation: 'see you tomorrow' }, messageTimestamp: 300 },
+            { key: { id: 'M4', remoteJid: OTHER, fromMe: false }, message: { imageMessage: { caption: 'receipt photo' } }, messageTimestamp: 400 },
+            { key: { id: 'M5', remoteJid: OTHER, fromMe: false }, message: { documentMessage: { fileName: 'quarterly-report.pdf' } }, messageTimestamp: 500 },
+            { key: { id: 'M6', remoteJid: OTHER, fromMe: false }, message: { contactMessage: { displayName: 'Dr Watson' } }, messageTimestamp: 600 }
+        ]
+    });
+});
+
+after(async () => {
+    await ctx.close();
+});
+
+/**
+ * Search and return matching message IDs
+ * @param {string} query - Search query
+ * @param {Object} options - Search options
+ * @returns {Promise<Array<string>>} Message IDs
+ */
+async function ids(query, options = {}) {
+    return (await ctx.store.searchMsgs(query, { sort: 'recent', ...options })).map(m => m.id);
+}
+
+// ==================== MATCHING ====================
+
+test('text, captions, file names and sender names are searchable', async (t) => {
+    if (!ctx.store.ftsEnabled) return t.skip('SQLite built without FTS5');
+
+    assert.deepStrictEqual(await ids('receipt'), ['M4']);
+    assert.deepStrictEqual(await ids('quarterly'), ['M5']);
+    assert.deepStrictEqual(await ids('watson'), ['M6']);
+    // Diacritics are folded
+    assert.deepStrictEqual(await ids('zoe muller'), ['M2']);
+});
+
+test('words are ANDed, phrases match exactly and word* matches prefixes', async (t) => {
+    if (!ctx.store.ftsEnabled) return t.skip('SQLite built without FTS5');
+
+    assert.deepStrictEqual(await ids('invoice march'), ['M1']);
+    assert.deepStrictEqual(await ids('"paid invoice"'), ['M2']);
+    assert.deepStrictEqual(await ids('"for march"'), ['M1']);
+    assert.deepStrictEqual(await ids('inv*'), ['M2', 'M1']);
+    assert.deepStrictEqual(await ids(''), []);
+});
+
+test('OR and NOT combine terms', async (t) => {
+    if (!ctx.store.ftsEnabled) return t.skip('SQLite built without FTS5');
+
+    assert.deepStrictEqual(await ids('invoice NOT paid'), ['M1']);
+    assert.deepStrictEqual(await ids('march OR tomorrow'), ['M3', 'M1']);
+});
+
+test('malformed queries never reach SQLite as syntax errors', async () => {
+    for (const q of ['a OR', 'NOT', 'a NOT NOT b', '"unclosed', '(a', 'NEAR(a b)', 'col:x', '*', 'AND OR']) {
+        await assert.doesNotReject(ctx.store.searchMsgs(q), `query ${JSON.stringify(q)}`);
+    }
+});
+
+test('an FTS syntax error is reported as INVALID_SEARCH_QUERY', async (t) => {
+    if (!ctx.store.ftsEnabled) return t.skip('SQLite built without FTS5');
+
+    t.mock.method(ctx.store, '_ftsQuery', () => 'a OR');
+    await assert.rejects(ctx.store.searchMsgs('a'), { code: 'INVALID_SEARCH_QUERY' });
+});
+
+test('results are ranked and carry a highlighted snippet', async (t) => {
+    if (!ctx.store.ftsEnabled) return t.skip('SQLite built without FTS5');
+
+    const results = await ctx.store.searchMsgs('invoice');
+    assert.deepStrictEqual(results.map(m => m.id), ['M2', 'M1']);
+    assert.ok(results[0].score <= results[1].score);
+    assert.match(results[1].snippet, /<mark>invoice<\/mark> for march/);
+});
+
+// ==================== FILTERS ====================
+
+test('chat, direction, type and time filters narrow the results', async () => {
+    assert.deepStrictEqual(await ids('invoice', { chat: OTHER }), []);
+    assert.deepStrictEqual(await ids('invoice', { fromMe: true }), ['M1']);
+    assert.deepStrictEqual(await ids('invoice', { from: 150, to: 250 }), ['M2']);
+    assert.deepStrictEqual(await ids('receipt', { type: ['text'] }), []);
+    assert.deepStrictEqual(await ids('invoice', { limit: 1, offset: 1 }), ['M1']);
+});
+
+// ==================== INDEX ====================
+
+test('deleted messages leave the index and a rebuild restores it', async (t) => {
+    if (!ctx.store.ftsEnabled) return t.skip('SQLite built without FTS5');
+
+    await ctx.store.db.run('UPDATE msgs SET deleted = 1 WHERE id = ?', ['M3']);
+    assert.deepStrictEqual(await ids('tomorrow'), []);
+
+    await ctx.store.db.run('UPDATE msgs SET deleted = 0 WHERE id = ?', ['M3']);
+    await ctx.store.db.exec('DELETE FROM msgs_fts');
+    assert.deepStrictEqual(await ids('tomorrow'), []);
+
+    await ctx.store.rebuildSearchIndex();
+    assert.deepStrictEqual(await ids('tomorrow'), ['M3']);
+    assert.deepStrictEqual(await ids('quarterly'), ['M5']);
+});
@@ -0,0 +1,169 @@
+// test/send-policy.test.js
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const SessionHandler = require('../server/core/SessionHandler');
+const { STATUS } = require('../server/utils/constants');
+const { createStores } = require('./helpers');
+
+const ALICE = '15550001111@s.whatsapp.net';
+const BOB = '15550002222@s.whatsapp.net';
+const GROUP = '120363000000000001@g.us';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let ctx;
+let h;
+
+beforeEach(async () => {
+    ctx = await createStores('s1');
+
+    h = new SessionHandler('s1', 'u1');
+    h.db = ctx.store;
+    h.webhookCacheTime = Date.now();
+});
+
+afterEach(async () => {
+    await ctx.close();
+});
+
+/**
+ * Store the sending policy and return it merged over the defaults
+ * @param {Object} policy - Setting "send_policy"
+ * @returns {Promise<Object>}
+ */
+async function usePolicy(policy) {
+    await ctx.store.setSessionSetting('send_policy', policy);
+    return h.getSendPolicy();
+}
+
+/**
+ * Record a message as sent some time ago
+ * @param {string} jid - Recipient
+ * @param {number} ago - ms before now
+ * @param {Object} flags - { newContact }
+ * @returns {Promise<Object>} Outbox item
+ */
+async function sent(jid, ago = 0, flags = {}) {
+    const item = await ctx.store.enqueueOutbox({ jid, message: { text: 'hi' } });
+    await ctx.store.updateOutbox(item.id, {
+        status: 'sent',
+        new_contact: flags.newContact ? 1 : 0,
+        sent_at: new Date(Date.now() - ago).toISOString()
+    });
+    return item;
+}
+
+// ==================== RATE LIMITS ====================
+
+test('no limits by default', async () => {
+    const policy = await h.getSendPolicy();
+    await sent(ALICE);
+
+    assert.deepStrictEqual(await h._checkSendPolicy(ALICE, policy), { limit: null, newContact: false });
+});
+
+test('the per-minute limit holds the whole session until the oldest send ages out', async () => {
+    const policy = await usePolicy({ perMinute: 2 });
+    await sent(ALICE, 90000);
+    await sent(ALICE, 30000);
+    await sent(BOB, 10000);
+
+    const { limit } = await h._checkSendPolicy(GROUP, policy);
+    assert.strictEqual(limit.code, 'SEND_RATE_LIMITED');
+    assert.strictEqual(limit.scope, 'session');
+    assert.ok(Math.abs(limit.retryAt - (Date.now() + 30000)) < 2000);
+
+    // Sends older than the window don't count
+    const wider = await usePolicy({ perMinute: 3 });
+    assert.strictEqual((await h._checkSendPolicy(GROUP, wider)).limit, null);
+});
+
+test('queued items only count when checking at queue time', async () => {
+    const policy = await usePolicy({ perHour: 1 });
+    await ctx.store.enqueueOutbox({ jid: ALICE, message: { text: 'hi' } });
+
+    assert.strictEqual((await h._checkSendPolicy(BOB, policy)).limit, null);
+    assert.strictEqual((await h._checkSendPolicy(BOB, policy, true)).limit.code, 'SEND_RATE_LIMITED');
+});
+
+test('the daily cap ramps up during warm-up', async () => {
+    const since = new Date(Date.now() - 5 * DAY_MS - 60000).toISOString();
+    const policy = await usePolicy({ perDay: 11, warmup: { days: 10, startPerDay: 1, since } });
+
+    assert.strictEqual(await h._dailySendCap(policy, Date.now()), 6);
+
+    for (let i = 0; i < 5; i++) await sent(ALICE, 60000 * (i + 1));
+    assert.strictEqual((await h._checkSendPolicy(BOB, policy)).limit, null);
+
+    await sent(ALICE);
+    const { limit } = await h._checkSendPolicy(BOB, policy);
+    assert.strictEqual(limit.code, 'SEND_RATE_LIMITED');
+    assert.match(limit.message, /6 messages per day during warm-up/);
+});
+
+test('without a start date the warm-up counts from when the session was created', async () => {
+    await ctx.global.db.run(`UPDATE sessions SET created_at = ? WHERE id = 's1'`, [
+        new Date(Date.now() - 5 * DAY_MS - 60000).toISOString().replace('T', ' ').slice(0, 19)
+    ]);
+    const policy = await usePolicy({ perDay: 11, warmup: { days: 10, startPerDay: 1 } });
+
+    assert.strictEqual(await h._dailySendCap(policy, Date.now()), 6);
+});
+
+// ==================== RECIPIENTS ====================
+
+test('the recipient cooldown only holds that chat', async () => {
+    const policy = await usePolicy({ recipientCooldown: 30 });
+    await sent(ALICE, 10000);
+
+    const { limit } = await h._checkSendPolicy(ALICE, policy);
+    assert.strictEqual(limit.code, 'RECIPIENT_COOLDOWN');
+    assert.strictEqual(limit.scope, 'chat');
+    assert.ok(Math.abs(limit.retryAt - (Date.now() + 20000)) < 2000);
+
+    assert.strictEqual((await h._checkSendPolicy(BOB, policy)).limit, null);
+    assert.strictEqual((await h._checkSendPolicy(STATUS.JID, policy)).limit, null);
+});
+
+test('sends to new contacts are capped per day', async () => {
+    const policy = await usePolicy({ newContactsPerDay: 1 });
+
+    assert.deepStrictEqual(await h._checkSendPolicy(BOB, policy), { limit: null, newContact: true });
+
+    await sent(ALICE, 60000, { newContact: true });
+
+    const { limit, newContact } = await h._checkSendPolicy(BOB, policy);
+    assert.strictEqual(limit.code, 'NEW_CONTACT_LIMIT');
+    assert.strictEqual(limit.scope, 'chat');
+    assert.strictEqual(newContact, true);
+
+    // Chats with history and groups are not new contacts
+    await ctx.store.db.run('INSERT INTO chats (session_id, jid) VALUES (?, ?)', ['s1', ALICE]);
+    await ctx.store.handleMsg({
+        type: 'notify',
+        messages: [{ key: { id: 'M1', remoteJid: ALICE, fromMe: false }, message: { conversation: 'hey' }, messageTimestamp: 100 }]
+    });
+    assert.deepStrictEqual(await h._checkSendPolicy(ALICE, policy), { limit: null, newContact: false });
+    assert.deepStrictEqual(await h._checkSendPolicy(GROUP, policy), { limit: null, newContact: false });
+});
+
+// ==================== ON LIMIT ====================
+
+test('with onLimit "reject" an over-limit send fails before it is queued', async () => {
+    await usePolicy({ perMinute: 1, onLimit: 'reject' });
+    await sent(ALICE, 50000);
+
+    await assert.rejects(
+        h._queueMessage(BOB, { text: 'hi' }, 'text', { wait: false }),
+        err => err.code === 'SEND_RATE_LIMITED' && err.retryAfter >= 9 && err.retryAfter <= 11
+    );
+    assert.strictEqual((await ctx.store.getOutbox({ jid: BOB })).length, 0);
+});
+
+test('with onLimit "queue" an over-limit send is queued', async () => {
+    await usePolicy({ perMinute: 1 });
+    await sent(ALICE, 50000);
+
+    const result = await h._queueMessage(BOB, { text: 'hi' }, 'text', { wait: false });
+    assert.strictEqual(result.status, 'queued');
+    assert.strictEqual((await ctx.store.getOutbox({ jid: BOB })).length, 1);
+});
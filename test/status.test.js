@@ -0,0 +1,127 @@
+// test/status.test.js
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { proto } = require('@whiskeysockets/baileys');
+const SessionHandler = require('../server/core/SessionHandler');
+const { createStores } = require('./helpers');
+
+const STATUS_JID = 'status@broadcast';
+const ALICE = '15550001111@s.whatsapp.net';
+const BOB = '15550002222@s.whatsapp.net';
+const ME = '15550009999@s.whatsapp.net';
+
+let ctx;
+let h;
+
+beforeEach(async () => {
+    ctx = await createStores('s1');
+
+    h = new SessionHandler('s1', 'u1');
+    h.db = ctx.store;
+    h.sock = { user: { id: '15550009999:4@s.whatsapp.net' }, sendMessage: async () => ({ key: { id: 'MSG1' } }) };
+    h.webhookCacheTime = Date.now();
+    h.outboxRetry = { maxAttempts: 1, delay: 1000, waitTimeout: 10 };
+
+    await ctx.store.db.run(
+        'INSERT INTO contacts (session_id, jid, name) VALUES (?, ?, ?), (?, ?, ?)',
+        ['s1', ALICE, 'Alice', 's1', BOB, 'Bob']
+    );
+    await ctx.store.db.run('INSERT INTO chats (session_id, jid) VALUES (?, ?)', ['s1', STATUS_JID]);
+});
+
+afterEach(async () => {
+    await ctx.close();
+});
+
+/**
+ * Store status messages as they arrive from the socket
+ * @param {Array<Object>} messages - { id, sender, fromMe, message, ts }
+ * @returns {Promise}
+ */
+function receive(messages) {
+    return ctx.store.handleMsg({
+        type: 'notify',
+        messages: messages.map(m => ({
+            key: { id: m.id, remoteJid: STATUS_JID, participant: m.sender, fromMe: !!m.fromMe },
+            message: m.message || { extendedTextMessage: { text: m.id } },
+            messageTimestamp: m.ts || Math.floor(Date.now() / 1000)
+        }))
+    });
+}
+
+// ==================== RECEIVED ====================
+
+test('received statuses are listed per contact, newest poster first', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    await receive([
+        { id: 'A1', sender: ALICE, ts: now - 300 },
+        { id: 'B1', sender: BOB, ts: now - 200 },
+        { id: 'A2', sender: ALICE, ts: now - 100 },
+        { id: 'OLD', sender: BOB, ts: now - 25 * 60 * 60 }
+    ]);
+
+    const statuses = await ctx.store.getStatuses();
+    assert.deepStrictEqual(statuses.map(s => [s.jid, s.name, s.statuses.map(x => x.id)]), [
+        [ALICE, 'Alice', ['A1', 'A2']],
+        [BOB, 'Bob', ['B1']]
+    ]);
+    assert.deepStrictEqual((await ctx.store.getStatuses({ sender: BOB, includeExpired: true }))[0].statuses.map(s => s.id), ['OLD', 'B1']);
+});
+
+test('a status deleted by its sender is hidden', async () => {
+    await receive([{ id: 'A1', sender: ALICE }]);
+    await receive([{
+        id: 'R1',
+        sender: ALICE,
+        message: { protocolMessage: { type: proto.Message.ProtocolMessage.Type.REVOKE, key: { id: 'A1' } } }
+    }]);
+
+    assert.deepStrictEqual(await ctx.store.getStatuses(), []);
+    assert.strictEqual((await ctx.store.getStatus('A1')).deleted, 1);
+});
+
+// ==================== OWN ====================
+
+test('views of our own status come from read receipts', async () => {
+    await ctx.store.saveStatus({ msg_id: 'S1', sender: 's1', from_me: 1, type: 'text', text: 'hi', ts: Date.now(), audience: [ALICE, BOB, ME] });
+    await receive([{ id: 'S1', sender: ME, fromMe: true }]);
+
+    await h._handleReceipt([
+        { key: { id: 'S1' }, receipt: { userJid: ALICE, receiptTimestamp: 10 } },
+        { key: { id: 'S1' }, receipt: { userJid: BOB, readTimestamp: 20 } }
+    ]);
+
+    const [mine] = await ctx.store.getMyStatuses();
+    assert.strictEqual(mine.id, 'S1');
+    assert.strictEqual(mine.audience, 3);
+    assert.strictEqual(mine.views, 1);
+    assert.deepStrictEqual(await ctx.store.getStatusViews('S1'), [{ jid: BOB, name: 'Bob', ts: 20 }]);
+    // Received statuses don't list our own
+    assert.deepStrictEqual(await ctx.store.getStatuses(), []);
+});
+
+test('a status goes to every saved contact, or a chosen list, and our own devices', async () => {
+    assert.deepStrictEqual(await h._statusAudience('all'), [ALICE, BOB, ME]);
+    assert.deepStrictEqual(await h._statusAudience(['15550001111']), [ALICE, ME]);
+    await assert.rejects(h._statusAudience(['120363000000000001@g.us']), { code: 'INVALID_AUDIENCE' });
+
+    const queued = await h.postStatus('Back at 5', 'text', { audience: [ALICE], backgroundColor: '#000000' });
+    assert.strictEqual(queued.audience, 2);
+
+    const item = await ctx.store.getNextOutboxItem();
+    assert.strictEqual(item.id, queued.outboxId);
+    assert.strictEqual(item.jid, STATUS_JID);
+    assert.deepStrictEqual(item.options.statusJidList, [ALICE, ME]);
+    assert.strictEqual(item.options.broadcast, true);
+
+    const file = path.join(ctx.dir, 'story.jpg');
+    fs.writeFileSync(file, 'jpg');
+    const photo = await h.postStatus({ path: file, caption: 'Sunset' }, 'image', { audience: [ALICE] });
+    const photoItem = await ctx.store.getOutboxItem(photo.outboxId);
+    assert.strictEqual(photoItem.media_path, file);
+
+    await assert.rejects(h.postStatus({ caption: 'x' }, 'image'), /Status media buffer required/);
+    await assert.rejects(h.postStatus('x', 'document'), /Unsupported status type/);
+});
@@ -0,0 +1,164 @@
+// test/templates.test.js
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const SQLiteStores = require('../server/core/SQLiteStores');
+const SessionHandler = require('../server/core/SessionHandler');
+const CleanupService = require('../server/services/cleanup');
+const { renderTemplate, renderTemplateContent } = require('../server/utils/helpers');
+const { createStores } = require('./helpers');
+
+const ALICE = '15550001111@s.whatsapp.net';
+
+// ==================== RENDER ====================
+
+test('placeholders are filled, with inline fallbacks for missing or empty values', () => {
+    const vars = { name: 'Alice', 'contact.name': '', count: 0 };
+
+    assert.strictEqual(renderTemplate('Hi {{name}} / {{ name }}', vars), 'Hi Alice / Alice');
+    assert.strictEqual(renderTemplate('Hi {{contact.name|there}}', vars), 'Hi there');
+    assert.strictEqual(renderTemplate('Hi {{nickname}}!', vars), 'Hi !');
+    assert.strictEqual(renderTemplate('{{count}} new', vars), '0 new');
+    assert.strictEqual(renderTemplate(42, vars), 42);
+
+    assert.deepStrictEqual(
+        renderTemplateContent({ caption: 'For {{name}}', fileName: '{{name}}.pdf', seconds: 5 }, vars),
+        { caption: 'For Alice', fileName: 'Alice.pdf', seconds: 5 }
+    );
+});
+
+// ==================== STORE ====================
+
+let ctx;
+let other;
+
+beforeEach(async () => {
+    ctx = await createStores('s1');
+
+    await ctx.global.db.run(`INSERT INTO sessions (id) VALUES ('s2')`);
+    other = await new SQLiteStores('s2', path.join(ctx.dir, 'test.db')).init();
+});
+
+afterEach(async () => {
+    await other.close();
+    await ctx.close();
+});
+
+test('session templates stay in their session, personal ones follow their user', async () => {
+    const greeting = await ctx.store.createTemplate({ user_id: 'u1', name: 'greeting', content: { text: 'Hi' } });
+    const personal = await ctx.store.createTemplate({ user_id: 'u1', scope: 'user', name: 'Away', content: { text: 'Away' } });
+    await ctx.store.createTemplate({ user_id: 'u2', scope: 'user', name: 'theirs', content: { text: 'No' } });
+
+    assert.strictEqual(greeting.scope, 'session');
+    assert.strictEqual(personal.scope, 'user');
+    await assert.rejects(ctx.store.createTemplate({ user_id: 'u1' }), /User and name required/);
+
+    assert.deepStrictEqual((await ctx.store.getTemplates('u1')).map(t => t.name), ['Away', 'greeting']);
+    assert.deepStrictEqual((await ctx.store.getTemplates('u1', { scope: 'session' })).map(t => t.name), ['greeting']);
+    assert.deepStrictEqual((await other.getTemplates('u1')).map(t => t.name), ['Away']);
+
+    assert.strictEqual(await other.getTemplate(greeting.id, 'u1'), null);
+    assert.ok(await other.getTemplate(personal.id, 'u1'));
+    assert.strictEqual(await other.getTemplate(personal.id, 'u2'), null);
+});
+
+test('templates can be updated and deleted', async () => {
+    const created = await ctx.store.createTemplate({ user_id: 'u1', name: 'greeting', content: { text: 'Hi' } });
+
+    await ctx.store.updateTemplate(created.id, { content: { text: 'Hello {{name}}' }, defaults: { name: 'friend' } });
+    const updated = await ctx.store.getTemplate(created.id, 'u1');
+    assert.deepStrictEqual(updated.content, { text: 'Hello {{name}}' });
+    assert.deepStrictEqual(updated.defaults, { name: 'friend' });
+
+    assert.strictEqual(await ctx.store.deleteTemplate(created.id), true);
+    assert.strictEqual(await ctx.store.deleteTemplate(created.id), false);
+});
+
+// ==================== SEND ====================
+
+test('request variables win over contact fields, which win over defaults', async () => {
+    const h = new SessionHandler('s1', 'u1');
+    h.db = ctx.store;
+    await ctx.store.db.run('INSERT INTO contacts (session_id, jid, name, push) VALUES (?, ?, ?, ?)', ['s1', ALICE, 'Alice', 'Ali']);
+
+    const vars = await h.templateVars(ALICE, { 'contact.name': 'Dr Alice' }, { greeting: 'Hi', 'contact.push_name': 'x' });
+    assert.strictEqual(vars.greeting, 'Hi');
+    assert.strictEqual(vars['contact.name'], 'Dr Alice');
+    assert.strictEqual(vars['contact.push_name'], 'Ali');
+    assert.strictEqual(vars.phone, '15550001111');
+    assert.strictEqual(vars.jid, ALICE);
+});
+
+test('a stored template renders into sendMessage arguments', async () => {
+    const h = new SessionHandler('s1', 'u1');
+    h.db = ctx.store;
+
+    const text = await ctx.store.createTemplate({
+        user_id: 'u1',
+        name: 'greeting',
+        content: { text: '{{greeting}} {{contact.name|there}}' },
+        defaults: { greeting: 'Hello' }
+    });
+    const rendered = await h.renderTemplate(text.id, ALICE);
+    assert.strictEqual(rendered.type, 'text');
+    assert.strictEqual(rendered.content, 'Hello there');
+    assert.strictEqual(rendered.template.id, text.id);
+
+    await assert.rejects(h.renderTemplate('template_missing', ALICE), { code: 'TEMPLATE_NOT_FOUND' });
+});
+
+test('media templates send their stored file', async () => {
+    const h = new SessionHandler('s1', 'u1');
+    h.db = ctx.store;
+    const file = path.join(ctx.dir, 'menu.jpg');
+    fs.writeFileSync(file, 'jpg');
+
+    const image = await ctx.store.createTemplate({
+        user_id: 'u1',
+        name: 'menu',
+        type: 'image',
+        content: { caption: 'Menu for {{phone}}' },
+        media_path: file
+    });
+    const rendered = await h.renderTemplate(image.id, ALICE);
+    assert.strictEqual(rendered.type, 'image');
+    assert.strictEqual(rendered.content.caption, 'Menu for 15550001111');
+    // Queued by reference; the outbox reads the file when it sends
+    assert.strictEqual(rendered.content.path, file);
+    assert.strictEqual(rendered.content.buffer, undefined);
+
+    fs.unlinkSync(file);
+    await assert.rejects(h.renderTemplate(image.id, ALICE), { code: 'TEMPLATE_MEDIA_MISSING' });
+});
+
+test('cleanup keeps template media until no template or queued send uses it', async (t) => {
+    const previous = process.env.MEDIA_PATH;
+    process.env.MEDIA_PATH = ctx.dir;
+    t.after(() => {
+        if (previous === undefined) delete process.env.MEDIA_PATH;
+        else process.env.MEDIA_PATH = previous;
+    });
+
+    const dir = path.join(ctx.dir, 'templates');
+    fs.mkdirSync(dir);
+    const old = Date.now() / 1000 - 2 * 60 * 60;
+    const stored = name => {
+        const file = path.join(dir, name);
+        fs.writeFileSync(file, name);
+        fs.utimesSync(file, old, old);
+        return file;
+    };
+
+    const current = stored('current.jpg');
+    await ctx.store.createTemplate({ user_id: 'u1', name: 'menu', type: 'image', content: {}, media_path: current });
+    // Replaced while a send still waits in the outbox
+    const queued = stored('queued.jpg');
+    await ctx.store.enqueueOutbox({ jid: ALICE, type: 'image', message: { image: { url: queued } }, mediaPath: queued });
+    stored('deleted.jpg');
+
+    const cleanup = new CleanupService(null, ctx.global, {});
+    await cleanup.cleanupStoredMedia();
+
+    assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['current.jpg', 'queued.jpg']);
+});
@@ -0,0 +1,84 @@
+// test/wait-for.test.js
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const SessionHandler = require('../server/core/SessionHandler');
+const { createStores } = require('./helpers');
+
+const ALICE = '15550001111@s.whatsapp.net';
+
+let ctx;
+let h;
+
+beforeEach(async () => {
+    ctx = await createStores('s1');
+
+    h = new SessionHandler('s1', 'u1');
+    h.db = ctx.store;
+    h.sock = { sendMessage: async () => ({ key: { id: 'MSG1', remoteJid: ALICE, fromMe: true } }) };
+    h.webhookCacheTime = Date.now();
+    h.outboxRetry = { maxAttempts: 1, delay: 1000, waitTimeout: 1000 };
+
+    await ctx.store.db.run('INSERT INTO chats (session_id, jid) VALUES (?, ?)', ['s1', ALICE]);
+});
+
+afterEach(async () => {
+    await ctx.close();
+});
+
+/**
+ * Store one of our own messages with a status
+ * @param {string} id - Message ID
+ * @param {number} status - Baileys status code
+ * @returns {Promise}
+ */
+function store(id, status) {
+    return ctx.store.handleMsg({
+        type: 'notify',
+        messages: [{ key: { id, remoteJid: ALICE, fromMe: true }, message: { conversation: 'hi' }, status, messageTimestamp: 100 }]
+    });
+}
+
+// ==================== WAITING ====================
+
+test('a waiter resolves once the message reaches the requested level', async () => {
+    await store('MSG1', 2);
+    const waiting = h.waitForAck('MSG1', 'delivered', 1000);
+
+    // The server ack alone is not enough
+    h._notifyAck('MSG1', 'sent');
+    assert.strictEqual(h.ackWaiters.get('MSG1').size, 1);
+
+    await h._handleReceipt([{ key: { id: 'MSG1' }, receipt: { userJid: ALICE, receiptTimestamp: 10 } }]);
+
+    assert.deepStrictEqual(await waiting, { status: 'delivered', reached: true });
+    assert.strictEqual(h.ackWaiters.size, 0);
+});
+
+test('an ack that landed before the wait started counts', async () => {
+    await store('MSG1', 4);
+
+    assert.deepStrictEqual(await h.waitForAck('MSG1', 'read', 1000), { status: 'read', reached: true });
+});
+
+test('a timeout reports how far the message got', async () => {
+    await store('MSG1', 2);
+
+    assert.deepStrictEqual(await h.waitForAck('MSG1', 'read', 10), { status: 'sent', reached: false });
+    assert.deepStrictEqual(await h.waitForAck('MSG2', 'server', 10), { status: 'pending', reached: false });
+    await assert.rejects(h.waitForAck('MSG1', 'seen', 10), /waitFor must be one of server, delivered, read/);
+});
+
+// ==================== SEND ====================
+
+test('sendMessage with waitFor returns the ack it waited for', async () => {
+    const sending = h.sendMessage(ALICE, 'hi', 'text', { waitFor: 'server', waitTimeout: 1000 });
+
+    let item;
+    while (!(item = await ctx.store.getNextOutboxItem())) await new Promise(r => setImmediate(r));
+    await h._sendOutboxItem(item);
+    await h._handleMessagesUpdate([{ key: { id: 'MSG1', remoteJid: ALICE }, update: { status: 2 } }]);
+
+    const sent = await sending;
+    assert.strictEqual(sent.key.id, 'MSG1');
+    assert.deepStrictEqual(sent.ack, { status: 'sent', reached: true });
+});
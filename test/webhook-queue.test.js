@@ -0,0 +1,209 @@
+// test/webhook-queue.test.js
+const { test, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const WebhookService = require('../server/services/webhook');
+const { createStores } = require('./helpers');
+
+let server;
+let status;
+let received;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        req.resume();
+        req.on('end', () => {
+            received.push(req.headers);
+            res.writeHead(status);
+            res.end();
+        });
+    });
+    server.listen(0, '127.0.0.1');
+    await new Promise(r => server.once('listening', r));
+});
+
+after(async () => {
+    await new Promise(r => server.close(r));
+});
+
+let ctx;
+let service;
+let hook;
+
+beforeEach(async () => {
+    ctx = await createStores('s1');
+    status = 200;
+    received = [];
+
+    service = new WebhookService(null, ctx.global, {});
+    service.retryDelay = 1000;
+
+    hook = await ctx.store.createWebhook({ events: ['*'], url: `http://127.0.0.1:${server.address().port}/hook` });
+});
+
+afterEach(async () => {
+    await service.stop();
+    await ctx.close();
+});
+
+/**
+ * Queue a delivery for the test webhook
+ * @param {number} maxAttempts - Attempts before dead-lettering
+ * @returns {Promise<string>} Queue ID
+ */
+function enqueue(maxAttempts = 3) {
+    return ctx.store.enqueueWebhook({ webhookId: hook.id, event: 'message', payload: { event: 'message' }, maxAttempts });
+}
+
+/**
+ * Make one delivery attempt for a queued item
+ * @param {string} id - Queue ID
+ * @returns {Promise<Object>} Queue item after the attempt
+ */
+async function attempt(id) {
+    await service.deliver(await ctx.global.getWebhookQueueItem(id));
+    return ctx.global.getWebhookQueueItem(id);
+}
+
+// ==================== DELIVERY ====================
+
+test('a successful delivery is marked delivered', async () => {
+    const id = await enqueue();
+
+    const item = await attempt(id);
+
+    assert.strictEqual(item.status, 'delivered');
+    assert.strictEqual(item.attempts, 1);
+    assert.strictEqual(item.last_status, 200);
+    assert.ok(item.delivered_at);
+    assert.strictEqual(service.getStatus().delivered, 1);
+});
+
+test('a failed attempt is retried with exponential backoff', async () => {
+    status = 503;
+    const id = await enqueue();
+
+    let before = Date.now();
+    let item = await attempt(id);
+    assert.strictEqual(item.status, 'pending');
+    assert.strictEqual(item.attempts, 1);
+    assert.strictEqual(item.last_status, 503);
+    assert.strictEqual(item.error, 'HTTP 503');
+    assert.ok(item.next_attempt_at >= before + 1000);
+
+    before = Date.now();
+    item = await attempt(id);
+    assert.strictEqual(item.attempts, 2);
+    assert.ok(item.next_attempt_at >= before + 2000);
+
+    // Not due yet
+    assert.deepStrictEqual(await ctx.global.getDueWebhookJobs(), []);
+});
+
+test('the last failed attempt moves the delivery to dead-letter', async () => {
+    status = 500;
+    const id = await enqueue(2);
+
+    await attempt(id);
+    const item = await attempt(id);
+
+    assert.strictEqual(item.status, 'dead');
+    assert.strictEqual(item.attempts, 2);
+    assert.strictEqual(service.getStatus().dead, 1);
+    const ids = received.map(h => h['x-webhook-delivery']);
+    assert.strictEqual(new Set(ids).size, 2);
+    assert.deepStrictEqual((await ctx.store.getWebhookDeliveries(hook.id)).map(d => d.id).sort(), [...ids].sort());
+    assert.ok(received.every(h => h['idempotency-key'] === id));
+});
+
+test('deliveries for a disabled webhook are dead-lettered without sending', async () => {
+    await ctx.store.db.run('UPDATE webhooks SET enabled = 0');
+    const id = await enqueue();
+
+    const item = await attempt(id);
+
+    assert.strictEqual(item.status, 'dead');
+    assert.strictEqual(item.error, 'Webhook disabled or deleted');
+    assert.strictEqual(received.length, 0);
+});
+
+test('a webhook without retries gets one attempt and its own headers', async () => {
+    status = 500;
+    hook = await ctx.store.createWebhook({
+        events: ['*'],
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        headers: { 'X-Tenant': 'acme' },
+        retry_count: 0
+    });
+    const stored = await ctx.store.getWebhook(hook.id);
+    assert.strictEqual(stored.retry_count, 0);
+    assert.deepStrictEqual(stored.headers, { 'X-Tenant': 'acme' });
+    const id = await enqueue(0);
+
+    const item = await attempt(id);
+
+    assert.strictEqual(item.status, 'dead');
+    assert.strictEqual(item.max_attempts, 0);
+    assert.strictEqual(received[0]['x-tenant'], 'acme');
+});
+
+test('a delivery is only sent by the worker that claims it', async () => {
+    const id = await enqueue();
+    const job = await ctx.global.getWebhookQueueItem(id);
+
+    await Promise.all([service.deliver(job), service.deliver(job)]);
+
+    assert.strictEqual(received.length, 1);
+});
+
+// ==================== QUEUE ====================
+
+test('the service drains due deliveries and requeues interrupted ones on start', async () => {
+    const stuck = await enqueue();
+    await ctx.global.claimWebhookJob(stuck);
+    const due = await enqueue();
+
+    await service.start();
+    await service.processQueue();
+
+    assert.strictEqual((await ctx.global.getWebhookQueueItem(stuck)).status, 'delivered');
+    assert.strictEqual((await ctx.global.getWebhookQueueItem(due)).status, 'delivered');
+    assert.strictEqual(received.length, 2);
+});
+
+test('dead and delivered items can be redelivered, in-flight ones cannot', async () => {
+    status = 500;
+    const dead = await enqueue(1);
+    await attempt(dead);
+    const pending = await enqueue();
+
+    assert.strictEqual(await ctx.store.redeliverWebhooks({ ids: [dead, pending] }), 1);
+
+    const item = await ctx.global.getWebhookQueueItem(dead);
+    assert.strictEqual(item.status, 'pending');
+    assert.strictEqual(item.attempts, 0);
+    assert.strictEqual(item.error, null);
+
+    status = 200;
+    assert.strictEqual((await attempt(dead)).status, 'delivered');
+
+    // The new round starts again at attempt 1 but is logged separately
+    const deliveries = await ctx.store.getWebhookDeliveries(hook.id);
+    assert.deepStrictEqual(deliveries.map(d => d.attempt), [1, 1]);
+    assert.notStrictEqual(deliveries[0].id, deliveries[1].id);
+    assert.notStrictEqual(received[0]['x-webhook-delivery'], received[1]['x-webhook-delivery']);
+});
+
+test('queue listings are filtered per session and status', async () => {
+    const id = await enqueue();
+    await enqueue();
+    await attempt(id);
+
+    assert.deepStrictEqual((await ctx.store.getWebhookQueue({ status: 'delivered' })).map(q => q.id), [id]);
+    assert.strictEqual((await ctx.store.getWebhookQueue({ status: 'pending' })).length, 1);
+    assert.strictEqual((await ctx.store.getWebhookQueue({ webhook_id: 'webhook_other' })).length, 0);
+
+    // Only delivered items are pruned
+    assert.strictEqual(await ctx.global.pruneWebhookQueue(Date.now() + 60000), 1);
+    assert.strictEqual((await ctx.store.getWebhookQueue()).length, 1);
+});
@@ -0,0 +1,138 @@
+// test/webhook-signing.test.js
+const { test, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const WebhookService = require('../server/services/webhook');
+const { webhookHeaders } = require('../server/utils/helpers');
+const { createStores } = require('./helpers');
+
+/**
+ * Verify a signature header the way a receiver would
+ * @param {string} header - X-Webhook-Signature
+ * @param {string} body - Raw request body
+ * @param {string} secret - Signing secret
+ * @returns {boolean} Valid
+ */
+function verify(header, body, secret) {
+    const parts = header.split(',');
+    const timestamp = parts.shift().replace('t=', '');
+    const expected = 'v1=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return parts.includes(expected);
+}
+
+// ==================== HEADERS ====================
+
+test('each secret adds a v1 signature over "<timestamp>.<body>"', () => {
+    const body = JSON.stringify({ event: 'message', data: { id: 'M1' } });
+    const headers = webhookHeaders({ secrets: ['new', 'old'], body, event: 'message', deliveryId: 'd1', idempotencyKey: 'k1' });
+
+    assert.strictEqual(headers['X-Webhook-Event'], 'message');
+    assert.strictEqual(headers['X-Webhook-Delivery'], 'd1');
+    assert.strictEqual(headers['Idempotency-Key'], 'k1');
+    assert.match(headers['X-Webhook-Signature'], new RegExp(`^t=${headers['X-Webhook-Timestamp']},v1=[0-9a-f]{64},v1=[0-9a-f]{64}$`));
+
+    assert.ok(verify(headers['X-Webhook-Signature'], body, 'new'));
+    assert.ok(verify(headers['X-Webhook-Signature'], body, 'old'));
+    assert.ok(!verify(headers['X-Webhook-Signature'], body + ' ', 'new'));
+    assert.ok(!verify(headers['X-Webhook-Signature'], body, 'other'));
+});
+
+test('without secrets nothing is signed', () => {
+    const headers = webhookHeaders({ body: '{}', event: 'message', deliveryId: 'd1', idempotencyKey: 'k1' });
+    assert.ok(!('X-Webhook-Signature' in headers));
+});
+
+// ==================== ROTATION ====================
+
+let ctx;
+
+beforeEach(async () => {
+    ctx = await createStores('s1');
+});
+
+afterEach(async () => {
+    await ctx.close();
+});
+
+/**
+ * Create a webhook and return its row
+ * @param {Object} data - Webhook fields
+ * @returns {Promise<Object>} Webhook
+ */
+async function webhook(data = {}) {
+    await ctx.store.createWebhook({ event: 'message', url: 'http://127.0.0.1:1/hook', ...data });
+    return ctx.store.getWebhookByEvent(data.event || 'message');
+}
+
+test('new webhooks get a generated secret', async () => {
+    const hook = await webhook();
+    assert.match(hook.secret, /^whsec_[0-9a-f]{48}$/);
+    assert.deepStrictEqual(await ctx.store.getWebhookSecrets(hook.id), [hook.secret]);
+});
+
+test('a rotated-out secret stays valid for the grace period', async () => {
+    const hook = await webhook({ secret: 'first' });
+
+    const rotated = await ctx.store.rotateWebhookSecret(hook.id, { secret: 'second', gracePeriod: 60000 });
+    assert.strictEqual(rotated.secret, 'second');
+    assert.ok(rotated.previousExpiresAt > Date.now());
+    assert.deepStrictEqual(await ctx.store.getWebhookSecrets(hook.id), ['second', 'first']);
+
+    // Expired grace periods are dropped
+    await ctx.store.db.run('UPDATE webhook_secrets SET expires_at = ?', [Date.now() - 1]);
+    assert.deepStrictEqual(await ctx.store.getWebhookSecrets(hook.id), ['second']);
+});
+
+test('a zero grace period invalidates the old secret at once', async () => {
+    const hook = await webhook({ secret: 'first' });
+
+    const rotated = await ctx.store.rotateWebhookSecret(hook.id, { gracePeriod: 0 });
+    assert.strictEqual(rotated.previousExpiresAt, null);
+    assert.match(rotated.secret, /^whsec_/);
+    assert.deepStrictEqual(await ctx.store.getWebhookSecrets(hook.id), [rotated.secret]);
+
+    assert.strictEqual(await ctx.store.rotateWebhookSecret('webhook_missing'), null);
+});
+
+// ==================== DELIVERY ====================
+
+let server;
+let received;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ headers: req.headers, body });
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end('{"ok":true}');
+        });
+    });
+    server.listen(0, '127.0.0.1');
+    await new Promise(r => server.once('listening', r));
+});
+
+after(async () => {
+    await new Promise(r => server.close(r));
+});
+
+test('deliveries are signed with every valid secret', async () => {
+    received = [];
+    const hook = await webhook({ url: `http://127.0.0.1:${server.address().port}/hook`, secret: 'first', retry_count: 1 });
+    await ctx.store.rotateWebhookSecret(hook.id, { secret: 'second' });
+
+    const id = await ctx.store.enqueueWebhook({ webhookId: hook.id, event: 'message', payload: { event: 'message', data: { id: 'M1' } } });
+    const service = new WebhookService(null, ctx.global, {});
+    await service.deliver(await ctx.global.getWebhookQueueItem(id));
+
+    const [{ headers, body }] = received;
+    assert.deepStrictEqual(JSON.parse(body), { event: 'message', data: { id: 'M1' } });
+    assert.strictEqual(headers['x-webhook-event'], 'message');
+    assert.strictEqual(headers['idempotency-key'], id);
+    assert.ok(verify(headers['x-webhook-signature'], body, 'second'));
+    assert.ok(verify(headers['x-webhook-signature'], body, 'first'));
+    const [delivery] = await ctx.store.getWebhookDeliveries(hook.id);
+    assert.strictEqual(headers['x-webhook-delivery'], delivery.id);
+});
@@ -0,0 +1,117 @@
+// test/webhooks.test.js
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const SessionHandler = require('../server/core/SessionHandler');
+const { createStores } = require('./helpers');
+
+const ALICE = '15550001111@s.whatsapp.net';
+const GROUP = '120363000000000001@g.us';
+
+let ctx;
+let h;
+
+beforeEach(async () => {
+    ctx = await createStores('s1');
+
+    h = new SessionHandler('s1', 'u1');
+    h.db = ctx.store;
+});
+
+afterEach(async () => {
+    await ctx.close();
+});
+
+// ==================== STORE ====================
+
+test('several webhooks can share an event and "all" becomes "*"', async () => {
+    const a = await ctx.store.createWebhook({ events: ['message', 'message'], url: 'http://a' });
+    const b = await ctx.store.createWebhook({ event: 'message', url: 'http://b' });
+    const c = await ctx.store.createWebhook({ event: 'all', url: 'http://c', filters: { group: true } });
+
+    assert.deepStrictEqual(a.events, ['message']);
+    assert.deepStrictEqual(b.events, ['message']);
+    assert.deepStrictEqual(c.events, ['*']);
+    await assert.rejects(ctx.store.createWebhook({ events: [], url: 'http://d' }), /Events and URL required/);
+
+    const all = await ctx.store.getAllWebhooks();
+    assert.strictEqual(all.length, 3);
+    assert.deepStrictEqual(all.find(w => w.id === c.id).filters, { group: true });
+    assert.deepStrictEqual(ctx.store._webhookEvents({ events: 'message.*, call' }), ['message.*', 'call']);
+});
+
+test('one-per-event tables are upgraded in place', async () => {
+    await ctx.store.db.exec('DROP TABLE webhooks');
+    await ctx.store.db.exec(`
+        CREATE TABLE webhooks (
+            id TEXT PRIMARY KEY, session_id TEXT NOT NULL, event TEXT NOT NULL, url TEXT NOT NULL,
+            headers TEXT, enabled BOOLEAN DEFAULT 1, retry_count INTEGER DEFAULT 3, timeout INTEGER DEFAULT 10000,
+            secret TEXT, last_triggered DATETIME, last_response INTEGER, failure_count INTEGER DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP, updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(session_id, event)
+        )
+    `);
+    await ctx.store.db.run(`INSERT INTO webhooks (id, session_id, event, url) VALUES ('w1', 's1', 'all', 'http://a'), ('w2', 's1', 'message', 'http://b')`);
+
+    await require('../server/migrations/006_webhook_endpoints').up(ctx.store.db);
+
+    const all = await ctx.store.getAllWebhooks();
+    assert.deepStrictEqual(all.map(w => [w.id, w.events]), [['w1', ['*']], ['w2', ['message']]]);
+    await ctx.store.createWebhook({ event: 'message', url: 'http://c' });
+});
+
+// ==================== MATCHING ====================
+
+test('event patterns match exact names, families and "*"', () => {
+    assert.ok(h._webhookMatchesEvent(['*'], 'call'));
+    // Presence and QR codes only go to webhooks that ask for them
+    assert.ok(!h._webhookMatchesEvent(['*'], 'presence'));
+    assert.ok(!h._webhookMatchesEvent(['*'], 'qr'));
+    assert.ok(h._webhookMatchesEvent(['*', 'presence'], 'presence'));
+    assert.ok(h._webhookMatchesEvent(['message'], 'message'));
+    assert.ok(!h._webhookMatchesEvent(['message'], 'message_update'));
+
+    assert.ok(h._webhookMatchesEvent(['message.*'], 'message'));
+    assert.ok(h._webhookMatchesEvent(['message.*'], 'message_update'));
+    assert.ok(h._webhookMatchesEvent(['message.*'], 'message.reaction'));
+    assert.ok(!h._webhookMatchesEvent(['message.*'], 'messages'));
+    assert.ok(!h._webhookMatchesEvent([], 'message'));
+});
+
+test('filters need the event to carry the filtered field', () => {
+    assert.ok(h._webhookMatchesFilters(null, {}));
+
+    assert.ok(h._webhookMatchesFilters({ jid: [ALICE] }, { chat: ALICE }));
+    assert.ok(!h._webhookMatchesFilters({ jid: ALICE }, { chat: GROUP }));
+    assert.ok(!h._webhookMatchesFilters({ jid: ALICE }, {}));
+
+    assert.ok(h._webhookMatchesFilters({ group: true }, { jid: GROUP }));
+    assert.ok(!h._webhookMatchesFilters({ group: true }, { jid: ALICE }));
+
+    assert.ok(h._webhookMatchesFilters({ from_me: false }, { fromMe: false }));
+    assert.ok(!h._webhookMatchesFilters({ from_me: false }, {}));
+
+    assert.ok(h._webhookMatchesFilters({ type: ['image', 'video'] }, { type: 'image' }));
+    assert.ok(!h._webhookMatchesFilters({ type: 'image' }, { type: 'text' }));
+});
+
+// ==================== FAN-OUT ====================
+
+test('an emitted event is queued for every matching webhook', async () => {
+    const all = await ctx.store.createWebhook({ events: ['*'], url: 'http://all', retry_count: 5 });
+    const messages = await ctx.store.createWebhook({ events: ['message.*'], url: 'http://messages', filters: { group: false } });
+    await ctx.store.createWebhook({ events: ['call'], url: 'http://calls' });
+    await ctx.store.createWebhook({ events: ['message'], url: 'http://off', enabled: 0 });
+
+    await h._sendToWebhook('message', { chat: ALICE, fromMe: false });
+    await h._sendToWebhook('message_update', { chat: GROUP });
+
+    const queued = await ctx.store.getWebhookQueue();
+    assert.deepStrictEqual(queued.map(q => [q.webhook_id, q.event]).sort(), [
+        [all.id, 'message'],
+        [all.id, 'message_update'],
+        [messages.id, 'message']
+    ].sort());
+    assert.ok(queued.every(q => q.status === 'pending'));
+    assert.strictEqual(queued.find(q => q.webhook_id === all.id).max_attempts, 5);
+    assert.deepStrictEqual(queued.find(q => q.webhook_id === messages.id).payload.data, { chat: ALICE, fromMe: false });
+});